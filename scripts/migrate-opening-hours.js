@@ -0,0 +1,35 @@
+// scripts/migrate-opening-hours.js
+// Copia el horario heredado (días de schedule con start_time / end_time) de cada propiedad al
+// horario semanal estructurado (property_hours). Solo migra propiedades que todavía no tienen
+// horario. El servidor ejecuta la misma migración al iniciar; este script además lista las
+// propiedades cuyo horario no se pudo interpretar para revisarlas a mano.
+// Uso: node scripts/migrate-opening-hours.js
+import { Property } from '../src/models/mysql/property.model.js';
+import { createPropertyHoursTables, PropertyHours } from '../src/models/mysql/property-hours.model.js';
+
+async function migrateOpeningHours() {
+  // Columnas nuevas (legacy_hours_migrated) por si el servidor no se ha reiniciado desde la actualización
+  await Property.addMissingColumns();
+  await createPropertyHoursTables();
+
+  const { migrated, skipped } = await PropertyHours.migrateLegacyHours();
+
+  console.log(`Se migraron ${migrated} horarios.`);
+
+  if (skipped.length > 0) {
+    console.log(`No se pudieron migrar ${skipped.length} propiedades (revisar manualmente):`);
+    skipped.forEach(p => {
+      console.log(`  #${p.id} ${p.title}: start_time="${p.start_time || ''}", end_time="${p.end_time || ''}", schedule="${p.schedule || ''}"`);
+    });
+  }
+}
+
+migrateOpeningHours()
+  .then(() => {
+    console.log('Migración de horarios finalizada exitosamente.');
+    process.exit(0);
+  })
+  .catch(error => {
+    console.error('Error en la migración de horarios:', error);
+    process.exit(1);
+  });
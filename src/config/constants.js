@@ -48,6 +48,19 @@ export const USER_STATUS = {
     COMMERCIAL: 'commercial'
   };
   
+  // Zona horaria en la que se evalúan los horarios de los negocios
+  export const BUSINESS_TIMEZONE = process.env.BUSINESS_TIMEZONE || 'America/Tegucigalpa';
+  
+  // Moneda de los precios de reserva
+  export const BOOKING_CURRENCY = 'HNL';
+  
+  // Impuesto Sobre Ventas (ISV) de Honduras que se cobra sobre el total de la reserva
+  export const ISV_RATE = parseFloat(process.env.ISV_RATE || '0.15');
+  
+  // Tarifa por noche (o por turno) de los negocios que todavía no configuraron sus tarifas.
+  // Con 0 la reserva no tiene costo: el negocio solo confirma el cupo.
+  export const DEFAULT_BASE_RATE = parseFloat(process.env.DEFAULT_BASE_RATE || '0');
+  
   // Pagination defaults
   export const PAGINATION = {
     DEFAULT_PAGE: 1,
@@ -86,5 +99,9 @@ export const USER_STATUS = {
     PROPERTY_STATUS,
     PROPERTY_TYPES,
     PAGINATION,
-    MESSAGES
+    MESSAGES,
+    BUSINESS_TIMEZONE,
+    BOOKING_CURRENCY,
+    ISV_RATE,
+    DEFAULT_BASE_RATE
   };
\ No newline at end of file
@@ -49,8 +49,62 @@ export const testMySQLConnection = async () => {
   }
 };
 
+// Añadir una columna a una tabla existente si todavía no existe
+// (CREATE TABLE IF NOT EXISTS no modifica tablas ya creadas)
+export const addColumnIfNotExists = async (table, column, definition) => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    const [columns] = await connection.query(
+      `SELECT COLUMN_NAME
+       FROM INFORMATION_SCHEMA.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME = ?
+       AND COLUMN_NAME = ?`,
+      [table, column]
+    );
+
+    if (columns.length > 0) {
+      return false;
+    }
+
+    await connection.query(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    console.log(`Column ${column} added to ${table} table`);
+    return true;
+  } finally {
+    connection.release();
+  }
+};
+
+// Crear un índice en una tabla existente si todavía no existe
+// (type: '' para índices normales, 'UNIQUE' o 'FULLTEXT')
+export const addIndexIfNotExists = async (table, indexName, columns, type = '') => {
+  const connection = await mysqlPool.getConnection();
+  try {
+    const [indexes] = await connection.query(
+      `SELECT INDEX_NAME
+       FROM INFORMATION_SCHEMA.STATISTICS
+       WHERE TABLE_SCHEMA = DATABASE()
+       AND TABLE_NAME = ?
+       AND INDEX_NAME = ?`,
+      [table, indexName]
+    );
+
+    if (indexes.length > 0) {
+      return false;
+    }
+
+    await connection.query(`CREATE ${type} INDEX ${indexName} ON ${table} (${columns.join(', ')})`);
+    console.log(`Index ${indexName} added to ${table} table`);
+    return true;
+  } finally {
+    connection.release();
+  }
+};
+
 export default {
   mysqlPool,
   connectMongoDB,
-  testMySQLConnection
+  testMySQLConnection,
+  addColumnIfNotExists,
+  addIndexIfNotExists
 };
\ No newline at end of file
@@ -1,14 +1,14 @@
 import multer from 'multer';
 
-// Configuración para almacenar en memoria (necesario para Azure)
+// Configuración para almacenar en memoria (el servicio de almacenamiento recibe el buffer)
 const storage = multer.memoryStorage();
 
 // Filtro para validar tipos de archivo
 const fileFilter = (req, file, cb) => {
-  if (file.mimetype === 'image/jpeg' || file.mimetype === 'image/png') {
+  if (['image/jpeg', 'image/png', 'image/webp'].includes(file.mimetype)) {
     cb(null, true);
   } else {
-    cb(new Error('Formato de archivo no soportado. Solo se permiten JPG y PNG.'), false);
+    cb(new Error('Formato de archivo no soportado. Solo se permiten JPG, PNG y WebP.'), false);
   }
 };
 
@@ -19,4 +19,41 @@ export const singleImageUpload = multer({
     fileSize: 5 * 1024 * 1024, // 5MB max
   },
   fileFilter: fileFilter
-}).single('image');
\ No newline at end of file
+}).single('image');
+
+// Documentos de respaldo para reclamos de negocios (imagen o PDF)
+const documentFileFilter = (req, file, cb) => {
+  if (['image/jpeg', 'image/png', 'application/pdf'].includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Formato de archivo no soportado. Solo se permiten JPG, PNG y PDF.'), false);
+  }
+};
+
+export const claimDocumentUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB max
+  },
+  fileFilter: documentFileFilter
+}).single('document');
+
+// Archivos CSV para la importación masiva de negocios
+const csvFileFilter = (req, file, cb) => {
+  const isCsvType = ['text/csv', 'application/vnd.ms-excel', 'text/plain', 'application/octet-stream']
+    .includes(file.mimetype);
+
+  if (isCsvType && file.originalname.toLowerCase().endsWith('.csv')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Formato de archivo no soportado. Solo se permiten archivos CSV.'), false);
+  }
+};
+
+export const csvUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB max
+  },
+  fileFilter: csvFileFilter
+}).single('file');
@@ -1,15 +1,24 @@
 // src/controllers/admin.controller.js
 import { AdminService } from '../services/admin.service.js';
+import { BusinessImportService } from '../services/business-import.service.js';
+import { DuplicateService } from '../services/duplicate.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
 
 export class AdminController {
+  // Filtros del listado de negocios (compartidos por el listado y la exportación CSV)
+  static getBusinessFilters(query) {
+    return {
+      category: query.category,
+      status: query.status,
+      verified: query.verified === 'true' ? true : query.verified === 'false' ? false : undefined,
+      search: query.search,
+      sort: query.sort || 'newest'
+    };
+  }
+
   static getAllBusinesses = asyncErrorHandler(async (req, res) => {
     const filters = {
-      category: req.query.category,
-      status: req.query.status,
-      verified: req.query.verified === 'true' ? true : req.query.verified === 'false' ? false : undefined,
-      search: req.query.search,
-      sort: req.query.sort || 'newest',
+      ...AdminController.getBusinessFilters(req.query),
       limit: parseInt(req.query.limit) || 12,
       offset: parseInt(req.query.page) ? (parseInt(req.query.page) - 1) * (parseInt(req.query.limit) || 12) : 0
     };
@@ -52,6 +61,69 @@ export class AdminController {
     });
   });
   
+  // Importación masiva de negocios desde CSV (dry_run=true solo valida y devuelve el reporte)
+  static importBusinesses = asyncErrorHandler(async (req, res) => {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No se proporcionó ningún archivo CSV'
+      });
+    }
+
+    const dryRun = req.query.dry_run === 'true' || req.body.dry_run === 'true' || req.body.dry_run === true;
+
+    const report = await BusinessImportService.importCsv(req.file.buffer, { dryRun });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      data: report,
+      message: dryRun
+        ? `Validación completada: ${report.errors.length} filas con errores`
+        : `Importación completada: ${report.created} creados, ${report.updated} actualizados`
+    });
+  });
+
+  // Exportación CSV del listado de negocios con los mismos filtros
+  static exportBusinesses = asyncErrorHandler(async (req, res) => {
+    const csv = await BusinessImportService.exportCsv(AdminController.getBusinessFilters(req.query));
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="negocios-${date}.csv"`);
+    res.send(csv);
+  });
+
+  // Posibles duplicados de un negocio existente
+  static getBusinessDuplicates = asyncErrorHandler(async (req, res) => {
+    const duplicates = await DuplicateService.findDuplicatesOf(req.params.id);
+
+    res.json({
+      success: true,
+      data: duplicates
+    });
+  });
+
+  // Posibles duplicados de un negocio antes de crearlo (title, phone, email, lat, lng)
+  static checkBusinessDuplicates = asyncErrorHandler(async (req, res) => {
+    const duplicates = await DuplicateService.findDuplicates(req.body);
+
+    res.json({
+      success: true,
+      data: duplicates
+    });
+  });
+
+  // Fusiona el negocio duplicate_id en :id (el que se conserva)
+  static mergeBusinesses = asyncErrorHandler(async (req, res) => {
+    const result = await DuplicateService.mergeProperties(req.params.id, req.body.duplicate_id);
+
+    res.json({
+      success: true,
+      data: result,
+      message: `Negocio #${result.merged_id} fusionado con #${result.survivor_id}`
+    });
+  });
+
   static getAdminStats = asyncErrorHandler(async (req, res) => {
     const stats = await AdminService.getAdminStats();
     
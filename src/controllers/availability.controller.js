@@ -0,0 +1,18 @@
+// src/controllers/availability.controller.js
+import { AvailabilityService } from '../services/availability.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class AvailabilityController {
+  // Calendario de disponibilidad (?from=YYYY-MM-DD&to=YYYY-MM-DD, to excluida)
+  static getCalendar = asyncErrorHandler(async (req, res) => {
+    const result = await AvailabilityService.getCalendar(req.params.id, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+}
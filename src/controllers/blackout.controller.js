@@ -0,0 +1,36 @@
+// src/controllers/blackout.controller.js
+import { BlackoutService } from '../services/blackout.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class BlackoutController {
+  // Bloqueos vigentes y futuros de la propiedad (solo el dueño)
+  static getBlackouts = asyncErrorHandler(async (req, res) => {
+    const blackouts = await BlackoutService.getBlackouts(req.params.id, req.userId);
+
+    res.json({
+      success: true,
+      data: blackouts
+    });
+  });
+
+  static createBlackout = asyncErrorHandler(async (req, res) => {
+    const blackout = await BlackoutService.createBlackout(req.params.id, req.body, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: blackout,
+      message: blackout.conflicting_bookings > 0
+        ? `Fechas bloqueadas. Hay ${blackout.conflicting_bookings} reservas existentes en esas fechas que no se cancelan automáticamente.`
+        : 'Fechas bloqueadas exitosamente'
+    });
+  });
+
+  static deleteBlackout = asyncErrorHandler(async (req, res) => {
+    await BlackoutService.deleteBlackout(req.params.id, req.params.blackoutId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Bloqueo eliminado'
+    });
+  });
+}
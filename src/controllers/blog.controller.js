@@ -1,7 +1,7 @@
 // src/controllers/blog.controller.js
 
 import { BlogService } from '../services/blog.service.js';
-import { azureStorageService } from '../services/azure-storage.service.js';
+import { storageService } from '../services/storage.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
 import { mysqlPool } from '../config/database.js';
 import { Blog } from '../models/mysql/blog.model.js';
@@ -267,8 +267,8 @@ static uploadBlogImage = asyncErrorHandler(async (req, res) => {
     // El archivo está disponible en req.file gracias a multer
     const imageFile = req.file;
     
-    // Subir la imagen a Azure Blob Storage o tu servicio de almacenamiento
-    const imageUrl = await azureStorageService.uploadImage(imageFile, `blog-${Date.now()}`);
+    // Subir la imagen al almacenamiento configurado
+    const imageUrl = await storageService.uploadImage(imageFile, `blog-${Date.now()}`);
     
     res.json({
       success: true,
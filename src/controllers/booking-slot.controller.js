@@ -0,0 +1,26 @@
+// src/controllers/booking-slot.controller.js
+import { BookingSlotService } from '../services/booking-slot.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class BookingSlotController {
+  // Turnos de un día (?date=YYYY-MM-DD, por defecto hoy)
+  static getSlots = asyncErrorHandler(async (req, res) => {
+    const result = await BookingSlotService.getSlots(req.params.id, req.query.date);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  // Modo de reserva del negocio (por fechas o por turnos de slot_minutes) y su capacidad
+  static updateBookingSettings = asyncErrorHandler(async (req, res) => {
+    const settings = await BookingSlotService.updateBookingSettings(req.params.id, req.body, req.userId);
+
+    res.json({
+      success: true,
+      data: settings,
+      message: 'Configuración de reservas actualizada'
+    });
+  });
+}
@@ -1,6 +1,7 @@
 // src/controllers/booking.controller.js
 import bookingService from '../services/booking.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
+import { toDateOnly } from '../utils/helpers.js';
 
 export class BookingController {
   /**
@@ -28,8 +29,10 @@ export class BookingController {
         propertyId: req.body.property_id,
         startDate: req.body.check_in_date,
         endDate: req.body.check_out_date,
+        // Reservas por turnos: inicio del primer turno y cantidad de turnos consecutivos
+        slotStart: req.body.slot_start,
+        slots: req.body.slots,
         guests: req.body.guests || 1,
-        totalPrice: req.body.total_price,
         specialRequests: req.body.special_requests,
         // Guest information
         guestName: req.body.guest_name,
@@ -41,19 +44,44 @@ export class BookingController {
       
       console.log('Datos de reserva procesados:', bookingData);
       
-      // Verificar disponibilidad primero
-      const isAvailable = await bookingService.checkAvailability(
-        bookingData.propertyId,
-        bookingData.startDate,
-        bookingData.endDate
-      );
-      
-      if (!isAvailable) {
-        return res.status(409).json({
-          success: false,
-          message: 'La propiedad no está disponible para las fechas seleccionadas. Por favor, elija otras fechas.',
-          errorCode: 'PROPERTY_UNAVAILABLE'
-        });
+      // Las reservas por turnos se validan por completo en el servicio
+      if (!bookingData.slotStart) {
+        // Las fechas pueden llegar con hora ("2025-04-17T00:00:00.000Z"): se comparan solo los días
+        const checkIn = toDateOnly(bookingData.startDate);
+        const checkOut = toDateOnly(bookingData.endDate);
+        
+        // Cierre temporal del negocio: se informa la fecha de reapertura
+        const closure = await bookingService.findClosureConflict(
+          bookingData.propertyId,
+          checkIn,
+          checkOut
+        );
+        
+        if (closure) {
+          return res.status(409).json({
+            success: false,
+            message: `El negocio está cerrado temporalmente (${closure.reason}) y reabre el ${closure.reopen_date}.`,
+            errorCode: 'PROPERTY_TEMPORARILY_CLOSED',
+            closure
+          });
+        }
+        
+        // Verificar disponibilidad primero: reservas simultáneas y personas frente a la capacidad
+        const availability = await bookingService.getAvailability(
+          bookingData.propertyId,
+          checkIn,
+          checkOut,
+          parseInt(bookingData.guests) || 1
+        );
+        
+        if (!availability.available) {
+          return res.status(409).json({
+            success: false,
+            message: 'La propiedad no está disponible para las fechas seleccionadas. Por favor, elija otras fechas.',
+            errorCode: 'PROPERTY_UNAVAILABLE',
+            unavailable_days: availability.days.filter(day => !day.available)
+          });
+        }
       }
       
       // Crear la reserva solo si la propiedad está disponible
@@ -63,6 +91,12 @@ export class BookingController {
         success: true,
         data: {
           bookingId: booking.id,
+          ...(booking.bookingType === 'slot' && {
+            start_at: booking.startAt,
+            end_at: booking.endAt
+          }),
+          total_price: booking.totalPrice,
+          price_breakdown: booking.priceBreakdown,
           message: 'Reserva creada exitosamente'
         }
       });
@@ -76,6 +110,11 @@ export class BookingController {
           message: error.message,
           fields: error.fields
         });
+      } else if (error.name === 'NotFoundError') {
+        res.status(404).json({
+          success: false,
+          message: error.message
+        });
       } else if (error.name === 'ConflictError') {
         res.status(409).json({
           success: false,
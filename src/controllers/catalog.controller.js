@@ -0,0 +1,79 @@
+// src/controllers/catalog.controller.js
+import { CatalogService } from '../services/catalog.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class CatalogController {
+  static getCatalog = asyncErrorHandler(async (req, res) => {
+    const catalog = await CatalogService.getCatalog(req.params.id);
+
+    res.json({
+      success: true,
+      data: catalog
+    });
+  });
+
+  static createSection = asyncErrorHandler(async (req, res) => {
+    const section = await CatalogService.createSection(req.params.id, req.body, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: section
+    });
+  });
+
+  static updateSection = asyncErrorHandler(async (req, res) => {
+    const section = await CatalogService.updateSection(
+      req.params.id,
+      req.params.sectionId,
+      req.body,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: section
+    });
+  });
+
+  static deleteSection = asyncErrorHandler(async (req, res) => {
+    await CatalogService.deleteSection(req.params.id, req.params.sectionId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Sección eliminada exitosamente'
+    });
+  });
+
+  static createItem = asyncErrorHandler(async (req, res) => {
+    const item = await CatalogService.createItem(req.params.id, req.body, req.file, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: item
+    });
+  });
+
+  static updateItem = asyncErrorHandler(async (req, res) => {
+    const item = await CatalogService.updateItem(
+      req.params.id,
+      req.params.itemId,
+      req.body,
+      req.file,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: item
+    });
+  });
+
+  static deleteItem = asyncErrorHandler(async (req, res) => {
+    await CatalogService.deleteItem(req.params.id, req.params.itemId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Ítem eliminado exitosamente'
+    });
+  });
+}
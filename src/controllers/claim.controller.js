@@ -0,0 +1,88 @@
+// src/controllers/claim.controller.js
+import { ClaimService } from '../services/claim.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class ClaimController {
+  static createClaim = asyncErrorHandler(async (req, res) => {
+    const claim = await ClaimService.createClaim(
+      req.params.id,
+      req.userId,
+      req.body,
+      req.file
+    );
+
+    res.status(201).json({
+      success: true,
+      data: claim,
+      message: 'Reclamo enviado. Un administrador revisará tu solicitud.'
+    });
+  });
+
+  static getUserClaims = asyncErrorHandler(async (req, res) => {
+    const claims = await ClaimService.getUserClaims(req.userId);
+
+    res.json({
+      success: true,
+      data: claims
+    });
+  });
+
+  static getClaims = asyncErrorHandler(async (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const page = parseInt(req.query.page) || 1;
+
+    const claims = await ClaimService.getClaims({
+      status: req.query.status || 'pending',
+      property_id: req.query.property_id,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      data: claims
+    });
+  });
+
+  // Documento de respaldo de un reclamo; no es público, se entrega solo por esta ruta de administración
+  static getClaimDocument = asyncErrorHandler(async (req, res) => {
+    const document = await ClaimService.getClaimDocument(req.params.id);
+
+    if (document.url) {
+      return res.redirect(document.url);
+    }
+
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('Content-Disposition', `inline; filename="${document.fileName}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(document.buffer);
+  });
+
+  static approveClaim = asyncErrorHandler(async (req, res) => {
+    const claim = await ClaimService.approveClaim(
+      req.params.id,
+      req.userId,
+      req.body.notes
+    );
+
+    res.json({
+      success: true,
+      data: claim,
+      message: 'Reclamo aprobado. La propiedad fue transferida al solicitante.'
+    });
+  });
+
+  static rejectClaim = asyncErrorHandler(async (req, res) => {
+    const claim = await ClaimService.rejectClaim(
+      req.params.id,
+      req.userId,
+      req.body.notes
+    );
+
+    res.json({
+      success: true,
+      data: claim,
+      message: 'Reclamo rechazado'
+    });
+  });
+}
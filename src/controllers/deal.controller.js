@@ -0,0 +1,50 @@
+// src/controllers/deal.controller.js
+import { DealService } from '../services/deal.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class DealController {
+  static getDealsFeed = asyncErrorHandler(async (req, res) => {
+    const result = await DealService.getDealsFeed(req.query);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  static getPropertyDeals = asyncErrorHandler(async (req, res) => {
+    const deals = await DealService.getPropertyDeals(req.params.id, req.query, req.userId);
+
+    res.json({
+      success: true,
+      data: deals
+    });
+  });
+
+  static createDeal = asyncErrorHandler(async (req, res) => {
+    const deal = await DealService.createDeal(req.params.id, req.body, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: deal
+    });
+  });
+
+  static updateDeal = asyncErrorHandler(async (req, res) => {
+    const deal = await DealService.updateDeal(req.params.id, req.params.dealId, req.body, req.userId);
+
+    res.json({
+      success: true,
+      data: deal
+    });
+  });
+
+  static deleteDeal = asyncErrorHandler(async (req, res) => {
+    await DealService.deleteDeal(req.params.id, req.params.dealId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Promoción eliminada exitosamente'
+    });
+  });
+}
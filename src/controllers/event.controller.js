@@ -1,6 +1,6 @@
 // src/controllers/event.controller.js
 import { EventService } from '../services/event.service.js';
-import { azureStorageService } from '../services/azure-storage.service.js';
+import { storageService } from '../services/storage.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
 
 // Función para subir imágenes
@@ -27,8 +27,8 @@ export const uploadEventImage = asyncErrorHandler(async (req, res) => {
       size: imageFile.size
     });
     
-    // Subir la imagen usando el servicio de Azure Storage
-    const imageUrl = await azureStorageService.uploadImage(
+    // Subir la imagen usando el servicio de almacenamiento configurado
+    const imageUrl = await storageService.uploadImage(
       imageFile, 
       'event',  // Tipo de entidad
       Date.now() // ID temporal
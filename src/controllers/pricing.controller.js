@@ -0,0 +1,53 @@
+// src/controllers/pricing.controller.js
+import { PricingService } from '../services/pricing.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class PricingController {
+  // Tarifas, temporadas y fechas de las temporadas festivas de una propiedad
+  static getRates = asyncErrorHandler(async (req, res) => {
+    const result = await PricingService.getRates(req.params.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  static updateRatePlan = asyncErrorHandler(async (req, res) => {
+    const result = await PricingService.updateRatePlan(req.params.id, req.body, req.userId);
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Tarifas actualizadas exitosamente'
+    });
+  });
+
+  static addSeason = asyncErrorHandler(async (req, res) => {
+    const season = await PricingService.addSeason(req.params.id, req.body, req.userId);
+
+    res.status(201).json({
+      success: true,
+      data: season
+    });
+  });
+
+  static deleteSeason = asyncErrorHandler(async (req, res) => {
+    await PricingService.deleteSeason(req.params.id, req.params.seasonId, req.userId);
+
+    res.json({
+      success: true,
+      message: 'Temporada eliminada'
+    });
+  });
+
+  // Cotización con desglose; el total de la reserva se calcula igual al crearla
+  static quote = asyncErrorHandler(async (req, res) => {
+    const quote = await PricingService.quote(req.body);
+
+    res.json({
+      success: true,
+      data: quote
+    });
+  });
+}
@@ -0,0 +1,54 @@
+// src/controllers/property-hours.controller.js
+import { PropertyHoursService } from '../services/property-hours.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class PropertyHoursController {
+  static getPropertyHours = asyncErrorHandler(async (req, res) => {
+    const result = await PropertyHoursService.getPropertyHours(req.params.id);
+
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
+  static updatePropertyHours = asyncErrorHandler(async (req, res) => {
+    const result = await PropertyHoursService.updatePropertyHours(
+      req.params.id,
+      req.body.hours,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: result,
+      message: 'Horario actualizado exitosamente'
+    });
+  });
+
+  static addException = asyncErrorHandler(async (req, res) => {
+    const exception = await PropertyHoursService.addException(
+      req.params.id,
+      req.body,
+      req.userId
+    );
+
+    res.status(201).json({
+      success: true,
+      data: exception
+    });
+  });
+
+  static deleteException = asyncErrorHandler(async (req, res) => {
+    await PropertyHoursService.deleteException(
+      req.params.id,
+      req.params.exceptionId,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      message: 'Excepción de horario eliminada'
+    });
+  });
+}
@@ -0,0 +1,70 @@
+// src/controllers/property-image.controller.js
+import { PropertyImageService } from '../services/property-image.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class PropertyImageController {
+  static getGallery = asyncErrorHandler(async (req, res) => {
+    const gallery = await PropertyImageService.getGallery(req.params.id);
+
+    res.json({
+      success: true,
+      data: gallery
+    });
+  });
+
+  static reorderImages = asyncErrorHandler(async (req, res) => {
+    const gallery = await PropertyImageService.reorderImages(
+      req.params.id,
+      req.body.image_ids,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: gallery,
+      message: 'Orden de la galería actualizado exitosamente'
+    });
+  });
+
+  static updateCaption = asyncErrorHandler(async (req, res) => {
+    const image = await PropertyImageService.updateCaption(
+      req.params.id,
+      req.params.imageId,
+      req.body.caption,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: image
+    });
+  });
+
+  static setPrimaryImage = asyncErrorHandler(async (req, res) => {
+    const gallery = await PropertyImageService.setPrimaryImage(
+      req.params.id,
+      req.params.imageId,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: gallery,
+      message: 'Imagen principal actualizada exitosamente'
+    });
+  });
+
+  static deleteImage = asyncErrorHandler(async (req, res) => {
+    const gallery = await PropertyImageService.deleteImage(
+      req.params.id,
+      req.params.imageId,
+      req.userId
+    );
+
+    res.json({
+      success: true,
+      data: gallery,
+      message: 'Imagen eliminada exitosamente'
+    });
+  });
+}
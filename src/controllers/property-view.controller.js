@@ -0,0 +1,31 @@
+// src/controllers/property-view.controller.js
+import { PropertyViewService } from '../services/property-view.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class PropertyViewController {
+  // El cliente puede enviar un visitor_id persistente (body o cabecera X-Visitor-Id)
+  // para deduplicar mejor a los visitantes anónimos
+  static recordView = asyncErrorHandler(async (req, res) => {
+    const counted = await PropertyViewService.recordView(req.params.id, {
+      userId: req.userId,
+      visitorId: req.body?.visitor_id || req.get('X-Visitor-Id'),
+      ip: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      success: true,
+      message: counted ? 'Vista registrada exitosamente' : 'Vista ya registrada en esta sesión',
+      data: { counted }
+    });
+  });
+
+  static getViewStats = asyncErrorHandler(async (req, res) => {
+    const stats = await PropertyViewService.getViewStats(req.params.id, req.query, req.userId);
+
+    res.json({
+      success: true,
+      data: stats
+    });
+  });
+}
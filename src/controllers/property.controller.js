@@ -1,5 +1,8 @@
 // src/controllers/property.controller.js
 import { PropertyService } from '../services/property.service.js';
+import { SearchService } from '../services/search.service.js';
+import { TaxonomyService } from '../services/taxonomy.service.js';
+import { TrendingService } from '../services/trending.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
 
 export class PropertyController {
@@ -15,11 +18,6 @@ static createProperty = asyncErrorHandler(async (req, res) => {
   // Imágenes adicionales (si existen)
   const additionalImageFiles = files?.additional_images || [];
   
-  // Eliminar host_id si existe (para asegurarnos)
-  if (req.body.host_id) {
-    delete req.body.host_id;
-  }
-  
   console.log('Files received:', files); // Para depuración
   console.log('Body received:', req.body); // Para depuración
   
@@ -27,7 +25,8 @@ static createProperty = asyncErrorHandler(async (req, res) => {
     const result = await PropertyService.createProperty(
       req.body,
       mainImageFile,
-      additionalImageFiles
+      additionalImageFiles,
+      req.userId
     );
   
     res.status(201).json({
@@ -36,6 +35,7 @@ static createProperty = asyncErrorHandler(async (req, res) => {
         propertyId: result.propertyId,
         imageUrl: result.imageUrl,
         additionalImageUrls: result.additionalImageUrls || [],
+        possible_duplicates: result.possible_duplicates || [],
         message: 'Propiedad creada exitosamente'
       }
     });
@@ -65,6 +65,8 @@ static createProperty = asyncErrorHandler(async (req, res) => {
       pets: req.query.pets ? 
         (Array.isArray(req.query.pets) ? req.query.pets : [req.query.pets]) 
         : null,
+      open_now: req.query.open_now === 'true',
+      open_at: req.query.open_at,
       page: req.query.page || 1,
       limit: req.query.limit || 10,
       sort: req.query.sort || 'newest' // Añadir parámetro de ordenación
@@ -116,7 +118,7 @@ static updateProperty = asyncErrorHandler(async (req, res) => {
     });
   } catch (error) {
     console.error("Error completo en updateProperty controller:", error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error al actualizar la propiedad',
       error: error.message
@@ -151,8 +153,12 @@ static searchProperties = asyncErrorHandler(async (req, res) => {
   // Parámetros de paginación y ordenación
   const searchParams = {
     page: parseInt(req.query.page) || 1,
-    limit: parseInt(req.query.limit) || 10,
-    sort: req.query.sort || 'newest'
+    // El servicio valida el límite y lo acota a PAGINATION.MAX_LIMIT
+    limit: req.query.limit,
+    sort: req.query.sort || 'relevance',
+    category: req.query.category,
+    city: req.query.city,
+    ...PropertyController.getListingFilters(req.query)
   };
   
   // Campos específicos de búsqueda (opcional)
@@ -170,14 +176,16 @@ static searchProperties = asyncErrorHandler(async (req, res) => {
       data: {
         properties: properties.properties || [],
         total: properties.total || 0,
-        page: parseInt(searchParams.page),
-        limit: parseInt(searchParams.limit),
-        totalPages: Math.ceil((properties.total || 0) / parseInt(searchParams.limit))
+        page: properties.page,
+        limit: properties.limit,
+        totalPages: properties.totalPages,
+        facets: properties.facets,
+        corrections: properties.corrections || {}
       }
     });
   } catch (error) {
     console.error('Error en búsqueda de propiedades:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error al buscar propiedades',
       error: error.message
@@ -282,6 +290,16 @@ static getPropertyAmenities = asyncErrorHandler(async (req, res) => {
     });
   });
   
+  static getTrendingProperties = asyncErrorHandler(async (req, res) => {
+    const { category, limit } = req.query;
+    const properties = await TrendingService.getTrendingProperties({ category, limit });
+    
+    res.json({
+      success: true,
+      data: properties
+    });
+  });
+  
   static getPropertyStats = asyncErrorHandler(async (req, res) => {
     const citiesCount = await PropertyService.getPropertyCountByCity();
     
@@ -305,27 +323,56 @@ static getPropertyAmenities = asyncErrorHandler(async (req, res) => {
 
   static archiveProperty = asyncErrorHandler(async (req, res) => {
     const { id } = req.params;
-    const { reason } = req.body;
+    const { reason, restore_on } = req.body;
     
     await PropertyService.archiveProperty(
       id,
-      { reason },
+      { reason, restore_on },
+      req.userId
+    );
+    
+    res.json({
+      success: true,
+      message: restore_on
+        ? `Propiedad archivada hasta el ${restore_on}`
+        : 'Propiedad archivada exitosamente'
+    });
+  });
+
+  // Cierre temporal con motivo y fecha de reapertura
+  static closeProperty = asyncErrorHandler(async (req, res) => {
+    const closure = await PropertyService.closeTemporarily(
+      req.params.id,
+      {
+        reason: req.body.reason,
+        closed_from: req.body.closed_from,
+        reopen_date: req.body.reopen_date
+      },
       req.userId
     );
     
     res.json({
       success: true,
-      message: 'Propiedad archivada exitosamente'
+      data: closure,
+      message: `Negocio cerrado temporalmente hasta el ${closure.closure.reopen_date}`
+    });
+  });
+
+  // Reapertura anticipada (quita el cierre temporal)
+  static reopenProperty = asyncErrorHandler(async (req, res) => {
+    await PropertyService.reopenProperty(req.params.id, req.userId);
+    
+    res.json({
+      success: true,
+      message: 'Negocio reabierto exitosamente'
     });
   });
 
   static restoreProperty = asyncErrorHandler(async (req, res) => {
     const { id } = req.params;
-    const { status } = req.body;
     
     await PropertyService.restoreProperty(
       id,
-      status || 'for-rent',
       req.userId
     );
     
@@ -352,27 +399,35 @@ static getPropertyAmenities = asyncErrorHandler(async (req, res) => {
     });
   });
 
-  static softDeleteProperty = asyncErrorHandler(async (req, res) => {
-    const { id } = req.params;
+  static getHostProperties = asyncErrorHandler(async (req, res) => {
+    const pagination = {
+      page: parseInt(req.query.page) || 1,
+      limit: parseInt(req.query.limit) || 10,
+      sort: req.query.sort || 'newest'
+    };
     
-    await PropertyService.softDeleteProperty(
-      id,
-      req.userId
+    const result = await PropertyService.getHostProperties(
+      req.userId,
+      pagination
     );
     
     res.json({
       success: true,
-      message: 'Propiedad eliminada exitosamente (borrado lógico)'
+      data: result
     });
   });
 
-  static incrementPropertyViews = asyncErrorHandler(async (req, res) => {
+  static softDeleteProperty = asyncErrorHandler(async (req, res) => {
     const { id } = req.params;
-    const success = await PropertyService.incrementPropertyViews(id);
+    
+    await PropertyService.softDeleteProperty(
+      id,
+      req.userId
+    );
     
     res.json({
       success: true,
-      message: success ? 'Vista registrada exitosamente' : 'No se pudo registrar la vista'
+      message: 'Propiedad eliminada exitosamente (borrado lógico)'
     });
   });
 
@@ -438,6 +493,47 @@ static getPropertyAmenities = asyncErrorHandler(async (req, res) => {
     });
   });
 
+  // Filtros comunes de los listados públicos (búsqueda, categorías, cercanía)
+  static getListingFilters(query) {
+    const toList = (value) => (value ? (Array.isArray(value) ? value : [value]) : null);
+    
+    return {
+      property_type: query.property_type || null,
+      amenities: toList(query.amenities),
+      pets: toList(query.pets),
+      min_rating: query.min_rating,
+      open_now: query.open_now === 'true',
+      open_at: query.open_at,
+      lat: query.lat,
+      lng: query.lng,
+      radius_km: query.radius_km,
+      facets: query.facets !== 'false'
+    };
+  }
+
+  static getSuggestions = asyncErrorHandler(async (req, res) => {
+    const suggestions = await SearchService.suggest(req.query.q || '', req.query.limit);
+    
+    res.json({
+      success: true,
+      data: suggestions
+    });
+  });
+
+  static getNearbyProperties = asyncErrorHandler(async (req, res) => {
+    const result = await PropertyService.getNearbyProperties({
+      category: req.query.category,
+      ...PropertyController.getListingFilters(req.query),
+      page: req.query.page,
+      limit: req.query.limit
+    });
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  });
+
   static getAllProperties = asyncErrorHandler(async (req, res) => {
   console.log("PropertyController.getAllProperties - Recibida solicitud con query:", req.query);
   
@@ -481,7 +577,9 @@ static getPropertyAmenities = asyncErrorHandler(async (req, res) => {
   static getMainCategories = asyncErrorHandler(async (req, res) => {
     const pagination = {
       page: parseInt(req.query.page) || 1,
-      limit: parseInt(req.query.limit) || 10
+      limit: parseInt(req.query.limit) || 10,
+      sort: req.query.sort,
+      ...PropertyController.getListingFilters(req.query)
     };
     
     const result = await PropertyService.getPropertiesByMainCategories(
@@ -498,7 +596,9 @@ static getPropertyAmenities = asyncErrorHandler(async (req, res) => {
     static getMainFeaturedCategories = asyncErrorHandler(async (req, res) => {
     const pagination = {
       page: parseInt(req.query.page) || 1,
-      limit: parseInt(req.query.limit) || 10
+      limit: parseInt(req.query.limit) || 10,
+      sort: req.query.sort,
+      ...PropertyController.getListingFilters(req.query)
     };
     
     const result = await PropertyService.getPropertiesByMainFeaturedCategories(
@@ -524,7 +624,7 @@ static getPropertiesByFeaturedCategory = asyncErrorHandler(async (req, res) => {
   };
   
   // Validar que la categoría sea una de las principales
-  const mainCategories = ['Restaurante y bar', 'Alojamiento', 'Entretenimiento'];
+  const mainCategories = await TaxonomyService.getMainCategoryNames();
   if (!mainCategories.includes(category)) {
     return res.status(400).json({
       success: false,
@@ -535,7 +635,7 @@ static getPropertiesByFeaturedCategory = asyncErrorHandler(async (req, res) => {
   // Incluir también el filtro de tipo de propiedad si está presente
   const filters = {
     category: category,
-    property_type: req.query.property_type || null,
+    ...PropertyController.getListingFilters(req.query),
     page: pagination.page,
     limit: pagination.limit,
     sort: pagination.sort
@@ -573,7 +673,7 @@ static getPropertiesByFeaturedCategory = asyncErrorHandler(async (req, res) => {
     });
   } catch (error) {
     console.error('Error al obtener propiedades por categoría:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error al obtener propiedades por categoría',
       error: error.message
@@ -590,7 +690,7 @@ static getPropertiesByCategory = asyncErrorHandler(async (req, res) => {
   };
   
   // Validar que la categoría sea una de las principales
-  const mainCategories = ['Restaurante y bar', 'Alojamiento', 'Entretenimiento'];
+  const mainCategories = await TaxonomyService.getMainCategoryNames();
   if (!mainCategories.includes(category)) {
     return res.status(400).json({
       success: false,
@@ -601,7 +701,7 @@ static getPropertiesByCategory = asyncErrorHandler(async (req, res) => {
   // Incluir también el filtro de tipo de propiedad si está presente
   const filters = {
     category: category,
-    property_type: req.query.property_type || null,
+    ...PropertyController.getListingFilters(req.query),
     page: pagination.page,
     limit: pagination.limit,
     sort: pagination.sort
@@ -639,7 +739,7 @@ static getPropertiesByCategory = asyncErrorHandler(async (req, res) => {
     });
   } catch (error) {
     console.error('Error al obtener propiedades por categoría:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error al obtener propiedades por categoría',
       error: error.message
@@ -0,0 +1,53 @@
+// src/controllers/taxonomy.controller.js
+import { TaxonomyService } from '../services/taxonomy.service.js';
+import { asyncErrorHandler } from '../utils/errors/index.js';
+
+export class TaxonomyController {
+  // Árbol público de categorías y tipos activos
+  static getTaxonomy = asyncErrorHandler(async (req, res) => {
+    const taxonomy = await TaxonomyService.getTaxonomy();
+
+    res.json({
+      success: true,
+      data: taxonomy
+    });
+  });
+
+  // Árbol completo (incluye entradas desactivadas) para administración
+  static getAdminTaxonomy = asyncErrorHandler(async (req, res) => {
+    const taxonomy = await TaxonomyService.getTaxonomy(true);
+
+    res.json({
+      success: true,
+      data: taxonomy
+    });
+  });
+
+  static createEntry = asyncErrorHandler(async (req, res) => {
+    const entry = await TaxonomyService.createEntry(req.body);
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  });
+
+  static updateEntry = asyncErrorHandler(async (req, res) => {
+    const entry = await TaxonomyService.updateEntry(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      data: entry,
+      message: 'Categoría actualizada exitosamente'
+    });
+  });
+
+  static deleteEntry = asyncErrorHandler(async (req, res) => {
+    await TaxonomyService.deleteEntry(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Categoría eliminada exitosamente'
+    });
+  });
+}
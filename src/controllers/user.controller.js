@@ -1,8 +1,8 @@
 // src/controllers/user.controller.js
 import { UserService } from '../services/user.service.js';
-import { azureStorageService } from '../services/azure-storage.service.js';
+import { storageService } from '../services/storage.service.js';
 import { PropertyService } from '../services/property.service.js';
-import { ReviewService } from '../services/review.service.js';
+import { RecommendationService } from '../services/recommendation.service.js';
 import { asyncErrorHandler } from '../utils/errors/index.js';
 
 export class UserController {
@@ -54,48 +54,12 @@ export class UserController {
   // Método auxiliar para obtener estadísticas del anfitrión
   static async getHostStats(userId) {
     try {
-      // Obtener todas las propiedades del anfitrión
-      const { properties } = await PropertyService.getProperties({ host_id: userId });
-      
-      // Si no hay propiedades, devolver estadísticas vacías
-      if (!properties || properties.length === 0) {
-        return {
-          properties_count: 0,
-          average_rating: 0,
-          total_reviews: 0
-        };
-      }
-      
-      // Obtener IDs de las propiedades
-      const propertyIds = properties.map(prop => prop.id);
-      
-      // Contar reseñas por cada propiedad
-      let totalReviews = 0;
-      let totalRating = 0;
-      let reviewCount = 0;
-      
-      for (const propertyId of propertyIds) {
-        // Obtener reseñas de la propiedad
-        const reviews = await ReviewService.getReviews({ property_id: propertyId });
-        
-        if (reviews && reviews.length > 0) {
-          totalReviews += reviews.length;
-          
-          // Calcular rating promedio
-          reviews.forEach(review => {
-            totalRating += review.rating;
-            reviewCount++;
-          });
-        }
-      }
-      
-      // Calcular rating promedio
-      const averageRating = reviewCount > 0 ? (totalRating / reviewCount).toFixed(1) : 0;
+      const stats = await PropertyService.getHostStats(userId);
       
       return {
-        properties_count: properties.length,
-        average_rating: averageRating,
-        total_reviews: totalReviews
+        properties_count: stats.total_properties,
+        average_rating: stats.average_rating ? parseFloat(stats.average_rating).toFixed(1) : 0,
+        total_reviews: stats.total_reviews
       };
     } catch (error) {
       console.error('Error getting host stats:', error);
@@ -170,13 +134,13 @@ export class UserController {
       // El archivo está disponible en req.file gracias a multer
       const imageFile = req.file;
       
-      // Subir la imagen a Azure Blob Storage
-      const azureUrl = await azureStorageService.uploadImage(imageFile, `user-${req.userId}`);
+      // Subir la imagen al almacenamiento configurado
+      const imageUrl = await storageService.uploadImage(imageFile, `user-${req.userId}`);
       
       // Actualizar el perfil del usuario con la nueva URL
       await UserService.updateUser(
         req.userId, 
-        { profile_image: azureUrl },
+        { profile_image: imageUrl },
         req.userId
       );
       
@@ -186,7 +150,7 @@ export class UserController {
       res.json({
         success: true,
         data: {
-          imageUrl: azureUrl,
+          imageUrl: imageUrl,
           message: 'Imagen de perfil actualizada exitosamente'
         },
         completeness
@@ -219,6 +183,17 @@ export class UserController {
     });
   });
   
+  static getRecommendations = asyncErrorHandler(async (req, res) => {
+    const recommendations = await RecommendationService.getRecommendations(req.userId, {
+      limit: req.query.limit
+    });
+    
+    res.json({
+      success: true,
+      data: recommendations
+    });
+  });
+  
   static addFavorite = asyncErrorHandler(async (req, res) => {
     const { propertyId } = req.params;
     await UserService.addFavorite(req.userId, propertyId);
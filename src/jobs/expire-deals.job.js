@@ -0,0 +1,12 @@
+// src/jobs/expire-deals.job.js
+import { DealService } from '../services/deal.service.js';
+
+// Marca como vencidas las promociones cuya fecha de fin ya pasó. Se ejecuta cada hora
+// para que el cambio de día (hora local del negocio) se refleje poco después de medianoche.
+export const expireDealsJob = {
+  name: 'expire-deals',
+  intervalMs: 60 * 60 * 1000,
+  run: () => DealService.expireDeals()
+};
+
+export default expireDealsJob;
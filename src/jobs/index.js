@@ -0,0 +1,14 @@
+// src/jobs/index.js
+// Registro de las tareas programadas del servidor
+import { registerJob, startScheduler, stopScheduler, runJob } from './scheduler.js';
+import { expireDealsJob } from './expire-deals.job.js';
+import { rollupViewsJob } from './rollup-views.job.js';
+import { trendingScoresJob } from './trending-scores.job.js';
+import { scheduledReopeningsJob } from './scheduled-reopenings.job.js';
+
+registerJob(expireDealsJob);
+registerJob(rollupViewsJob);
+registerJob(trendingScoresJob);
+registerJob(scheduledReopeningsJob);
+
+export { startScheduler, stopScheduler, runJob };
@@ -0,0 +1,11 @@
+// src/jobs/rollup-views.job.js
+import { PropertyViewService } from '../services/property-view.service.js';
+
+// Consolida las visitas en conteos diarios por propiedad y elimina los eventos antiguos
+export const rollupViewsJob = {
+  name: 'rollup-views',
+  intervalMs: 15 * 60 * 1000,
+  run: () => PropertyViewService.rollupViews()
+};
+
+export default rollupViewsJob;
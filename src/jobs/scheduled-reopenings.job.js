@@ -0,0 +1,12 @@
+// src/jobs/scheduled-reopenings.job.js
+import { PropertyService } from '../services/property.service.js';
+
+// Reabre los negocios cuyo cierre temporal terminó y restaura los archivados con fecha de
+// restauración. Cada hora, para que el cambio de día local se aplique poco después de medianoche.
+export const scheduledReopeningsJob = {
+  name: 'scheduled-reopenings',
+  intervalMs: 60 * 60 * 1000,
+  run: () => PropertyService.processScheduledReopenings()
+};
+
+export default scheduledReopeningsJob;
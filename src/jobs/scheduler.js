@@ -0,0 +1,115 @@
+// src/jobs/scheduler.js
+// Planificador de tareas periódicas dentro del proceso del servidor.
+// Cada tarea toma un bloqueo con nombre en MySQL (GET_LOCK) antes de ejecutarse, de modo que
+// si hay varias instancias del servidor solo una la ejecuta en cada ciclo.
+// Se desactiva con SCHEDULER_ENABLED=false (p. ej. en instancias que solo atienden tráfico).
+import { mysqlPool } from '../config/database.js';
+
+const jobs = new Map();
+
+/**
+ * Registra una tarea periódica
+ * @param {Object} job - { name, intervalMs, run, runOnStart }
+ */
+export const registerJob = (job) => {
+  if (!job.name || typeof job.run !== 'function' || !(job.intervalMs > 0)) {
+    throw new Error('Una tarea programada requiere name, intervalMs y run');
+  }
+  if (jobs.has(job.name)) {
+    throw new Error(`La tarea "${job.name}" ya está registrada`);
+  }
+
+  jobs.set(job.name, { runOnStart: true, ...job, timer: null, running: false });
+};
+
+/**
+ * Ejecuta una tarea si no está en curso en esta ni en otra instancia
+ * @param {string} name - Nombre de la tarea
+ * @returns {Promise<boolean>} - true si se ejecutó
+ */
+export const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`La tarea "${name}" no está registrada`);
+  }
+  if (job.running) {
+    return false;
+  }
+
+  job.running = true;
+  const lockName = `oasis_job_${name}`;
+  let connection = null;
+
+  try {
+    connection = await mysqlPool.getConnection();
+    const [[{ acquired }]] = await connection.query('SELECT GET_LOCK(?, 0) as acquired', [lockName]);
+    if (acquired !== 1) {
+      return false;
+    }
+
+    try {
+      const startedAt = Date.now();
+      const result = await job.run();
+      console.log(`Tarea "${name}" finalizada en ${Date.now() - startedAt} ms`, result ?? '');
+      return true;
+    } finally {
+      await connection.query('SELECT RELEASE_LOCK(?)', [lockName]);
+    }
+  } catch (error) {
+    console.error(`Error en la tarea programada "${name}":`, error);
+    return false;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+    job.running = false;
+  }
+};
+
+// Los temporizadores no esperan a runJob: cualquier error que escape se registra aquí
+const logJobError = (name) => (error) => {
+  console.error(`Error en la tarea programada "${name}":`, error);
+};
+
+/**
+ * Inicia todas las tareas registradas
+ */
+export const startScheduler = () => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('Planificador de tareas desactivado (SCHEDULER_ENABLED=false)');
+    return;
+  }
+
+  for (const job of jobs.values()) {
+    if (job.timer) {
+      continue;
+    }
+
+    job.timer = setInterval(() => runJob(job.name).catch(logJobError(job.name)), job.intervalMs);
+    // No mantener vivo el proceso solo por las tareas programadas
+    job.timer.unref();
+
+    if (job.runOnStart) {
+      runJob(job.name).catch(logJobError(job.name));
+    }
+  }
+
+  console.log(`Planificador de tareas iniciado: ${[...jobs.keys()].join(', ') || 'sin tareas'}`);
+};
+
+/**
+ * Detiene todas las tareas
+ */
+export const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+export default {
+  registerJob,
+  runJob,
+  startScheduler,
+  stopScheduler
+};
@@ -0,0 +1,11 @@
+// src/jobs/trending-scores.job.js
+import { TrendingService } from '../services/trending.service.js';
+
+// Recalcula el puntaje de tendencia de las propiedades
+export const trendingScoresJob = {
+  name: 'trending-scores',
+  intervalMs: 30 * 60 * 1000,
+  run: () => TrendingService.recomputeScores()
+};
+
+export default trendingScoresJob;
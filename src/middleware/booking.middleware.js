@@ -10,6 +10,50 @@ const isValidDate = (dateString) => {
   return date instanceof Date && !isNaN(date);
 };
 
+// Fechas de entrada y salida (o turno) y número de huéspedes; agrega los errores encontrados
+const validateStay = (body, errors) => {
+  const { check_in_date, check_out_date, slot_start, slots, guests } = body;
+
+  // Reservas por turnos: slot_start (hora local) en lugar de fechas de entrada y salida.
+  // Que el turno exista en el horario del negocio se valida en el servicio.
+  if (slot_start) {
+    if (!/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(slot_start) || isNaN(new Date(slot_start)))
+      errors.push('Inicio del turno inválido (formato 2025-05-10T18:00)');
+    
+    if (slots !== undefined && (isNaN(parseInt(slots)) || parseInt(slots) < 1))
+      errors.push('Cantidad de turnos inválida');
+  } else {
+    // Validación de fechas
+    if (!check_in_date || !isValidDate(check_in_date)) 
+      errors.push('Fecha de entrada inválida');
+    
+    if (!check_out_date || !isValidDate(check_out_date)) 
+      errors.push('Fecha de salida inválida');
+    
+    // Verificar que la fecha de salida sea posterior a la de entrada
+    if (check_in_date && check_out_date && isValidDate(check_in_date) && isValidDate(check_out_date)) {
+      const checkIn = new Date(check_in_date);
+      const checkOut = new Date(check_out_date);
+      
+      if (checkOut <= checkIn) {
+        errors.push('La fecha de salida debe ser posterior a la fecha de entrada');
+      }
+      
+      // Verificar que el período no sea excesivamente largo
+      const diffTime = Math.abs(checkOut - checkIn);
+      const diffMonths = diffTime / (1000 * 60 * 60 * 24 * 30);
+      
+      if (diffMonths > 36) { // Máximo 3 años
+        errors.push('El período máximo de arrendamiento es de 36 meses');
+      }
+    }
+  }
+  
+  // Validación de número de huéspedes
+  if (!guests || isNaN(parseInt(guests)) || parseInt(guests) < 1) 
+    errors.push('Número de huéspedes inválido');
+};
+
 export const validateBookingData = (req, res, next) => {
   try {
     const {
@@ -17,10 +61,6 @@ export const validateBookingData = (req, res, next) => {
       guest_name,
       guest_email,
       guest_phone,
-      check_in_date,
-      check_out_date,
-      guests,
-      total_price,
       special_requests
     } = req.body;
 
@@ -45,38 +85,8 @@ export const validateBookingData = (req, res, next) => {
         errors.push('Número de teléfono inválido');
     }
     
-    // Validación de fechas
-    if (!check_in_date || !isValidDate(check_in_date)) 
-      errors.push('Fecha de entrada inválida');
-    
-    if (!check_out_date || !isValidDate(check_out_date)) 
-      errors.push('Fecha de salida inválida');
-    
-    // Verificar que la fecha de salida sea posterior a la de entrada
-    if (check_in_date && check_out_date && isValidDate(check_in_date) && isValidDate(check_out_date)) {
-      const checkIn = new Date(check_in_date);
-      const checkOut = new Date(check_out_date);
-      
-      if (checkOut <= checkIn) {
-        errors.push('La fecha de salida debe ser posterior a la fecha de entrada');
-      }
-      
-      // Verificar que el período no sea excesivamente largo
-      const diffTime = Math.abs(checkOut - checkIn);
-      const diffMonths = diffTime / (1000 * 60 * 60 * 24 * 30);
-      
-      if (diffMonths > 36) { // Máximo 3 años
-        errors.push('El período máximo de arrendamiento es de 36 meses');
-      }
-    }
-    
-    // Validación de número de huéspedes
-    if (!guests || isNaN(parseInt(guests)) || parseInt(guests) < 1) 
-      errors.push('Número de huéspedes inválido');
-    
-    // Validación de precio total
-    if (!total_price || isNaN(parseFloat(total_price)) || parseFloat(total_price) <= 0) 
-      errors.push('Precio total inválido');
+    // Fechas o turno y huéspedes. El total no se recibe: lo calcula el servidor (ver PricingService)
+    validateStay(req.body, errors);
     
     // Validación de solicitudes especiales (opcional pero con límite de longitud)
     if (special_requests && special_requests.length > 500) 
@@ -107,6 +117,26 @@ export const validateBookingData = (req, res, next) => {
   }
 };
 
+// Cotización: los mismos datos de la estadía, sin los del huésped
+export const validateBookingQuote = (req, res, next) => {
+  const errors = [];
+
+  if (!req.body.property_id || isNaN(parseInt(req.body.property_id))) 
+    errors.push('ID de propiedad inválido');
+  
+  validateStay(req.body, errors);
+  
+  if (errors.length > 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Datos de cotización inválidos',
+      errors
+    });
+  }
+  
+  next();
+};
+
 export const validateBookingStatus = (req, res, next) => {
   try {
     const { status } = req.body;
@@ -0,0 +1,69 @@
+// src/middleware/image-variants.middleware.js
+import { ImageProcessingService } from '../services/image-processing.service.js';
+
+// Campo con la URL guardada -> campo donde se exponen las URLs de sus variantes
+const IMAGE_FIELDS = {
+  image: 'image_variants',
+  image_url: 'image_variants',
+  imageUrl: 'image_variants',
+  primary_image: 'primary_image_variants',
+  profile_image: 'profile_image_variants'
+};
+
+// Campos con listas de URLs
+const IMAGE_LIST_FIELDS = {
+  additional_images: 'additional_image_variants'
+};
+
+const MAX_DEPTH = 8;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Recorre la respuesta y agrega las variantes junto a cada campo de imagen
+const addVariants = (value, depth = 0) => {
+  if (depth > MAX_DEPTH) {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => addVariants(item, depth + 1));
+  }
+
+  if (!isPlainObject(value)) {
+    return value;
+  }
+
+  const result = {};
+  for (const [key, fieldValue] of Object.entries(value)) {
+    result[key] = addVariants(fieldValue, depth + 1);
+  }
+
+  for (const [field, variantsField] of Object.entries(IMAGE_FIELDS)) {
+    if (typeof value[field] === 'string' && value[field] && result[variantsField] === undefined) {
+      result[variantsField] = ImageProcessingService.getImageVariants(value[field]);
+    }
+  }
+
+  for (const [field, variantsField] of Object.entries(IMAGE_LIST_FIELDS)) {
+    if (Array.isArray(value[field]) && result[variantsField] === undefined) {
+      result[variantsField] = value[field]
+        .filter(url => typeof url === 'string')
+        .map(url => ImageProcessingService.getImageVariants(url));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Expone las URLs de las variantes (thumbnail, card, full) de cada imagen en las
+ * respuestas JSON, p. ej. { image, image_variants: { thumbnail, card, full } }
+ */
+export const imageVariants = (req, res, next) => {
+  const json = res.json.bind(res);
+
+  res.json = (body) => json(addVariants(body));
+
+  next();
+};
@@ -4,12 +4,16 @@ import { ValidationError } from '../utils/errors/index.js';
 
 export const validatePaymentData = (req, res, next) => {
   try {
-    const { booking_id, amount, payment_method, currency, details } = req.body;
+    const { booking_id, property_id, amount, payment_method, currency, details } = req.body;
     
     const errors = [];
     
     // Validaciones básicas
     if (!booking_id) errors.push('ID de reserva es requerido');
+    // Una reserva temporal se crea junto con el pago: hay que indicar la propiedad
+    if (typeof booking_id === 'string' && booking_id.startsWith('temp-') &&
+        (!property_id || isNaN(parseInt(property_id))))
+      errors.push('ID de propiedad es requerido para una reserva nueva');
     if (!amount || isNaN(parseFloat(amount)) || parseFloat(amount) <= 0) 
       errors.push('Monto debe ser un número positivo');
     
@@ -0,0 +1,146 @@
+// src/models/mysql/blackout.model.js
+import { mysqlPool } from '../../config/database.js';
+import { toDateOnly } from '../../utils/helpers.js';
+
+// Fechas bloqueadas por el dueño (mantenimiento, eventos privados, reservas fuera de la plataforma).
+// start_date/end_date son fechas locales inclusivas. Con recurrence 'weekly' o 'yearly' el
+// bloqueo se repite cada semana o cada año a partir de start_date, hasta recurrence_until (NULL = siempre).
+export const createBlackoutTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS property_blackouts (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      reason VARCHAR(255) NULL,
+      recurrence ENUM('none', 'weekly', 'yearly') DEFAULT 'none',
+      recurrence_until DATE NULL,
+      created_by INT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_property_blackouts_dates (property_id, start_date, end_date),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(query);
+    connection.release();
+    console.log('Property blackouts table created successfully');
+  } catch (error) {
+    console.error('Error creating property blackouts table:', error);
+    throw error;
+  }
+};
+
+export const formatBlackout = (blackout) => ({
+  ...blackout,
+  start_date: toDateOnly(blackout.start_date),
+  end_date: toDateOnly(blackout.end_date),
+  recurrence_until: toDateOnly(blackout.recurrence_until)
+});
+
+export class Blackout {
+  // Obtener los bloqueos de una propiedad (opcionalmente solo los vigentes desde una fecha)
+  static async findByPropertyId(propertyId, fromDate = null) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      let query = `
+        SELECT id, property_id, start_date, end_date, reason, recurrence, recurrence_until, created_at
+        FROM property_blackouts
+        WHERE property_id = ?
+      `;
+      const params = [propertyId];
+
+      if (fromDate) {
+        query += ` AND (
+          (recurrence = 'none' AND end_date >= ?)
+          OR (recurrence <> 'none' AND (recurrence_until IS NULL OR recurrence_until >= ?))
+        )`;
+        params.push(fromDate, fromDate);
+      }
+
+      query += ' ORDER BY start_date, id';
+
+      const [rows] = await connection.query(query, params);
+
+      connection.release();
+      return rows.map(formatBlackout);
+    } catch (error) {
+      console.error('Error getting property blackouts:', error);
+      throw error;
+    }
+  }
+
+  // Bloqueos que pueden cubrir alguna fecha del intervalo [from, to] (los recurrentes se expanden después)
+  static async findInRange(propertyId, from, to) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        `SELECT id, property_id, start_date, end_date, reason, recurrence, recurrence_until
+         FROM property_blackouts
+         WHERE property_id = ? AND start_date <= ?
+         AND (
+           (recurrence = 'none' AND end_date >= ?)
+           OR (recurrence <> 'none' AND (recurrence_until IS NULL OR recurrence_until >= ?))
+         )`,
+        [propertyId, to, from, from]
+      );
+
+      connection.release();
+      return rows.map(formatBlackout);
+    } catch (error) {
+      console.error('Error getting property blackouts in range:', error);
+      throw error;
+    }
+  }
+
+  // Registrar un bloqueo
+  static async create(propertyId, blackout, userId = null) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO property_blackouts
+         (property_id, start_date, end_date, reason, recurrence, recurrence_until, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          propertyId,
+          blackout.start_date,
+          blackout.end_date,
+          blackout.reason || null,
+          blackout.recurrence || 'none',
+          blackout.recurrence_until || null,
+          userId
+        ]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating property blackout:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar un bloqueo de una propiedad
+  static async delete(propertyId, blackoutId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        'DELETE FROM property_blackouts WHERE id = ? AND property_id = ?',
+        [blackoutId, propertyId]
+      );
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting property blackout:', error);
+      throw error;
+    }
+  }
+}
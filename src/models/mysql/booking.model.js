@@ -1,5 +1,5 @@
 // src/models/mysql/booking.model.js
-import { mysqlPool } from '../../config/database.js';
+import { mysqlPool, addColumnIfNotExists, addIndexIfNotExists } from '../../config/database.js';
 
 export class Booking {
   static async createTable() {
@@ -20,9 +20,14 @@ export class Booking {
         status ENUM('pending', 'confirmed', 'cancelled', 'completed') DEFAULT 'pending',
         payment_status ENUM('pending', 'completed', 'refunded', 'failed') DEFAULT 'pending',
         payment_method VARCHAR(50),
+        booking_type ENUM('date_range', 'slot') DEFAULT 'date_range',
+        start_at DATETIME NULL,
+        end_at DATETIME NULL,
+        price_breakdown JSON NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP NULL ON UPDATE CURRENT_TIMESTAMP,
         deleted_at TIMESTAMP NULL,
+        INDEX idx_bookings_slot (property_id, start_at, end_at),
         FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
         FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
       ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -34,6 +39,16 @@ export class Booking {
       connection.release();
       console.log('Bookings table created successfully');
       
+      // Reservas por horario (canchas, gimnasios, restaurantes): start_at/end_at son la
+      // fecha y hora local del negocio; check_in_date/check_out_date guardan el día del turno
+      await addColumnIfNotExists('bookings', 'booking_type', "ENUM('date_range', 'slot') DEFAULT 'date_range'");
+      await addColumnIfNotExists('bookings', 'start_at', 'DATETIME NULL');
+      await addColumnIfNotExists('bookings', 'end_at', 'DATETIME NULL');
+      await addIndexIfNotExists('bookings', 'idx_bookings_slot', ['property_id', 'start_at', 'end_at']);
+      
+      // Desglose de la cotización con la que se calculó total_price (ver PricingService)
+      await addColumnIfNotExists('bookings', 'price_breakdown', 'JSON NULL');
+      
       // Create payments table if needed
       await this.createPaymentsTable();
       
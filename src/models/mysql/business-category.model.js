@@ -0,0 +1,313 @@
+// src/models/mysql/business-category.model.js
+import { mysqlPool } from '../../config/database.js';
+import { slugify } from '../../utils/helpers.js';
+
+// Taxonomía de negocios en dos niveles:
+// categorías principales (parent_id NULL) y tipos de negocio (parent_id = categoría)
+export const createBusinessCategoryTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS business_categories (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      parent_id INT NULL,
+      name VARCHAR(100) NOT NULL,
+      slug VARCHAR(120) NOT NULL UNIQUE,
+      icon VARCHAR(255),
+      sort_order INT DEFAULT 0,
+      active BOOLEAN DEFAULT TRUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (parent_id) REFERENCES business_categories(id) ON DELETE RESTRICT
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(query);
+    connection.release();
+    console.log('Business categories table created successfully');
+  } catch (error) {
+    console.error('Error creating business categories table:', error);
+    throw error;
+  }
+};
+
+// Taxonomía inicial: las categorías y tipos que antes estaban fijos en el código
+const DEFAULT_TAXONOMY = [
+  {
+    name: 'Restaurante y bar',
+    icon: 'utensils',
+    types: ['Cafetería', 'Restaurante', 'Bar y restaurante', 'Comida rápida',
+            'Repostería', 'Heladería', 'Bebidas', 'Bar']
+  },
+  {
+    name: 'Alojamiento',
+    icon: 'bed',
+    types: ['Hotel', 'Motel']
+  },
+  {
+    name: 'Entretenimiento',
+    icon: 'ticket',
+    types: ['Gym', 'Balneario', 'Belleza', 'Futbol', 'Motocross', 'Casino', 'Cine', 'Videojuegos']
+  },
+  {
+    name: 'Otros',
+    icon: 'store',
+    types: ['Otro']
+  }
+];
+
+export class BusinessCategory {
+  // Obtener todas las entradas de la taxonomía
+  static async findAll(includeInactive = false) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        `SELECT * FROM business_categories
+         ${includeInactive ? '' : 'WHERE active = TRUE'}
+         ORDER BY sort_order ASC, name ASC`
+      );
+
+      connection.release();
+      return rows.map(row => ({ ...row, active: row.active === 1 || row.active === true }));
+    } catch (error) {
+      console.error('Error finding business categories:', error);
+      throw error;
+    }
+  }
+
+  // Encontrar una entrada por ID
+  static async findById(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query('SELECT * FROM business_categories WHERE id = ?', [id]);
+
+      connection.release();
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding business category by ID:', error);
+      throw error;
+    }
+  }
+
+  // Encontrar una entrada por nombre dentro de un nivel (parentId null = categoría principal)
+  static async findByName(name, parentId = undefined) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      let query = 'SELECT * FROM business_categories WHERE name = ?';
+      const params = [name];
+
+      if (parentId === null) {
+        query += ' AND parent_id IS NULL';
+      } else if (parentId !== undefined) {
+        query += ' AND parent_id = ?';
+        params.push(parentId);
+      } else {
+        query += ' AND parent_id IS NOT NULL';
+      }
+
+      const [rows] = await connection.query(query, params);
+
+      connection.release();
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding business category by name:', error);
+      throw error;
+    }
+  }
+
+  // Generar un slug que no exista todavía
+  static async generateSlug(name, excludeId = null) {
+    const base = slugify(name) || 'categoria';
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        'SELECT slug FROM business_categories WHERE (slug = ? OR slug LIKE ?) AND id != ?',
+        [base, `${base}-%`, excludeId || 0]
+      );
+
+      const taken = new Set(rows.map(row => row.slug));
+      let slug = base;
+      let suffix = 2;
+      while (taken.has(slug)) {
+        slug = `${base}-${suffix++}`;
+      }
+      return slug;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Crear una entrada
+  static async create(data) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO business_categories (parent_id, name, slug, icon, sort_order, active)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          data.parent_id || null,
+          data.name,
+          data.slug,
+          data.icon || null,
+          data.sort_order || 0,
+          data.active !== undefined ? data.active : true
+        ]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating business category:', error);
+      throw error;
+    }
+  }
+
+  // Actualizar una entrada
+  static async update(id, data) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const allowedFields = ['parent_id', 'name', 'slug', 'icon', 'sort_order', 'active'];
+      const fields = [];
+      const values = [];
+
+      allowedFields.forEach(field => {
+        if (data[field] !== undefined) {
+          fields.push(`${field} = ?`);
+          values.push(data[field]);
+        }
+      });
+
+      if (fields.length === 0) {
+        connection.release();
+        return false;
+      }
+
+      values.push(id);
+      const [result] = await connection.query(
+        `UPDATE business_categories SET ${fields.join(', ')} WHERE id = ?`,
+        values
+      );
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating business category:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar una entrada
+  static async delete(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query('DELETE FROM business_categories WHERE id = ?', [id]);
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting business category:', error);
+      throw error;
+    }
+  }
+
+  // Cantidad de subcategorías y de negocios asociados a una entrada
+  static async countUsage(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [[children]] = await connection.query(
+        'SELECT COUNT(*) as total FROM business_categories WHERE parent_id = ?',
+        [id]
+      );
+      const [[properties]] = await connection.query(
+        'SELECT COUNT(*) as total FROM properties WHERE category_id = ? OR type_id = ?',
+        [id, id]
+      );
+
+      connection.release();
+      return { children: children.total, properties: properties.total };
+    } catch (error) {
+      console.error('Error counting business category usage:', error);
+      throw error;
+    }
+  }
+
+  // Cargar la taxonomía inicial si la tabla está vacía
+  static async seedDefaults() {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      const [[{ total }]] = await connection.query('SELECT COUNT(*) as total FROM business_categories');
+      if (total > 0) {
+        await connection.commit();
+        return false;
+      }
+
+      for (const [index, category] of DEFAULT_TAXONOMY.entries()) {
+        const [result] = await connection.query(
+          'INSERT INTO business_categories (name, slug, icon, sort_order) VALUES (?, ?, ?, ?)',
+          [category.name, slugify(category.name), category.icon, index]
+        );
+
+        const typeValues = category.types.map((type, typeIndex) =>
+          [result.insertId, type, slugify(type), typeIndex]
+        );
+        await connection.query(
+          'INSERT INTO business_categories (parent_id, name, slug, sort_order) VALUES ?',
+          [typeValues]
+        );
+      }
+
+      // Una taxonomía a medias dejaría la tabla con datos y no se volvería a cargar
+      await connection.commit();
+      console.log('Default business taxonomy created');
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error seeding business categories:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Enlazar las propiedades existentes con la taxonomía a partir de sus textos de categoría y tipo
+  static async linkExistingProperties() {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.query(`
+        UPDATE properties p
+        JOIN business_categories c ON c.name = p.category AND c.parent_id IS NULL
+        SET p.category_id = c.id
+        WHERE p.category_id IS NULL
+      `);
+
+      // El tipo se busca primero dentro de la categoría de la propiedad y, si no tiene, en cualquiera
+      await connection.query(`
+        UPDATE properties p
+        JOIN business_categories t ON t.name = p.property_type AND t.parent_id IS NOT NULL
+        SET p.type_id = t.id,
+            p.category_id = COALESCE(p.category_id, t.parent_id)
+        WHERE p.type_id IS NULL
+        AND (p.category_id IS NULL OR p.category_id = t.parent_id)
+      `);
+
+      // Completar el texto de categoría de los negocios que solo tenían tipo
+      await connection.query(`
+        UPDATE properties p
+        JOIN business_categories c ON c.id = p.category_id
+        SET p.category = c.name
+        WHERE p.category IS NULL OR p.category = ''
+      `);
+    } finally {
+      connection.release();
+    }
+  }
+}
@@ -0,0 +1,168 @@
+// src/models/mysql/business-claim.model.js
+import { mysqlPool } from '../../config/database.js';
+
+export const createBusinessClaimTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS business_claims (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      user_id INT NOT NULL,
+      contact_name VARCHAR(255) NOT NULL,
+      contact_email VARCHAR(100) NOT NULL,
+      contact_phone VARCHAR(20),
+      position VARCHAR(100),
+      message TEXT,
+      document_url VARCHAR(255),
+      status ENUM('pending', 'approved', 'rejected') DEFAULT 'pending',
+      review_notes TEXT,
+      reviewed_by INT NULL,
+      reviewed_at TIMESTAMP NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      FOREIGN KEY (reviewed_by) REFERENCES users(id) ON DELETE SET NULL
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(query);
+    connection.release();
+    console.log('Business claims table created successfully');
+  } catch (error) {
+    console.error('Error creating business claims table:', error);
+    throw error;
+  }
+};
+
+// document_url guarda la clave del documento privado de respaldo (ver StorageService.uploadPrivateFile);
+// al cliente solo se le entrega la ruta de descarga para administradores
+export const formatClaim = ({ document_url: documentKey, ...claim }) => ({
+  ...claim,
+  has_document: Boolean(documentKey),
+  document_url: documentKey ? `/api/admin/claims/${claim.id}/document` : null
+});
+
+// Reclamos de negocios existentes por parte de sus dueños
+export class BusinessClaim {
+  // Crear un nuevo reclamo
+  static async create(claimData) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO business_claims
+         (property_id, user_id, contact_name, contact_email, contact_phone, position, message, document_url)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          claimData.property_id,
+          claimData.user_id,
+          claimData.contact_name,
+          claimData.contact_email,
+          claimData.contact_phone || null,
+          claimData.position || null,
+          claimData.message || null,
+          claimData.document_url || null
+        ]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating business claim:', error);
+      throw error;
+    }
+  }
+
+  // Encontrar reclamo por ID (con datos del negocio y del solicitante)
+  static async findById(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [claims] = await connection.query(
+        `SELECT c.*,
+                p.title as property_title, p.host_id as property_host_id,
+                u.first_name, u.last_name, u.email as user_email
+         FROM business_claims c
+         JOIN properties p ON c.property_id = p.id
+         JOIN users u ON c.user_id = u.id
+         WHERE c.id = ?`,
+        [id]
+      );
+
+      connection.release();
+      return claims.length > 0 ? formatClaim(claims[0]) : null;
+    } catch (error) {
+      console.error('Error finding business claim by ID:', error);
+      throw error;
+    }
+  }
+
+  // Obtener la clave del documento de respaldo de un reclamo (null si no tiene)
+  static async getDocumentKey(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [claims] = await connection.query(
+        'SELECT document_url FROM business_claims WHERE id = ?',
+        [id]
+      );
+
+      connection.release();
+      return claims.length > 0 ? claims[0].document_url : null;
+    } catch (error) {
+      console.error('Error getting business claim document:', error);
+      throw error;
+    }
+  }
+
+  // Obtener reclamos con filtros opcionales
+  static async findAll(filters = {}) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      let query = `
+        SELECT c.*,
+               p.title as property_title, p.address as property_address, p.image as property_image,
+               u.first_name, u.last_name, u.email as user_email
+        FROM business_claims c
+        JOIN properties p ON c.property_id = p.id
+        JOIN users u ON c.user_id = u.id
+        WHERE 1=1
+      `;
+      const params = [];
+
+      if (filters.status) {
+        query += ' AND c.status = ?';
+        params.push(filters.status);
+      }
+
+      if (filters.property_id) {
+        query += ' AND c.property_id = ?';
+        params.push(filters.property_id);
+      }
+
+      if (filters.user_id) {
+        query += ' AND c.user_id = ?';
+        params.push(filters.user_id);
+      }
+
+      // Los más antiguos primero para atender la cola en orden
+      query += ' ORDER BY c.created_at ASC';
+
+      if (filters.limit) {
+        query += ' LIMIT ? OFFSET ?';
+        params.push(parseInt(filters.limit), parseInt(filters.offset) || 0);
+      }
+
+      const [claims] = await connection.query(query, params);
+
+      connection.release();
+      return claims.map(formatClaim);
+    } catch (error) {
+      console.error('Error finding business claims:', error);
+      throw error;
+    }
+  }
+}
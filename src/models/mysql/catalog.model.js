@@ -0,0 +1,262 @@
+// src/models/mysql/catalog.model.js
+import { mysqlPool } from '../../config/database.js';
+
+// Catálogo de cada negocio: menú de un restaurante, servicios de un gimnasio o salón, etc.
+// Las secciones agrupan los ítems; los precios se guardan en lempiras (HNL).
+export const createCatalogTables = async () => {
+  const sectionsQuery = `
+    CREATE TABLE IF NOT EXISTS catalog_sections (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      name VARCHAR(150) NOT NULL,
+      description TEXT,
+      sort_order INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_catalog_sections_property (property_id, sort_order),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  // dietary_tags: etiquetas separadas por comas (ver CatalogService.DIETARY_TAGS)
+  const itemsQuery = `
+    CREATE TABLE IF NOT EXISTS catalog_items (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      section_id INT NOT NULL,
+      property_id INT NOT NULL,
+      name VARCHAR(150) NOT NULL,
+      description TEXT,
+      price DECIMAL(10,2) NULL,
+      image_url VARCHAR(255),
+      is_available BOOLEAN DEFAULT TRUE,
+      dietary_tags VARCHAR(255),
+      sort_order INT DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_catalog_items_section (section_id, sort_order),
+      FOREIGN KEY (section_id) REFERENCES catalog_sections(id) ON DELETE CASCADE,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(sectionsQuery);
+    await connection.query(itemsQuery);
+    connection.release();
+    console.log('Catalog tables created successfully');
+  } catch (error) {
+    console.error('Error creating catalog tables:', error);
+    throw error;
+  }
+};
+
+const formatItem = (item) => ({
+  ...item,
+  price: item.price !== null ? parseFloat(item.price) : null,
+  is_available: item.is_available === 1 || item.is_available === true,
+  dietary_tags: item.dietary_tags ? item.dietary_tags.split(',') : []
+});
+
+export class Catalog {
+  // Obtener las secciones de una propiedad con sus ítems
+  static async getByPropertyId(propertyId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [sections] = await connection.query(
+        `SELECT id, name, description, sort_order
+         FROM catalog_sections
+         WHERE property_id = ?
+         ORDER BY sort_order ASC, id ASC`,
+        [propertyId]
+      );
+
+      const [items] = await connection.query(
+        `SELECT id, section_id, name, description, price, image_url, is_available, dietary_tags, sort_order
+         FROM catalog_items
+         WHERE property_id = ?
+         ORDER BY sort_order ASC, id ASC`,
+        [propertyId]
+      );
+
+      connection.release();
+
+      return sections.map(section => ({
+        ...section,
+        items: items.filter(item => item.section_id === section.id).map(formatItem)
+      }));
+    } catch (error) {
+      console.error('Error getting catalog for property:', error);
+      throw error;
+    }
+  }
+
+  // Encontrar una sección de una propiedad
+  static async findSection(propertyId, sectionId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM catalog_sections WHERE id = ? AND property_id = ?',
+        [sectionId, propertyId]
+      );
+
+      connection.release();
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding catalog section:', error);
+      throw error;
+    }
+  }
+
+  // Encontrar un ítem de una propiedad
+  static async findItem(propertyId, itemId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM catalog_items WHERE id = ? AND property_id = ?',
+        [itemId, propertyId]
+      );
+
+      connection.release();
+      return rows.length > 0 ? formatItem(rows[0]) : null;
+    } catch (error) {
+      console.error('Error finding catalog item:', error);
+      throw error;
+    }
+  }
+
+  // Crear una sección al final del catálogo (salvo que se indique sort_order)
+  static async createSection(propertyId, data) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO catalog_sections (property_id, name, description, sort_order)
+         SELECT ?, ?, ?, COALESCE(?, MAX(sort_order) + 1, 0) FROM catalog_sections WHERE property_id = ?`,
+        [propertyId, data.name, data.description || null, data.sort_order ?? null, propertyId]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating catalog section:', error);
+      throw error;
+    }
+  }
+
+  // Crear un ítem al final de su sección (salvo que se indique sort_order)
+  static async createItem(propertyId, data) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO catalog_items
+           (section_id, property_id, name, description, price, image_url, is_available, dietary_tags, sort_order)
+         SELECT ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, MAX(sort_order) + 1, 0) FROM catalog_items WHERE section_id = ?`,
+        [
+          data.section_id,
+          propertyId,
+          data.name,
+          data.description || null,
+          data.price ?? null,
+          data.image_url || null,
+          data.is_available !== undefined ? data.is_available : true,
+          data.dietary_tags || null,
+          data.sort_order ?? null,
+          data.section_id
+        ]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating catalog item:', error);
+      throw error;
+    }
+  }
+
+  // Actualizar los campos indicados de una sección o un ítem
+  static async update(table, id, data, allowedFields) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const fields = allowedFields.filter(field => data[field] !== undefined);
+      if (fields.length === 0) {
+        connection.release();
+        return false;
+      }
+
+      const [result] = await connection.query(
+        `UPDATE ${table} SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => data[field]), id]
+      );
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error(`Error updating ${table}:`, error);
+      throw error;
+    }
+  }
+
+  static async updateSection(id, data) {
+    return this.update('catalog_sections', id, data, ['name', 'description', 'sort_order']);
+  }
+
+  static async updateItem(id, data) {
+    return this.update('catalog_items', id, data, [
+      'section_id', 'name', 'description', 'price', 'image_url', 'is_available', 'dietary_tags', 'sort_order'
+    ]);
+  }
+
+  // Eliminar una sección (sus ítems se eliminan por CASCADE)
+  static async deleteSection(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query('DELETE FROM catalog_sections WHERE id = ?', [id]);
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting catalog section:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar un ítem
+  static async deleteItem(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query('DELETE FROM catalog_items WHERE id = ?', [id]);
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting catalog item:', error);
+      throw error;
+    }
+  }
+
+  // Fotos de los ítems de una sección (para eliminarlas del almacenamiento junto con ella)
+  static async getSectionImages(sectionId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        'SELECT image_url FROM catalog_items WHERE section_id = ? AND image_url IS NOT NULL',
+        [sectionId]
+      );
+
+      connection.release();
+      return rows.map(row => row.image_url);
+    } catch (error) {
+      console.error('Error getting catalog section images:', error);
+      throw error;
+    }
+  }
+}
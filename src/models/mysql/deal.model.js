@@ -0,0 +1,261 @@
+// src/models/mysql/deal.model.js
+import { mysqlPool } from '../../config/database.js';
+
+// Promociones de los negocios ("2x1 los martes", "10% con cupón").
+// Las fechas son locales del negocio y end_date es inclusiva (NULL = sin fecha de fin).
+// weekdays: días en que aplica, separados por comas (0 = domingo ... 6 = sábado); NULL = todos.
+// status: 'active' | 'expired' (lo asigna la tarea programada) | 'cancelled' (por el dueño).
+export const createDealTable = async () => {
+  const query = `
+    CREATE TABLE IF NOT EXISTS property_deals (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      title VARCHAR(150) NOT NULL,
+      description TEXT,
+      terms TEXT,
+      discount_percent DECIMAL(5,2) NULL,
+      coupon_code VARCHAR(30) NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NULL,
+      weekdays VARCHAR(20) NULL,
+      status ENUM('active', 'expired', 'cancelled') DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      INDEX idx_property_deals_active (status, start_date, end_date),
+      INDEX idx_property_deals_property (property_id, status),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(query);
+    connection.release();
+    console.log('Property deals table created successfully');
+  } catch (error) {
+    console.error('Error creating property deals table:', error);
+    throw error;
+  }
+};
+
+// Fecha DATE de MySQL (Date o string) a YYYY-MM-DD
+const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+export const formatDeal = (deal, today = null) => {
+  const weekdays = deal.weekdays ? deal.weekdays.split(',').map(Number) : null;
+
+  const formatted = {
+    ...deal,
+    start_date: toDateString(deal.start_date),
+    end_date: toDateString(deal.end_date),
+    discount_percent: deal.discount_percent !== null && deal.discount_percent !== undefined
+      ? parseFloat(deal.discount_percent)
+      : null,
+    weekdays
+  };
+
+  if (today) {
+    formatted.applies_today = formatted.status === 'active' &&
+      formatted.start_date <= today.date &&
+      (!formatted.end_date || formatted.end_date >= today.date) &&
+      (!weekdays || weekdays.includes(today.dayOfWeek));
+  }
+
+  return formatted;
+};
+
+export class Deal {
+  /**
+   * Condición SQL de promoción vigente en una fecha (alias `d`)
+   * @param {Object} today - Fecha local ({ date, dayOfWeek })
+   * @param {boolean} onlyToday - Exigir además que aplique ese día de la semana
+   * @returns {Object} - { sql, params }
+   */
+  static activeCondition(today, onlyToday = false) {
+    let sql = `d.status = 'active' AND d.start_date <= ? AND (d.end_date IS NULL OR d.end_date >= ?)`;
+    const params = [today.date, today.date];
+
+    if (onlyToday) {
+      sql += ' AND (d.weekdays IS NULL OR FIND_IN_SET(?, d.weekdays) > 0)';
+      params.push(String(today.dayOfWeek));
+    }
+
+    return { sql, params };
+  }
+
+  // Promociones vigentes hoy de una propiedad (aunque no apliquen este día de la semana)
+  static async findActiveByPropertyId(propertyId, today) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      const active = this.activeCondition(today);
+
+      const [rows] = await connection.query(
+        `SELECT d.* FROM property_deals d
+         WHERE d.property_id = ? AND ${active.sql}
+         ORDER BY d.end_date IS NULL, d.end_date ASC, d.id ASC`,
+        [propertyId, ...active.params]
+      );
+
+      connection.release();
+      return rows.map(row => formatDeal(row, today));
+    } catch (error) {
+      console.error('Error finding active deals for property:', error);
+      throw error;
+    }
+  }
+
+  // Promociones vigentes o próximas de una propiedad
+  static async findCurrentByPropertyId(propertyId, today) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        `SELECT d.* FROM property_deals d
+         WHERE d.property_id = ? AND d.status = 'active'
+         AND (d.end_date IS NULL OR d.end_date >= ?)
+         ORDER BY d.start_date ASC, d.id ASC`,
+        [propertyId, today.date]
+      );
+
+      connection.release();
+      return rows.map(row => formatDeal(row, today));
+    } catch (error) {
+      console.error('Error finding deals for property:', error);
+      throw error;
+    }
+  }
+
+  // Todas las promociones de una propiedad (vista del dueño)
+  static async findAllByPropertyId(propertyId, today) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM property_deals WHERE property_id = ? ORDER BY created_at DESC',
+        [propertyId]
+      );
+
+      connection.release();
+      return rows.map(row => formatDeal(row, today));
+    } catch (error) {
+      console.error('Error finding all deals for property:', error);
+      throw error;
+    }
+  }
+
+  static async findById(propertyId, dealId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM property_deals WHERE id = ? AND property_id = ?',
+        [dealId, propertyId]
+      );
+
+      connection.release();
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding deal by ID:', error);
+      throw error;
+    }
+  }
+
+  static async create(propertyId, data) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO property_deals
+           (property_id, title, description, terms, discount_percent, coupon_code, start_date, end_date, weekdays)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          propertyId,
+          data.title,
+          data.description || null,
+          data.terms || null,
+          data.discount_percent ?? null,
+          data.coupon_code || null,
+          data.start_date,
+          data.end_date || null,
+          data.weekdays || null
+        ]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating deal:', error);
+      throw error;
+    }
+  }
+
+  static async update(dealId, data) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const allowedFields = [
+        'title', 'description', 'terms', 'discount_percent', 'coupon_code',
+        'start_date', 'end_date', 'weekdays', 'status'
+      ];
+      const fields = allowedFields.filter(field => data[field] !== undefined);
+
+      if (fields.length === 0) {
+        connection.release();
+        return false;
+      }
+
+      const [result] = await connection.query(
+        `UPDATE property_deals SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => data[field]), dealId]
+      );
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating deal:', error);
+      throw error;
+    }
+  }
+
+  static async delete(dealId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query('DELETE FROM property_deals WHERE id = ?', [dealId]);
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting deal:', error);
+      throw error;
+    }
+  }
+
+  // Marcar como vencidas las promociones cuya fecha de fin ya pasó
+  static async expirePastDeals(today) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `UPDATE property_deals SET status = 'expired'
+         WHERE status = 'active' AND end_date IS NOT NULL AND end_date < ?`,
+        [today.date]
+      );
+
+      connection.release();
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error expiring deals:', error);
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,312 @@
+// src/models/mysql/property-hours.model.js
+import { mysqlPool } from '../../config/database.js';
+import { parseLegacyTime, parseScheduleDays } from '../../utils/legacy-hours.js';
+
+// Horario semanal: varias filas por día permiten turnos partidos.
+// day_of_week: 0 = domingo ... 6 = sábado.
+// Si close_time <= open_time el turno termina al día siguiente (00:00-00:00 = 24 horas).
+export const createPropertyHoursTables = async () => {
+  const hoursQuery = `
+    CREATE TABLE IF NOT EXISTS property_hours (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      day_of_week TINYINT NOT NULL,
+      open_time TIME NOT NULL,
+      close_time TIME NOT NULL,
+      INDEX idx_property_hours_day (property_id, day_of_week),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  // Fechas especiales (feriados, cierres temporales, horarios extendidos).
+  // Si una fecha tiene excepciones, reemplazan por completo el horario semanal de ese día.
+  const exceptionsQuery = `
+    CREATE TABLE IF NOT EXISTS property_hour_exceptions (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      date DATE NOT NULL,
+      is_closed BOOLEAN DEFAULT TRUE,
+      open_time TIME NULL,
+      close_time TIME NULL,
+      reason VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_property_hour_exceptions_date (property_id, date),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(hoursQuery);
+    await connection.query(exceptionsQuery);
+    connection.release();
+    console.log('Property hours tables created successfully');
+  } catch (error) {
+    console.error('Error creating property hours tables:', error);
+    throw error;
+  }
+};
+
+// Condición SQL: el turno de la fila `alias` cubre la hora indicada en su mismo día
+const coversTime = (alias) => `(
+  (${alias}.open_time < ${alias}.close_time AND ? >= ${alias}.open_time AND ? < ${alias}.close_time)
+  OR (${alias}.close_time <= ${alias}.open_time AND ? >= ${alias}.open_time)
+)`;
+
+// Condición SQL: el turno nocturno de la fila `alias` (del día anterior) sigue abierto a la hora indicada
+const coversOvernightTail = (alias) =>
+  `(${alias}.close_time <= ${alias}.open_time AND ? < ${alias}.close_time)`;
+
+export class PropertyHours {
+  /**
+   * Construye la condición SQL "abierto en" para la tabla de propiedades con alias `p`
+   * @param {Object} local - Fecha/hora local (ver utils/helpers.getZonedDateTime)
+   * @returns {Object} - { sql, params }
+   */
+  static openAtCondition(local) {
+    const { date, time, dayOfWeek, previousDate, previousDayOfWeek } = local;
+
+    const sql = `(
+      (CASE
+        WHEN EXISTS (SELECT 1 FROM property_hour_exceptions he
+                     WHERE he.property_id = p.id AND he.date = ?)
+        THEN EXISTS (SELECT 1 FROM property_hour_exceptions he
+                     WHERE he.property_id = p.id AND he.date = ? AND he.is_closed = FALSE
+                     AND ${coversTime('he')})
+        ELSE EXISTS (SELECT 1 FROM property_hours ph
+                     WHERE ph.property_id = p.id AND ph.day_of_week = ?
+                     AND ${coversTime('ph')})
+      END)
+      OR
+      (CASE
+        WHEN EXISTS (SELECT 1 FROM property_hour_exceptions he
+                     WHERE he.property_id = p.id AND he.date = ?)
+        THEN EXISTS (SELECT 1 FROM property_hour_exceptions he
+                     WHERE he.property_id = p.id AND he.date = ? AND he.is_closed = FALSE
+                     AND ${coversOvernightTail('he')})
+        ELSE EXISTS (SELECT 1 FROM property_hours ph
+                     WHERE ph.property_id = p.id AND ph.day_of_week = ?
+                     AND ${coversOvernightTail('ph')})
+      END)
+    )`;
+
+    const params = [
+      date,
+      date, time, time, time,
+      dayOfWeek, time, time, time,
+      previousDate,
+      previousDate, time,
+      previousDayOfWeek, time
+    ];
+
+    return { sql, params };
+  }
+
+  // Obtener el horario semanal de una propiedad
+  static async getByPropertyId(propertyId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        `SELECT id, day_of_week, TIME_FORMAT(open_time, '%H:%i') as open_time,
+                TIME_FORMAT(close_time, '%H:%i') as close_time
+         FROM property_hours
+         WHERE property_id = ?
+         ORDER BY day_of_week, open_time`,
+        [propertyId]
+      );
+
+      connection.release();
+      return rows;
+    } catch (error) {
+      console.error('Error getting property hours:', error);
+      throw error;
+    }
+  }
+
+  // Reemplazar el horario semanal completo de una propiedad
+  static async replaceForProperty(propertyId, hours) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      await connection.query('DELETE FROM property_hours WHERE property_id = ?', [propertyId]);
+
+      if (hours.length > 0) {
+        const values = hours.map(h => [propertyId, h.day_of_week, h.open_time, h.close_time]);
+        await connection.query(
+          'INSERT INTO property_hours (property_id, day_of_week, open_time, close_time) VALUES ?',
+          [values]
+        );
+      }
+
+      // Un horario cargado por el dueño (aunque quede vacío) reemplaza al heredado
+      await connection.query(
+        'UPDATE properties SET legacy_hours_migrated = TRUE WHERE id = ?',
+        [propertyId]
+      );
+
+      await connection.commit();
+      return true;
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error replacing property hours:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Obtener las excepciones de una propiedad (opcionalmente desde una fecha)
+  static async getExceptions(propertyId, fromDate = null) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      let query = `
+        SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, is_closed,
+               TIME_FORMAT(open_time, '%H:%i') as open_time,
+               TIME_FORMAT(close_time, '%H:%i') as close_time, reason
+        FROM property_hour_exceptions
+        WHERE property_id = ?
+      `;
+      const params = [propertyId];
+
+      if (fromDate) {
+        query += ' AND date >= ?';
+        params.push(fromDate);
+      }
+
+      query += ' ORDER BY date, open_time';
+
+      const [rows] = await connection.query(query, params);
+
+      connection.release();
+      return rows.map(row => ({ ...row, is_closed: row.is_closed === 1 || row.is_closed === true }));
+    } catch (error) {
+      console.error('Error getting property hour exceptions:', error);
+      throw error;
+    }
+  }
+
+  // Registrar una excepción de horario
+  static async addException(propertyId, exception) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO property_hour_exceptions
+         (property_id, date, is_closed, open_time, close_time, reason)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          propertyId,
+          exception.date,
+          exception.is_closed,
+          exception.open_time || null,
+          exception.close_time || null,
+          exception.reason || null
+        ]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error adding property hour exception:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar una excepción de horario de una propiedad
+  static async deleteException(propertyId, exceptionId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        'DELETE FROM property_hour_exceptions WHERE id = ? AND property_id = ?',
+        [exceptionId, propertyId]
+      );
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting property hour exception:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Pasa el horario heredado (días de schedule con start_time / end_time) al horario semanal
+   * de las propiedades que todavía no tienen uno. Cada propiedad se migra una sola vez.
+   * @returns {Promise<Object>} - { migrated, skipped: propiedades cuyo horario no se pudo interpretar }
+   */
+  static async migrateLegacyHours() {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [properties] = await connection.query(`
+        SELECT p.id, p.title, p.start_time, p.end_time, p.schedule
+        FROM properties p
+        WHERE (p.legacy_hours_migrated IS NULL OR p.legacy_hours_migrated = FALSE)
+        AND NOT EXISTS (SELECT 1 FROM property_hours ph WHERE ph.property_id = p.id)
+      `);
+
+      let migrated = 0;
+      const skipped = [];
+
+      for (const property of properties) {
+        const openTime = parseLegacyTime(property.start_time);
+        const closeTime = parseLegacyTime(property.end_time);
+        const days = parseScheduleDays(property.schedule);
+
+        if (!openTime || !closeTime || !days || (openTime === closeTime && openTime !== '00:00:00')) {
+          skipped.push(property);
+          continue;
+        }
+
+        const values = days.map(day => [property.id, day, openTime, closeTime]);
+
+        await connection.beginTransaction();
+        try {
+          await connection.query(
+            'INSERT INTO property_hours (property_id, day_of_week, open_time, close_time) VALUES ?',
+            [values]
+          );
+          await connection.query(
+            'UPDATE properties SET legacy_hours_migrated = TRUE WHERE id = ?',
+            [property.id]
+          );
+          await connection.commit();
+        } catch (error) {
+          await connection.rollback();
+          throw error;
+        }
+
+        migrated++;
+      }
+
+      return { migrated, skipped };
+    } catch (error) {
+      console.error('Error migrating legacy property hours:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  // Indicar si una propiedad está abierta en la fecha/hora local indicada
+  static async isOpenAt(propertyId, local) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      const condition = this.openAtCondition(local);
+
+      const [rows] = await connection.query(
+        `SELECT ${condition.sql} as is_open FROM properties p WHERE p.id = ?`,
+        [...condition.params, propertyId]
+      );
+
+      connection.release();
+      return rows.length > 0 && Number(rows[0].is_open) === 1;
+    } catch (error) {
+      console.error('Error checking if property is open:', error);
+      throw error;
+    }
+  }
+}
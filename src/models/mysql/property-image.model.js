@@ -1,7 +1,14 @@
 // models/mysql/property-image.model.js
-import { mysqlPool } from '../../config/database.js';
+import { mysqlPool, addColumnIfNotExists, addIndexIfNotExists } from '../../config/database.js';
 
 export class PropertyImage {
+  // Inserción que ubica la imagen al final de la galería
+  // Parámetros: property_id, image_url, is_primary, property_id
+  static INSERT_QUERY = `
+    INSERT INTO property_images (property_id, image_url, is_primary, sort_order)
+    SELECT ?, ?, ?, COALESCE(MAX(sort_order) + 1, 0) FROM property_images WHERE property_id = ?
+  `;
+
   // Crear la tabla de imágenes si no existe
   static async createTable() {
     const query = `
@@ -10,6 +17,9 @@ export class PropertyImage {
         property_id INT,
         image_url VARCHAR(255) NOT NULL,
         is_primary BOOLEAN DEFAULT FALSE,
+        caption VARCHAR(255) NULL,
+        sort_order INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
       )
     `;
@@ -18,6 +28,13 @@ export class PropertyImage {
       const connection = await mysqlPool.getConnection();
       await connection.query(query);
       connection.release();
+      
+      // Columnas de la galería para instalaciones donde la tabla ya existía
+      await addColumnIfNotExists('property_images', 'caption', 'VARCHAR(255) NULL');
+      await addColumnIfNotExists('property_images', 'sort_order', 'INT DEFAULT 0');
+      await addColumnIfNotExists('property_images', 'created_at', 'TIMESTAMP DEFAULT CURRENT_TIMESTAMP');
+      await addIndexIfNotExists('property_images', 'idx_property_images_order', ['property_id', 'sort_order']);
+      
       console.log('Property images table created successfully');
     } catch (error) {
       console.error('Error creating property images table:', error);
@@ -38,10 +55,10 @@ export class PropertyImage {
         );
       }
       
-      // Insertar nueva imagen
+      // Insertar nueva imagen al final de la galería
       const [result] = await connection.query(
-        'INSERT INTO property_images (property_id, image_url, is_primary) VALUES (?, ?, ?)',
-        [propertyId, imageUrl, isPrimary]
+        PropertyImage.INSERT_QUERY,
+        [propertyId, imageUrl, isPrimary, propertyId]
       );
       
       connection.release();
@@ -58,7 +75,10 @@ export class PropertyImage {
       const connection = await mysqlPool.getConnection();
       
       const [rows] = await connection.query(
-        'SELECT id, image_url, is_primary FROM property_images WHERE property_id = ? ORDER BY is_primary DESC',
+        `SELECT id, image_url, caption, is_primary, sort_order, created_at
+         FROM property_images
+         WHERE property_id = ?
+         ORDER BY sort_order ASC, id ASC`,
         [propertyId]
       );
       
@@ -70,6 +90,42 @@ export class PropertyImage {
     }
   }
 
+  // Obtener una imagen de una propiedad
+  static async findById(propertyId, imageId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      
+      const [rows] = await connection.query(
+        'SELECT * FROM property_images WHERE id = ? AND property_id = ?',
+        [imageId, propertyId]
+      );
+      
+      connection.release();
+      return rows.length > 0 ? rows[0] : null;
+    } catch (error) {
+      console.error('Error finding property image:', error);
+      throw error;
+    }
+  }
+
+  // Actualizar la descripción de una imagen
+  static async updateCaption(imageId, caption) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        'UPDATE property_images SET caption = ? WHERE id = ?',
+        [caption, imageId]
+      );
+      
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error updating property image caption:', error);
+      throw error;
+    }
+  }
+
   // Eliminar una imagen
   static async delete(id) {
     try {
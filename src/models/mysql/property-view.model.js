@@ -0,0 +1,190 @@
+// src/models/mysql/property-view.model.js
+import { mysqlPool } from '../../config/database.js';
+
+// Vistas de propiedades en dos niveles:
+// - property_view_events: una fila por visita contada (ya deduplicada por visitante y sesión).
+//   visitor_hash e ip_hash son hashes SHA-256; no se guardan IPs ni identificadores en claro.
+// - property_view_daily: conteos por propiedad y día local, generados por la tarea de consolidación.
+export const createPropertyViewTables = async () => {
+  const eventsQuery = `
+    CREATE TABLE IF NOT EXISTS property_view_events (
+      id BIGINT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      user_id INT NULL,
+      visitor_hash CHAR(64) NOT NULL,
+      ip_hash CHAR(64) NULL,
+      view_date DATE NOT NULL,
+      viewed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_view_events_visitor (property_id, visitor_hash, viewed_at),
+      INDEX idx_view_events_ip (property_id, ip_hash, view_date),
+      INDEX idx_view_events_date (view_date, property_id),
+      INDEX idx_view_events_user (user_id, viewed_at),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  const dailyQuery = `
+    CREATE TABLE IF NOT EXISTS property_view_daily (
+      property_id INT NOT NULL,
+      view_date DATE NOT NULL,
+      views INT NOT NULL DEFAULT 0,
+      unique_visitors INT NOT NULL DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (property_id, view_date),
+      INDEX idx_view_daily_date (view_date),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(eventsQuery);
+    await connection.query(dailyQuery);
+    connection.release();
+    console.log('Property view tables created successfully');
+  } catch (error) {
+    console.error('Error creating property view tables:', error);
+    throw error;
+  }
+};
+
+export class PropertyView {
+  /**
+   * Registra una visita si el visitante no vio la propiedad dentro de la ventana de sesión
+   * y su IP no superó el límite diario. La comprobación y la inserción van en una sola
+   * sentencia para que dos peticiones simultáneas no cuenten dos veces.
+   * @param {Object} view - { propertyId, userId, visitorHash, ipHash, viewDate }
+   * @param {Object} limits - { sessionMinutes, maxViewsPerIp }
+   * @returns {Promise<boolean>} - true si la visita se contó
+   */
+  static async record(view, { sessionMinutes, maxViewsPerIp }) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO property_view_events (property_id, user_id, visitor_hash, ip_hash, view_date)
+         SELECT ?, ?, ?, ?, ? FROM DUAL
+         WHERE NOT EXISTS (
+           SELECT 1 FROM property_view_events
+           WHERE property_id = ? AND visitor_hash = ?
+           AND viewed_at > NOW() - INTERVAL ? MINUTE
+         )
+         AND (
+           ? IS NULL OR (
+             SELECT COUNT(*) FROM property_view_events
+             WHERE property_id = ? AND ip_hash = ? AND view_date = ?
+           ) < ?
+         )`,
+        [
+          view.propertyId, view.userId || null, view.visitorHash, view.ipHash, view.viewDate,
+          view.propertyId, view.visitorHash, sessionMinutes,
+          view.ipHash, view.propertyId, view.ipHash, view.viewDate, maxViewsPerIp
+        ]
+      );
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error recording property view:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Recalcula los conteos diarios a partir de una fecha (idempotente)
+   * @param {string} fromDate - Primera fecha a recalcular (YYYY-MM-DD)
+   * @returns {Promise<number>} - Filas afectadas
+   */
+  static async rollupSince(fromDate) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO property_view_daily (property_id, view_date, views, unique_visitors)
+         SELECT property_id, view_date, COUNT(*), COUNT(DISTINCT visitor_hash)
+         FROM property_view_events
+         WHERE view_date >= ?
+         GROUP BY property_id, view_date
+         ON DUPLICATE KEY UPDATE views = VALUES(views), unique_visitors = VALUES(unique_visitors)`,
+        [fromDate]
+      );
+
+      connection.release();
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error rolling up property views:', error);
+      throw error;
+    }
+  }
+
+  // Última fecha consolidada (null si todavía no hay conteos diarios)
+  static async getLastRolledUpDate() {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        "SELECT DATE_FORMAT(MAX(view_date), '%Y-%m-%d') as last_date FROM property_view_daily"
+      );
+
+      connection.release();
+      return rows[0]?.last_date || null;
+    } catch (error) {
+      console.error('Error getting last property views rollup date:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar eventos anteriores a una fecha (sus conteos quedan en property_view_daily)
+  static async purgeEventsBefore(date) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        'DELETE FROM property_view_events WHERE view_date < ?',
+        [date]
+      );
+
+      connection.release();
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error purging property view events:', error);
+      throw error;
+    }
+  }
+
+  // Conteos diarios de una propiedad en un rango de fechas (inclusive)
+  static async getDailyCounts(propertyId, fromDate, toDate) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        `SELECT DATE_FORMAT(view_date, '%Y-%m-%d') as date, views, unique_visitors
+         FROM property_view_daily
+         WHERE property_id = ? AND view_date BETWEEN ? AND ?
+         ORDER BY view_date ASC`,
+        [propertyId, fromDate, toDate]
+      );
+
+      connection.release();
+      return rows;
+    } catch (error) {
+      console.error('Error getting daily property views:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Subconsulta con las vistas recientes por propiedad, para unir con properties
+   * @param {string} sinceDate - Primera fecha incluida (YYYY-MM-DD)
+   * @returns {Object} - { sql, params } con columnas property_id y recent_views
+   */
+  static recentViewsSubquery(sinceDate) {
+    return {
+      sql: `SELECT property_id, SUM(views) as recent_views
+            FROM property_view_daily
+            WHERE view_date >= ?
+            GROUP BY property_id`,
+      params: [sinceDate]
+    };
+  }
+}
@@ -1,5 +1,54 @@
 // models/mysql/property.model.js
-import { mysqlPool } from '../../config/database.js';
+import { mysqlPool, addColumnIfNotExists, addIndexIfNotExists } from '../../config/database.js';
+import { PropertyHours } from './property-hours.model.js';
+import { PropertyView } from './property-view.model.js';
+import { getZonedDateTime, addDays, toDateOnly } from '../../utils/helpers.js';
+
+// Días de vistas que cuentan para los listados de más vistas / populares
+const MOST_VIEWED_WINDOW_DAYS = 30;
+
+/**
+ * Estado de cierre temporal de un negocio en una fecha. El cierre va de closed_from
+ * a reopen_date (el negocio vuelve a abrir ese día, así que no se incluye).
+ * @param {Object} property - Fila de properties
+ * @param {string} today - Fecha local YYYY-MM-DD
+ * @returns {Object} - { temporarily_closed, closure: { status, reason, closed_from, reopen_date } | null }
+ */
+export const formatClosure = (property, today = getZonedDateTime().date) => {
+  const closedFrom = toDateOnly(property.closed_from);
+  const reopenDate = toDateOnly(property.reopen_date);
+
+  if (!closedFrom || !reopenDate || reopenDate <= today) {
+    return { temporarily_closed: false, closure: null };
+  }
+
+  const closedNow = closedFrom <= today;
+
+  return {
+    temporarily_closed: closedNow,
+    closure: {
+      status: closedNow ? 'temporarily_closed' : 'scheduled',
+      reason: property.closure_reason,
+      closed_from: closedFrom,
+      reopen_date: reopenDate
+    }
+  };
+};
+
+// Quita las columnas internas de una fila de properties antes de enviarla al cliente
+// (search_text es el texto de búsqueda indexado y puede pesar hasta 64 KB)
+export const omitInternalColumns = ({ search_text, ...property }) => property;
+
+// Fila de un listado o detalle de propiedades (SELECT p.* con GROUP_CONCAT de amenidades
+// y mascotas) lista para el cliente
+export const formatPropertyRow = (property) => {
+  const row = omitInternalColumns(property);
+  return {
+    ...row,
+    amenities: row.amenities ? row.amenities.split(',') : [],
+    pets_allowed: row.pets_allowed ? row.pets_allowed.split(',') : []
+  };
+};
 
 // Función para mantener compatibilidad con el código existente
 export const createPropertyTable = async () => {
@@ -24,10 +73,9 @@ export class Property {
         schedule VARCHAR(500),
         start_time VARCHAR(10),
         end_time VARCHAR(10),
-        property_type ENUM('Gym', 'Balneario', 'Belleza', 'Futbol', 'Motocross', 'Cafetería', 
-                           'Restaurante', 'Bar y restaurante', 'Comida rápida', 'Otro', 
-                           'Repostería', 'Heladería', 'Bebidas', 'Bar', 'Hotel', 'Motel', 
-                           'Casino', 'Cine', 'Videojuegos'),
+        property_type VARCHAR(100),
+        category_id INT NULL,
+        type_id INT NULL,
         image VARCHAR(255),
         isFeatured BOOLEAN DEFAULT FALSE,
         average_rating DECIMAL(3,2) DEFAULT 0,
@@ -38,7 +86,28 @@ export class Property {
         lng DECIMAL(30,15),
         archived BOOLEAN DEFAULT FALSE,
         archived_at TIMESTAMP NULL,
-        archived_reason VARCHAR(255)
+        archived_reason VARCHAR(255),
+        isVerified BOOLEAN DEFAULT FALSE,
+        search_text TEXT NULL,
+        host_id INT NULL,
+        external_key VARCHAR(100) NULL,
+        trending_score DOUBLE DEFAULT 0,
+        trending_updated_at TIMESTAMP NULL,
+        merged_into_id INT NULL,
+        archived_until DATE NULL,
+        closure_reason VARCHAR(255) NULL,
+        closed_from DATE NULL,
+        reopen_date DATE NULL,
+        booking_mode ENUM('date_range', 'slot') DEFAULT 'date_range',
+        slot_minutes INT NULL,
+        units INT DEFAULT 1,
+        max_guests INT NULL,
+        legacy_hours_migrated BOOLEAN DEFAULT FALSE,
+        INDEX idx_properties_reopen (reopen_date),
+        FOREIGN KEY (host_id) REFERENCES users(id) ON DELETE SET NULL,
+        FOREIGN KEY (category_id) REFERENCES business_categories(id) ON DELETE SET NULL,
+        FOREIGN KEY (type_id) REFERENCES business_categories(id) ON DELETE SET NULL,
+        FOREIGN KEY (merged_into_id) REFERENCES properties(id) ON DELETE SET NULL
       )
     `;
     
@@ -53,6 +122,105 @@ export class Property {
     }
   }
 
+  // Agregar columnas nuevas a instalaciones donde la tabla ya existía
+  static async addMissingColumns() {
+    try {
+      // Dueño del negocio (NULL = negocio sin reclamar, cargado por un administrador)
+      await addColumnIfNotExists(
+        'properties',
+        'host_id',
+        'INT NULL, ADD CONSTRAINT fk_properties_host FOREIGN KEY (host_id) REFERENCES users(id) ON DELETE SET NULL'
+      );
+      
+      // Negocio verificado (reclamo aprobado o verificación manual de un administrador)
+      await addColumnIfNotExists('properties', 'isVerified', 'BOOLEAN DEFAULT FALSE');
+      
+      // Índice para el prefiltro por rectángulo de las búsquedas por cercanía
+      await addIndexIfNotExists('properties', 'idx_properties_location', ['lat', 'lng']);
+      
+      // Texto normalizado (sin acentos) de título, descripción, categoría, tipo y amenidades
+      // que alimenta la búsqueda de texto completo; lo mantiene SearchService.refreshSearchText
+      await addColumnIfNotExists('properties', 'search_text', 'TEXT NULL');
+      await addIndexIfNotExists('properties', 'idx_properties_search_text', ['search_text'], 'FULLTEXT');
+      
+      // Los tipos de negocio ahora viven en business_categories: property_type deja de ser ENUM
+      // para que agregar un tipo no requiera cambiar el esquema
+      await Property.convertPropertyTypeToVarchar();
+      
+      // Enlace con la taxonomía (category y property_type se conservan como texto desnormalizado)
+      await addColumnIfNotExists(
+        'properties',
+        'category_id',
+        'INT NULL, ADD CONSTRAINT fk_properties_category FOREIGN KEY (category_id) REFERENCES business_categories(id) ON DELETE SET NULL'
+      );
+      await addColumnIfNotExists(
+        'properties',
+        'type_id',
+        'INT NULL, ADD CONSTRAINT fk_properties_type FOREIGN KEY (type_id) REFERENCES business_categories(id) ON DELETE SET NULL'
+      );
+      
+      // Identificador del negocio en el sistema de origen de las importaciones CSV
+      await addColumnIfNotExists('properties', 'external_key', 'VARCHAR(100) NULL');
+      await addIndexIfNotExists('properties', 'uq_properties_external_key', ['external_key'], 'UNIQUE');
+      
+      // Popularidad reciente con decaimiento exponencial; la recalcula la tarea "trending-scores"
+      await addColumnIfNotExists('properties', 'trending_score', 'DOUBLE DEFAULT 0');
+      await addColumnIfNotExists('properties', 'trending_updated_at', 'TIMESTAMP NULL');
+      await addIndexIfNotExists('properties', 'idx_properties_trending', ['trending_score']);
+      
+      // Negocio duplicado que se fusionó con otro: queda archivado y su ID redirige al que sobrevive
+      await addColumnIfNotExists(
+        'properties',
+        'merged_into_id',
+        'INT NULL, ADD CONSTRAINT fk_properties_merged_into FOREIGN KEY (merged_into_id) REFERENCES properties(id) ON DELETE SET NULL'
+      );
+      
+      // Archivo con fecha de restauración y cierres temporales; los revierte la tarea "scheduled-reopenings"
+      await addColumnIfNotExists('properties', 'archived_until', 'DATE NULL');
+      await addColumnIfNotExists('properties', 'closure_reason', 'VARCHAR(255) NULL');
+      await addColumnIfNotExists('properties', 'closed_from', 'DATE NULL');
+      await addColumnIfNotExists('properties', 'reopen_date', 'DATE NULL');
+      await addIndexIfNotExists('properties', 'idx_properties_reopen', ['reopen_date']);
+      
+      // Modo de reserva: por fechas (noches) o por turnos de slot_minutes generados del horario
+      await addColumnIfNotExists('properties', 'booking_mode', "ENUM('date_range', 'slot') DEFAULT 'date_range'");
+      await addColumnIfNotExists('properties', 'slot_minutes', 'INT NULL');
+      // Capacidad: unidades reservables a la vez y máximo de personas simultáneas (NULL = sin límite)
+      await addColumnIfNotExists('properties', 'units', 'INT DEFAULT 1');
+      await addColumnIfNotExists('properties', 'max_guests', 'INT NULL');
+      // El horario heredado (schedule, start_time, end_time) ya se pasó a property_hours o el
+      // dueño ya cargó su horario semanal: no se vuelve a migrar
+      await addColumnIfNotExists('properties', 'legacy_hours_migrated', 'BOOLEAN DEFAULT FALSE');
+    } catch (error) {
+      console.error('Error adding missing columns to properties table:', error);
+      throw error;
+    }
+  }
+
+  // Convertir la columna property_type de ENUM a VARCHAR en instalaciones existentes
+  static async convertPropertyTypeToVarchar() {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [columns] = await connection.query(
+        `SELECT DATA_TYPE
+         FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE()
+         AND TABLE_NAME = 'properties'
+         AND COLUMN_NAME = 'property_type'`
+      );
+
+      if (columns.length === 0 || columns[0].DATA_TYPE !== 'enum') {
+        return false;
+      }
+
+      await connection.query('ALTER TABLE properties MODIFY COLUMN property_type VARCHAR(100)');
+      console.log('Column property_type converted to VARCHAR in properties table');
+      return true;
+    } finally {
+      connection.release();
+    }
+  }
+
   static async create(propertyData) {
     try {
       const connection = await mysqlPool.getConnection();
@@ -68,7 +236,8 @@ export class Property {
         'title', 'description', 'address', 'phone', 'email', 'category', 
         'schedule', 'start_time', 'end_time', 'property_type', 
         'image', 'isFeatured', 'average_rating', 'views', 'lat', 'lng',
-        'archived', 'archived_at', 'archived_reason'
+        'archived', 'archived_at', 'archived_reason', 'host_id',
+        'category_id', 'type_id', 'external_key'
       ];
 
       // Añadir solo los campos que están definidos
@@ -133,7 +302,8 @@ export class Property {
       const updateFields = [];
       const updateValues = [];
       
-      // Eliminar cualquier campo host_id si existe
+      // El dueño no se modifica con una actualización normal,
+      // solo mediante Property.setHost
       if (propertyData.host_id !== undefined) {
         delete propertyData.host_id;
       }
@@ -143,7 +313,7 @@ export class Property {
             key !== 'id' && 
             key !== 'created_at' && 
             key !== 'updated_at' &&
-            key !== 'host_id') { // Asegurarse de que host_id nunca se use
+            key !== 'host_id') {
           updateFields.push(`${key} = ?`);
           updateValues.push(value);
         }
@@ -197,6 +367,12 @@ export class Property {
       queryParams.push(filters.status);
     }
     
+    // Filtrar por dueño del negocio
+    if (filters.host_id) {
+      query += ' AND p.host_id = ?';
+      queryParams.push(filters.host_id);
+    }
+    
     // Si se especifica explícitamente mostrar solo activos
     if (filters.archived === false) {
       query += ' AND (p.archived IS NULL OR p.archived = FALSE)';
@@ -207,6 +383,14 @@ export class Property {
       query += ' AND p.archived = TRUE';
     }
     
+    // Solo negocios abiertos en la fecha/hora local indicada
+    if (filters.open_at_local) {
+      const openCondition = PropertyHours.openAtCondition(filters.open_at_local);
+      const closedCondition = Property.closedOnCondition(filters.open_at_local.date);
+      query += ` AND ${openCondition.sql} AND NOT ${closedCondition.sql}`;
+      queryParams.push(...openCondition.params, ...closedCondition.params);
+    }
+    
     // Resto del método permanece igual...
     // [Mantener código existente para categoría, property_type, etc.]
     
@@ -283,6 +467,11 @@ export class Property {
       countQueryParams.push(filters.status);
     }
     
+    if (filters.host_id) {
+      countQuery += ' AND p.host_id = ?';
+      countQueryParams.push(filters.host_id);
+    }
+    
     if (filters.archived === false) {
       countQuery += ' AND (p.archived IS NULL OR p.archived = FALSE)';
     }
@@ -291,6 +480,13 @@ export class Property {
       countQuery += ' AND p.archived = TRUE';
     }
     
+    if (filters.open_at_local) {
+      const openCondition = PropertyHours.openAtCondition(filters.open_at_local);
+      const closedCondition = Property.closedOnCondition(filters.open_at_local.date);
+      countQuery += ` AND ${openCondition.sql} AND NOT ${closedCondition.sql}`;
+      countQueryParams.push(...openCondition.params, ...closedCondition.params);
+    }
+    
     console.log("COUNT QUERY:", countQuery);
     console.log("COUNT PARAMS:", countQueryParams);
     
@@ -302,11 +498,10 @@ export class Property {
     
     // Procesar y devolver resultados
     const processedProperties = properties.map(property => ({
-      ...property,
+      ...formatPropertyRow(property),
       // IMPORTANTE: Normalizar el campo archived como booleano
       archived: property.archived === 1 || property.archived === true,
-      amenities: property.amenities ? property.amenities.split(',') : [],
-      pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
+      ...formatClosure(property)
     }));
     
     return {
@@ -344,7 +539,7 @@ export class Property {
     
     // Obtener imágenes adicionales
     const [images] = await connection.query(
-      `SELECT image_url, is_primary FROM property_images WHERE property_id = ? ORDER BY is_primary DESC`,
+      `SELECT id, image_url, caption, is_primary, sort_order FROM property_images WHERE property_id = ? ORDER BY is_primary DESC, sort_order ASC, id ASC`,
       [id]
     );
     
@@ -358,11 +553,10 @@ export class Property {
     
     // Procesar y devolver resultado
     const property = {
-      ...properties[0],
-      amenities: properties[0].amenities ? properties[0].amenities.split(',') : [],
+      ...formatPropertyRow(properties[0]),
       amenities_objects: amenities || [],
-      pets_allowed: properties[0].pets_allowed ? properties[0].pets_allowed.split(',') : [],
-      additional_images: images.map(img => img.image_url)
+      additional_images: images.map(img => img.image_url),
+      ...formatClosure(properties[0])
     };
     
     return property;
@@ -391,9 +585,26 @@ export class Property {
     }
   }
 
-  // Archivar una propiedad (borrado lógico)
-  // Archivar una propiedad (borrado lógico)
-static async archive(id, reason = null) {
+  // Asignar (o quitar con null) el dueño de una propiedad
+  static async setHost(id, hostId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        'UPDATE properties SET host_id = ? WHERE id = ?',
+        [hostId || null, id]
+      );
+      
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error setting property host:', error);
+      throw error;
+    }
+  }
+
+  // Archivar una propiedad (borrado lógico); con restoreOn se restaura sola ese día
+static async archive(id, reason = null, restoreOn = null) {
   try {
     const connection = await mysqlPool.getConnection();
     
@@ -402,9 +613,10 @@ static async archive(id, reason = null) {
       `UPDATE properties SET 
           archived = TRUE, 
           archived_at = CURRENT_TIMESTAMP, 
-          archived_reason = ?
+          archived_reason = ?,
+          archived_until = ?
          WHERE id = ?`,
-      [reason || null, id]
+      [reason || null, restoreOn || null, id]
     );
     
     connection.release();
@@ -426,7 +638,8 @@ static async restore(id, newStatus = 'for-rent') {
       `UPDATE properties SET 
           archived = FALSE, 
           archived_at = NULL, 
-          archived_reason = NULL
+          archived_reason = NULL,
+          archived_until = NULL
          WHERE id = ?`,
       [id]
     );
@@ -439,6 +652,93 @@ static async restore(id, newStatus = 'for-rent') {
   }
 }
 
+  // Marcar un cierre temporal (reemplaza el anterior si existía)
+  static async setClosure(id, { reason, closedFrom, reopenDate }) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        'UPDATE properties SET closure_reason = ?, closed_from = ?, reopen_date = ? WHERE id = ?',
+        [reason, closedFrom, reopenDate, id]
+      );
+      
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error setting property closure:', error);
+      throw error;
+    }
+  }
+
+  // Quitar el cierre temporal (reapertura anticipada o cancelación)
+  static async clearClosure(id) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        'UPDATE properties SET closure_reason = NULL, closed_from = NULL, reopen_date = NULL WHERE id = ?',
+        [id]
+      );
+      
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error clearing property closure:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Condición SQL de negocio cerrado temporalmente en una fecha (alias `p`)
+   * @param {string} date - Fecha local YYYY-MM-DD
+   * @returns {Object} - { sql, params }
+   */
+  static closedOnCondition(date) {
+    return {
+      sql: '(p.closed_from IS NOT NULL AND p.closed_from <= ? AND p.reopen_date > ?)',
+      params: [date, date]
+    };
+  }
+
+  // Quitar los cierres temporales cuya fecha de reapertura ya llegó
+  static async reopenDueClosures(today) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        `UPDATE properties SET closure_reason = NULL, closed_from = NULL, reopen_date = NULL
+         WHERE reopen_date IS NOT NULL AND reopen_date <= ?`,
+        [today]
+      );
+      
+      connection.release();
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error reopening closed properties:', error);
+      throw error;
+    }
+  }
+
+  // Restaurar los archivos programados cuya fecha de restauración ya llegó
+  static async restoreDueArchives(today) {
+    try {
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        `UPDATE properties SET archived = FALSE, archived_at = NULL, archived_reason = NULL, archived_until = NULL
+         WHERE archived = TRUE AND archived_until IS NOT NULL AND archived_until <= ?
+         AND merged_into_id IS NULL`,
+        [today]
+      );
+      
+      connection.release();
+      return result.affectedRows;
+    } catch (error) {
+      console.error('Error restoring scheduled archives:', error);
+      throw error;
+    }
+  }
+
   // Obtener propiedades destacadas
   static async getFeatured(limit = 6, status = null) {
     try {
@@ -470,11 +770,7 @@ static async restore(id, newStatus = 'for-rent') {
       connection.release();
       
       // Procesar y devolver resultados
-      return properties.map(property => ({
-        ...property,
-        amenities: property.amenities ? property.amenities.split(',') : [],
-        pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
-      }));
+      return properties.map(formatPropertyRow);
     } catch (error) {
       console.error('Error getting featured properties:', error);
       throw error;
@@ -511,40 +807,43 @@ static async restore(id, newStatus = 'for-rent') {
       connection.release();
       
       // Procesar y devolver resultados
-      return properties.map(property => ({
-        ...property,
-        amenities: property.amenities ? property.amenities.split(',') : [],
-        pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
-      }));
+      return properties.map(formatPropertyRow);
     } catch (error) {
       console.error('Error getting recent properties:', error);
       throw error;
     }
   }
 
-  // Obtener propiedades más vistas
+  // Obtener propiedades más vistas en los últimos días (según los conteos diarios de vistas);
+  // el contador total desempata para que los listados no queden vacíos sin vistas recientes
   static async getMostViewed(limit = 6, status = null) {
     try {
       const connection = await mysqlPool.getConnection();
       
+      const recentViews = PropertyView.recentViewsSubquery(
+        addDays(getZonedDateTime().date, -(MOST_VIEWED_WINDOW_DAYS - 1))
+      );
+      
       let query = `
         SELECT p.*, 
+               COALESCE(MAX(pv.recent_views), 0) as recent_views,
                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
         FROM properties p
+        LEFT JOIN (${recentViews.sql}) pv ON pv.property_id = p.id
         LEFT JOIN property_amenities pa ON p.id = pa.property_id
         LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
         WHERE (p.archived IS NULL OR p.archived = FALSE)
       `;
       
-      const params = [];
+      const params = [...recentViews.params];
       
       if (status) {
         query += ' AND p.status = ?';
         params.push(status);
       }
       
-      query += ' GROUP BY p.id ORDER BY p.views DESC, p.created_at DESC LIMIT ?';
+      query += ' GROUP BY p.id ORDER BY recent_views DESC, p.views DESC, p.created_at DESC LIMIT ?';
       params.push(limit);
       
       const [properties] = await connection.query(query, params);
@@ -553,9 +852,8 @@ static async restore(id, newStatus = 'for-rent') {
       
       // Procesar y devolver resultados
       return properties.map(property => ({
-        ...property,
-        amenities: property.amenities ? property.amenities.split(',') : [],
-        pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
+        ...formatPropertyRow(property),
+        recent_views: Number(property.recent_views)
       }));
     } catch (error) {
       console.error('Error getting most viewed properties:', error);
@@ -724,6 +1022,9 @@ export class PropertyImage {
         property_id INT,
         image_url VARCHAR(255) NOT NULL,
         is_primary BOOLEAN DEFAULT FALSE,
+        caption VARCHAR(255) NULL,
+        sort_order INT DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
       )
     `;
@@ -807,6 +1108,7 @@ export class PropertyImage {
 export const createPropertyTables = async () => {
   try {
     await Property.createTable();
+    await Property.addMissingColumns();
     await PropertyAmenity.createTable();
     await PropertyPetAllowed.createTable();
     await PropertyImage.createTable();
@@ -0,0 +1,198 @@
+// src/models/mysql/rate-plan.model.js
+import { mysqlPool } from '../../config/database.js';
+import { toDateOnly } from '../../utils/helpers.js';
+
+// Tarifas de reserva de un negocio (una fila por propiedad). base_rate es el precio por
+// noche, o por turno si el negocio reserva por horario (booking_mode = 'slot').
+// weekend_days: noches/días con weekend_rate, separados por comas (0 = domingo ... 6 = sábado).
+// included_guests: personas incluidas en la tarifa (NULL = todas); cada persona adicional
+// paga extra_guest_fee por noche o turno.
+export const createRatePlanTables = async () => {
+  const plansQuery = `
+    CREATE TABLE IF NOT EXISTS property_rate_plans (
+      property_id INT PRIMARY KEY,
+      base_rate DECIMAL(10,2) NOT NULL,
+      weekend_rate DECIMAL(10,2) NULL,
+      weekend_days VARCHAR(20) DEFAULT '5,6',
+      included_guests INT NULL,
+      extra_guest_fee DECIMAL(10,2) DEFAULT 0,
+      cleaning_fee DECIMAL(10,2) DEFAULT 0,
+      service_fee_percent DECIMAL(5,2) DEFAULT 0,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  // Temporadas con tarifa propia: fechas fijas (start_date/end_date inclusivas) o una
+  // temporada festiva que se recalcula cada año (ver utils/holidays.js)
+  const seasonsQuery = `
+    CREATE TABLE IF NOT EXISTS property_rate_seasons (
+      id INT PRIMARY KEY AUTO_INCREMENT,
+      property_id INT NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      holiday ENUM('semana_santa', 'feriado_morazanico') NULL,
+      start_date DATE NULL,
+      end_date DATE NULL,
+      rate DECIMAL(10,2) NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      INDEX idx_property_rate_seasons_property (property_id),
+      FOREIGN KEY (property_id) REFERENCES properties(id) ON DELETE CASCADE
+    )
+  `;
+
+  try {
+    const connection = await mysqlPool.getConnection();
+    await connection.query(plansQuery);
+    await connection.query(seasonsQuery);
+    connection.release();
+    console.log('Property rate plan tables created successfully');
+  } catch (error) {
+    console.error('Error creating property rate plan tables:', error);
+    throw error;
+  }
+};
+
+const toMoney = (value) => (value !== null && value !== undefined ? parseFloat(value) : null);
+
+export const formatRatePlan = (plan) => ({
+  ...plan,
+  base_rate: toMoney(plan.base_rate),
+  weekend_rate: toMoney(plan.weekend_rate),
+  weekend_days: plan.weekend_days ? plan.weekend_days.split(',').map(Number) : [],
+  included_guests: plan.included_guests !== null ? parseInt(plan.included_guests) : null,
+  extra_guest_fee: toMoney(plan.extra_guest_fee) || 0,
+  cleaning_fee: toMoney(plan.cleaning_fee) || 0,
+  service_fee_percent: toMoney(plan.service_fee_percent) || 0
+});
+
+export const formatRateSeason = (season) => ({
+  ...season,
+  start_date: toDateOnly(season.start_date),
+  end_date: toDateOnly(season.end_date),
+  rate: toMoney(season.rate)
+});
+
+export class RatePlan {
+  // Obtener las tarifas de una propiedad (null si no tiene)
+  static async findByPropertyId(propertyId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        'SELECT * FROM property_rate_plans WHERE property_id = ?',
+        [propertyId]
+      );
+
+      connection.release();
+      return rows.length > 0 ? formatRatePlan(rows[0]) : null;
+    } catch (error) {
+      console.error('Error getting property rate plan:', error);
+      throw error;
+    }
+  }
+
+  // Crear o reemplazar las tarifas de una propiedad
+  static async upsert(propertyId, plan) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const values = [
+        plan.base_rate,
+        plan.weekend_rate,
+        plan.weekend_days.join(','),
+        plan.included_guests,
+        plan.extra_guest_fee,
+        plan.cleaning_fee,
+        plan.service_fee_percent
+      ];
+
+      await connection.query(
+        `INSERT INTO property_rate_plans
+         (property_id, base_rate, weekend_rate, weekend_days, included_guests,
+          extra_guest_fee, cleaning_fee, service_fee_percent)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           base_rate = VALUES(base_rate),
+           weekend_rate = VALUES(weekend_rate),
+           weekend_days = VALUES(weekend_days),
+           included_guests = VALUES(included_guests),
+           extra_guest_fee = VALUES(extra_guest_fee),
+           cleaning_fee = VALUES(cleaning_fee),
+           service_fee_percent = VALUES(service_fee_percent)`,
+        [propertyId, ...values]
+      );
+
+      connection.release();
+      return true;
+    } catch (error) {
+      console.error('Error saving property rate plan:', error);
+      throw error;
+    }
+  }
+
+  // Obtener las temporadas de una propiedad
+  static async getSeasons(propertyId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [rows] = await connection.query(
+        `SELECT id, name, holiday, start_date, end_date, rate
+         FROM property_rate_seasons
+         WHERE property_id = ?
+         ORDER BY holiday IS NULL, start_date, id`,
+        [propertyId]
+      );
+
+      connection.release();
+      return rows.map(formatRateSeason);
+    } catch (error) {
+      console.error('Error getting property rate seasons:', error);
+      throw error;
+    }
+  }
+
+  // Registrar una temporada
+  static async createSeason(propertyId, season) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        `INSERT INTO property_rate_seasons
+         (property_id, name, holiday, start_date, end_date, rate)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          propertyId,
+          season.name,
+          season.holiday || null,
+          season.start_date || null,
+          season.end_date || null,
+          season.rate
+        ]
+      );
+
+      connection.release();
+      return result.insertId;
+    } catch (error) {
+      console.error('Error creating property rate season:', error);
+      throw error;
+    }
+  }
+
+  // Eliminar una temporada de una propiedad
+  static async deleteSeason(propertyId, seasonId) {
+    try {
+      const connection = await mysqlPool.getConnection();
+
+      const [result] = await connection.query(
+        'DELETE FROM property_rate_seasons WHERE id = ? AND property_id = ?',
+        [seasonId, propertyId]
+      );
+
+      connection.release();
+      return result.affectedRows > 0;
+    } catch (error) {
+      console.error('Error deleting property rate season:', error);
+      throw error;
+    }
+  }
+}
@@ -71,7 +71,7 @@ export class User {
     }
   }
   
-  // Obtener propiedades de un usuario
+  // Obtener propiedades de un usuario (negocios de los que es dueño)
   static async getProperties(userId) {
     if (!userId) {
       throw new Error('ID de usuario es requerido');
@@ -80,16 +80,19 @@ export class User {
     try {
       const connection = await mysqlPool.getConnection();
       
-      // Verificar si la tabla properties tiene alguna relación con usuarios
-      // En este caso no hay una columna host_id, así que devolvemos un array vacío
-      // Si quisieras implementar esta función en el futuro, deberías crear una relación
-      // o identificar qué columna relaciona propiedades con usuarios
+      const [properties] = await connection.query(
+        `SELECT id, title, address, category, property_type, image, average_rating, views, archived
+         FROM properties
+         WHERE host_id = ?
+         ORDER BY created_at DESC`,
+        [userId]
+      );
       
       connection.release();
-      return []; // Devolver array vacío ya que no hay relación con usuarios
+      return properties;
     } catch (error) {
       console.error('Error getting user properties:', error);
-      return []; // En caso de error, también devolver array vacío
+      return []; // En caso de error, devolver array vacío
     }
   }
   
@@ -100,9 +103,18 @@ export class User {
     }
 
     try {
-      // Como no hay relación entre propiedades y usuarios,
-      // simplemente devolvemos 0 como valor por defecto
-      return 0;
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        `SELECT AVG(r.rating) as average_rating
+         FROM reviews r
+         JOIN properties p ON r.property_id = p.id
+         WHERE p.host_id = ?`,
+        [userId]
+      );
+      
+      connection.release();
+      return parseFloat(result[0]?.average_rating) || 0;
     } catch (error) {
       console.error('Error getting user average rating:', error);
       return 0; // En caso de error, devolver 0
@@ -116,9 +128,18 @@ export class User {
     }
 
     try {
-      // Como no hay relación entre propiedades y usuarios,
-      // simplemente devolvemos 0 como valor por defecto
-      return 0;
+      const connection = await mysqlPool.getConnection();
+      
+      const [result] = await connection.query(
+        `SELECT COUNT(r.id) as total_reviews
+         FROM reviews r
+         JOIN properties p ON r.property_id = p.id
+         WHERE p.host_id = ?`,
+        [userId]
+      );
+      
+      connection.release();
+      return result[0]?.total_reviews || 0;
     } catch (error) {
       console.error('Error counting user reviews:', error);
       return 0; // En caso de error, devolver 0
@@ -2,11 +2,15 @@
 import express from 'express';
 import { authenticate } from '../middleware/auth.middleware.js';
 import { adminOnly } from '../middleware/admin.middleware.js';
+import { csvUpload } from '../config/upload.js';
 
 // Controladores
 import { PropertyController } from '../controllers/property.controller.js';
+import { AdminController } from '../controllers/admin.controller.js';
 import { EventController } from '../controllers/event.controller.js';
 import { BlogController } from '../controllers/blog.controller.js';
+import { ClaimController } from '../controllers/claim.controller.js';
+import { TaxonomyController } from '../controllers/taxonomy.controller.js';
 
 const router = express.Router();
 
@@ -15,10 +19,27 @@ router.use(authenticate, adminOnly);
 
 // Rutas para gestionar propiedades/negocios
 router.get('/businesses', PropertyController.getAllProperties);
+router.get('/businesses/export', AdminController.exportBusinesses);
+router.post('/businesses/import', csvUpload, AdminController.importBusinesses);
+router.post('/businesses/duplicates/check', AdminController.checkBusinessDuplicates);
 router.post('/businesses', PropertyController.createProperty);
+router.get('/businesses/:id/duplicates', AdminController.getBusinessDuplicates);
+router.post('/businesses/:id/merge', AdminController.mergeBusinesses);
 router.put('/businesses/:id', PropertyController.updateProperty);
 router.delete('/businesses/:id', PropertyController.deleteProperty);
 
+// Cola de revisión de reclamos de negocios
+router.get('/claims', ClaimController.getClaims);
+router.get('/claims/:id/document', ClaimController.getClaimDocument);
+router.patch('/claims/:id/approve', ClaimController.approveClaim);
+router.patch('/claims/:id/reject', ClaimController.rejectClaim);
+
+// Taxonomía de categorías principales y tipos de negocio
+router.get('/categories', TaxonomyController.getAdminTaxonomy);
+router.post('/categories', TaxonomyController.createEntry);
+router.put('/categories/:id', TaxonomyController.updateEntry);
+router.delete('/categories/:id', TaxonomyController.deleteEntry);
+
 // Rutas para gestionar eventos
 router.get('/events', EventController.getEvents);
 router.post('/events', EventController.createEvent);
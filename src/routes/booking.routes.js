@@ -1,8 +1,10 @@
 // src/routes/booking.routes.js
 import express from 'express';
 import { BookingController } from '../controllers/booking.controller.js';
+import { PricingController } from '../controllers/pricing.controller.js';
 import { 
   validateBookingData, 
+  validateBookingQuote,
   validateBookingStatus,
   validateCancelBooking 
 } from '../middleware/booking.middleware.js';
@@ -13,6 +15,9 @@ const router = express.Router();
 // Rutas públicas (no requieren autenticación)
 router.get('/public/:id', BookingController.getBooking);
 
+// Cotización con desglose de tarifas, cargos e ISV (el mismo cálculo que fija el total al reservar)
+router.post('/quote', validateBookingQuote, PricingController.quote);
+
 // Rutas protegidas (requieren autenticación)
 router.get('/', authenticate, BookingController.getBookings);
 router.post('/', authenticate, validateBookingData, BookingController.createBooking);
@@ -2,8 +2,20 @@
 import express from 'express';
 import multer from 'multer';
 import { PropertyController } from '../controllers/property.controller.js';
+import { ClaimController } from '../controllers/claim.controller.js';
+import { PropertyHoursController } from '../controllers/property-hours.controller.js';
+import { TaxonomyController } from '../controllers/taxonomy.controller.js';
+import { PropertyImageController } from '../controllers/property-image.controller.js';
+import { CatalogController } from '../controllers/catalog.controller.js';
+import { DealController } from '../controllers/deal.controller.js';
+import { PropertyViewController } from '../controllers/property-view.controller.js';
+import { BookingSlotController } from '../controllers/booking-slot.controller.js';
+import { PricingController } from '../controllers/pricing.controller.js';
+import { AvailabilityController } from '../controllers/availability.controller.js';
+import { BlackoutController } from '../controllers/blackout.controller.js';
 import { validatePropertyData } from '../middleware/property.middleware.js';
-import { authenticate } from '../middleware/auth.middleware.js';
+import { authenticate, optionalAuth } from '../middleware/auth.middleware.js';
+import { claimDocumentUpload } from '../config/upload.js';
 
 const router = express.Router();
 
@@ -26,24 +38,32 @@ const upload = multer({
 router.get('/', PropertyController.getProperties);
 router.get('/all', PropertyController.getAllProperties);
 router.get('/search', PropertyController.searchProperties);
+router.get('/suggest', PropertyController.getSuggestions);
+router.get('/nearby', PropertyController.getNearbyProperties);
 router.get('/featured', PropertyController.getFeaturedProperties);
 router.get('/recent', PropertyController.getRecentProperties);
 router.get('/popular', PropertyController.getPopularProperties);
+router.get('/trending', PropertyController.getTrendingProperties);
 router.get('/stats', PropertyController.getPropertyStats);
+router.get('/deals', DealController.getDealsFeed);
 
 // Agregar las rutas de categorías
+router.get('/taxonomy', TaxonomyController.getTaxonomy);
 router.get('/categories', PropertyController.getMainCategories);
 router.get('/categories/featured', PropertyController.getMainFeaturedCategories); 
 router.get('/categories/featured/:category', PropertyController.getPropertiesByFeaturedCategory);
 router.get('/categories/:category', PropertyController.getPropertiesByCategory);
 
 router.get('/user/archived', authenticate, PropertyController.getArchivedProperties);
+router.get('/user/properties', authenticate, PropertyController.getHostProperties);
+router.get('/user/claims', authenticate, ClaimController.getUserClaims);
 router.get('/host/stats/:hostId?', authenticate, PropertyController.getHostStats);
 
 // Estas rutas deben estar después de todas las rutas específicas
 router.get('/:id', PropertyController.getProperty);
 router.get('/:id/similar', PropertyController.getSimilarProperties);
-router.post('/:id/view', PropertyController.incrementPropertyViews);
+router.post('/:id/view', optionalAuth, PropertyViewController.recordView);
+router.get('/:id/views', authenticate, PropertyViewController.getViewStats);
 
 // Rutas protegidas
 router.post('/', authenticate, upload.fields([
@@ -62,12 +82,61 @@ router.delete('/:id', authenticate, PropertyController.deleteProperty);
 // Rutas para archivar/restaurar propiedades (protegidas)
 router.patch('/:id/archive', authenticate, PropertyController.archiveProperty);
 router.patch('/:id/restore', authenticate, PropertyController.restoreProperty);
+router.patch('/:id/close', authenticate, PropertyController.closeProperty);
+router.patch('/:id/reopen', authenticate, PropertyController.reopenProperty);
 router.delete('/:id/soft', authenticate, PropertyController.softDeleteProperty);
 // En property.routes.js, añadir esta ruta antes de las rutas con :id
 router.get('/:id/amenities', PropertyController.getPropertyAmenities);
 
+// Reclamar un negocio existente (con documento de respaldo opcional)
+router.post('/:id/claims', authenticate, claimDocumentUpload, ClaimController.createClaim);
+
+// Horario semanal y fechas especiales (feriados, cierres temporales)
+router.get('/:id/hours', PropertyHoursController.getPropertyHours);
+router.put('/:id/hours', authenticate, PropertyHoursController.updatePropertyHours);
+router.post('/:id/hours/exceptions', authenticate, PropertyHoursController.addException);
+router.delete('/:id/hours/exceptions/:exceptionId', authenticate, PropertyHoursController.deleteException);
+
+// Reservas por turnos (canchas, gimnasios, restaurantes)
+router.get('/:id/slots', BookingSlotController.getSlots);
+router.put('/:id/booking-settings', authenticate, BookingSlotController.updateBookingSettings);
+
+// Calendario de disponibilidad por día (o turno) con capacidad restante y tarifa
+router.get('/:id/availability', AvailabilityController.getCalendar);
+
+// Fechas bloqueadas por el dueño (mantenimiento, eventos privados, reservas fuera de la plataforma)
+router.get('/:id/blackouts', authenticate, BlackoutController.getBlackouts);
+router.post('/:id/blackouts', authenticate, BlackoutController.createBlackout);
+router.delete('/:id/blackouts/:blackoutId', authenticate, BlackoutController.deleteBlackout);
+
+// Tarifas de reserva: tarifa base, fin de semana, cargos y temporadas (Semana Santa, Feriado Morazánico...)
+router.get('/:id/rates', PricingController.getRates);
+router.put('/:id/rates', authenticate, PricingController.updateRatePlan);
+router.post('/:id/rates/seasons', authenticate, PricingController.addSeason);
+router.delete('/:id/rates/seasons/:seasonId', authenticate, PricingController.deleteSeason);
+
+// Catálogo (menú o servicios) del negocio
+router.get('/:id/catalog', CatalogController.getCatalog);
+router.post('/:id/catalog/sections', authenticate, CatalogController.createSection);
+router.put('/:id/catalog/sections/:sectionId', authenticate, CatalogController.updateSection);
+router.delete('/:id/catalog/sections/:sectionId', authenticate, CatalogController.deleteSection);
+router.post('/:id/catalog/items', authenticate, upload.single('image'), CatalogController.createItem);
+router.put('/:id/catalog/items/:itemId', authenticate, upload.single('image'), CatalogController.updateItem);
+router.delete('/:id/catalog/items/:itemId', authenticate, CatalogController.deleteItem);
+
+// Promociones del negocio (?all=true para que el dueño vea también las vencidas)
+router.get('/:id/deals', optionalAuth, DealController.getPropertyDeals);
+router.post('/:id/deals', authenticate, DealController.createDeal);
+router.put('/:id/deals/:dealId', authenticate, DealController.updateDeal);
+router.delete('/:id/deals/:dealId', authenticate, DealController.deleteDeal);
+
 // Rutas para imágenes
+router.get('/:id/images', PropertyImageController.getGallery);
 router.post('/:id/images', authenticate, upload.single('image'), PropertyController.addPropertyImage);
+router.put('/:id/images/order', authenticate, PropertyImageController.reorderImages);
+router.patch('/:id/images/:imageId', authenticate, PropertyImageController.updateCaption);
+router.patch('/:id/images/:imageId/primary', authenticate, PropertyImageController.setPrimaryImage);
+router.delete('/:id/images/:imageId', authenticate, PropertyImageController.deleteImage);
 
 // Rutas para funcionalidades administrativas
 router.patch('/:id/featured', authenticate, PropertyController.toggleFeatured);
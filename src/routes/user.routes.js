@@ -34,6 +34,9 @@ router.get('/favorites', authenticate, UserController.getFavorites);
 router.post('/favorites/:propertyId', authenticate, UserController.addFavorite);
 router.delete('/favorites/:propertyId', authenticate, UserController.removeFavorite);
 
+// Recomendaciones personalizadas (según favoritos, reservas, reseñas y vistas)
+router.get('/recommendations', authenticate, UserController.getRecommendations);
+
 // Rutas generales de usuario - deben estar después para que no capturen /profile como :id
 router.get('/:id', authenticate, UserController.getUser);
 router.put('/:id', authenticate, validateUserData, UserController.updateUser);
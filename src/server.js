@@ -2,6 +2,7 @@
 import express from 'express';
 import { errorMiddleware } from './middleware/error.middleware.js';
 import { authenticate } from './middleware/auth.middleware.js';
+import { imageVariants } from './middleware/image-variants.middleware.js';
 import dotenv from 'dotenv';
 import cors from 'cors';
 import path from 'path';
@@ -27,6 +28,16 @@ import { createFavoritesTable } from './models/mysql/favorites.model.js';
 import { createBlogTable } from './models/mysql/blog.model.js';
 import { createEventTable } from './models/mysql/event.model.js';
 import { createCommentTable } from './models/mysql/comment.model.js';
+import { createBusinessClaimTable } from './models/mysql/business-claim.model.js';
+import { createPropertyHoursTables, PropertyHours } from './models/mysql/property-hours.model.js';
+import { createBusinessCategoryTable, BusinessCategory } from './models/mysql/business-category.model.js';
+import { createCatalogTables } from './models/mysql/catalog.model.js';
+import { createDealTable } from './models/mysql/deal.model.js';
+import { createPropertyViewTables } from './models/mysql/property-view.model.js';
+import { createRatePlanTables } from './models/mysql/rate-plan.model.js';
+import { createBlackoutTable } from './models/mysql/blackout.model.js';
+import { SearchService } from './services/search.service.js';
+import { startScheduler } from './jobs/index.js';
 
 // Importar rutas
 import userRoutes from './routes/user.routes.js';
@@ -46,11 +57,21 @@ import routeRoutes from './routes/route.routes.js';
 const app = express();
 dotenv.config();
 
+// Detrás de un proxy (Azure App Service, nginx) req.ip debe salir de X-Forwarded-For
+// para deduplicar las visitas por IP. TRUST_PROXY acepta lo mismo que 'trust proxy' de Express.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', trustProxy === 'true' ? true : /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
+// Agregar las URLs de las variantes de imagen a las respuestas de la API
+app.use('/api', imageVariants);
+
 // Configurar directorio estático para servir archivos de uploads
 app.use('/uploads', express.static(path.join(__dirname, '..', 'public', 'uploads')));
 app.use(express.static(path.join(__dirname, '..', 'public')));
@@ -89,11 +110,36 @@ const initDatabase = async () => {
 
     await createAuthTable();
     
+    // Taxonomía de categorías y tipos de negocio (debe existir antes que properties)
+    await createBusinessCategoryTable();
+    await BusinessCategory.seedDefaults();
+    
     // Crear tablas relacionadas con propiedades
     await createPropertyTable();
+    await BusinessCategory.linkExistingProperties();
     await createPropertyAmenityTable(); 
     await createPropertyPetTable();     
     await createPropertyImageTable();   
+    await createPropertyHoursTables();
+    
+    // Pasar el horario heredado al horario semanal de las propiedades que todavía no lo tienen;
+    // sin esto el filtro open_now las trataría como cerradas
+    try {
+      const legacyHours = await PropertyHours.migrateLegacyHours();
+      if (legacyHours.migrated > 0 || legacyHours.skipped.length > 0) {
+        console.log(`Horarios heredados migrados: ${legacyHours.migrated}, sin interpretar: ${legacyHours.skipped.length} (ver scripts/migrate-opening-hours.js)`);
+      }
+    } catch (error) {
+      console.error('Error migrating legacy opening hours:', error);
+    }
+    await createCatalogTables();
+    await createDealTable();
+    await createPropertyViewTables();
+    await createRatePlanTables();
+    await createBlackoutTable();
+    
+    // Generar el texto de búsqueda de propiedades que todavía no lo tienen
+    await SearchService.rebuildSearchText(true);
     
     await Booking.createTable();
     await createReviewTable();
@@ -108,6 +154,9 @@ const initDatabase = async () => {
 
     await createCommentTable();
     
+    // Crear tabla de reclamos de negocios
+    await createBusinessClaimTable();
+    
     console.log('All tables created successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
@@ -250,6 +299,9 @@ initDatabase().then(() => {
   app.listen(PORT, () => {
     console.log(`Server is running on port ${PORT}`);
     console.log(`Admin routes available at: http://localhost:${PORT}/api/admin`);
+
+    // Tareas programadas (vencimiento de promociones, etc.)
+    startScheduler();
   });
 });
 
@@ -5,6 +5,7 @@ import {
   NotFoundError, 
   DatabaseError 
 } from '../utils/errors/index.js';
+import { formatPropertyRow } from '../models/mysql/property.model.js';
 
 export class AdminService {
   // Obtener todos los negocios (properties) para admin
@@ -112,9 +113,7 @@ export class AdminService {
       
       // Procesar resultados
       const processedProperties = properties.map(property => ({
-        ...property,
-        amenities: property.amenities ? property.amenities.split(',') : [],
-        pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : [],
+        ...formatPropertyRow(property),
         host_name: `${property.host_first_name || ''} ${property.host_last_name || ''}`.trim()
       }));
       
@@ -0,0 +1,183 @@
+// src/services/availability.service.js
+import { mysqlPool } from '../config/database.js';
+import { BUSINESS_TIMEZONE, BOOKING_CURRENCY } from '../config/constants.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { getZonedDateTime, addDays, toDateOnly, isValidDate } from '../utils/helpers.js';
+import { getCapacity } from '../utils/capacity.js';
+import { formatClosure } from '../models/mysql/property.model.js';
+import { RatePlan } from '../models/mysql/rate-plan.model.js';
+import bookingService from './booking.service.js';
+import { BookingSlotService } from './booking-slot.service.js';
+import { PricingService } from './pricing.service.js';
+import { BlackoutService } from './blackout.service.js';
+
+// Días del calendario por defecto y máximos por consulta (por turnos cada día trae todos sus turnos)
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const MAX_SLOT_RANGE_DAYS = 31;
+
+export class AvailabilityService {
+  /**
+   * Calendario de disponibilidad de una propiedad. Cada día (o turno) queda como
+   * available, booked (sin capacidad), blocked (bloqueada por el dueño o ya pasó)
+   * o closed (cierre temporal o sin horario), con la capacidad restante y la tarifa.
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} range - { from, to } fechas locales YYYY-MM-DD; `to` excluida
+   *   (por defecto desde hoy y DEFAULT_RANGE_DAYS días)
+   * @returns {Promise<Object>} - { property_id, booking_mode, timezone, currency, from, to,
+   *   units, max_guests, closure, days }
+   */
+  static async getCalendar(propertyId, { from, to } = {}) {
+    const today = getZonedDateTime().date;
+    const start = from || today;
+
+    if (!isValidDate(start) || (to && !isValidDate(to))) {
+      throw new ValidationError('from y to deben tener el formato YYYY-MM-DD');
+    }
+
+    const end = to || addDays(start, DEFAULT_RANGE_DAYS);
+    if (end <= start) {
+      throw new ValidationError('to debe ser posterior a from');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    let property;
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, booking_mode, slot_minutes, units, max_guests, closure_reason, closed_from, reopen_date
+         FROM properties WHERE id = ?`,
+        [propertyId]
+      );
+      if (rows.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+      property = rows[0];
+    } finally {
+      connection.release();
+    }
+
+    const isSlotMode = property.booking_mode === 'slot';
+    const maxDays = isSlotMode ? MAX_SLOT_RANGE_DAYS : MAX_RANGE_DAYS;
+    if (end > addDays(start, maxDays)) {
+      throw new ValidationError(`El calendario puede consultar como máximo ${maxDays} días`);
+    }
+
+    // Tarifa de cada día antes de cargos e impuestos
+    const dates = PricingService.stayNights(start, end);
+    const [plan, seasons, blockedDates] = await Promise.all([
+      PricingService.getPlan(property.id),
+      RatePlan.getSeasons(property.id),
+      BlackoutService.findBlockedDates(property.id, start, end)
+    ]);
+    const prices = new Map(
+      PricingService.getUnitPrices(plan, seasons, dates)
+        .map(price => [price.date, { price: price.unit_price, rate_type: price.rate_type }])
+    );
+    const priceOf = (date) => prices.get(date) || { price: null, rate_type: null };
+
+    const closedFrom = toDateOnly(property.closed_from);
+    const reopenDate = toDateOnly(property.reopen_date);
+    const closedOn = (date) => Boolean(closedFrom && reopenDate && closedFrom <= date && date < reopenDate);
+
+    // El motivo del bloqueo es interno del dueño: el calendario solo indica 'blackout'
+    const context = { today, closedOn, blockedOn: (date) => blockedDates.has(date), priceOf };
+
+    const days = isSlotMode
+      ? await this.getSlotDays(property, start, end, dates, context)
+      : await this.getNightDays(property, start, end, context);
+
+    const capacity = getCapacity(property);
+
+    return {
+      property_id: property.id,
+      booking_mode: property.booking_mode,
+      timezone: BUSINESS_TIMEZONE,
+      currency: BOOKING_CURRENCY,
+      from: start,
+      to: end,
+      units: capacity.units,
+      max_guests: capacity.maxGuests,
+      closure: formatClosure(property, today).closure,
+      days
+    };
+  }
+
+  // Noches de una propiedad que reserva por fechas
+  static async getNightDays(property, start, end, { today, closedOn, blockedOn, priceOf }) {
+    const availability = await bookingService.getAvailability(property.id, start, end);
+
+    return availability.days.map(day => {
+      let status = 'available';
+      let reason = null;
+      if (closedOn(day.date)) {
+        status = 'closed';
+        reason = 'temporary_closure';
+      } else if (blockedOn(day.date)) {
+        status = 'blocked';
+        reason = 'blackout';
+      } else if (day.date < today) {
+        status = 'blocked';
+        reason = 'past';
+      } else if (!day.available) {
+        status = 'booked';
+      }
+
+      return {
+        date: day.date,
+        status,
+        reason,
+        available: status === 'available',
+        remaining_units: day.remaining_units,
+        remaining_guests: day.remaining_guests,
+        ...priceOf(day.date)
+      };
+    });
+  }
+
+  // Días de una propiedad que reserva por turnos, cada uno con sus turnos
+  static async getSlotDays(property, start, end, dates, { closedOn, blockedOn, priceOf }) {
+    const slots = await BookingSlotService.getSlotsBetween(property, start, end);
+
+    return dates.map(date => {
+      const { price, rate_type: rateType } = priceOf(date);
+      const daySlots = slots
+        .filter(slot => slot.start.startsWith(date))
+        .map(slot => ({
+          start: slot.start,
+          end: slot.end,
+          status: slot.status === 'past' ? 'blocked' : slot.status,
+          available: slot.available,
+          remaining_units: slot.remaining_units,
+          remaining_guests: slot.remaining_guests,
+          price
+        }));
+
+      let status = 'available';
+      let reason = null;
+      if (closedOn(date)) {
+        status = 'closed';
+        reason = 'temporary_closure';
+      } else if (blockedOn(date)) {
+        status = 'blocked';
+        reason = 'blackout';
+      } else if (daySlots.length === 0) {
+        status = 'closed';
+        reason = 'no_opening_hours';
+      } else if (!daySlots.some(slot => slot.available)) {
+        status = daySlots.some(slot => slot.status === 'booked') ? 'booked' : 'blocked';
+        reason = status === 'blocked' ? 'past' : null;
+      }
+
+      return {
+        date,
+        status,
+        reason,
+        available: status === 'available',
+        available_slots: daySlots.filter(slot => slot.available).length,
+        price,
+        rate_type: rateType,
+        slots: daySlots
+      };
+    });
+  }
+}
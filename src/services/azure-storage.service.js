@@ -10,6 +10,8 @@ class AzureStorageService {
     this.accountName = process.env.AZURE_STORAGE_ACCOUNT_NAME;
     this.accountKey = process.env.AZURE_STORAGE_ACCOUNT_KEY;
     this.containerName = process.env.AZURE_STORAGE_CONTAINER_NAME || 'business-images';
+    // Contenedor sin acceso público para documentos privados (pruebas de reclamos)
+    this.privateContainerName = process.env.AZURE_STORAGE_PRIVATE_CONTAINER_NAME || 'private-documents';
     
     if (!this.accountName || !this.accountKey) {
       console.warn('Azure Storage credentials not found in environment variables');
@@ -20,10 +22,30 @@ class AzureStorageService {
         sharedKeyCredential
       );
       this.containerClient = blobServiceClient.getContainerClient(this.containerName);
+      this.privateContainerClient = blobServiceClient.getContainerClient(this.privateContainerName);
     }
   }
 
+  // Indica si hay credenciales para usar Azure Storage
+  isConfigured() {
+    return Boolean(this.containerClient);
+  }
+
+  // Falla con un mensaje claro en lugar de un TypeError cuando faltan las credenciales
+  ensureConfigured() {
+    if (!this.isConfigured()) {
+      throw new Error('Azure Storage no está configurado (AZURE_STORAGE_ACCOUNT_NAME / AZURE_STORAGE_ACCOUNT_KEY)');
+    }
+  }
+
+  // Indica si una URL corresponde a un blob de este contenedor
+  ownsUrl(imageUrl) {
+    return Boolean(imageUrl) && Boolean(this.accountName) &&
+      imageUrl.startsWith(`https://${this.accountName}.blob.core.windows.net/`);
+  }
+
   async createContainerIfNotExists() {
+    this.ensureConfigured();
     try {
       await this.containerClient.createIfNotExists({
         access: 'blob' // Acceso público para las imágenes
@@ -65,7 +87,70 @@ async uploadImage(file, entityType = 'property', entityId = 'default') {
   }
 }
 
+  // Subir contenido ya procesado con un nombre de blob determinado
+  async uploadBuffer(buffer, fileName, contentType) {
+    try {
+      await this.createContainerIfNotExists();
+      
+      const blockBlobClient = this.containerClient.getBlockBlobClient(fileName);
+      await blockBlobClient.upload(buffer, buffer.length, {
+        blobHTTPHeaders: {
+          blobContentType: contentType,
+          blobCacheControl: 'public, max-age=31536000, immutable'
+        }
+      });
+      
+      return blockBlobClient.url;
+    } catch (error) {
+      console.error('Error subiendo archivo a Azure Storage:', error);
+      throw error;
+    }
+  }
+
+  // Subir un documento privado: el contenedor se crea sin acceso público y el blob
+  // solo se lee con readPrivateFile
+  async uploadPrivateBuffer(buffer, fileName, contentType) {
+    this.ensureConfigured();
+    try {
+      await this.privateContainerClient.createIfNotExists();
+      
+      const blockBlobClient = this.privateContainerClient.getBlockBlobClient(fileName);
+      await blockBlobClient.upload(buffer, buffer.length, {
+        blobHTTPHeaders: {
+          blobContentType: contentType
+        }
+      });
+      
+      return true;
+    } catch (error) {
+      console.error('Error subiendo documento privado a Azure Storage:', error);
+      throw error;
+    }
+  }
+
+  // Leer un documento privado (null si no existe)
+  async readPrivateFile(fileName) {
+    this.ensureConfigured();
+    try {
+      const blockBlobClient = this.privateContainerClient.getBlockBlobClient(fileName);
+      const properties = await blockBlobClient.getProperties();
+      const buffer = await blockBlobClient.downloadToBuffer();
+      
+      return {
+        buffer,
+        contentType: properties.contentType || 'application/octet-stream'
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+      console.error('Error leyendo documento privado de Azure Storage:', error);
+      throw error;
+    }
+  }
+
   async deleteImage(imageUrl) {
+    this.ensureConfigured();
     try {
       // Extraer el nombre del blob de la URL
       const blobName = imageUrl.split('/').pop();
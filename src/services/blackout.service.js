@@ -0,0 +1,214 @@
+// src/services/blackout.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { getZonedDateTime, addDays, isValidDate } from '../utils/helpers.js';
+import { Blackout, formatBlackout } from '../models/mysql/blackout.model.js';
+import { PropertyService } from './property.service.js';
+
+export const BLACKOUT_RECURRENCES = ['none', 'weekly', 'yearly'];
+
+// Duración máxima de un bloqueo: uno semanal no puede cubrir la semana completa ni uno anual el año
+const MAX_BLACKOUT_DAYS = {
+  none: 366,
+  weekly: 6,
+  yearly: 180
+};
+
+const RECURRENCE_LABELS = {
+  none: 'Un bloqueo',
+  weekly: 'Un bloqueo semanal',
+  yearly: 'Un bloqueo anual'
+};
+
+const daysBetween = (from, to) =>
+  Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (1000 * 60 * 60 * 24));
+
+// Misma fecha (mes y día) en otro año; el 29 de febrero pasa al 28 en años no bisiestos
+const sameDayInYear = (date, year) => {
+  const candidate = `${year}${date.slice(4)}`;
+  return addDays(candidate, 0) === candidate ? candidate : `${year}-02-28`;
+};
+
+/**
+ * Indica si un bloqueo (con su recurrencia) cubre una fecha
+ * @param {Object} blackout - { start_date, end_date, recurrence, recurrence_until }
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const blackoutCovers = (blackout, date) => {
+  if (date < blackout.start_date || (blackout.recurrence_until && date > blackout.recurrence_until)) {
+    return false;
+  }
+
+  const length = daysBetween(blackout.start_date, blackout.end_date);
+
+  if (blackout.recurrence === 'weekly') {
+    return daysBetween(blackout.start_date, date) % 7 <= length;
+  }
+
+  if (blackout.recurrence === 'yearly') {
+    // La ocurrencia del año anterior puede alcanzar la fecha si cruza el fin de año
+    const year = Number(date.slice(0, 4));
+    return [year - 1, year].some(occurrenceYear => {
+      const start = sameDayInYear(blackout.start_date, occurrenceYear);
+      return start >= blackout.start_date && date >= start && date <= addDays(start, length);
+    });
+  }
+
+  return date <= blackout.end_date;
+};
+
+export class BlackoutService {
+  /**
+   * Bloqueos vigentes o futuros de una propiedad (solo dueño o administrador)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Array>}
+   */
+  static async getBlackouts(propertyId, userId) {
+    await this.verifyOwnership(propertyId, userId);
+
+    return Blackout.findByPropertyId(propertyId, getZonedDateTime().date);
+  }
+
+  /**
+   * Bloquea fechas de una propiedad (solo dueño o administrador).
+   * Las reservas existentes no se cancelan: se informa cuántas se cruzan con el bloqueo.
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} data - { start_date, end_date, reason, recurrence, recurrence_until }
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - Bloqueo creado con conflicting_bookings
+   */
+  static async createBlackout(propertyId, data = {}, userId) {
+    const { start_date: startDate, recurrence_until: recurrenceUntil } = data;
+    const endDate = data.end_date || startDate;
+    const recurrence = data.recurrence || 'none';
+    const reason = data.reason ? String(data.reason).trim() : null;
+
+    if (!isValidDate(startDate) || !isValidDate(endDate)) {
+      throw new ValidationError('start_date y end_date deben tener el formato YYYY-MM-DD');
+    }
+    if (endDate < startDate) {
+      throw new ValidationError('end_date no puede ser anterior a start_date');
+    }
+    if (!BLACKOUT_RECURRENCES.includes(recurrence)) {
+      throw new ValidationError(`recurrence debe ser uno de: ${BLACKOUT_RECURRENCES.join(', ')}`);
+    }
+
+    const maxDays = MAX_BLACKOUT_DAYS[recurrence];
+    if (daysBetween(startDate, endDate) + 1 > maxDays) {
+      throw new ValidationError(`${RECURRENCE_LABELS[recurrence]} puede durar como máximo ${maxDays} días`);
+    }
+
+    if (recurrenceUntil) {
+      if (recurrence === 'none') {
+        throw new ValidationError('recurrence_until solo aplica a bloqueos recurrentes');
+      }
+      if (!isValidDate(recurrenceUntil) || recurrenceUntil < endDate) {
+        throw new ValidationError('recurrence_until debe ser una fecha YYYY-MM-DD posterior al bloqueo');
+      }
+    }
+
+    if (recurrence === 'none' && endDate < getZonedDateTime().date) {
+      throw new ValidationError('No se pueden bloquear fechas pasadas');
+    }
+
+    if (reason && reason.length > 255) {
+      throw new ValidationError('El motivo no puede exceder los 255 caracteres');
+    }
+
+    await this.verifyOwnership(propertyId, userId);
+
+    const blackout = {
+      start_date: startDate,
+      end_date: endDate,
+      reason,
+      recurrence,
+      recurrence_until: recurrenceUntil || null
+    };
+
+    const id = await Blackout.create(propertyId, blackout, userId);
+
+    return {
+      ...formatBlackout({ id, property_id: Number(propertyId), ...blackout }),
+      conflicting_bookings: recurrence === 'none'
+        ? await this.countOverlappingBookings(propertyId, startDate, addDays(endDate, 1))
+        : null
+    };
+  }
+
+  /**
+   * Elimina un bloqueo (solo dueño o administrador)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} blackoutId - ID del bloqueo
+   * @param {number} userId - ID del usuario
+   */
+  static async deleteBlackout(propertyId, blackoutId, userId) {
+    await this.verifyOwnership(propertyId, userId);
+
+    const deleted = await Blackout.delete(propertyId, blackoutId);
+    if (!deleted) {
+      throw new NotFoundError('Bloqueo no encontrado');
+    }
+  }
+
+  /**
+   * Fechas bloqueadas de una propiedad en [from, to)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {string} from - Fecha YYYY-MM-DD
+   * @param {string} to - Fecha YYYY-MM-DD (excluida)
+   * @returns {Promise<Map>} - fecha → { id, reason } del bloqueo que la cubre
+   */
+  static async findBlockedDates(propertyId, from, to) {
+    const blocked = new Map();
+    if (to <= from) {
+      return blocked;
+    }
+
+    const blackouts = await Blackout.findInRange(propertyId, from, addDays(to, -1));
+    if (blackouts.length === 0) {
+      return blocked;
+    }
+
+    for (let date = from; date < to; date = addDays(date, 1)) {
+      const blackout = blackouts.find(item => blackoutCovers(item, date));
+      if (blackout) {
+        blocked.set(date, { id: blackout.id, reason: blackout.reason });
+      }
+    }
+
+    return blocked;
+  }
+
+  // Reservas activas que ocupan alguna noche (o turno) de [from, to)
+  static async countOverlappingBookings(propertyId, from, to) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT COUNT(*) as count FROM bookings
+         WHERE property_id = ? AND status != 'cancelled' AND deleted_at IS NULL
+         AND check_in_date < ?
+         AND (check_out_date > ? OR (booking_type = 'slot' AND check_in_date >= ?))`,
+        [propertyId, to, from, from]
+      );
+
+      return Number(rows[0].count);
+    } finally {
+      connection.release();
+    }
+  }
+
+  static async verifyOwnership(propertyId, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para bloquear fechas de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+  }
+}
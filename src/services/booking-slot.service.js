@@ -0,0 +1,383 @@
+// src/services/booking-slot.service.js
+import { mysqlPool } from '../config/database.js';
+import { BUSINESS_TIMEZONE } from '../config/constants.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors/index.js';
+import { getZonedDateTime, addDays, parseLocalDateTime, toDateOnly, isValidDate } from '../utils/helpers.js';
+import { getCapacity, peakOccupancy, remainingCapacity } from '../utils/capacity.js';
+import { PropertyHours } from '../models/mysql/property-hours.model.js';
+import { PropertyService } from './property.service.js';
+import { BlackoutService } from './blackout.service.js';
+
+// date_range: reservas por noches (check-in / check-out); slot: turnos dentro del horario
+export const BOOKING_MODES = ['date_range', 'slot'];
+
+// Duración de los turnos: múltiplos de 15 minutos, de 15 minutos a 8 horas
+const SLOT_STEP_MINUTES = 15;
+const MIN_SLOT_MINUTES = 15;
+const MAX_SLOT_MINUTES = 480;
+const DEFAULT_SLOT_MINUTES = 60;
+
+// Turnos consecutivos que se pueden reservar de una vez (p. ej. dos horas de cancha)
+const MAX_SLOTS_PER_BOOKING = 8;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Unidades reservables a la vez (habitaciones, mesas, canchas...)
+const MAX_UNITS = 500;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// "YYYY-MM-DDTHH:MM" a partir de una fecha y los minutos desde su medianoche (pueden pasar de un día)
+const toLocalDateTime = (date, minutes) => {
+  const days = Math.floor(minutes / MINUTES_PER_DAY);
+  const rest = minutes - days * MINUTES_PER_DAY;
+  return `${addDays(date, days)}T${pad(Math.floor(rest / 60))}:${pad(rest % 60)}`;
+};
+
+// Valor DATETIME de MySQL para una fecha/hora local "YYYY-MM-DDTHH:MM"
+export const toSqlDateTime = (localDateTime) => `${localDateTime.replace('T', ' ')}:00`;
+
+export class BookingSlotService {
+  /**
+   * Configura cómo se reserva un negocio y su capacidad (solo dueño o administrador).
+   * Los campos omitidos conservan su valor actual.
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} settings - { booking_mode, slot_minutes, units, max_guests (null = sin límite) }
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - { booking_mode, slot_minutes, units, max_guests }
+   */
+  static async updateBookingSettings(propertyId, settings = {}, userId) {
+    const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+    if (![settings.booking_mode, settings.slot_minutes, settings.units].some(isSet) &&
+        settings.max_guests === undefined) {
+      throw new ValidationError('Debe indicar booking_mode, slot_minutes, units o max_guests');
+    }
+
+    if (isSet(settings.booking_mode) && !BOOKING_MODES.includes(settings.booking_mode)) {
+      throw new ValidationError(`booking_mode debe ser uno de: ${BOOKING_MODES.join(', ')}`);
+    }
+
+    let slotMinutes = null;
+    if (isSet(settings.slot_minutes)) {
+      slotMinutes = Number(settings.slot_minutes);
+      if (!Number.isInteger(slotMinutes) || slotMinutes < MIN_SLOT_MINUTES || slotMinutes > MAX_SLOT_MINUTES ||
+          slotMinutes % SLOT_STEP_MINUTES !== 0) {
+        throw new ValidationError(
+          `slot_minutes debe ser múltiplo de ${SLOT_STEP_MINUTES} entre ${MIN_SLOT_MINUTES} y ${MAX_SLOT_MINUTES}`
+        );
+      }
+    }
+
+    let units = null;
+    if (isSet(settings.units)) {
+      units = Number(settings.units);
+      if (!Number.isInteger(units) || units < 1 || units > MAX_UNITS) {
+        throw new ValidationError(`units debe ser un número entero entre 1 y ${MAX_UNITS}`);
+      }
+    }
+
+    // max_guests: null o vacío quita el límite de personas
+    let maxGuests;
+    if (settings.max_guests !== undefined) {
+      maxGuests = isSet(settings.max_guests) ? Number(settings.max_guests) : null;
+      if (maxGuests !== null && (!Number.isInteger(maxGuests) || maxGuests < 1)) {
+        throw new ValidationError('max_guests debe ser un número entero mayor que 0');
+      }
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para configurar las reservas de esta propiedad'
+      );
+
+      const [rows] = await connection.query(
+        'SELECT booking_mode, slot_minutes, units, max_guests FROM properties WHERE id = ?',
+        [propertyId]
+      );
+      const current = rows[0] || {};
+
+      const bookingMode = settings.booking_mode || current.booking_mode || 'date_range';
+      const finalSlotMinutes = slotMinutes || current.slot_minutes ||
+        (bookingMode === 'slot' ? DEFAULT_SLOT_MINUTES : null);
+      const capacity = getCapacity({
+        units: units || current.units,
+        max_guests: maxGuests !== undefined ? maxGuests : current.max_guests
+      });
+
+      await connection.query(
+        `UPDATE properties SET booking_mode = ?, slot_minutes = ?, units = ?, max_guests = ?
+         WHERE id = ?`,
+        [bookingMode, finalSlotMinutes, capacity.units, capacity.maxGuests, propertyId]
+      );
+
+      return {
+        booking_mode: bookingMode,
+        slot_minutes: finalSlotMinutes,
+        units: capacity.units,
+        max_guests: capacity.maxGuests
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Turnos de un día para una propiedad en modo slot, con su estado
+   * @param {number} propertyId - ID de la propiedad
+   * @param {string} date - Fecha local YYYY-MM-DD (por defecto hoy)
+   * @returns {Promise<Object>} - { property_id, date, timezone, slot_minutes, units, max_guests,
+   *   slots: [{ start, end, status, available, remaining_units, remaining_guests }] }
+   */
+  static async getSlots(propertyId, date) {
+    const day = date || getZonedDateTime().date;
+
+    if (!isValidDate(day)) {
+      throw new ValidationError('date debe tener el formato YYYY-MM-DD');
+    }
+
+    const property = await this.getSlotProperty(propertyId);
+    const capacity = getCapacity(property);
+
+    return {
+      property_id: property.id,
+      date: day,
+      timezone: BUSINESS_TIMEZONE,
+      slot_minutes: property.slot_minutes,
+      units: capacity.units,
+      max_guests: capacity.maxGuests,
+      slots: await this.getSlotsBetween(property, day, addDays(day, 1))
+    };
+  }
+
+  /**
+   * Turnos que empiezan entre dos fechas, con su estado y la capacidad restante
+   * @param {Object} property - Fila de properties (ver getSlotProperty)
+   * @param {string} from - Primera fecha local YYYY-MM-DD
+   * @param {string} to - Fecha local YYYY-MM-DD (excluida)
+   * @returns {Promise<Array>} - [{ start, end, status: 'available' | 'closed' | 'blocked' | 'past' | 'booked',
+   *   available, remaining_units, remaining_guests }]
+   */
+  static async getSlotsBetween(property, from, to) {
+    const days = (new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / (1000 * 60 * 60 * 24);
+    const daysAfter = Math.round(days) - 1;
+
+    const slots = (await this.generateSlots(property, from, daysAfter))
+      .filter(slot => slot.start >= from && slot.start < to);
+
+    const [bookings, blockedDates] = slots.length > 0
+      ? await Promise.all([
+        this.findSlotBookings(property.id, slots[0].start, slots[slots.length - 1].end),
+        BlackoutService.findBlockedDates(property.id, from, to)
+      ])
+      : [[], new Map()];
+
+    const today = getZonedDateTime();
+    const now = `${today.date}T${today.time.slice(0, 5)}`;
+    const closedFrom = toDateOnly(property.closed_from);
+    const reopenDate = toDateOnly(property.reopen_date);
+    const capacity = getCapacity(property);
+
+    return slots.map(slot => {
+      const day = slot.start.slice(0, 10);
+      const remaining = remainingCapacity(capacity, peakOccupancy(bookings, slot.start, slot.end));
+
+      let status = 'available';
+      if (closedFrom && reopenDate && closedFrom <= day && day < reopenDate) {
+        status = 'closed';
+      } else if (blockedDates.has(day)) {
+        status = 'blocked';
+      } else if (slot.start <= now) {
+        status = 'past';
+      } else if (!remaining.available) {
+        status = 'booked';
+      }
+
+      return {
+        ...slot,
+        status,
+        available: status === 'available',
+        remaining_units: remaining.remaining_units,
+        remaining_guests: remaining.remaining_guests
+      };
+    });
+  }
+
+  /**
+   * Valida los turnos pedidos para una reserva: deben coincidir con turnos del horario,
+   * ser consecutivos y no haber comenzado
+   * @param {Object} property - Fila de properties (booking_mode = 'slot')
+   * @param {string} slotStart - Inicio del primer turno, hora local ("2025-05-10T18:00")
+   * @param {number} slotCount - Cantidad de turnos consecutivos (por defecto 1)
+   * @returns {Promise<Object>} - { date, startAt, endAt, slots: [{ start, end }] } en hora local
+   */
+  static async resolveSlotBooking(property, slotStart, slotCount = 1) {
+    const local = parseLocalDateTime(slotStart);
+    if (!local) {
+      throw new ValidationError('slot_start debe ser una fecha/hora válida (ej. 2025-05-10T18:00)');
+    }
+
+    const count = slotCount === undefined || slotCount === null || slotCount === '' ? 1 : Number(slotCount);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SLOTS_PER_BOOKING) {
+      throw new ValidationError(`slots debe ser un número entre 1 y ${MAX_SLOTS_PER_BOOKING}`);
+    }
+
+    const start = `${local.date}T${local.time.slice(0, 5)}`;
+    const now = getZonedDateTime();
+    if (start <= `${now.date}T${now.time.slice(0, 5)}`) {
+      throw new ValidationError('No se puede reservar un turno que ya comenzó');
+    }
+
+    // Un turno nocturno puede empezar el día anterior y los consecutivos pasar al siguiente
+    const slots = await this.generateSlots(property, local.date, 1);
+    const index = slots.findIndex(slot => slot.start === start);
+    if (index === -1) {
+      throw new ValidationError('El horario solicitado no coincide con un turno del negocio');
+    }
+
+    for (let i = 1; i < count; i++) {
+      const slot = slots[index + i];
+      if (!slot || slot.start !== slots[index + i - 1].end) {
+        throw new ValidationError('Los turnos solicitados no son consecutivos dentro del horario del negocio');
+      }
+    }
+
+    return {
+      date: local.date,
+      startAt: start,
+      endAt: slots[index + count - 1].end,
+      slots: slots.slice(index, index + count)
+    };
+  }
+
+  /**
+   * Verifica que quede capacidad en el intervalo frente a las otras reservas por turnos
+   * @param {Object} connection - Conexión MySQL activa (dentro de la transacción de la reserva)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {string} startAt - Inicio, hora local "YYYY-MM-DDTHH:MM"
+   * @param {string} endAt - Fin, hora local "YYYY-MM-DDTHH:MM"
+   * @param {number} guests - Personas de la reserva nueva
+   */
+  static async assertSlotAvailable(connection, propertyId, startAt, endAt, guests = 1) {
+    const [properties] = await connection.query(
+      'SELECT units, max_guests FROM properties WHERE id = ?',
+      [propertyId]
+    );
+    const bookings = await this.findSlotBookings(propertyId, startAt, endAt, connection);
+
+    const remaining = remainingCapacity(
+      getCapacity(properties[0]),
+      peakOccupancy(bookings, startAt, endAt),
+      guests
+    );
+
+    if (!remaining.available) {
+      throw new ConflictError(
+        remaining.remaining_units === 0
+          ? 'El turno seleccionado ya está reservado'
+          : `El turno seleccionado solo tiene cupo para ${remaining.remaining_guests} personas`
+      );
+    }
+  }
+
+  // Datos de la propiedad necesarios para generar turnos
+  static async getSlotProperty(propertyId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT id, booking_mode, slot_minutes, units, max_guests, closed_from, reopen_date
+         FROM properties WHERE id = ?`,
+        [propertyId]
+      );
+
+      if (rows.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+      if (rows[0].booking_mode !== 'slot') {
+        throw new ValidationError('Este negocio no acepta reservas por horario');
+      }
+
+      return rows[0];
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Turnos generados del horario desde el día anterior a `date` hasta `daysAfter` días después.
+   * Las fechas especiales reemplazan el horario semanal de su día.
+   * @param {Object} property - { id, slot_minutes }
+   * @param {string} date - Fecha local YYYY-MM-DD
+   * @param {number} daysAfter - Días posteriores a incluir
+   * @returns {Promise<Array>} - [{ start, end }] ordenados, en hora local "YYYY-MM-DDTHH:MM"
+   */
+  static async generateSlots(property, date, daysAfter = 0) {
+    const slotMinutes = property.slot_minutes || DEFAULT_SLOT_MINUTES;
+    const firstDate = addDays(date, -1);
+
+    const [weekly, exceptions] = await Promise.all([
+      PropertyHours.getByPropertyId(property.id),
+      PropertyHours.getExceptions(property.id, firstDate)
+    ]);
+
+    const slots = [];
+    for (let offset = -1; offset <= daysAfter; offset++) {
+      const day = addDays(date, offset);
+      const dayExceptions = exceptions.filter(exception => exception.date === day);
+      const shifts = dayExceptions.length > 0
+        ? dayExceptions.filter(exception => !exception.is_closed && exception.open_time && exception.close_time)
+        : weekly.filter(shift => shift.day_of_week === new Date(`${day}T00:00:00Z`).getUTCDay());
+
+      shifts.forEach(shift => {
+        const open = toMinutes(shift.open_time);
+        let close = toMinutes(shift.close_time);
+        // Turno que termina al día siguiente (00:00-00:00 = 24 horas)
+        if (close <= open) {
+          close += MINUTES_PER_DAY;
+        }
+
+        for (let start = open; start + slotMinutes <= close; start += slotMinutes) {
+          slots.push({
+            start: toLocalDateTime(day, start),
+            end: toLocalDateTime(day, start + slotMinutes)
+          });
+        }
+      });
+    }
+
+    return slots.sort((a, b) => a.start.localeCompare(b.start));
+  }
+
+  // Reservas por turnos que se cruzan con un intervalo (hora local "YYYY-MM-DDTHH:MM").
+  // Dentro de una transacción se pasa su conexión para leer con el bloqueo de la propiedad.
+  static async findSlotBookings(propertyId, from, to, transaction = null) {
+    const connection = transaction || await mysqlPool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        `SELECT DATE_FORMAT(start_at, '%Y-%m-%dT%H:%i') as start,
+                DATE_FORMAT(end_at, '%Y-%m-%dT%H:%i') as end,
+                guests
+         FROM bookings
+         WHERE property_id = ? AND booking_type = 'slot'
+         AND status != 'cancelled' AND deleted_at IS NULL
+         AND start_at < ? AND end_at > ?`,
+        [propertyId, toSqlDateTime(to), toSqlDateTime(from)]
+      );
+
+      return rows;
+    } finally {
+      if (!transaction) {
+        connection.release();
+      }
+    }
+  }
+}
@@ -5,21 +5,32 @@
 import { mysqlPool } from '../config/database.js';
 import { ValidationError, NotFoundError, ConflictError, DatabaseError, AuthorizationError } from '../utils/errors/index.js';
 import logger from '../utils/logger.js';
+import { addDays } from '../utils/helpers.js';
+import { omitInternalColumns } from '../models/mysql/property.model.js';
+import { getCapacity, peakOccupancy, remainingCapacity } from '../utils/capacity.js';
+import { BookingSlotService, toSqlDateTime } from './booking-slot.service.js';
+import { PricingService } from './pricing.service.js';
+import { BlackoutService } from './blackout.service.js';
+
+// Fecha de MySQL (YYYY-MM-DD) a partir de un Date o de una fecha ya formateada
+const toSqlDate = (date) => (date instanceof Date ? date.toISOString().split('T')[0] : date);
 
 class BookingService {
   /**
    * Create a new booking
    * @param {Object} bookingData - Booking data from frontend
    * @param {string} userId - User ID making the booking (can be null for guest bookings)
+   * @param {Object} options - { connection }: transaction owned by the caller, which commits or
+   *   rolls it back and records the payment itself (see PaymentService.createPayment)
    * @returns {Promise<Object>} - The created booking
    */
-  async create(bookingData, userId = null) {
+  async create(bookingData, userId = null, { connection: transaction = null } = {}) {
     try {
       console.log('Creating booking with userId:', userId);
       
-      // Validate required fields
-      if (!bookingData.propertyId || !bookingData.startDate || !bookingData.endDate) {
-        throw new ValidationError('Property ID, start date, and end date are required');
+      // Validate required fields (date range or time slot)
+      if (!bookingData.propertyId || (!bookingData.slotStart && (!bookingData.startDate || !bookingData.endDate))) {
+        throw new ValidationError('Property ID and either start/end dates or a slot start are required');
       }
 
       // Para reservas de invitados (sin userId), validar información del huésped
@@ -27,15 +38,6 @@ class BookingService {
         throw new ValidationError('Guest name and email are required for guest bookings');
       }
 
-      // Parse dates
-      const startDate = new Date(bookingData.startDate);
-      const endDate = new Date(bookingData.endDate);
-
-      // Validate date range
-      if (startDate >= endDate) {
-        throw new ValidationError('End date must be after start date');
-      }
-
       // Check if property exists
       const [propertyRows] = await mysqlPool.query(
         'SELECT * FROM properties WHERE id = ?',
@@ -48,31 +50,112 @@ class BookingService {
       
       const property = propertyRows[0];
 
+      // El modo de reserva lo define el negocio: por fechas o por turnos
+      const isSlotBooking = property.booking_mode === 'slot';
+      if (isSlotBooking && !bookingData.slotStart) {
+        throw new ValidationError('This property takes time-slot bookings: slot_start is required');
+      }
+      if (!isSlotBooking && bookingData.slotStart) {
+        throw new ValidationError('This property takes date-range bookings: check-in and check-out dates are required');
+      }
+
+      let startDate;
+      let endDate;
+      let slot = null;
+
+      if (isSlotBooking) {
+        // El día del turno queda como check-in y el día en que termina como check-out
+        slot = await BookingSlotService.resolveSlotBooking(property, bookingData.slotStart, bookingData.slots);
+        startDate = slot.date;
+        endDate = slot.endAt.slice(0, 10);
+      } else {
+        // Parse dates
+        startDate = new Date(bookingData.startDate);
+        endDate = new Date(bookingData.endDate);
+
+        // Validate date range
+        if (startDate >= endDate) {
+          throw new ValidationError('End date must be after start date');
+        }
+      }
+
+      // Un negocio cerrado temporalmente no acepta reservas dentro del cierre
+      const closure = await this.findClosureConflict(
+        bookingData.propertyId,
+        startDate,
+        slot ? addDays(endDate, 1) : endDate
+      );
+      if (closure) {
+        throw new ConflictError(
+          `Property is temporarily closed from ${closure.closed_from} until ${closure.reopen_date}`
+        );
+      }
+
+      // Fechas bloqueadas por el dueño (en turnos cuenta el día en que empieza cada turno)
+      const blockedDates = await BlackoutService.findBlockedDates(
+        bookingData.propertyId,
+        toSqlDate(startDate),
+        slot ? addDays(slot.slots[slot.slots.length - 1].start.slice(0, 10), 1) : toSqlDate(endDate)
+      );
+      if (blockedDates.size > 0) {
+        throw new ConflictError(
+          `Property is not available on blocked dates: ${[...blockedDates.keys()].join(', ')}`
+        );
+      }
+
       // Usamos userId si está disponible
       const finalUserId = userId;
       console.log('Final userId to be used:', finalUserId);
 
-      // Comprobar disponibilidad
-      const isAvailable = await this.checkAvailability(
+      const guests = parseInt(bookingData.guests) || 1;
+      const capacity = getCapacity(property);
+      if (capacity.maxGuests !== null && guests > capacity.maxGuests) {
+        throw new ValidationError(`This property allows at most ${capacity.maxGuests} guests`);
+      }
+
+      // El total siempre sale de las tarifas de la propiedad, nunca del cliente
+      const quote = await PricingService.priceStay(
         bookingData.propertyId,
-        startDate,
-        endDate
+        slot
+          ? slot.slots.map(item => item.start.slice(0, 10))
+          : PricingService.stayNights(toSqlDate(startDate), toSqlDate(endDate)),
+        guests,
+        slot ? 'slot' : 'date_range'
       );
+      const totalPrice = quote.total;
 
-      if (!isAvailable) {
-        throw new ConflictError('Property is not available for the selected dates');
+      // Start transaction (unless the caller already holds one)
+      const connection = transaction || await mysqlPool.getConnection();
+      if (!transaction) {
+        await connection.beginTransaction();
       }
 
-      // Calculate price
-      const nights = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-      const months = Math.ceil(nights / 30);
-      const totalPrice = bookingData.totalPrice || (property.pricePerNight ? property.pricePerNight * nights : property.price * months);
+      try {
+        // Bloquear la propiedad para que dos reservas simultáneas no ocupen la misma capacidad
+        await connection.query('SELECT id FROM properties WHERE id = ? FOR UPDATE', [bookingData.propertyId]);
 
-      // Start transaction
-      const connection = await mysqlPool.getConnection();
-      await connection.beginTransaction();
+        if (slot) {
+          await BookingSlotService.assertSlotAvailable(
+            connection,
+            bookingData.propertyId,
+            slot.startAt,
+            slot.endAt,
+            guests
+          );
+        } else {
+          const availability = await this.getAvailability(
+            bookingData.propertyId,
+            startDate,
+            endDate,
+            guests,
+            connection
+          );
+
+          if (!availability.available) {
+            throw new ConflictError('Property is not available for the selected dates');
+          }
+        }
 
-      try {
         // Registramos lo que vamos a insertar
         console.log('Inserting booking with data:', {
           propertyId: bookingData.propertyId,
@@ -91,8 +174,8 @@ class BookingService {
           insertQuery = `
             INSERT INTO bookings 
             (property_id, user_id, guest_name, guest_email, guest_phone, check_in_date, check_out_date, 
-            guests, total_price, special_requests, status, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            guests, total_price, price_breakdown, special_requests, status, booking_type, start_at, end_at, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
           `;
           insertParams = [
             bookingData.propertyId,
@@ -102,18 +185,22 @@ class BookingService {
             bookingData.guestPhone || null,
             startDate,
             endDate,
-            bookingData.guests || 1,
+            guests,
             totalPrice,
+            JSON.stringify(quote),
             bookingData.specialRequests || null,
-            'pending'
+            'pending',
+            slot ? 'slot' : 'date_range',
+            slot ? toSqlDateTime(slot.startAt) : null,
+            slot ? toSqlDateTime(slot.endAt) : null
           ];
         } else {
           // Consulta sin user_id para permitir que sea NULL en la BD
           insertQuery = `
             INSERT INTO bookings 
             (property_id, guest_name, guest_email, guest_phone, check_in_date, check_out_date, 
-            guests, total_price, special_requests, status, created_at) 
-            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
+            guests, total_price, price_breakdown, special_requests, status, booking_type, start_at, end_at, created_at) 
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())
           `;
           insertParams = [
             bookingData.propertyId,
@@ -122,10 +209,14 @@ class BookingService {
             bookingData.guestPhone || null,
             startDate,
             endDate,
-            bookingData.guests || 1,
+            guests,
             totalPrice,
+            JSON.stringify(quote),
             bookingData.specialRequests || null,
-            'pending'
+            'pending',
+            slot ? 'slot' : 'date_range',
+            slot ? toSqlDateTime(slot.startAt) : null,
+            slot ? toSqlDateTime(slot.endAt) : null
           ];
         }
         
@@ -134,26 +225,30 @@ class BookingService {
         const bookingId = result.insertId;
         console.log('Booking created with ID:', bookingId);
 
-        // Create initial payment record if needed
-        // Este bloque es opcional dependiendo si manejas pagos separados
-        const [paymentResult] = await connection.query(
-          `INSERT INTO payments
-           (booking_id, amount, currency, payment_method, status, payment_date)
-           VALUES (?, ?, ?, ?, ?, NOW())`,
-          [
-            bookingId,
-            totalPrice,
-            'HNL',
-            bookingData.paymentMethod || 'credit_card',
-            'pending'
-          ]
-        );
+        // Inside the caller's transaction the caller records the payment and commits
+        let paymentId = null;
+        if (!transaction) {
+          // Create initial payment record if needed
+          // Este bloque es opcional dependiendo si manejas pagos separados
+          const [paymentResult] = await connection.query(
+            `INSERT INTO payments
+             (booking_id, amount, currency, payment_method, status, payment_date)
+             VALUES (?, ?, ?, ?, ?, NOW())`,
+            [
+              bookingId,
+              totalPrice,
+              'HNL',
+              bookingData.paymentMethod || 'credit_card',
+              'pending'
+            ]
+          );
 
-        const paymentId = paymentResult.insertId;
+          paymentId = paymentResult.insertId;
 
-        // Commit transaction
-        await connection.commit();
-        connection.release();
+          // Commit transaction
+          await connection.commit();
+          connection.release();
+        }
 
         return {
           id: bookingId,
@@ -163,13 +258,19 @@ class BookingService {
           guestEmail: bookingData.guestEmail,
           checkInDate: startDate,
           checkOutDate: endDate,
+          bookingType: slot ? 'slot' : 'date_range',
+          startAt: slot ? slot.startAt : null,
+          endAt: slot ? slot.endAt : null,
           totalPrice,
+          priceBreakdown: quote,
           status: 'pending',
           paymentId
         };
       } catch (error) {
-        await connection.rollback();
-        connection.release();
+        if (!transaction) {
+          await connection.rollback();
+          connection.release();
+        }
         console.error('Database error in booking creation:', error);
         throw error;
       }
@@ -220,7 +321,7 @@ class BookingService {
           [booking.property_id]
         );
         
-        property = propertyRows.length > 0 ? propertyRows[0] : null;
+        property = propertyRows.length > 0 ? omitInternalColumns(propertyRows[0]) : null;
       }
 
       // Get user (guest) data if available
@@ -381,7 +482,7 @@ class BookingService {
           `SELECT * FROM properties WHERE id IN (${propertyIds.map(() => '?').join(',')})`,
           propertyIds
         );
-        properties = propertyRows;
+        properties = propertyRows.map(omitInternalColumns);
       }
 
       // Get users for all bookings in a single query
@@ -573,14 +674,92 @@ class BookingService {
     }
   }
 
+  /**
+   * Find the temporary closure of a property that overlaps a stay, if any.
+   * The stay covers [startDate, endDate) and the closure [closed_from, reopen_date).
+   * @param {string} propertyId - Property ID
+   * @param {Date|string} startDate - Check-in date
+   * @param {Date|string} endDate - Check-out date
+   * @returns {Promise<Object|null>} - { reason, closed_from, reopen_date } or null
+   */
+  async findClosureConflict(propertyId, startDate, endDate) {
+    const [rows] = await mysqlPool.query(
+      `SELECT closure_reason as reason,
+              DATE_FORMAT(closed_from, '%Y-%m-%d') as closed_from,
+              DATE_FORMAT(reopen_date, '%Y-%m-%d') as reopen_date
+       FROM properties
+       WHERE id = ? AND closed_from IS NOT NULL
+       AND closed_from < ? AND reopen_date > ?`,
+      [propertyId, toSqlDate(endDate), toSqlDate(startDate)]
+    );
+
+    return rows[0] || null;
+  }
+
+  /**
+   * Remaining capacity per night of a date range. A booking occupies the nights from
+   * check-in to the day before check-out, so a guest can check in the day another checks out.
+   * @param {number} propertyId - Property ID
+   * @param {Date|string} startDate - Check-in date
+   * @param {Date|string} endDate - Check-out date
+   * @param {number} guests - Guests of the new booking
+   * @param {Object} connection - MySQL connection or pool (the booking transaction passes its own)
+   * @returns {Promise<Object>} - { available, units, max_guests, days: [{ date, booked_units, booked_guests, remaining_units, remaining_guests, available }] }
+   */
+  async getAvailability(propertyId, startDate, endDate, guests = 1, connection = mysqlPool) {
+    const from = toSqlDate(startDate);
+    const to = toSqlDate(endDate);
+
+    const [properties] = await connection.query(
+      'SELECT units, max_guests FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (properties.length === 0) {
+      throw new NotFoundError('Property not found');
+    }
+
+    const capacity = getCapacity(properties[0]);
+
+    // Las reservas por turnos tienen su propia disponibilidad (ver BookingSlotService)
+    const [bookings] = await connection.query(
+      `SELECT DATE_FORMAT(check_in_date, '%Y-%m-%d') as start,
+              DATE_FORMAT(check_out_date, '%Y-%m-%d') as end,
+              guests
+       FROM bookings
+       WHERE property_id = ?
+       AND status != 'cancelled'
+       AND deleted_at IS NULL
+       AND booking_type != 'slot'
+       AND check_in_date < ? AND check_out_date > ?`,
+      [propertyId, to, from]
+    );
+
+    const days = [];
+    for (let date = from; date < to; date = addDays(date, 1)) {
+      days.push({
+        date,
+        ...remainingCapacity(capacity, peakOccupancy(bookings, date, addDays(date, 1)), guests)
+      });
+    }
+
+    return {
+      available: days.length > 0 && days.every(day => day.available),
+      units: capacity.units,
+      max_guests: capacity.maxGuests,
+      days
+    };
+  }
+
   /**
    * Check if property is available for given date range
    * @param {number} propertyId - Property ID
    * @param {Date} startDate - Start date
    * @param {Date} endDate - End date
+   * @param {number} guests - Guests of the new booking
    * @returns {Promise<boolean>} - Whether property is available
    */
-  async checkAvailability(propertyId, startDate, endDate) {
+  async checkAvailability(propertyId, startDate, endDate, guests = 1) {
     try {
       console.log(`Verificando disponibilidad para propiedad ${propertyId}`);
       console.log(`Fechas solicitadas: ${startDate} a ${endDate}`);
@@ -592,35 +771,34 @@ class BookingService {
       const formattedEndDate = endDate instanceof Date ? 
         endDate.toISOString().split('T')[0] : endDate;
       
-      // Consultar reservas existentes que se solapan con el período solicitado
-      const [existingBookings] = await mysqlPool.query(
-        `SELECT * FROM bookings 
-         WHERE property_id = ? 
-         AND status != 'cancelled'
-         AND deleted_at IS NULL
-         AND (
-           (check_in_date <= ? AND check_out_date >= ?) OR
-           (check_in_date <= ? AND check_out_date >= ?) OR
-           (check_in_date >= ? AND check_out_date <= ?)
-         )`,
-        [
-          propertyId,
-          formattedEndDate, formattedStartDate,   // Caso 1: Reserva existente incluye fecha inicio
-          formattedStartDate, formattedStartDate, // Caso 2: Reserva existente incluye fecha fin
-          formattedStartDate, formattedEndDate    // Caso 3: Reserva existente dentro del rango
-        ]
-      );
+      // Fechas dentro de un cierre temporal del negocio
+      const closure = await this.findClosureConflict(propertyId, formattedStartDate, formattedEndDate);
+      if (closure) {
+        console.log(`La propiedad ${propertyId} está cerrada temporalmente hasta ${closure.reopen_date}.`);
+        return false;
+      }
       
-      // Si hay reservas existentes que se solapan, la propiedad no está disponible
-      if (existingBookings.length > 0) {
-        console.log(`La propiedad ${propertyId} no está disponible para las fechas solicitadas.`);
-        console.log(`Se encontraron ${existingBookings.length} reservas que se solapan.`);
+      // Fechas bloqueadas por el dueño (mantenimiento, eventos privados...)
+      const blockedDates = await BlackoutService.findBlockedDates(propertyId, formattedStartDate, formattedEndDate);
+      if (blockedDates.size > 0) {
+        console.log(`La propiedad ${propertyId} tiene fechas bloqueadas: ${[...blockedDates.keys()].join(', ')}`);
         return false;
       }
       
-      // Si no hay reservas existentes que se solapen, la propiedad está disponible
-      console.log(`La propiedad ${propertyId} está disponible para las fechas solicitadas.`);
-      return true;
+      // Reservas simultáneas contra las unidades y el máximo de personas de la propiedad
+      const availability = await this.getAvailability(
+        propertyId,
+        formattedStartDate,
+        formattedEndDate,
+        parseInt(guests) || 1
+      );
+      
+      if (!availability.available) {
+        const fullDays = availability.days.filter(day => !day.available).map(day => day.date);
+        console.log(`La propiedad ${propertyId} no tiene capacidad en: ${fullDays.join(', ')}`);
+      }
+      
+      return availability.available;
     } catch (error) {
       console.error('Error al verificar disponibilidad:', error);
       // En caso de error, es más seguro devolver false
@@ -773,7 +951,7 @@ async cancelExpiredBookings(timeoutMinutes = 30) {
           [booking.property_id]
         );
         
-        const property = propertyRows.length > 0 ? propertyRows[0] : null;
+        const property = propertyRows.length > 0 ? omitInternalColumns(propertyRows[0]) : null;
         
         // Get user data if available
         let user = null;
@@ -0,0 +1,365 @@
+// src/services/business-import.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError } from '../utils/errors/index.js';
+import { parseCsvRecords, toCsv } from '../utils/csv.js';
+import { parseCoordinates } from '../utils/geo.js';
+import { AdminService } from './admin.service.js';
+import { TaxonomyService } from './taxonomy.service.js';
+import { PropertyHoursService } from './property-hours.service.js';
+import { SearchService } from './search.service.js';
+import { DuplicateService } from './duplicate.service.js';
+
+// Columnas que se pueden importar (también son las primeras columnas de la exportación)
+export const IMPORT_COLUMNS = [
+  'external_key', 'title', 'category', 'property_type', 'description', 'address',
+  'lat', 'lng', 'phone', 'email', 'hours', 'amenities'
+];
+
+// Columnas informativas de la exportación que la importación ignora
+const READ_ONLY_COLUMNS = ['id', 'is_verified', 'is_featured', 'average_rating', 'created_at'];
+
+export const EXPORT_COLUMNS = ['id', ...IMPORT_COLUMNS, ...READ_ONLY_COLUMNS.slice(1)];
+
+const MAX_IMPORT_ROWS = 2000;
+
+// Las amenidades van separadas por "|" para no chocar con el separador del CSV
+const AMENITY_SEPARATOR = '|';
+
+const TEXT_LIMITS = {
+  external_key: 100,
+  title: 255,
+  address: 255,
+  phone: 100,
+  email: 100
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class BusinessImportService {
+  /**
+   * Importa negocios desde un CSV. Las filas con external_key existente actualizan el
+   * negocio (las celdas vacías no modifican el valor actual); el resto se crea sin dueño.
+   * La importación es todo o nada: si alguna fila tiene errores no se guarda ninguna.
+   * @param {Buffer|string} content - Contenido del archivo
+   * @param {Object} options - { dryRun }: solo validar y devolver el reporte
+   * @returns {Promise<Object>} - Reporte { dry_run, total_rows, created, updated, possible_duplicates, errors, rows }
+   */
+  static async importCsv(content, { dryRun = false } = {}) {
+    let parsed;
+    try {
+      parsed = parseCsvRecords(Buffer.isBuffer(content) ? content.toString('utf8') : content);
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+
+    const { headers, records } = parsed;
+
+    const unknownColumns = headers.filter(header =>
+      header && !IMPORT_COLUMNS.includes(header) && !READ_ONLY_COLUMNS.includes(header)
+    );
+    if (unknownColumns.length > 0) {
+      throw new ValidationError(
+        `Columnas no reconocidas: ${unknownColumns.join(', ')}. Columnas permitidas: ${IMPORT_COLUMNS.join(', ')}`
+      );
+    }
+    if (!headers.includes('title') && !headers.includes('external_key')) {
+      throw new ValidationError('El archivo debe incluir la columna title o external_key');
+    }
+    if (records.length === 0) {
+      throw new ValidationError('El archivo no tiene filas para importar');
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      throw new ValidationError(`El archivo no puede tener más de ${MAX_IMPORT_ROWS} filas`);
+    }
+
+    const existing = await this.findExistingByKey(
+      records.map(record => record.external_key).filter(Boolean)
+    );
+
+    const rows = [];
+    const errors = [];
+    const seenKeys = new Set();
+
+    for (const [index, record] of records.entries()) {
+      // Número de línea en la hoja de cálculo (la línea 1 es el encabezado)
+      const rowNumber = index + 2;
+      const externalKey = record.external_key || null;
+
+      try {
+        if (externalKey) {
+          if (seenKeys.has(externalKey)) {
+            throw new ValidationError(`external_key "${externalKey}" está repetido en el archivo`);
+          }
+          seenKeys.add(externalKey);
+        }
+
+        const prepared = await this.prepareRow(record, existing.get(externalKey) || null);
+
+        // Los negocios nuevos se comparan con los existentes; los posibles duplicados solo se
+        // informan (el administrador decide si fusionarlos después)
+        if (prepared.action === 'create') {
+          const duplicates = await DuplicateService.findDuplicates(prepared.data);
+          prepared.possibleDuplicates = duplicates.map(({ id, title, duplicate_score, reasons }) => ({
+            id, title, duplicate_score, reasons
+          }));
+        }
+
+        rows.push({ row: rowNumber, external_key: externalKey, ...prepared });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        errors.push({ row: rowNumber, external_key: externalKey, message: error.message });
+      }
+    }
+
+    const report = {
+      dry_run: dryRun,
+      total_rows: records.length,
+      created: rows.filter(row => row.action === 'create').length,
+      updated: rows.filter(row => row.action === 'update').length,
+      possible_duplicates: rows.filter(row => row.possibleDuplicates?.length > 0).length,
+      errors
+    };
+
+    if (dryRun) {
+      return {
+        ...report,
+        rows: rows.map(row => ({
+          row: row.row,
+          external_key: row.external_key,
+          action: row.action,
+          property_id: row.propertyId,
+          title: row.data.title,
+          possible_duplicates: row.possibleDuplicates || []
+        }))
+      };
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(
+        `El archivo tiene ${errors.length} filas con errores; no se importó ningún negocio`,
+        errors
+      );
+    }
+
+    const propertyIds = await this.applyRows(rows);
+
+    return {
+      ...report,
+      rows: rows.map((row, index) => ({
+        row: row.row,
+        external_key: row.external_key,
+        action: row.action,
+        property_id: propertyIds[index],
+        possible_duplicates: row.possibleDuplicates || []
+      }))
+    };
+  }
+
+  /**
+   * Negocios existentes por external_key
+   * @param {Array<string>} keys - Claves externas
+   * @returns {Promise<Map>} - external_key -> { id, category_id, type_id }
+   */
+  static async findExistingByKey(keys) {
+    if (keys.length === 0) {
+      return new Map();
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        'SELECT id, external_key, category_id, type_id FROM properties WHERE external_key IN (?)',
+        [keys]
+      );
+      return new Map(rows.map(row => [row.external_key, row]));
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Valida y normaliza una fila del CSV
+   * @param {Object} record - Celdas de la fila por columna
+   * @param {Object|null} current - Negocio existente con el mismo external_key
+   * @returns {Promise<Object>} - { action, propertyId, data, hours, amenities }
+   */
+  static async prepareRow(record, current) {
+    const data = {};
+
+    Object.entries(TEXT_LIMITS).forEach(([field, limit]) => {
+      if (record[field] && record[field].length > limit) {
+        throw new ValidationError(`${field} no puede exceder ${limit} caracteres`);
+      }
+    });
+
+    ['external_key', 'title', 'description', 'address', 'phone', 'email'].forEach(field => {
+      if (record[field]) {
+        data[field] = record[field];
+      }
+    });
+
+    if (!current && !data.title) {
+      throw new ValidationError('title es requerido para crear un negocio');
+    }
+
+    if (data.email && !EMAIL_PATTERN.test(data.email)) {
+      throw new ValidationError(`email "${data.email}" no es válido`);
+    }
+
+    if (record.lat || record.lng) {
+      const coordinates = parseCoordinates(record.lat, record.lng);
+      if (!coordinates) {
+        throw new ValidationError('lat y lng deben indicarse juntas y ser coordenadas válidas');
+      }
+      data.lat = coordinates.lat;
+      data.lng = coordinates.lng;
+    }
+
+    if (record.category) {
+      data.category = record.category;
+    }
+    if (record.property_type) {
+      data.property_type = record.property_type;
+    }
+    await TaxonomyService.resolveClassification(data, current);
+
+    const hours = record.hours ? PropertyHoursService.parseHoursText(record.hours) : null;
+
+    const amenities = record.amenities
+      ? [...new Set(record.amenities.split(AMENITY_SEPARATOR).map(a => a.trim()).filter(Boolean))]
+      : null;
+
+    return {
+      action: current ? 'update' : 'create',
+      propertyId: current ? current.id : null,
+      data,
+      hours,
+      amenities
+    };
+  }
+
+  /**
+   * Guarda las filas validadas en una sola transacción
+   * @param {Array} rows - Filas preparadas por prepareRow
+   * @returns {Promise<Array<number>>} - IDs de los negocios en el orden de las filas
+   */
+  static async applyRows(rows) {
+    const connection = await mysqlPool.getConnection();
+    const propertyIds = [];
+
+    try {
+      await connection.beginTransaction();
+
+      for (const row of rows) {
+        const fields = Object.keys(row.data);
+        let propertyId = row.propertyId;
+
+        if (row.action === 'create') {
+          const [result] = await connection.query(
+            `INSERT INTO properties (${[...fields, 'views'].join(', ')})
+             VALUES (${[...fields, 'views'].map(() => '?').join(', ')})`,
+            [...fields.map(field => row.data[field]), 0]
+          );
+          propertyId = result.insertId;
+        } else if (fields.length > 0) {
+          await connection.query(
+            `UPDATE properties SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => row.data[field]), propertyId]
+          );
+        }
+
+        if (row.amenities) {
+          await connection.query('DELETE FROM property_amenities WHERE property_id = ?', [propertyId]);
+          if (row.amenities.length > 0) {
+            await connection.query(
+              'INSERT INTO property_amenities (property_id, amenity) VALUES ?',
+              [row.amenities.map(amenity => [propertyId, amenity])]
+            );
+          }
+        }
+
+        if (row.hours) {
+          await connection.query('DELETE FROM property_hours WHERE property_id = ?', [propertyId]);
+          if (row.hours.length > 0) {
+            await connection.query(
+              'INSERT INTO property_hours (property_id, day_of_week, open_time, close_time) VALUES ?',
+              [row.hours.map(h => [propertyId, h.day_of_week, h.open_time, h.close_time])]
+            );
+          }
+        }
+
+        propertyIds.push(propertyId);
+      }
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      console.error('Error importando negocios:', error);
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    for (const propertyId of propertyIds) {
+      await SearchService.refreshSearchText(propertyId);
+    }
+
+    return propertyIds;
+  }
+
+  /**
+   * Exporta a CSV los negocios del listado de administración (mismos filtros, sin paginar)
+   * @param {Object} filters - Filtros de AdminService.getAllBusinesses
+   * @returns {Promise<string>} - Contenido CSV
+   */
+  static async exportCsv(filters = {}) {
+    const { businesses } = await AdminService.getAllBusinesses({
+      ...filters,
+      limit: undefined,
+      offset: undefined
+    });
+
+    const hoursByProperty = new Map();
+    if (businesses.length > 0) {
+      const connection = await mysqlPool.getConnection();
+      try {
+        const [hours] = await connection.query(
+          'SELECT property_id, day_of_week, open_time, close_time FROM property_hours WHERE property_id IN (?)',
+          [businesses.map(business => business.id)]
+        );
+        hours.forEach(shift => {
+          if (!hoursByProperty.has(shift.property_id)) {
+            hoursByProperty.set(shift.property_id, []);
+          }
+          hoursByProperty.get(shift.property_id).push(shift);
+        });
+      } finally {
+        connection.release();
+      }
+    }
+
+    const records = businesses.map(business => ({
+      id: business.id,
+      external_key: business.external_key,
+      title: business.title,
+      category: business.category,
+      property_type: business.property_type,
+      description: business.description,
+      address: business.address,
+      lat: business.lat,
+      lng: business.lng,
+      phone: business.phone,
+      email: business.email,
+      hours: PropertyHoursService.formatHoursText(hoursByProperty.get(business.id) || []),
+      amenities: business.amenities.join(AMENITY_SEPARATOR),
+      is_verified: business.isVerified ? 1 : 0,
+      is_featured: business.isFeatured ? 1 : 0,
+      average_rating: business.average_rating,
+      created_at: business.created_at
+    }));
+
+    return toCsv(EXPORT_COLUMNS, records);
+  }
+}
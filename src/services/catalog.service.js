@@ -0,0 +1,275 @@
+// src/services/catalog.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { Catalog } from '../models/mysql/catalog.model.js';
+import { PropertyService } from './property.service.js';
+import { SearchService } from './search.service.js';
+import { storageService } from './storage.service.js';
+import { parseBoolean } from '../utils/helpers.js';
+
+// Moneda de los precios del catálogo
+export const CATALOG_CURRENCY = 'HNL';
+
+// Etiquetas alimentarias / de servicio permitidas en los ítems
+export const DIETARY_TAGS = [
+  'vegetariano', 'vegano', 'sin-gluten', 'sin-lactosa', 'sin-azucar', 'picante', 'organico', 'halal', 'kosher'
+];
+
+const MAX_NAME_LENGTH = 150;
+const MAX_PRICE = 99999999.99;
+
+export class CatalogService {
+  /**
+   * Catálogo público de una propiedad
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} - { property_id, currency, sections: [{ ..., items }] }
+   */
+  static async getCatalog(propertyId) {
+    if (!propertyId) {
+      throw new ValidationError('ID de propiedad es requerido');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [property] = await connection.query('SELECT id FROM properties WHERE id = ?', [propertyId]);
+      if (property.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+    } finally {
+      connection.release();
+    }
+
+    const sections = await Catalog.getByPropertyId(propertyId);
+
+    return {
+      property_id: parseInt(propertyId),
+      currency: CATALOG_CURRENCY,
+      sections
+    };
+  }
+
+  /**
+   * Verifica que el usuario pueda administrar el catálogo de la propiedad
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} userId - ID del usuario
+   */
+  static async verifyOwnership(propertyId, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar el catálogo de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Valida los campos comunes de secciones e ítems
+   * @param {Object} data - Datos recibidos
+   * @param {boolean} partial - true para actualizaciones
+   * @returns {Object} - { name, description, sort_order } normalizados
+   */
+  static validateBaseData(data, partial = false) {
+    const result = {};
+
+    if (data.name !== undefined || !partial) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        throw new ValidationError('El nombre es requerido');
+      }
+      if (name.length > MAX_NAME_LENGTH) {
+        throw new ValidationError(`El nombre no puede exceder ${MAX_NAME_LENGTH} caracteres`);
+      }
+      result.name = name;
+    }
+
+    if (data.description !== undefined) {
+      result.description = data.description ? String(data.description).trim() : null;
+    }
+
+    if (data.sort_order !== undefined && data.sort_order !== '') {
+      const sortOrder = parseInt(data.sort_order);
+      if (Number.isNaN(sortOrder)) {
+        throw new ValidationError('sort_order debe ser un número');
+      }
+      result.sort_order = sortOrder;
+    }
+
+    return result;
+  }
+
+  /**
+   * Valida los datos de un ítem (precio, disponibilidad y etiquetas)
+   * @param {Object} data - Datos recibidos (JSON o multipart)
+   * @param {boolean} partial - true para actualizaciones
+   * @returns {Object} - Datos normalizados
+   */
+  static validateItemData(data, partial = false) {
+    const item = this.validateBaseData(data, partial);
+
+    if (data.price !== undefined) {
+      if (data.price === null || data.price === '') {
+        // Sin precio: "consultar" o precio variable
+        item.price = null;
+      } else {
+        const price = parseFloat(data.price);
+        if (Number.isNaN(price) || price < 0 || price > MAX_PRICE) {
+          throw new ValidationError('El precio debe ser un número positivo');
+        }
+        item.price = Math.round(price * 100) / 100;
+      }
+    }
+
+    if (data.is_available !== undefined) {
+      item.is_available = parseBoolean(data.is_available);
+    }
+
+    if (data.dietary_tags !== undefined) {
+      const tags = Array.isArray(data.dietary_tags)
+        ? data.dietary_tags
+        : String(data.dietary_tags || '').split(',');
+      const normalizedTags = [...new Set(tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+      const invalidTags = normalizedTags.filter(tag => !DIETARY_TAGS.includes(tag));
+      if (invalidTags.length > 0) {
+        throw new ValidationError(
+          `Etiquetas no válidas: ${invalidTags.join(', ')}. Permitidas: ${DIETARY_TAGS.join(', ')}`
+        );
+      }
+      item.dietary_tags = normalizedTags.length > 0 ? normalizedTags.join(',') : null;
+    }
+
+    return item;
+  }
+
+  static async createSection(propertyId, data, userId) {
+    const section = this.validateBaseData(data);
+    await this.verifyOwnership(propertyId, userId);
+
+    const sectionId = await Catalog.createSection(propertyId, section);
+    await SearchService.refreshSearchText(propertyId);
+
+    return Catalog.findSection(propertyId, sectionId);
+  }
+
+  static async updateSection(propertyId, sectionId, data, userId) {
+    const changes = this.validateBaseData(data, true);
+    await this.verifyOwnership(propertyId, userId);
+
+    if (!(await Catalog.findSection(propertyId, sectionId))) {
+      throw new NotFoundError('Sección no encontrada');
+    }
+
+    await Catalog.updateSection(sectionId, changes);
+    await SearchService.refreshSearchText(propertyId);
+
+    return Catalog.findSection(propertyId, sectionId);
+  }
+
+  static async deleteSection(propertyId, sectionId, userId) {
+    await this.verifyOwnership(propertyId, userId);
+
+    if (!(await Catalog.findSection(propertyId, sectionId))) {
+      throw new NotFoundError('Sección no encontrada');
+    }
+
+    const images = await Catalog.getSectionImages(sectionId);
+    await Catalog.deleteSection(sectionId);
+    await SearchService.refreshSearchText(propertyId);
+
+    await this.deleteImages(images);
+  }
+
+  /**
+   * Crea un ítem del catálogo
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} data - { section_id, name, description, price, is_available, dietary_tags, sort_order }
+   * @param {Object} imageFile - Foto opcional (multer)
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - Ítem creado
+   */
+  static async createItem(propertyId, data, imageFile, userId) {
+    const item = this.validateItemData(data);
+    await this.verifyOwnership(propertyId, userId);
+
+    if (!data.section_id || !(await Catalog.findSection(propertyId, data.section_id))) {
+      throw new ValidationError('section_id debe ser una sección del catálogo de esta propiedad');
+    }
+    item.section_id = parseInt(data.section_id);
+
+    if (imageFile) {
+      item.image_url = await storageService.uploadImage(imageFile, 'catalog', propertyId);
+    }
+
+    const itemId = await Catalog.createItem(propertyId, item);
+    await SearchService.refreshSearchText(propertyId);
+
+    return Catalog.findItem(propertyId, itemId);
+  }
+
+  /**
+   * Actualiza un ítem. Una foto nueva reemplaza a la anterior; remove_image=true la quita.
+   */
+  static async updateItem(propertyId, itemId, data, imageFile, userId) {
+    const changes = this.validateItemData(data, true);
+    await this.verifyOwnership(propertyId, userId);
+
+    const current = await Catalog.findItem(propertyId, itemId);
+    if (!current) {
+      throw new NotFoundError('Ítem no encontrado');
+    }
+
+    if (data.section_id !== undefined) {
+      if (!(await Catalog.findSection(propertyId, data.section_id))) {
+        throw new ValidationError('section_id debe ser una sección del catálogo de esta propiedad');
+      }
+      changes.section_id = parseInt(data.section_id);
+    }
+
+    if (imageFile) {
+      changes.image_url = await storageService.uploadImage(imageFile, 'catalog', propertyId);
+    } else if (parseBoolean(data.remove_image)) {
+      changes.image_url = null;
+    }
+
+    await Catalog.updateItem(itemId, changes);
+    await SearchService.refreshSearchText(propertyId);
+
+    if (changes.image_url !== undefined && current.image_url) {
+      await this.deleteImages([current.image_url]);
+    }
+
+    return Catalog.findItem(propertyId, itemId);
+  }
+
+  static async deleteItem(propertyId, itemId, userId) {
+    await this.verifyOwnership(propertyId, userId);
+
+    const current = await Catalog.findItem(propertyId, itemId);
+    if (!current) {
+      throw new NotFoundError('Ítem no encontrado');
+    }
+
+    await Catalog.deleteItem(itemId);
+    await SearchService.refreshSearchText(propertyId);
+
+    if (current.image_url) {
+      await this.deleteImages([current.image_url]);
+    }
+  }
+
+  // Eliminar fotos del almacenamiento sin interrumpir la operación si falla
+  static async deleteImages(imageUrls) {
+    for (const imageUrl of imageUrls) {
+      try {
+        await storageService.deleteImage(imageUrl);
+      } catch (error) {
+        console.warn(`No se pudo eliminar la imagen ${imageUrl}:`, error);
+      }
+    }
+  }
+}
@@ -0,0 +1,298 @@
+// src/services/claim.service.js
+import { mysqlPool } from '../config/database.js';
+import { storageService } from './storage.service.js';
+import { sendClaimStatusEmail } from './email.service.js';
+import {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  DatabaseError
+} from '../utils/errors/index.js';
+import { BusinessClaim } from '../models/mysql/business-claim.model.js';
+
+export class ClaimService {
+  /**
+   * Registra el reclamo de un negocio por parte de un usuario
+   * @param {number} propertyId - ID del negocio reclamado
+   * @param {number} userId - ID del usuario que reclama
+   * @param {Object} claimData - Datos de contacto y prueba
+   * @param {Object} documentFile - Documento de respaldo opcional (multer)
+   * @returns {Promise<Object>} - Reclamo creado
+   */
+  static async createClaim(propertyId, userId, claimData, documentFile = null) {
+    if (!propertyId || !userId) {
+      throw new ValidationError('ID de propiedad y de usuario son requeridos');
+    }
+
+    const errors = [];
+    if (!claimData.contact_name) errors.push('contact_name');
+    if (!claimData.contact_email) errors.push('contact_email');
+    if (!claimData.contact_phone && !documentFile) errors.push('contact_phone o document');
+
+    if (errors.length > 0) {
+      throw new ValidationError('Campos requeridos faltantes', errors);
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(claimData.contact_email)) {
+      throw new ValidationError('Formato de email inválido');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [property] = await connection.query(
+        'SELECT id, host_id FROM properties WHERE id = ?',
+        [propertyId]
+      );
+
+      if (property.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+
+      if (property[0].host_id) {
+        throw new ConflictError(
+          parseInt(property[0].host_id) === parseInt(userId)
+            ? 'Ya eres el dueño de este negocio'
+            : 'Este negocio ya tiene un dueño registrado'
+        );
+      }
+
+      const [pendingClaims] = await connection.query(
+        `SELECT id FROM business_claims
+         WHERE property_id = ? AND user_id = ? AND status = 'pending'`,
+        [propertyId, userId]
+      );
+
+      if (pendingClaims.length > 0) {
+        throw new ConflictError('Ya tienes un reclamo pendiente para este negocio');
+      }
+    } finally {
+      connection.release();
+    }
+
+    // Guardar el documento de respaldo (privado: solo lo descargan los administradores)
+    let documentKey = null;
+    if (documentFile) {
+      documentKey = await storageService.uploadPrivateFile(documentFile, 'claim', propertyId);
+    }
+
+    const claimId = await BusinessClaim.create({
+      property_id: propertyId,
+      user_id: userId,
+      contact_name: claimData.contact_name,
+      contact_email: claimData.contact_email,
+      contact_phone: claimData.contact_phone,
+      position: claimData.position,
+      message: claimData.message,
+      document_url: documentKey
+    });
+
+    return BusinessClaim.findById(claimId);
+  }
+
+  /**
+   * Obtiene los reclamos enviados por un usuario
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Array>} - Reclamos del usuario
+   */
+  static async getUserClaims(userId) {
+    if (!userId) {
+      throw new ValidationError('ID de usuario es requerido');
+    }
+
+    try {
+      return await BusinessClaim.findAll({ user_id: userId });
+    } catch (error) {
+      console.error('Error al obtener reclamos del usuario:', error);
+      throw new DatabaseError('Error al obtener reclamos');
+    }
+  }
+
+  /**
+   * Cola de revisión de reclamos para administradores
+   * @param {Object} filters - status, property_id, limit, offset
+   * @returns {Promise<Array>} - Reclamos
+   */
+  static async getClaims(filters = {}) {
+    const validStatuses = ['pending', 'approved', 'rejected'];
+    if (filters.status && !validStatuses.includes(filters.status)) {
+      throw new ValidationError(`Estado inválido. Debe ser uno de: ${validStatuses.join(', ')}`);
+    }
+
+    try {
+      return await BusinessClaim.findAll(filters);
+    } catch (error) {
+      console.error('Error al obtener reclamos:', error);
+      throw new DatabaseError('Error al obtener reclamos');
+    }
+  }
+
+  /**
+   * Aprueba un reclamo: transfiere la propiedad al solicitante,
+   * marca el negocio como verificado y rechaza los demás reclamos pendientes
+   * @param {number} claimId - ID del reclamo
+   * @param {number} adminId - ID del administrador que revisa
+   * @param {string} notes - Notas de la revisión
+   * @returns {Promise<Object>} - Reclamo actualizado
+   */
+  static async approveClaim(claimId, adminId, notes = null) {
+    const claim = await this.getPendingClaim(claimId);
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await connection.beginTransaction();
+
+      // Bloquear el negocio y luego el reclamo: dos aprobaciones simultáneas para el mismo
+      // negocio se ejecutan una después de la otra y la segunda ya no encuentra su reclamo pendiente
+      await connection.query(
+        'SELECT id FROM properties WHERE id = ? FOR UPDATE',
+        [claim.property_id]
+      );
+
+      const [lockedClaims] = await connection.query(
+        'SELECT status FROM business_claims WHERE id = ? FOR UPDATE',
+        [claimId]
+      );
+
+      if (lockedClaims.length === 0) {
+        throw new NotFoundError('Reclamo no encontrado');
+      }
+      if (lockedClaims[0].status !== 'pending') {
+        throw new ConflictError('El reclamo ya fue revisado');
+      }
+
+      const [result] = await connection.query(
+        `UPDATE business_claims
+         SET status = 'approved', review_notes = ?, reviewed_by = ?, reviewed_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [notes, adminId, claimId]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new ConflictError('El reclamo ya fue revisado');
+      }
+
+      await connection.query(
+        'UPDATE properties SET host_id = ?, isVerified = TRUE WHERE id = ?',
+        [claim.user_id, claim.property_id]
+      );
+
+      await connection.query(
+        `UPDATE business_claims
+         SET status = 'rejected', review_notes = ?, reviewed_by = ?, reviewed_at = NOW()
+         WHERE property_id = ? AND status = 'pending' AND id != ?`,
+        ['Se aprobó otro reclamo para este negocio', adminId, claim.property_id, claimId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      if (error instanceof NotFoundError || error instanceof ConflictError) {
+        throw error;
+      }
+      console.error('Error al aprobar reclamo:', error);
+      throw new DatabaseError('Error al aprobar el reclamo');
+    } finally {
+      connection.release();
+    }
+
+    await this.notifyClaimant(claim, true, notes);
+
+    return BusinessClaim.findById(claimId);
+  }
+
+  /**
+   * Rechaza un reclamo pendiente
+   * @param {number} claimId - ID del reclamo
+   * @param {number} adminId - ID del administrador que revisa
+   * @param {string} notes - Motivo del rechazo
+   * @returns {Promise<Object>} - Reclamo actualizado
+   */
+  static async rejectClaim(claimId, adminId, notes = null) {
+    const claim = await this.getPendingClaim(claimId);
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      // Solo si sigue pendiente: pudo aprobarse o rechazarse mientras tanto
+      const [result] = await connection.query(
+        `UPDATE business_claims
+         SET status = 'rejected', review_notes = ?, reviewed_by = ?, reviewed_at = NOW()
+         WHERE id = ? AND status = 'pending'`,
+        [notes, adminId, claimId]
+      );
+
+      if (result.affectedRows === 0) {
+        throw new ConflictError('El reclamo ya fue revisado');
+      }
+    } catch (error) {
+      if (error instanceof ConflictError) {
+        throw error;
+      }
+      console.error('Error al rechazar reclamo:', error);
+      throw new DatabaseError('Error al rechazar el reclamo');
+    } finally {
+      connection.release();
+    }
+
+    await this.notifyClaimant(claim, false, notes);
+
+    return BusinessClaim.findById(claimId);
+  }
+
+  /**
+   * Documento de respaldo de un reclamo (solo administradores). Los reclamos anteriores
+   * a los documentos privados guardaban una URL pública: se devuelve para redirigir.
+   * @param {number} claimId - ID del reclamo
+   * @returns {Promise<Object>} - { buffer, contentType, fileName } o { url }
+   */
+  static async getClaimDocument(claimId) {
+    const documentKey = await BusinessClaim.getDocumentKey(claimId);
+
+    if (!documentKey) {
+      throw new NotFoundError('Documento de respaldo no encontrado');
+    }
+
+    if (!storageService.isPrivateKey(documentKey)) {
+      return { url: documentKey };
+    }
+
+    const document = await storageService.getPrivateFile(documentKey);
+    if (!document) {
+      throw new NotFoundError('Documento no encontrado');
+    }
+
+    return document;
+  }
+
+  // Obtener un reclamo y verificar que siga pendiente de revisión
+  static async getPendingClaim(claimId) {
+    if (!claimId) {
+      throw new ValidationError('ID de reclamo es requerido');
+    }
+
+    const claim = await BusinessClaim.findById(claimId);
+
+    if (!claim) {
+      throw new NotFoundError('Reclamo no encontrado');
+    }
+
+    if (claim.status !== 'pending') {
+      throw new ConflictError('El reclamo ya fue revisado');
+    }
+
+    return claim;
+  }
+
+  // Enviar el resultado de la revisión al solicitante sin interrumpir el flujo si falla
+  static async notifyClaimant(claim, approved, notes) {
+    try {
+      await sendClaimStatusEmail(claim.contact_email || claim.user_email, {
+        propertyTitle: claim.property_title,
+        approved,
+        notes
+      });
+    } catch (error) {
+      console.warn(`No se pudo notificar el reclamo ${claim.id}:`, error);
+    }
+  }
+}
@@ -0,0 +1,252 @@
+// src/services/deal.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { Deal, formatDeal } from '../models/mysql/deal.model.js';
+import { PropertyService } from './property.service.js';
+import { getZonedDateTime, isValidDate, parseBoolean } from '../utils/helpers.js';
+
+const MAX_TITLE_LENGTH = 150;
+const COUPON_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+const DEAL_STATUSES = ['active', 'cancelled'];
+
+export class DealService {
+  /**
+   * Valida y normaliza los datos de una promoción
+   * @param {Object} data - { title, description, terms, discount_percent, coupon_code,
+   *                          start_date, end_date, weekdays, status }
+   * @param {Object|null} current - Promoción actual (para actualizaciones)
+   * @returns {Object} - Campos normalizados listos para guardar
+   */
+  static validateDealData(data, current = null) {
+    const deal = {};
+
+    if (data.title !== undefined || !current) {
+      const title = typeof data.title === 'string' ? data.title.trim() : '';
+      if (!title) {
+        throw new ValidationError('El título de la promoción es requerido');
+      }
+      if (title.length > MAX_TITLE_LENGTH) {
+        throw new ValidationError(`El título no puede exceder ${MAX_TITLE_LENGTH} caracteres`);
+      }
+      deal.title = title;
+    }
+
+    ['description', 'terms'].forEach(field => {
+      if (data[field] !== undefined) {
+        deal[field] = data[field] ? String(data[field]).trim() : null;
+      }
+    });
+
+    if (data.discount_percent !== undefined) {
+      if (data.discount_percent === null || data.discount_percent === '') {
+        deal.discount_percent = null;
+      } else {
+        const discount = parseFloat(data.discount_percent);
+        if (Number.isNaN(discount) || discount <= 0 || discount > 100) {
+          throw new ValidationError('discount_percent debe ser un número entre 0 y 100');
+        }
+        deal.discount_percent = Math.round(discount * 100) / 100;
+      }
+    }
+
+    if (data.coupon_code !== undefined) {
+      const coupon = data.coupon_code ? String(data.coupon_code).trim().toUpperCase() : '';
+      if (coupon && !COUPON_PATTERN.test(coupon)) {
+        throw new ValidationError(
+          'El cupón debe tener entre 3 y 30 caracteres (letras, números, guiones o guion bajo)'
+        );
+      }
+      deal.coupon_code = coupon || null;
+    }
+
+    if (data.start_date !== undefined || !current) {
+      if (!data.start_date || !isValidDate(data.start_date)) {
+        throw new ValidationError('start_date es requerido y debe tener el formato YYYY-MM-DD');
+      }
+      deal.start_date = data.start_date;
+    }
+
+    if (data.end_date !== undefined) {
+      if (data.end_date && !isValidDate(data.end_date)) {
+        throw new ValidationError('end_date debe tener el formato YYYY-MM-DD');
+      }
+      deal.end_date = data.end_date || null;
+    }
+
+    const startDate = deal.start_date ?? current?.start_date;
+    const endDate = deal.end_date !== undefined ? deal.end_date : current?.end_date;
+    if (endDate && endDate < startDate) {
+      throw new ValidationError('end_date no puede ser anterior a start_date');
+    }
+
+    if (data.weekdays !== undefined) {
+      const days = Array.isArray(data.weekdays)
+        ? data.weekdays
+        : String(data.weekdays ?? '').split(',');
+      const normalized = [...new Set(
+        days.map(day => String(day).trim()).filter(day => day !== '').map(Number)
+      )].sort((a, b) => a - b);
+
+      if (normalized.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new ValidationError('weekdays debe contener días entre 0 (domingo) y 6 (sábado)');
+      }
+      // Todos los días equivale a no restringir
+      deal.weekdays = normalized.length > 0 && normalized.length < 7 ? normalized.join(',') : null;
+    }
+
+    if (data.status !== undefined) {
+      if (!DEAL_STATUSES.includes(data.status)) {
+        throw new ValidationError(`status debe ser uno de: ${DEAL_STATUSES.join(', ')}`);
+      }
+      deal.status = data.status;
+    }
+
+    return deal;
+  }
+
+  static async verifyOwnership(propertyId, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para administrar las promociones de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Promociones de una propiedad. El público ve las vigentes y próximas;
+   * con all=true el dueño ve también las vencidas y canceladas.
+   */
+  static async getPropertyDeals(propertyId, { all = false } = {}, userId = null) {
+    const today = getZonedDateTime();
+
+    if (parseBoolean(all)) {
+      await this.verifyOwnership(propertyId, userId);
+      return Deal.findAllByPropertyId(propertyId, today);
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [property] = await connection.query('SELECT id FROM properties WHERE id = ?', [propertyId]);
+      if (property.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+    } finally {
+      connection.release();
+    }
+
+    return Deal.findCurrentByPropertyId(propertyId, today);
+  }
+
+  /**
+   * Feed público de promociones vigentes
+   * @param {Object} filters - { category, property_type, city, today (solo las que aplican hoy), page, limit }
+   * @returns {Promise<Object>} - { deals, total, page, limit, totalPages }
+   */
+  static async getDealsFeed(filters = {}) {
+    const page = Math.max(parseInt(filters.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(filters.limit) || 20, 1), 50);
+    const offset = (page - 1) * limit;
+    const today = getZonedDateTime();
+
+    const active = Deal.activeCondition(today, parseBoolean(filters.today));
+    const clauses = PropertyService.buildFilterClauses({
+      category: filters.category,
+      property_type: filters.property_type,
+      city: filters.city
+    });
+
+    const where = [
+      active.sql,
+      '(p.archived IS NULL OR p.archived = FALSE)',
+      ...clauses.map(clause => clause.sql)
+    ].join(' AND ');
+    const params = [...active.params, ...clauses.flatMap(clause => clause.params)];
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [[{ total }]] = await connection.query(
+        `SELECT COUNT(*) as total
+         FROM property_deals d
+         JOIN properties p ON d.property_id = p.id
+         WHERE ${where}`,
+        params
+      );
+
+      // Primero las que vencen antes; las que no tienen fecha de fin al final
+      const [rows] = await connection.query(
+        `SELECT d.*, p.title as property_title, p.image, p.category,
+                p.property_type, p.address, p.average_rating
+         FROM property_deals d
+         JOIN properties p ON d.property_id = p.id
+         WHERE ${where}
+         ORDER BY d.end_date IS NULL, d.end_date ASC, d.created_at DESC
+         LIMIT ? OFFSET ?`,
+        [...params, limit, offset]
+      );
+
+      return {
+        deals: rows.map(row => formatDeal(row, today)),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  static async createDeal(propertyId, data, userId) {
+    const deal = this.validateDealData(data);
+    await this.verifyOwnership(propertyId, userId);
+
+    const dealId = await Deal.create(propertyId, deal);
+    return formatDeal(await Deal.findById(propertyId, dealId), getZonedDateTime());
+  }
+
+  static async updateDeal(propertyId, dealId, data, userId) {
+    await this.verifyOwnership(propertyId, userId);
+
+    const current = await Deal.findById(propertyId, dealId);
+    if (!current) {
+      throw new NotFoundError('Promoción no encontrada');
+    }
+
+    const changes = this.validateDealData(data, formatDeal(current));
+
+    // Extender la fecha de fin reactiva una promoción vencida
+    const endDate = changes.end_date !== undefined ? changes.end_date : formatDeal(current).end_date;
+    if (current.status === 'expired' && changes.status === undefined &&
+        (!endDate || endDate >= getZonedDateTime().date)) {
+      changes.status = 'active';
+    }
+
+    await Deal.update(dealId, changes);
+    return formatDeal(await Deal.findById(propertyId, dealId), getZonedDateTime());
+  }
+
+  static async deleteDeal(propertyId, dealId, userId) {
+    await this.verifyOwnership(propertyId, userId);
+
+    if (!(await Deal.findById(propertyId, dealId))) {
+      throw new NotFoundError('Promoción no encontrada');
+    }
+
+    await Deal.delete(dealId);
+  }
+
+  /**
+   * Marca como vencidas las promociones cuya fecha de fin ya pasó (tarea programada)
+   * @returns {Promise<Object>} - { expired }
+   */
+  static async expireDeals() {
+    const expired = await Deal.expirePastDeals(getZonedDateTime());
+    return { expired };
+  }
+}
@@ -0,0 +1,434 @@
+// src/services/duplicate.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors/index.js';
+import { parseCoordinates, distanceSql, withinRadiusSql } from '../utils/geo.js';
+import { SearchService } from './search.service.js';
+
+// Palabras que no distinguen un negocio de otro ("Café El Sol S. de R.L." ~ "Cafe Sol")
+const NAME_STOPWORDS = new Set([
+  'el', 'la', 'los', 'las', 'de', 'del', 'y', 'e', 'en', 'the', 'and',
+  's', 'a', 'sa', 'r', 'l', 'rl', 'cv', 'srl'
+]);
+
+// Peso de cada coincidencia en la probabilidad de duplicado
+const DUPLICATE_WEIGHTS = {
+  name: 0.55,
+  phone: 0.25,
+  email: 0.2,
+  proximity: 0.2
+};
+
+// Probabilidad a partir de la cual se marca como posible duplicado
+const DUPLICATE_THRESHOLD = 0.5;
+
+// Radio en el que se buscan candidatos por ubicación
+const PROXIMITY_RADIUS_KM = 0.5;
+
+// Los teléfonos se comparan por sus últimos 8 dígitos (sin código de país)
+const PHONE_DIGITS = 8;
+
+const MAX_CANDIDATES = 50;
+
+// Campos del duplicado que se copian al negocio que sobrevive si este no los tiene
+const FILL_FIELDS = ['description', 'address', 'phone', 'email', 'lat', 'lng', 'category', 'property_type', 'category_id', 'type_id', 'image'];
+
+const normalizePhone = (phone) => {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-PHONE_DIGITS) : null;
+};
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : null);
+
+export class DuplicateService {
+  /**
+   * Normaliza el nombre de un negocio para compararlo
+   * @param {string} name - Nombre original
+   * @returns {string} - Palabras significativas, sin acentos ni signos
+   */
+  static normalizeName(name) {
+    return SearchService.tokenize(name)
+      .filter(word => !NAME_STOPWORDS.has(word))
+      .join(' ');
+  }
+
+  /**
+   * Similitud entre dos nombres (coeficiente de Dice sobre pares de letras, 0 a 1)
+   * @param {string} a - Primer nombre
+   * @param {string} b - Segundo nombre
+   * @returns {number}
+   */
+  static nameSimilarity(a, b) {
+    const first = this.normalizeName(a).replace(/ /g, '');
+    const second = this.normalizeName(b).replace(/ /g, '');
+
+    if (!first || !second) {
+      return 0;
+    }
+    if (first === second) {
+      return 1;
+    }
+    if (first.length < 2 || second.length < 2) {
+      return 0;
+    }
+
+    const bigrams = (text) => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const pair = text.slice(i, i + 2);
+        counts.set(pair, (counts.get(pair) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const firstPairs = bigrams(first);
+    const secondPairs = bigrams(second);
+    let shared = 0;
+    firstPairs.forEach((count, pair) => {
+      shared += Math.min(count, secondPairs.get(pair) || 0);
+    });
+
+    return (2 * shared) / (first.length - 1 + second.length - 1);
+  }
+
+  /**
+   * Busca negocios que probablemente sean el mismo que `data`
+   * @param {Object} data - { title, phone, email, lat, lng }
+   * @param {Object} options - { excludeId }
+   * @returns {Promise<Array>} - [{ id, title, address, phone, email, distance_km, duplicate_score, reasons }]
+   */
+  static async findDuplicates(data, { excludeId = null } = {}) {
+    const phone = normalizePhone(data.phone);
+    const email = normalizeEmail(data.email);
+    const origin = parseCoordinates(data.lat, data.lng);
+    const nameTokens = SearchService.tokenize(this.normalizeName(data.title));
+
+    const conditions = [];
+    const params = [];
+
+    if (nameTokens.length > 0) {
+      conditions.push('MATCH(p.search_text) AGAINST(? IN BOOLEAN MODE)');
+      params.push(nameTokens.map(token => `${token}*`).join(' '));
+    }
+    if (phone) {
+      conditions.push("REGEXP_REPLACE(p.phone, '[^0-9]', '') LIKE ?");
+      params.push(`%${phone}`);
+    }
+    if (email) {
+      conditions.push('LOWER(p.email) = ?');
+      params.push(email);
+    }
+    if (origin) {
+      const nearby = withinRadiusSql(origin, PROXIMITY_RADIUS_KM);
+      conditions.push(nearby.sql);
+      params.push(...nearby.params);
+    }
+
+    if (conditions.length === 0) {
+      return [];
+    }
+
+    const distance = origin ? distanceSql(origin) : null;
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [candidates] = await connection.query(
+        `SELECT p.id, p.title, p.address, p.phone, p.email, p.lat, p.lng, p.category, p.property_type
+                ${distance ? `, ${distance.sql} as distance_km` : ''}
+         FROM properties p
+         WHERE p.merged_into_id IS NULL
+           AND (p.archived IS NULL OR p.archived = FALSE)
+           ${excludeId ? 'AND p.id != ?' : ''}
+           AND (${conditions.join(' OR ')})
+         LIMIT ?`,
+        [
+          ...(distance ? distance.params : []),
+          ...(excludeId ? [excludeId] : []),
+          ...params,
+          MAX_CANDIDATES
+        ]
+      );
+
+      return candidates
+        .map(candidate => this.scoreCandidate({ title: data.title, phone, email }, candidate))
+        .filter(candidate => candidate.duplicate_score >= DUPLICATE_THRESHOLD)
+        .sort((a, b) => b.duplicate_score - a.duplicate_score);
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Probabilidad (0 a 1) de que un candidato sea el mismo negocio, con sus motivos
+   */
+  static scoreCandidate(reference, candidate) {
+    const reasons = [];
+
+    const nameScore = this.nameSimilarity(reference.title, candidate.title);
+    if (nameScore >= 0.7) {
+      reasons.push(`nombre similar (${Math.round(nameScore * 100)}%)`);
+    }
+
+    const samePhone = Boolean(reference.phone) && normalizePhone(candidate.phone) === reference.phone;
+    if (samePhone) {
+      reasons.push('mismo teléfono');
+    }
+
+    const sameEmail = Boolean(reference.email) && normalizeEmail(candidate.email) === reference.email;
+    if (sameEmail) {
+      reasons.push('mismo correo');
+    }
+
+    const distanceKm = candidate.distance_km !== undefined && candidate.distance_km !== null
+      ? Number(candidate.distance_km)
+      : null;
+    let proximity = 0;
+    if (distanceKm !== null && distanceKm <= PROXIMITY_RADIUS_KM) {
+      proximity = distanceKm <= 0.1 ? 1 : 0.5;
+      reasons.push(`a ${Math.round(distanceKm * 1000)} m`);
+    }
+
+    const score = DUPLICATE_WEIGHTS.name * nameScore +
+      DUPLICATE_WEIGHTS.phone * (samePhone ? 1 : 0) +
+      DUPLICATE_WEIGHTS.email * (sameEmail ? 1 : 0) +
+      DUPLICATE_WEIGHTS.proximity * proximity;
+
+    const { lat, lng, ...summary } = candidate;
+
+    return {
+      ...summary,
+      distance_km: distanceKm !== null ? Math.round(distanceKm * 1000) / 1000 : null,
+      duplicate_score: Math.round(Math.min(score, 1) * 100) / 100,
+      reasons
+    };
+  }
+
+  /**
+   * Posibles duplicados de un negocio existente
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<Array>}
+   */
+  static async findDuplicatesOf(propertyId) {
+    const connection = await mysqlPool.getConnection();
+    let property;
+    try {
+      const [rows] = await connection.query(
+        'SELECT id, title, phone, email, lat, lng FROM properties WHERE id = ?',
+        [propertyId]
+      );
+      property = rows[0];
+    } finally {
+      connection.release();
+    }
+
+    if (!property) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    return this.findDuplicates(property, { excludeId: property.id });
+  }
+
+  /**
+   * Fusiona un negocio duplicado en otro. Imágenes, amenidades, reseñas, reservas, favoritos,
+   * vistas, promociones y reclamos pasan al que sobrevive; horario y catálogo solo si este no
+   * los tiene, igual que el dueño (si ambos tienen dueños distintos no se fusionan).
+   * El duplicado queda archivado con merged_into_id para redirigir su ID.
+   * @param {number} survivorId - ID del negocio que se conserva
+   * @param {number} duplicateId - ID del negocio que se fusiona
+   * @returns {Promise<Object>} - { survivor_id, merged_id, moved: { ... } }
+   */
+  static async mergeProperties(survivorId, duplicateId) {
+    const targetId = parseInt(survivorId);
+    const sourceId = parseInt(duplicateId);
+
+    if (!targetId || !sourceId) {
+      throw new ValidationError('Se requieren el ID del negocio a conservar y el del duplicado');
+    }
+    if (targetId === sourceId) {
+      throw new ValidationError('Un negocio no se puede fusionar consigo mismo');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    const moved = {};
+
+    try {
+      await connection.beginTransaction();
+
+      const [properties] = await connection.query(
+        'SELECT * FROM properties WHERE id IN (?, ?) FOR UPDATE',
+        [targetId, sourceId]
+      );
+      const survivor = properties.find(property => property.id === targetId);
+      const duplicate = properties.find(property => property.id === sourceId);
+
+      if (!survivor || !duplicate) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+      if (survivor.merged_into_id || duplicate.merged_into_id) {
+        throw new ConflictError('Uno de los negocios ya fue fusionado con otro');
+      }
+      // Con dueños distintos el administrador debe resolver primero a quién pertenece el negocio
+      if (survivor.host_id && duplicate.host_id && survivor.host_id !== duplicate.host_id) {
+        throw new ConflictError('Los negocios tienen dueños distintos; transfiera uno antes de fusionarlos');
+      }
+
+      // Galería: las imágenes del duplicado van al final, sin reemplazar la principal
+      const [[{ max_order: maxOrder }]] = await connection.query(
+        'SELECT COALESCE(MAX(sort_order), -1) as max_order FROM property_images WHERE property_id = ?',
+        [targetId]
+      );
+      const [images] = await connection.query(
+        `UPDATE property_images SET property_id = ?, is_primary = FALSE, sort_order = sort_order + ?
+         WHERE property_id = ?`,
+        [targetId, maxOrder + 1, sourceId]
+      );
+      moved.images = images.affectedRows;
+
+      // Imagen principal del duplicado que no está en su galería
+      if (duplicate.image && survivor.image && duplicate.image !== survivor.image) {
+        const [[{ count }]] = await connection.query(
+          'SELECT COUNT(*) as count FROM property_images WHERE property_id = ? AND image_url = ?',
+          [targetId, duplicate.image]
+        );
+        if (count === 0) {
+          await connection.query(
+            `INSERT INTO property_images (property_id, image_url, is_primary, sort_order)
+             SELECT ?, ?, FALSE, COALESCE(MAX(sort_order) + 1, 0) FROM property_images WHERE property_id = ?`,
+            [targetId, duplicate.image, targetId]
+          );
+          moved.images += 1;
+        }
+      }
+
+      // Amenidades y mascotas: unión de ambos
+      const [amenities] = await connection.query(
+        `INSERT IGNORE INTO property_amenities (property_id, amenity)
+         SELECT ?, amenity FROM property_amenities WHERE property_id = ?`,
+        [targetId, sourceId]
+      );
+      moved.amenities = amenities.affectedRows;
+      await connection.query(
+        `INSERT IGNORE INTO property_pets_allowed (property_id, pet_type)
+         SELECT ?, pet_type FROM property_pets_allowed WHERE property_id = ?`,
+        [targetId, sourceId]
+      );
+      await connection.query('DELETE FROM property_amenities WHERE property_id = ?', [sourceId]);
+      await connection.query('DELETE FROM property_pets_allowed WHERE property_id = ?', [sourceId]);
+
+      // Reseñas, reservas, promociones y reclamos se trasladan tal cual
+      for (const [key, table] of [
+        ['reviews', 'reviews'],
+        ['bookings', 'bookings'],
+        ['deals', 'property_deals'],
+        ['claims', 'business_claims']
+      ]) {
+        const [result] = await connection.query(
+          `UPDATE ${table} SET property_id = ? WHERE property_id = ?`,
+          [targetId, sourceId]
+        );
+        moved[key] = result.affectedRows;
+      }
+
+      // Favoritos: un usuario que tenía ambos conserva uno solo
+      const [favorites] = await connection.query(
+        'UPDATE IGNORE favorites SET property_id = ? WHERE property_id = ?',
+        [targetId, sourceId]
+      );
+      moved.favorites = favorites.affectedRows;
+      await connection.query('DELETE FROM favorites WHERE property_id = ?', [sourceId]);
+
+      // Vistas: se suman los conteos diarios y el total. Un visitante pudo ver ambos negocios,
+      // así que los visitantes únicos del día no se suman: se conserva el mayor
+      await connection.query(
+        `INSERT INTO property_view_daily (property_id, view_date, views, unique_visitors)
+         SELECT ?, view_date, views, unique_visitors FROM property_view_daily WHERE property_id = ?
+         ON DUPLICATE KEY UPDATE
+           views = property_view_daily.views + VALUES(views),
+           unique_visitors = GREATEST(property_view_daily.unique_visitors, VALUES(unique_visitors))`,
+        [targetId, sourceId]
+      );
+      await connection.query('DELETE FROM property_view_daily WHERE property_id = ?', [sourceId]);
+      await connection.query(
+        'UPDATE property_view_events SET property_id = ? WHERE property_id = ?',
+        [targetId, sourceId]
+      );
+
+      // Horario y catálogo: solo si el negocio que sobrevive no tiene
+      const [[{ hours }]] = await connection.query(
+        'SELECT COUNT(*) as hours FROM property_hours WHERE property_id = ?',
+        [targetId]
+      );
+      if (hours === 0) {
+        await connection.query('UPDATE property_hours SET property_id = ? WHERE property_id = ?', [targetId, sourceId]);
+        await connection.query(
+          'UPDATE property_hour_exceptions SET property_id = ? WHERE property_id = ?',
+          [targetId, sourceId]
+        );
+      }
+
+      const [[{ sections }]] = await connection.query(
+        'SELECT COUNT(*) as sections FROM catalog_sections WHERE property_id = ?',
+        [targetId]
+      );
+      if (sections === 0) {
+        await connection.query('UPDATE catalog_sections SET property_id = ? WHERE property_id = ?', [targetId, sourceId]);
+        await connection.query('UPDATE catalog_items SET property_id = ? WHERE property_id = ?', [targetId, sourceId]);
+      }
+
+      // Datos que le faltan al negocio que sobrevive
+      const fill = FILL_FIELDS.filter(field =>
+        (survivor[field] === null || survivor[field] === '') && duplicate[field] !== null && duplicate[field] !== ''
+      );
+
+      // El dueño (y la verificación de su reclamo) pasa al que sobrevive si este no tiene
+      if (!survivor.host_id && duplicate.host_id) {
+        fill.push('host_id');
+        if (duplicate.isVerified) {
+          fill.push('isVerified');
+        }
+      }
+
+      // La clave de importación pasa al que sobrevive para que los próximos CSV lo actualicen
+      const moveExternalKey = !survivor.external_key && duplicate.external_key;
+      if (moveExternalKey) {
+        await connection.query('UPDATE properties SET external_key = NULL WHERE id = ?', [sourceId]);
+        fill.push('external_key');
+      }
+
+      await connection.query(
+        `UPDATE properties SET
+           ${fill.map(field => `${field} = ?, `).join('')}
+           views = COALESCE(views, 0) + ?,
+           average_rating = (SELECT COALESCE(AVG(rating), 0) FROM reviews WHERE property_id = ?)
+         WHERE id = ?`,
+        [...fill.map(field => duplicate[field]), duplicate.views || 0, targetId, targetId]
+      );
+
+      // El duplicado queda archivado y redirige al que sobrevive (también los fusionados en él)
+      await connection.query(
+        `UPDATE properties SET merged_into_id = ?, archived = TRUE, archived_at = NOW(),
+           archived_reason = ?, isFeatured = FALSE
+         WHERE id = ?`,
+        [targetId, `Fusionado con #${targetId}`, sourceId]
+      );
+      await connection.query(
+        'UPDATE properties SET merged_into_id = ? WHERE merged_into_id = ?',
+        [targetId, sourceId]
+      );
+
+      await connection.commit();
+    } catch (error) {
+      await connection.rollback();
+      throw error;
+    } finally {
+      connection.release();
+    }
+
+    await SearchService.refreshSearchText(targetId);
+
+    return {
+      survivor_id: targetId,
+      merged_id: sourceId,
+      moved
+    };
+  }
+}
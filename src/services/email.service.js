@@ -1,6 +1,14 @@
 import globalVariable from '../config/index.js'
 import {transporter} from '../config/email.config.js'
 
+// Texto ingresado por usuarios o administradores que se inserta en el HTML del correo
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 export async function sendResetEmail(toEmail, resetLink) {
 
   const mailOptions = {
@@ -19,4 +27,30 @@ export async function sendResetEmail(toEmail, resetLink) {
         error: "Error al enviar enlace."
     }
   }
-}
\ No newline at end of file
+}
+
+export async function sendClaimStatusEmail(toEmail, { propertyTitle, approved, notes }) {
+  const title = escapeHtml(propertyTitle);
+
+  const mailOptions = {
+    from: globalVariable.emailAcount,
+    to: toEmail,
+    subject: approved
+      ? `Tu reclamo de "${propertyTitle}" fue aprobado`
+      : `Tu reclamo de "${propertyTitle}" fue rechazado`,
+    html: approved
+      ? `<p>¡Felicidades! Verificamos tu solicitud y ahora eres el dueño de <strong>${title}</strong>.</p>
+         <p>Ya puedes administrar la información del negocio desde tu cuenta.</p>`
+      : `<p>Revisamos tu solicitud para reclamar <strong>${title}</strong> y no pudimos aprobarla.</p>
+         ${notes ? `<p>Motivo: ${escapeHtml(notes)}</p>` : ''}
+         <p>Puedes enviar un nuevo reclamo con información adicional.</p>`
+  };
+
+  try {
+    await transporter.sendMail(mailOptions);
+  } catch (error) {
+    throw {
+        error: "Error al enviar notificación de reclamo."
+    }
+  }
+}
@@ -0,0 +1,102 @@
+// src/services/image-processing.service.js
+import sharp from 'sharp';
+import { ValidationError } from '../utils/errors/index.js';
+
+// Tamaños generados para cada imagen subida. Todas se guardan en WebP.
+export const IMAGE_VARIANTS = {
+  thumbnail: { width: 200, height: 200, fit: 'cover', quality: 70 },
+  card: { width: 640, height: 427, fit: 'cover', quality: 78 },
+  full: { width: 1920, height: 1920, fit: 'inside', quality: 82 }
+};
+
+export const VARIANT_EXTENSION = 'webp';
+export const VARIANT_CONTENT_TYPE = 'image/webp';
+
+// Las variantes comparten nombre base y solo cambia el sufijo: <base>-<variante>.webp
+const VARIANT_URL_PATTERN = new RegExp(
+  `^(.*)-(${Object.keys(IMAGE_VARIANTS).join('|')})\\.${VARIANT_EXTENSION}(\\?.*)?$`
+);
+
+// Tipos de archivo que se convierten; el resto (p. ej. PDF) se guarda tal cual
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif', 'image/tiff'];
+
+export class ImageProcessingService {
+  /**
+   * Indica si un archivo subido debe convertirse en variantes
+   * @param {Object} file - Archivo de multer
+   * @returns {boolean}
+   */
+  static isProcessable(file) {
+    return Boolean(file && PROCESSABLE_TYPES.includes(file.mimetype));
+  }
+
+  /**
+   * Genera las variantes WebP de una imagen. La orientación EXIF se aplica antes de
+   * redimensionar y los metadatos (EXIF, GPS, ICC) no se copian a la salida.
+   * @param {Buffer} buffer - Contenido original
+   * @returns {Promise<Array>} - [{ name, buffer, width, height }]
+   */
+  static async createVariants(buffer) {
+    try {
+      return await Promise.all(
+        Object.entries(IMAGE_VARIANTS).map(async ([name, options]) => {
+          const { data, info } = await sharp(buffer, { failOn: 'error' })
+            .rotate()
+            .resize({
+              width: options.width,
+              height: options.height,
+              fit: options.fit,
+              withoutEnlargement: true
+            })
+            .webp({ quality: options.quality })
+            .toBuffer({ resolveWithObject: true });
+
+          return { name, buffer: data, width: info.width, height: info.height };
+        })
+      );
+    } catch (error) {
+      console.error('Error procesando imagen:', error);
+      throw new ValidationError('No se pudo procesar la imagen. Verifique que el archivo sea una imagen válida.');
+    }
+  }
+
+  /**
+   * Nombre de archivo de una variante a partir del nombre base
+   * @param {string} baseName - Nombre sin sufijo ni extensión
+   * @param {string} variant - Nombre de la variante
+   * @returns {string}
+   */
+  static variantFileName(baseName, variant) {
+    return `${baseName}-${variant}.${VARIANT_EXTENSION}`;
+  }
+
+  /**
+   * URLs de todas las variantes de una imagen. Para imágenes subidas antes de
+   * generar variantes, todas apuntan a la URL original.
+   * @param {string} imageUrl - URL guardada (la variante "full")
+   * @returns {Object|null} - { thumbnail, card, full } o null si no hay imagen
+   */
+  static getImageVariants(imageUrl) {
+    if (!imageUrl || typeof imageUrl !== 'string') {
+      return null;
+    }
+
+    const match = imageUrl.match(VARIANT_URL_PATTERN);
+
+    return Object.fromEntries(
+      Object.keys(IMAGE_VARIANTS).map(variant => [
+        variant,
+        match ? `${match[1]}-${variant}.${VARIANT_EXTENSION}${match[3] || ''}` : imageUrl
+      ])
+    );
+  }
+
+  /**
+   * Indica si una URL pertenece a un conjunto de variantes generado por este servicio
+   * @param {string} imageUrl - URL guardada
+   * @returns {boolean}
+   */
+  static hasVariants(imageUrl) {
+    return typeof imageUrl === 'string' && VARIANT_URL_PATTERN.test(imageUrl);
+  }
+}
@@ -0,0 +1,126 @@
+// src/services/local-storage.service.js
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Mismo directorio que server.js publica en /uploads
+const UPLOADS_DIR = path.join(__dirname, '..', '..', 'public', 'uploads');
+const UPLOADS_ROUTE = '/uploads/';
+
+// Documentos privados (p. ej. pruebas de reclamos): fuera de public, solo se leen desde la API
+const PRIVATE_DIR = path.join(__dirname, '..', '..', 'storage', 'private');
+
+const PRIVATE_CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png'
+};
+
+// Almacenamiento en disco local para desarrollo y pruebas sin conexión
+class LocalStorageService {
+  constructor() {
+    this.uploadsDir = process.env.LOCAL_STORAGE_DIR || UPLOADS_DIR;
+    // URL pública base (p. ej. http://localhost:5000); vacía = rutas relativas /uploads/...
+    this.publicUrl = (process.env.LOCAL_STORAGE_PUBLIC_URL || '').replace(/\/+$/, '');
+    this.privateDir = process.env.LOCAL_PRIVATE_STORAGE_DIR || PRIVATE_DIR;
+  }
+
+  // Indica si una URL corresponde a un archivo guardado por este almacenamiento
+  ownsUrl(fileUrl) {
+    if (!fileUrl) {
+      return false;
+    }
+    if (fileUrl.startsWith(UPLOADS_ROUTE)) {
+      return true;
+    }
+    return Boolean(this.publicUrl) && fileUrl.startsWith(`${this.publicUrl}${UPLOADS_ROUTE}`);
+  }
+
+  async uploadImage(file, entityType = 'property', entityId = 'default') {
+    try {
+      await fs.mkdir(this.uploadsDir, { recursive: true });
+
+      // Crear un nombre único para el archivo
+      const extension = file.originalname.split('.').pop();
+      const fileName = `${entityType}-${entityId}-${uuidv4()}.${extension}`;
+
+      await fs.writeFile(path.join(this.uploadsDir, fileName), file.buffer);
+
+      const fileUrl = `${this.publicUrl}${UPLOADS_ROUTE}${fileName}`;
+      console.log(`Imagen guardada localmente. Tipo: ${entityType}, URL: ${fileUrl}`);
+      return fileUrl;
+    } catch (error) {
+      console.error('Error guardando imagen en almacenamiento local:', error);
+      throw error;
+    }
+  }
+
+  // Guardar contenido ya procesado con un nombre de archivo determinado
+  async uploadBuffer(buffer, fileName) {
+    try {
+      await fs.mkdir(this.uploadsDir, { recursive: true });
+      await fs.writeFile(path.join(this.uploadsDir, path.basename(fileName)), buffer);
+      return `${this.publicUrl}${UPLOADS_ROUTE}${path.basename(fileName)}`;
+    } catch (error) {
+      console.error('Error guardando archivo en almacenamiento local:', error);
+      throw error;
+    }
+  }
+
+  // Guardar un documento privado; no queda accesible desde /uploads
+  async uploadPrivateBuffer(buffer, fileName) {
+    try {
+      await fs.mkdir(this.privateDir, { recursive: true });
+      await fs.writeFile(path.join(this.privateDir, path.basename(fileName)), buffer);
+      return true;
+    } catch (error) {
+      console.error('Error guardando documento privado en almacenamiento local:', error);
+      throw error;
+    }
+  }
+
+  // Leer un documento privado (null si no existe)
+  async readPrivateFile(fileName) {
+    const safeName = path.basename(fileName);
+    try {
+      const buffer = await fs.readFile(path.join(this.privateDir, safeName));
+      const extension = safeName.split('.').pop().toLowerCase();
+      return {
+        buffer,
+        contentType: PRIVATE_CONTENT_TYPES[extension] || 'application/octet-stream'
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      console.error('Error leyendo documento privado del almacenamiento local:', error);
+      throw error;
+    }
+  }
+
+  async deleteImage(fileUrl) {
+    try {
+      // basename evita que una URL manipulada salga del directorio de uploads
+      const fileName = path.basename(fileUrl.split('?')[0]);
+      await fs.unlink(path.join(this.uploadsDir, fileName));
+      console.log(`Archivo "${fileName}" eliminado del almacenamiento local`);
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      console.error('Error eliminando imagen del almacenamiento local:', error);
+      throw error;
+    }
+  }
+}
+
+export const localStorageService = new LocalStorageService();
@@ -7,6 +7,13 @@ import {
   ConflictError,
   AuthorizationError 
 } from '../utils/errors/index.js';
+import bookingService from './booking.service.js';
+
+// Diferencia máxima aceptada entre el monto pagado y el total calculado (redondeo de centavos)
+const AMOUNT_TOLERANCE = 0.01;
+
+const amountMatches = (amount, total) =>
+  Math.abs(parseFloat(amount) - parseFloat(total)) <= AMOUNT_TOLERANCE;
 
 export class PaymentService {
   // Modificación para corregir el error en payment.service.js
@@ -51,8 +58,9 @@ static async createPayment(paymentData) {
     
     // Solo verificamos existencia si no es un ID temporal
     if (!String(bookingId).startsWith('temp-')) {
+      let booking = [];
       try {
-        const [booking] = await connection.query(
+        [booking] = await connection.query(
           'SELECT * FROM bookings WHERE id = ?',
           [bookingId]
         );
@@ -62,6 +70,11 @@ static async createPayment(paymentData) {
         console.error('Error verificando la reserva:', error);
         bookingExists = false;
       }
+
+      // El total de la reserva lo calculó el servidor: el pago debe cubrir ese monto
+      if (bookingExists && booking[0].total_price !== null && !amountMatches(paymentData.amount, booking[0].total_price)) {
+        throw new ValidationError('El monto del pago no coincide con el total de la reserva');
+      }
     } else {
       bookingExists = false;
     }
@@ -73,9 +86,11 @@ static async createPayment(paymentData) {
       // Extraer datos de booking
       let guestName = 'Cliente';
       let guestEmail = 'cliente@example.com';
-      let checkInDate = new Date();
-      let checkOutDate = new Date();
-      checkOutDate.setMonth(checkOutDate.getMonth() + 6); // + 6 meses por defecto
+      
+      // Sin propiedad no hay nada que reservar ni cobrar
+      if (!paymentData.property_id || isNaN(parseInt(paymentData.property_id))) {
+        throw new ValidationError('property_id es requerido para pagar una reserva nueva');
+      }
       
       // Intentar obtener datos del detalle del pago
       try {
@@ -94,27 +109,28 @@ static async createPayment(paymentData) {
       // ID de usuario por defecto (ajustar según tu sistema)
       const defaultUserId = 1;
       
-      // Crear la reserva
-      const [bookingResult] = await connection.query(
-        `INSERT INTO bookings 
-         (property_id, user_id, guest_name, guest_email, check_in_date, check_out_date, 
-          guests, total_price, status, created_at)
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
-        [
-          1, // ID de propiedad por defecto
-          defaultUserId, // Siempre asignar user_id
-          guestName,
-          guestEmail,
-          checkInDate,
-          checkOutDate,
-          1, // 1 invitado por defecto
-          paymentData.amount,
-          'confirmed'
-        ]
-      );
+      // La reserva se crea como en POST /api/bookings (cierre, bloqueos, capacidad bajo el
+      // bloqueo FOR UPDATE y total cotizado en el servidor), dentro de esta misma transacción
+      const booking = await bookingService.create({
+        propertyId: parseInt(paymentData.property_id),
+        startDate: paymentData.check_in_date,
+        endDate: paymentData.check_out_date,
+        slotStart: paymentData.slot_start,
+        slots: paymentData.slots,
+        guests: paymentData.guests || 1,
+        guestName,
+        guestEmail
+      }, defaultUserId, { connection });
+      
+      // El monto enviado por el cliente solo se acepta si coincide con el total calculado
+      if (!amountMatches(paymentData.amount, booking.totalPrice)) {
+        throw new ValidationError('El monto del pago no coincide con el total de la reserva', [
+          `Total calculado: ${booking.totalPrice} ${booking.priceBreakdown.currency}`
+        ]);
+      }
       
       // Usar el nuevo ID de reserva
-      actualBookingId = bookingResult.insertId;
+      actualBookingId = booking.id;
       console.log('Nueva reserva creada con ID:', actualBookingId);
     }
 
@@ -0,0 +1,494 @@
+// src/services/pricing.service.js
+import { mysqlPool } from '../config/database.js';
+import { BOOKING_CURRENCY, ISV_RATE, DEFAULT_BASE_RATE } from '../config/constants.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { getZonedDateTime, addDays, isValidDate } from '../utils/helpers.js';
+import { HOLIDAY_SEASONS, isInHolidaySeason } from '../utils/holidays.js';
+import { getCapacity } from '../utils/capacity.js';
+import { RatePlan, formatRateSeason } from '../models/mysql/rate-plan.model.js';
+import { PropertyService } from './property.service.js';
+import { BookingSlotService } from './booking-slot.service.js';
+
+const MAX_RATE = 1000000;
+const MAX_SERVICE_FEE_PERCENT = 30;
+
+// Una temporada de fechas fijas no puede durar más de un año
+const MAX_SEASON_DAYS = 366;
+
+// Noches que se pueden cotizar de una vez (el máximo de una reserva son 36 meses)
+const MAX_NIGHTS = 1096;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Tarifas de un negocio que todavía no configuró las suyas: DEFAULT_BASE_RATE sin recargos
+const defaultRatePlan = (propertyId) => ({
+  property_id: Number(propertyId),
+  base_rate: DEFAULT_BASE_RATE,
+  weekend_rate: null,
+  weekend_days: [5, 6],
+  included_guests: null,
+  extra_guest_fee: 0,
+  cleaning_fee: 0,
+  service_fee_percent: 0,
+  is_default: true
+});
+
+const dayOfWeek = (date) => new Date(`${date}T00:00:00Z`).getUTCDay();
+
+// Monto opcional: undefined conserva el valor actual, null o '' lo quita
+const parseAmount = (value, field, max = MAX_RATE) => {
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const amount = Number(value);
+  if (Number.isNaN(amount) || amount < 0 || amount > max) {
+    throw new ValidationError(`${field} debe ser un número entre 0 y ${max}`);
+  }
+
+  return roundMoney(amount);
+};
+
+export class PricingService {
+  /**
+   * Tarifas y temporadas de una propiedad, con las fechas de las temporadas festivas del año
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} - { currency, isv_rate, plan, seasons, holidays }
+   */
+  static async getRates(propertyId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [rows] = await connection.query('SELECT id FROM properties WHERE id = ?', [propertyId]);
+      if (rows.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+    } finally {
+      connection.release();
+    }
+
+    const [plan, seasons] = await Promise.all([
+      this.getPlan(propertyId),
+      RatePlan.getSeasons(propertyId)
+    ]);
+
+    const year = Number(getZonedDateTime().date.slice(0, 4));
+
+    return {
+      currency: BOOKING_CURRENCY,
+      isv_rate: ISV_RATE,
+      plan,
+      seasons,
+      holidays: Object.entries(HOLIDAY_SEASONS).map(([key, holiday]) => ({
+        key,
+        name: holiday.name,
+        ...holiday.range(year)
+      }))
+    };
+  }
+
+  /**
+   * Crea o actualiza las tarifas de una propiedad (solo dueño o administrador).
+   * Los campos omitidos conservan su valor actual.
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} data - { base_rate, weekend_rate, weekend_days, included_guests,
+   *   extra_guest_fee, cleaning_fee, service_fee_percent }
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - Tarifas actualizadas (ver getRates)
+   */
+  static async updateRatePlan(propertyId, data = {}, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar las tarifas de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    const current = await RatePlan.findByPropertyId(propertyId) || {
+      base_rate: null,
+      weekend_rate: null,
+      weekend_days: [5, 6],
+      included_guests: null,
+      extra_guest_fee: 0,
+      cleaning_fee: 0,
+      service_fee_percent: 0
+    };
+
+    const plan = { ...current };
+
+    if (data.base_rate !== undefined) {
+      plan.base_rate = parseAmount(data.base_rate, 'base_rate');
+    }
+    if (plan.base_rate === null) {
+      throw new ValidationError('base_rate es requerido');
+    }
+
+    if (data.weekend_rate !== undefined) {
+      plan.weekend_rate = parseAmount(data.weekend_rate, 'weekend_rate');
+    }
+
+    if (data.weekend_days !== undefined) {
+      const days = Array.isArray(data.weekend_days)
+        ? data.weekend_days
+        : String(data.weekend_days || '').split(',').filter(day => day.trim() !== '');
+      plan.weekend_days = [...new Set(days.map(Number))].sort();
+      if (plan.weekend_days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+        throw new ValidationError('weekend_days debe contener días de 0 (domingo) a 6 (sábado)');
+      }
+    }
+
+    if (data.included_guests !== undefined) {
+      plan.included_guests = data.included_guests === null || data.included_guests === ''
+        ? null
+        : Number(data.included_guests);
+      if (plan.included_guests !== null && (!Number.isInteger(plan.included_guests) || plan.included_guests < 1)) {
+        throw new ValidationError('included_guests debe ser un número entero mayor que 0');
+      }
+    }
+
+    ['extra_guest_fee', 'cleaning_fee'].forEach(field => {
+      if (data[field] !== undefined) {
+        plan[field] = parseAmount(data[field], field) || 0;
+      }
+    });
+
+    if (data.service_fee_percent !== undefined) {
+      plan.service_fee_percent = parseAmount(
+        data.service_fee_percent,
+        'service_fee_percent',
+        MAX_SERVICE_FEE_PERCENT
+      ) || 0;
+    }
+
+    await RatePlan.upsert(propertyId, plan);
+
+    return this.getRates(propertyId);
+  }
+
+  /**
+   * Registra una temporada con tarifa propia (solo dueño o administrador)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} data - { name, rate, holiday } o { name, rate, start_date, end_date }
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - Temporada creada
+   */
+  static async addSeason(propertyId, data = {}, userId) {
+    const { holiday, start_date: startDate, end_date: endDate } = data;
+
+    if (holiday && !HOLIDAY_SEASONS[holiday]) {
+      throw new ValidationError(`holiday debe ser uno de: ${Object.keys(HOLIDAY_SEASONS).join(', ')}`);
+    }
+
+    const name = (data.name || (holiday ? HOLIDAY_SEASONS[holiday].name : '')).trim();
+    if (!name || name.length > 100) {
+      throw new ValidationError('El nombre de la temporada es requerido (máximo 100 caracteres)');
+    }
+
+    if (data.rate === undefined || data.rate === null || data.rate === '') {
+      throw new ValidationError('rate es requerido');
+    }
+    const rate = parseAmount(data.rate, 'rate');
+
+    if (!holiday) {
+      if (!isValidDate(startDate) || !isValidDate(endDate)) {
+        throw new ValidationError('Indique holiday o start_date y end_date con el formato YYYY-MM-DD');
+      }
+      if (endDate < startDate) {
+        throw new ValidationError('end_date no puede ser anterior a start_date');
+      }
+      if (endDate > addDays(startDate, MAX_SEASON_DAYS - 1)) {
+        throw new ValidationError(`Una temporada no puede durar más de ${MAX_SEASON_DAYS} días`);
+      }
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar las tarifas de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    const season = {
+      name,
+      holiday: holiday || null,
+      start_date: holiday ? null : startDate,
+      end_date: holiday ? null : endDate,
+      rate
+    };
+
+    const id = await RatePlan.createSeason(propertyId, season);
+
+    return formatRateSeason({ id, ...season });
+  }
+
+  /**
+   * Elimina una temporada de una propiedad (solo dueño o administrador)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} seasonId - ID de la temporada
+   * @param {number} userId - ID del usuario
+   */
+  static async deleteSeason(propertyId, seasonId, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar las tarifas de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    const deleted = await RatePlan.deleteSeason(propertyId, seasonId);
+    if (!deleted) {
+      throw new NotFoundError('Temporada no encontrada');
+    }
+  }
+
+  /**
+   * Cotización de una reserva con el desglose de cargos e impuestos.
+   * Es el único cálculo del total: BookingService.create guarda este mismo resultado.
+   * @param {Object} request - { property_id, check_in_date, check_out_date, slot_start, slots, guests }
+   * @returns {Promise<Object>} - Estadía cotizada y desglose (ver buildQuote)
+   */
+  static async quote(request = {}) {
+    const propertyId = parseInt(request.property_id);
+    if (!propertyId) {
+      throw new ValidationError('property_id es requerido');
+    }
+
+    const guests = request.guests === undefined || request.guests === null || request.guests === ''
+      ? 1
+      : Number(request.guests);
+    if (!Number.isInteger(guests) || guests < 1) {
+      throw new ValidationError('guests debe ser un número entero mayor que 0');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    let property;
+    try {
+      const [rows] = await connection.query('SELECT * FROM properties WHERE id = ?', [propertyId]);
+      if (rows.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+      property = rows[0];
+    } finally {
+      connection.release();
+    }
+
+    const capacity = getCapacity(property);
+    if (capacity.maxGuests !== null && guests > capacity.maxGuests) {
+      throw new ValidationError(`Esta propiedad admite como máximo ${capacity.maxGuests} personas`);
+    }
+
+    let stay;
+    if (property.booking_mode === 'slot') {
+      if (!request.slot_start) {
+        throw new ValidationError('Este negocio reserva por turnos: slot_start es requerido');
+      }
+
+      const slot = await BookingSlotService.resolveSlotBooking(property, request.slot_start, request.slots);
+      stay = {
+        booking_type: 'slot',
+        start_at: slot.startAt,
+        end_at: slot.endAt,
+        dates: slot.slots.map(item => item.start.slice(0, 10))
+      };
+    } else {
+      const { check_in_date: checkIn, check_out_date: checkOut } = request;
+      if (!isValidDate(checkIn) || !isValidDate(checkOut)) {
+        throw new ValidationError('check_in_date y check_out_date deben tener el formato YYYY-MM-DD');
+      }
+      if (checkOut <= checkIn) {
+        throw new ValidationError('La fecha de salida debe ser posterior a la fecha de entrada');
+      }
+      if (checkOut > addDays(checkIn, MAX_NIGHTS)) {
+        throw new ValidationError(`No se pueden cotizar más de ${MAX_NIGHTS} noches`);
+      }
+
+      stay = {
+        booking_type: 'date_range',
+        check_in_date: checkIn,
+        check_out_date: checkOut,
+        dates: this.stayNights(checkIn, checkOut)
+      };
+    }
+
+    const { dates, ...stayDetails } = stay;
+    const quote = await this.priceStay(propertyId, dates, guests, stay.booking_type);
+
+    return {
+      property_id: propertyId,
+      ...stayDetails,
+      ...quote
+    };
+  }
+
+  /**
+   * Noches de una estadía: de la fecha de entrada al día anterior a la salida
+   * @param {string} checkIn - Fecha YYYY-MM-DD
+   * @param {string} checkOut - Fecha YYYY-MM-DD
+   * @returns {Array<string>}
+   */
+  static stayNights(checkIn, checkOut) {
+    const nights = [];
+    for (let date = checkIn; date < checkOut; date = addDays(date, 1)) {
+      nights.push(date);
+    }
+    return nights;
+  }
+
+  /**
+   * Tarifas de una propiedad; si el dueño no las configuró se usa la tarifa por defecto
+   * (DEFAULT_BASE_RATE) para que los negocios existentes se puedan reservar
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} - Tarifas (ver RatePlan.findByPropertyId) con is_default
+   */
+  static async getPlan(propertyId) {
+    const plan = await RatePlan.findByPropertyId(propertyId);
+
+    return plan ? { ...plan, is_default: false } : defaultRatePlan(propertyId);
+  }
+
+  /**
+   * Cotiza noches o turnos con las tarifas de la propiedad (o las tarifas por defecto)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Array<string>} dates - Fecha de cada noche o turno (YYYY-MM-DD)
+   * @param {number} guests - Personas
+   * @param {string} bookingType - 'date_range' | 'slot'
+   * @returns {Promise<Object>} - Desglose (ver buildQuote)
+   */
+  static async priceStay(propertyId, dates, guests, bookingType = 'date_range') {
+    const [plan, seasons] = await Promise.all([
+      this.getPlan(propertyId),
+      RatePlan.getSeasons(propertyId)
+    ]);
+
+    return this.buildQuote(plan, seasons, dates, guests, bookingType);
+  }
+
+  /**
+   * Tarifa de cada fecha. Prioridad: temporada (la más alta si se cruzan varias),
+   * luego fin de semana y por último la tarifa base.
+   * @param {Object} plan - Tarifas (ver RatePlan.findByPropertyId)
+   * @param {Array} seasons - Temporadas de la propiedad
+   * @param {Array<string>} dates - Fechas YYYY-MM-DD
+   * @returns {Array} - [{ date, rate_type: 'base' | 'weekend' | 'season', label, unit_price }]
+   */
+  static getUnitPrices(plan, seasons, dates) {
+    return dates.map(date => {
+      const season = seasons
+        .filter(item => (item.holiday
+          ? isInHolidaySeason(item.holiday, date)
+          : item.start_date <= date && date <= item.end_date))
+        .sort((a, b) => b.rate - a.rate)[0];
+
+      if (season) {
+        return { date, rate_type: 'season', label: season.name, unit_price: season.rate };
+      }
+
+      if (plan.weekend_rate !== null && plan.weekend_days.includes(dayOfWeek(date))) {
+        return { date, rate_type: 'weekend', label: 'Tarifa de fin de semana', unit_price: plan.weekend_rate };
+      }
+
+      return { date, rate_type: 'base', label: 'Tarifa base', unit_price: plan.base_rate };
+    });
+  }
+
+  /**
+   * Desglose de una cotización: tarifas agrupadas, personas adicionales, limpieza,
+   * cargo por servicio e ISV sobre el subtotal
+   * @param {Object} plan - Tarifas
+   * @param {Array} seasons - Temporadas
+   * @param {Array<string>} dates - Fecha de cada noche o turno
+   * @param {number} guests - Personas
+   * @param {string} bookingType - 'date_range' | 'slot'
+   * @returns {Object} - { currency, nights|slots, guests, line_items, subtotal, taxes, total }
+   */
+  static buildQuote(plan, seasons, dates, guests, bookingType = 'date_range') {
+    const unitName = bookingType === 'slot' ? ['turno', 'turnos'] : ['noche', 'noches'];
+    const describe = (label, count) => `${label} × ${count} ${count === 1 ? unitName[0] : unitName[1]}`;
+
+    // Las noches o turnos con la misma tarifa se agrupan en una línea
+    const rateItems = [];
+    this.getUnitPrices(plan, seasons, dates).forEach(price => {
+      const item = rateItems.find(line => line.rate_type === price.rate_type &&
+        line.label === price.label && line.unit_price === price.unit_price);
+
+      if (item) {
+        item.quantity++;
+        item.dates.push(price.date);
+      } else {
+        rateItems.push({ ...price, quantity: 1, dates: [price.date] });
+      }
+    });
+
+    const lineItems = rateItems.map(({ date, label, ...item }) => ({
+      type: 'rate',
+      ...item,
+      description: describe(label, item.quantity),
+      amount: roundMoney(item.unit_price * item.quantity)
+    }));
+
+    const extraGuests = plan.included_guests !== null ? Math.max(guests - plan.included_guests, 0) : 0;
+    if (extraGuests > 0 && plan.extra_guest_fee > 0) {
+      const quantity = extraGuests * dates.length;
+      lineItems.push({
+        type: 'extra_guests',
+        description: describe(extraGuests === 1 ? 'Persona adicional' : `${extraGuests} personas adicionales`, dates.length),
+        quantity,
+        unit_price: plan.extra_guest_fee,
+        amount: roundMoney(plan.extra_guest_fee * quantity)
+      });
+    }
+
+    if (plan.cleaning_fee > 0) {
+      lineItems.push({
+        type: 'cleaning_fee',
+        description: 'Cargo de limpieza',
+        quantity: 1,
+        unit_price: plan.cleaning_fee,
+        amount: plan.cleaning_fee
+      });
+    }
+
+    if (plan.service_fee_percent > 0) {
+      const base = lineItems.reduce((sum, item) => sum + item.amount, 0);
+      lineItems.push({
+        type: 'service_fee',
+        description: `Cargo por servicio (${plan.service_fee_percent}%)`,
+        quantity: 1,
+        unit_price: roundMoney(base * plan.service_fee_percent / 100),
+        amount: roundMoney(base * plan.service_fee_percent / 100)
+      });
+    }
+
+    const subtotal = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+    const isv = roundMoney(subtotal * ISV_RATE);
+
+    return {
+      currency: BOOKING_CURRENCY,
+      [bookingType === 'slot' ? 'slots' : 'nights']: dates.length,
+      guests,
+      line_items: lineItems,
+      subtotal,
+      taxes: [{
+        code: 'ISV',
+        name: 'Impuesto Sobre Ventas',
+        rate: ISV_RATE,
+        amount: isv
+      }],
+      total: roundMoney(subtotal + isv)
+    };
+  }
+}
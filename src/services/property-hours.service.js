@@ -0,0 +1,351 @@
+// src/services/property-hours.service.js
+import { mysqlPool } from '../config/database.js';
+import { BUSINESS_TIMEZONE } from '../config/constants.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { getZonedDateTime, normalizeTime, isValidDate } from '../utils/helpers.js';
+import { PropertyHours } from '../models/mysql/property-hours.model.js';
+import { formatClosure } from '../models/mysql/property.model.js';
+import { PropertyService } from './property.service.js';
+
+// Abreviaturas de los días en el formato de texto (índice = day_of_week, 0 = domingo)
+const DAY_ABBREVIATIONS = ['dom', 'lun', 'mar', 'mie', 'jue', 'vie', 'sab'];
+
+// Orden de la semana para el formato de texto (lunes primero)
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+const normalizeDayName = (value) =>
+  value.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim().slice(0, 3);
+
+export class PropertyHoursService {
+  /**
+   * Obtiene el horario semanal, las excepciones próximas y si el negocio está abierto ahora
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} - Horario de la propiedad
+   */
+  static async getPropertyHours(propertyId) {
+    if (!propertyId) {
+      throw new ValidationError('ID de propiedad es requerido');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    let property;
+    try {
+      const [rows] = await connection.query(
+        'SELECT id, closure_reason, closed_from, reopen_date FROM properties WHERE id = ?',
+        [propertyId]
+      );
+      if (rows.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+      property = rows[0];
+    } finally {
+      connection.release();
+    }
+
+    const now = getZonedDateTime();
+    const [hours, exceptions, isOpenNow] = await Promise.all([
+      PropertyHours.getByPropertyId(propertyId),
+      PropertyHours.getExceptions(propertyId, now.previousDate),
+      PropertyHours.isOpenAt(propertyId, now)
+    ]);
+
+    // Un cierre temporal prevalece sobre el horario
+    const { temporarily_closed: temporarilyClosed, closure } = formatClosure(property, now.date);
+
+    return {
+      timezone: BUSINESS_TIMEZONE,
+      hours,
+      exceptions,
+      is_open_now: isOpenNow && !temporarilyClosed,
+      closure
+    };
+  }
+
+  /**
+   * Reemplaza el horario semanal de una propiedad
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Array} hours - Turnos [{ day_of_week, open_time, close_time }]; los días omitidos quedan cerrados
+   * @param {number} userId - ID del usuario que realiza el cambio
+   * @returns {Promise<Object>} - Horario actualizado
+   */
+  static async updatePropertyHours(propertyId, hours, userId) {
+    if (!Array.isArray(hours)) {
+      throw new ValidationError('hours debe ser una lista de turnos');
+    }
+
+    const normalizedHours = hours.map((shift, index) => this.validateShift(shift, index));
+    this.checkOverlaps(normalizedHours);
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar el horario de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    await PropertyHours.replaceForProperty(propertyId, normalizedHours);
+
+    return this.getPropertyHours(propertyId);
+  }
+
+  /**
+   * Registra una fecha especial (feriado, cierre temporal u horario especial)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} exceptionData - { date, is_closed, open_time, close_time, reason }
+   * @param {number} userId - ID del usuario que realiza el cambio
+   * @returns {Promise<Object>} - Excepción creada
+   */
+  static async addException(propertyId, exceptionData, userId) {
+    const { date, reason } = exceptionData;
+
+    if (!isValidDate(date)) {
+      throw new ValidationError('La fecha debe tener el formato YYYY-MM-DD');
+    }
+
+    const isClosed = !(exceptionData.is_closed === false || exceptionData.is_closed === 'false');
+    let openTime = null;
+    let closeTime = null;
+
+    if (!isClosed) {
+      const shift = this.validateShift({ day_of_week: 0, open_time: exceptionData.open_time, close_time: exceptionData.close_time });
+      openTime = shift.open_time;
+      closeTime = shift.close_time;
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar el horario de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    const id = await PropertyHours.addException(propertyId, {
+      date,
+      is_closed: isClosed,
+      open_time: openTime,
+      close_time: closeTime,
+      reason
+    });
+
+    return {
+      id,
+      date,
+      is_closed: isClosed,
+      open_time: openTime ? openTime.slice(0, 5) : null,
+      close_time: closeTime ? closeTime.slice(0, 5) : null,
+      reason: reason || null
+    };
+  }
+
+  /**
+   * Elimina una fecha especial
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} exceptionId - ID de la excepción
+   * @param {number} userId - ID del usuario que realiza el cambio
+   * @returns {Promise<boolean>}
+   */
+  static async deleteException(propertyId, exceptionId, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar el horario de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    const deleted = await PropertyHours.deleteException(propertyId, exceptionId);
+    if (!deleted) {
+      throw new NotFoundError('Excepción de horario no encontrada');
+    }
+
+    return true;
+  }
+
+  // Validar y normalizar un turno
+  static validateShift(shift, index = 0) {
+    const dayOfWeek = parseInt(shift?.day_of_week);
+    if (Number.isNaN(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      throw new ValidationError(`Turno ${index + 1}: day_of_week debe estar entre 0 (domingo) y 6 (sábado)`);
+    }
+
+    const openTime = normalizeTime(shift.open_time);
+    const closeTime = normalizeTime(shift.close_time);
+    if (!openTime || !closeTime) {
+      throw new ValidationError(`Turno ${index + 1}: open_time y close_time deben tener el formato HH:MM`);
+    }
+
+    // Hora de apertura igual a la de cierre solo se permite como 00:00-00:00 (24 horas)
+    if (openTime === closeTime && openTime !== '00:00:00') {
+      throw new ValidationError(`Turno ${index + 1}: la hora de apertura y cierre no pueden ser iguales`);
+    }
+
+    return { day_of_week: dayOfWeek, open_time: openTime, close_time: closeTime };
+  }
+
+  // Rechazar turnos que se superponen dentro del mismo día
+  static checkOverlaps(hours) {
+    for (let day = 0; day <= 6; day++) {
+      const shifts = hours
+        .filter(h => h.day_of_week === day)
+        .sort((a, b) => a.open_time.localeCompare(b.open_time));
+
+      for (let i = 1; i < shifts.length; i++) {
+        const previous = shifts[i - 1];
+        const previousEnds = previous.close_time <= previous.open_time ? '24:00:00' : previous.close_time;
+        if (shifts[i].open_time < previousEnds) {
+          throw new ValidationError(`Los turnos del día ${day} se superponen`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Convierte un horario en texto al formato de turnos. Ejemplo:
+   * "lun-vie 08:00-17:00; sab 09:00-13:00, 15:00-18:00; dom cerrado".
+   * Acepta rangos (lun-vie), listas (lun,mie), "todos", "24h" y "cerrado".
+   * Los días que no se mencionan quedan cerrados.
+   * @param {string} text - Horario en texto
+   * @returns {Array} - Turnos validados [{ day_of_week, open_time, close_time }]
+   */
+  static parseHoursText(text) {
+    const hours = [];
+    const seenDays = new Set();
+
+    const segments = String(text || '').split(';').map(segment => segment.trim()).filter(Boolean);
+
+    for (const segment of segments) {
+      const match = segment.match(/^(\S+)\s+(.+)$/);
+      if (!match) {
+        throw new ValidationError(`Horario "${segment}": se espera "<días> <horas>"`);
+      }
+
+      const days = this.parseDays(match[1], segment);
+      days.forEach(day => {
+        if (seenDays.has(day)) {
+          throw new ValidationError(`Horario "${segment}": el día ${DAY_ABBREVIATIONS[day]} está repetido`);
+        }
+        seenDays.add(day);
+      });
+
+      const timesText = match[2].trim().toLowerCase();
+      if (timesText === 'cerrado') {
+        continue;
+      }
+
+      const ranges = timesText === '24h'
+        ? [['00:00', '00:00']]
+        : timesText.split(',').map(range => {
+          const times = range.trim().match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
+          if (!times) {
+            throw new ValidationError(`Horario "${segment}": "${range.trim()}" debe tener el formato HH:MM-HH:MM`);
+          }
+          return [times[1], times[2]];
+        });
+
+      days.forEach(day => {
+        ranges.forEach(([openTime, closeTime]) => {
+          hours.push(this.validateShift(
+            { day_of_week: day, open_time: openTime, close_time: closeTime },
+            hours.length
+          ));
+        });
+      });
+    }
+
+    this.checkOverlaps(hours);
+    return hours;
+  }
+
+  /**
+   * Interpreta la parte de días de un segmento de horario ("lun-vie", "sab,dom", "todos")
+   * @param {string} text - Días
+   * @param {string} segment - Segmento completo (para los mensajes de error)
+   * @returns {Array<number>} - Días de la semana
+   */
+  static parseDays(text, segment) {
+    if (['todos', 'diario'].includes(text.toLowerCase())) {
+      return [0, 1, 2, 3, 4, 5, 6];
+    }
+
+    const toDay = (name) => {
+      const day = DAY_ABBREVIATIONS.indexOf(normalizeDayName(name));
+      if (day === -1) {
+        throw new ValidationError(`Horario "${segment}": día "${name}" no reconocido`);
+      }
+      return day;
+    };
+
+    return text.split(',').flatMap(part => {
+      const [from, to] = part.split('-');
+      if (to === undefined) {
+        return [toDay(from)];
+      }
+
+      // Los rangos siguen el orden lunes-domingo, p. ej. "vie-dom" = viernes, sábado y domingo
+      const start = WEEK_ORDER.indexOf(toDay(from));
+      const end = WEEK_ORDER.indexOf(toDay(to));
+      if (end < start) {
+        throw new ValidationError(`Horario "${segment}": el rango ${part} está invertido`);
+      }
+      return WEEK_ORDER.slice(start, end + 1);
+    });
+  }
+
+  /**
+   * Convierte turnos al formato de texto que acepta parseHoursText,
+   * agrupando los días consecutivos con el mismo horario
+   * @param {Array} hours - Turnos [{ day_of_week, open_time, close_time }]
+   * @returns {string} - Horario en texto ('' si no hay turnos)
+   */
+  static formatHoursText(hours) {
+    const shortTime = (time) => String(time).slice(0, 5);
+
+    const dayTexts = WEEK_ORDER.map(day => {
+      const shifts = hours
+        .filter(h => parseInt(h.day_of_week) === day)
+        .sort((a, b) => String(a.open_time).localeCompare(String(b.open_time)));
+
+      if (shifts.length === 1 && shortTime(shifts[0].open_time) === '00:00' && shortTime(shifts[0].close_time) === '00:00') {
+        return { day, text: '24h' };
+      }
+      return {
+        day,
+        text: shifts.map(h => `${shortTime(h.open_time)}-${shortTime(h.close_time)}`).join(', ')
+      };
+    });
+
+    const groups = [];
+    dayTexts.forEach(({ day, text }) => {
+      const last = groups[groups.length - 1];
+      if (last && last.text === text) {
+        last.to = day;
+      } else {
+        groups.push({ from: day, to: day, text });
+      }
+    });
+
+    return groups
+      .filter(group => group.text)
+      .map(group => {
+        const days = group.from === group.to
+          ? DAY_ABBREVIATIONS[group.from]
+          : `${DAY_ABBREVIATIONS[group.from]}-${DAY_ABBREVIATIONS[group.to]}`;
+        return `${days} ${group.text}`;
+      })
+      .join('; ');
+  }
+}
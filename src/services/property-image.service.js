@@ -0,0 +1,280 @@
+// src/services/property-image.service.js
+import { mysqlPool } from '../config/database.js';
+import { storageService } from './storage.service.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { PropertyImage } from '../models/mysql/property-image.model.js';
+import { PropertyService } from './property.service.js';
+
+const MAX_CAPTION_LENGTH = 255;
+
+export class PropertyImageService {
+  /**
+   * Obtiene la galería de una propiedad en su orden de presentación
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<Object>} - { primary_image, images }
+   */
+  static async getGallery(propertyId) {
+    if (!propertyId) {
+      throw new ValidationError('ID de propiedad es requerido');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    let property;
+    try {
+      const [rows] = await connection.query('SELECT id, image FROM properties WHERE id = ?', [propertyId]);
+      if (rows.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+      property = rows[0];
+    } finally {
+      connection.release();
+    }
+
+    const images = await PropertyImage.getByPropertyId(propertyId);
+
+    return {
+      primary_image: property.image,
+      images: images.map(image => ({ ...image, is_primary: Boolean(image.is_primary) }))
+    };
+  }
+
+  /**
+   * Cambia el orden de la galería
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Array<number>} imageIds - IDs de todas las imágenes de la galería en el nuevo orden
+   * @param {number} userId - ID del usuario que realiza el cambio
+   * @returns {Promise<Object>} - Galería actualizada
+   */
+  static async reorderImages(propertyId, imageIds, userId) {
+    if (!Array.isArray(imageIds) || imageIds.length === 0) {
+      throw new ValidationError('image_ids debe ser una lista con los IDs de las imágenes');
+    }
+
+    const orderedIds = imageIds.map(id => parseInt(id));
+    if (orderedIds.some(id => Number.isNaN(id)) || new Set(orderedIds).size !== orderedIds.length) {
+      throw new ValidationError('image_ids contiene IDs inválidos o repetidos');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar las imágenes de esta propiedad'
+      );
+
+      const [rows] = await connection.query(
+        'SELECT id FROM property_images WHERE property_id = ?',
+        [propertyId]
+      );
+      const currentIds = new Set(rows.map(row => row.id));
+
+      // Se exige la galería completa para que el orden resultante no sea ambiguo
+      if (currentIds.size !== orderedIds.length || orderedIds.some(id => !currentIds.has(id))) {
+        throw new ValidationError('image_ids debe incluir exactamente las imágenes de la galería');
+      }
+
+      await connection.beginTransaction();
+      try {
+        for (const [index, imageId] of orderedIds.entries()) {
+          await connection.query(
+            'UPDATE property_images SET sort_order = ? WHERE id = ?',
+            [index, imageId]
+          );
+        }
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+
+    return this.getGallery(propertyId);
+  }
+
+  /**
+   * Actualiza la descripción de una imagen
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} imageId - ID de la imagen
+   * @param {string|null} caption - Descripción (vacía o null para quitarla)
+   * @param {number} userId - ID del usuario que realiza el cambio
+   * @returns {Promise<Object>} - Imagen actualizada
+   */
+  static async updateCaption(propertyId, imageId, caption, userId) {
+    if (caption !== null && caption !== undefined && typeof caption !== 'string') {
+      throw new ValidationError('caption debe ser texto');
+    }
+
+    const normalizedCaption = caption ? caption.trim() : '';
+    if (normalizedCaption.length > MAX_CAPTION_LENGTH) {
+      throw new ValidationError(`caption no puede exceder ${MAX_CAPTION_LENGTH} caracteres`);
+    }
+
+    await this.getOwnedImage(propertyId, imageId, userId);
+    await PropertyImage.updateCaption(imageId, normalizedCaption || null);
+
+    return PropertyImage.findById(propertyId, imageId);
+  }
+
+  /**
+   * Convierte una imagen de la galería en la principal y sincroniza properties.image
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} imageId - ID de la imagen
+   * @param {number} userId - ID del usuario que realiza el cambio
+   * @returns {Promise<Object>} - Galería actualizada
+   */
+  static async setPrimaryImage(propertyId, imageId, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const property = await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar las imágenes de esta propiedad'
+      );
+
+      const [images] = await connection.query(
+        'SELECT id, image_url FROM property_images WHERE id = ? AND property_id = ?',
+        [imageId, propertyId]
+      );
+      if (images.length === 0) {
+        throw new NotFoundError('Imagen no encontrada');
+      }
+
+      await connection.beginTransaction();
+      try {
+        // La imagen principal anterior se conserva en la galería si todavía no estaba en ella
+        if (property.image && property.image !== images[0].image_url) {
+          const [previous] = await connection.query(
+            'SELECT id FROM property_images WHERE property_id = ? AND image_url = ?',
+            [propertyId, property.image]
+          );
+          if (previous.length === 0) {
+            await connection.query(
+              PropertyImage.INSERT_QUERY,
+              [propertyId, property.image, false, propertyId]
+            );
+          }
+        }
+
+        await connection.query(
+          'UPDATE property_images SET is_primary = (id = ?) WHERE property_id = ?',
+          [imageId, propertyId]
+        );
+        await connection.query(
+          'UPDATE properties SET image = ? WHERE id = ?',
+          [images[0].image_url, propertyId]
+        );
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+
+    return this.getGallery(propertyId);
+  }
+
+  /**
+   * Elimina una imagen de la galería y su blob. Si era la principal, la siguiente
+   * imagen de la galería pasa a serlo.
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} imageId - ID de la imagen
+   * @param {number} userId - ID del usuario que realiza el cambio
+   * @returns {Promise<Object>} - Galería actualizada
+   */
+  static async deleteImage(propertyId, imageId, userId) {
+    const connection = await mysqlPool.getConnection();
+    let imageUrl;
+    try {
+      const property = await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para eliminar imágenes de esta propiedad'
+      );
+
+      const [images] = await connection.query(
+        'SELECT id, image_url, is_primary FROM property_images WHERE id = ? AND property_id = ?',
+        [imageId, propertyId]
+      );
+      if (images.length === 0) {
+        throw new NotFoundError('Imagen no encontrada');
+      }
+      imageUrl = images[0].image_url;
+
+      await connection.beginTransaction();
+      try {
+        await connection.query('DELETE FROM property_images WHERE id = ?', [imageId]);
+
+        if (images[0].is_primary || property.image === imageUrl) {
+          const [next] = await connection.query(
+            `SELECT id, image_url FROM property_images
+             WHERE property_id = ?
+             ORDER BY sort_order ASC, id ASC
+             LIMIT 1`,
+            [propertyId]
+          );
+
+          if (next.length > 0) {
+            await connection.query('UPDATE property_images SET is_primary = TRUE WHERE id = ?', [next[0].id]);
+          }
+          await connection.query(
+            'UPDATE properties SET image = ? WHERE id = ?',
+            [next.length > 0 ? next[0].image_url : null, propertyId]
+          );
+        }
+
+        await connection.commit();
+      } catch (error) {
+        await connection.rollback();
+        throw error;
+      }
+    } finally {
+      connection.release();
+    }
+
+    // El blob se elimina después de confirmar el cambio en la base de datos
+    try {
+      await storageService.deleteImage(imageUrl);
+    } catch (error) {
+      console.warn(`No se pudo eliminar la imagen ${imageUrl}:`, error);
+      // La imagen ya no está en la galería; no interrumpimos la operación
+    }
+
+    return this.getGallery(propertyId);
+  }
+
+  /**
+   * Verifica la propiedad del negocio y que la imagen pertenezca a él
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} imageId - ID de la imagen
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - Imagen
+   */
+  static async getOwnedImage(propertyId, imageId, userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para modificar las imágenes de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    const image = await PropertyImage.findById(propertyId, imageId);
+    if (!image) {
+      throw new NotFoundError('Imagen no encontrada');
+    }
+    return image;
+  }
+}
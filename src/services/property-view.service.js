@@ -0,0 +1,167 @@
+// src/services/property-view.service.js
+import crypto from 'crypto';
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError } from '../utils/errors/index.js';
+import { Property } from '../models/mysql/property.model.js';
+import { PropertyView } from '../models/mysql/property-view.model.js';
+import { PropertyService } from './property.service.js';
+import { getZonedDateTime, addDays, isValidDate } from '../utils/helpers.js';
+
+// Un mismo visitante cuenta una sola vez por propiedad dentro de esta ventana
+const SESSION_WINDOW_MINUTES = 30;
+
+// Máximo de visitas contadas por IP, propiedad y día (limita la inflación con visitor_id inventados)
+const MAX_VIEWS_PER_IP_PER_DAY = 20;
+
+// Días que se conservan los eventos; los conteos diarios se conservan siempre
+const EVENT_RETENTION_DAYS = 90;
+
+// Días que recalcula cada consolidación (cubre visitas registradas cerca de medianoche)
+const ROLLUP_LOOKBACK_DAYS = 1;
+
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_RANGE_DAYS = 30;
+
+const BOT_PATTERN = /bot|crawler|spider|slurp|facebookexternalhit|preview|headless/i;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+export class PropertyViewService {
+  /**
+   * Identifica al visitante: usuario autenticado, visitor_id generado por el cliente
+   * o, en su defecto, IP + user agent
+   * @param {Object} visitor - { userId, visitorId, ip, userAgent }
+   * @returns {string} - Hash del visitante
+   */
+  static getVisitorHash({ userId, visitorId, ip, userAgent }) {
+    if (userId) {
+      return hash(`user:${userId}`);
+    }
+    if (visitorId && /^[\w-]{8,64}$/.test(visitorId)) {
+      return hash(`visitor:${visitorId}`);
+    }
+    return hash(`ip:${ip || ''}|${userAgent || ''}`);
+  }
+
+  /**
+   * Registra la visita a una propiedad (deduplicada por visitante y sesión)
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} visitor - { userId, visitorId, ip, userAgent }
+   * @returns {Promise<boolean>} - true si la visita se contó
+   */
+  static async recordView(propertyId, visitor = {}) {
+    if (!propertyId) {
+      throw new ValidationError('ID de propiedad es requerido');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [property] = await connection.query('SELECT id FROM properties WHERE id = ?', [propertyId]);
+      if (property.length === 0) {
+        throw new NotFoundError('Propiedad no encontrada');
+      }
+    } finally {
+      connection.release();
+    }
+
+    if (BOT_PATTERN.test(visitor.userAgent || '')) {
+      return false;
+    }
+
+    const counted = await PropertyView.record(
+      {
+        propertyId,
+        userId: visitor.userId,
+        visitorHash: this.getVisitorHash(visitor),
+        // Los usuarios autenticados no comparten el límite por IP (p. ej. una oficina con NAT)
+        ipHash: visitor.userId || !visitor.ip ? null : hash(`ip:${visitor.ip}`),
+        viewDate: getZonedDateTime().date
+      },
+      { sessionMinutes: SESSION_WINDOW_MINUTES, maxViewsPerIp: MAX_VIEWS_PER_IP_PER_DAY }
+    );
+
+    // El contador total de la propiedad solo suma visitas deduplicadas
+    if (counted) {
+      await Property.incrementViews(propertyId);
+    }
+
+    return counted;
+  }
+
+  /**
+   * Vistas diarias de una propiedad en un rango (solo dueño o administrador).
+   * Sale de los conteos consolidados, así que el día actual puede ir unos minutos atrasado.
+   * @param {number} propertyId - ID de la propiedad
+   * @param {Object} range - { from, to } en YYYY-MM-DD; por defecto los últimos 30 días
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - { property_id, from, to, total_views, days: [{ date, views, unique_visitors }] }
+   */
+  static async getViewStats(propertyId, { from, to } = {}, userId) {
+    const today = getZonedDateTime().date;
+    const toDate = to || today;
+    const fromDate = from || addDays(toDate, -(DEFAULT_RANGE_DAYS - 1));
+
+    if (!isValidDate(fromDate) || !isValidDate(toDate)) {
+      throw new ValidationError('from y to deben tener el formato YYYY-MM-DD');
+    }
+    if (fromDate > toDate) {
+      throw new ValidationError('from no puede ser posterior a to');
+    }
+    if (addDays(fromDate, MAX_RANGE_DAYS - 1) < toDate) {
+      throw new ValidationError(`El rango no puede superar ${MAX_RANGE_DAYS} días`);
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await PropertyService.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para ver las estadísticas de esta propiedad'
+      );
+    } finally {
+      connection.release();
+    }
+
+    const counts = new Map(
+      (await PropertyView.getDailyCounts(propertyId, fromDate, toDate)).map(row => [row.date, row])
+    );
+
+    // Serie completa, con ceros en los días sin visitas
+    const days = [];
+    for (let date = fromDate; date <= toDate; date = addDays(date, 1)) {
+      const row = counts.get(date);
+      days.push({
+        date,
+        views: row ? row.views : 0,
+        unique_visitors: row ? row.unique_visitors : 0
+      });
+    }
+
+    return {
+      property_id: parseInt(propertyId),
+      from: fromDate,
+      to: toDate,
+      total_views: days.reduce((sum, day) => sum + day.views, 0),
+      days
+    };
+  }
+
+  /**
+   * Consolida los eventos en conteos diarios y elimina los eventos vencidos (tarea programada)
+   * @returns {Promise<Object>} - { rolled_up, purged }
+   */
+  static async rollupViews() {
+    const today = getZonedDateTime().date;
+
+    // Retomar desde la última fecha consolidada por si la tarea estuvo detenida
+    const lastDate = await PropertyView.getLastRolledUpDate();
+    const lookback = addDays(today, -ROLLUP_LOOKBACK_DAYS);
+    const fromDate = lastDate && lastDate < lookback ? lastDate : lookback;
+
+    const rolledUp = await PropertyView.rollupSince(lastDate ? fromDate : '1970-01-01');
+    const purged = await PropertyView.purgeEventsBefore(addDays(today, -EVENT_RETENTION_DAYS));
+
+    return { rolled_up: rolledUp, purged };
+  }
+}
@@ -1,6 +1,7 @@
 // src/services/property.service.js
 import { mysqlPool } from '../config/database.js';
-import { azureStorageService } from './azure-storage.service.js';
+import { PAGINATION } from '../config/constants.js';
+import { storageService } from './storage.service.js';
 import { 
   ValidationError, 
   NotFoundError, 
@@ -8,13 +9,263 @@ import {
   AuthorizationError 
 } from '../utils/errors/index.js';
 
+import { SearchService } from './search.service.js';
+import { TaxonomyService } from './taxonomy.service.js';
+import { DuplicateService } from './duplicate.service.js';
+
 // Importar el modelo Property
-import { Property } from '../models/mysql/property.model.js';
+import { Property, formatClosure, formatPropertyRow } from '../models/mysql/property.model.js';
+import { PropertyHours } from '../models/mysql/property-hours.model.js';
+import { PropertyImage } from '../models/mysql/property-image.model.js';
+import { Deal } from '../models/mysql/deal.model.js';
+import { getZonedDateTime, parseLocalDateTime, addDays, isValidDate } from '../utils/helpers.js';
+import {
+  parseCoordinates,
+  distanceSql,
+  withinRadiusSql,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM
+} from '../utils/geo.js';
+
+// Peso de cada criterio en la similitud entre negocios. Los criterios sin datos
+// (sin coordenadas, sin precios en el catálogo) se omiten y el resto se reescala.
+const SIMILARITY_WEIGHTS = {
+  type: 0.35,
+  category: 0.15,
+  amenities: 0.2,
+  distance: 0.15,
+  price: 0.1,
+  rating: 0.05
+};
+
+// Distancia a la que la similitud geográfica cae a la mitad
+const SIMILARITY_DISTANCE_HALF_KM = 3;
+
+// Radio en el que un negocio de otro tipo y categoría todavía puede ser similar
+const SIMILARITY_NEARBY_KM = 10;
+
+// Candidatos que se puntúan antes de elegir los más similares
+const SIMILARITY_CANDIDATE_POOL = 200;
+
+// Saltos máximos al seguir la cadena de negocios fusionados (evita ciclos por datos corruptos)
+const MAX_MERGE_REDIRECTS = 5;
+
+// Duración máxima de un cierre temporal o de un archivo con restauración programada
+const MAX_CLOSURE_DAYS = 366;
+
+// Resultados por página: defaultLimit si no se indica y nunca más de PAGINATION.MAX_LIMIT
+const resolveLimit = (value, defaultLimit) => {
+  if (value === undefined || value === null || value === '') {
+    return defaultLimit;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ValidationError('limit debe ser un número entero mayor que 0');
+  }
+
+  return Math.min(limit, PAGINATION.MAX_LIMIT);
+};
 
 export class PropertyService {
+  /**
+   * Indica si un usuario tiene rol de administrador
+   * @param {Object} connection - Conexión MySQL activa
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>}
+   */
+  static async isAdminUser(connection, userId) {
+    if (!userId) {
+      return false;
+    }
+
+    const [user] = await connection.query(
+      'SELECT role FROM users WHERE id = ?',
+      [userId]
+    );
+
+    return user.length > 0 && (user[0].role === 'admin' || user[0].role === 'owner');
+  }
+
+  /**
+   * Verifica que la propiedad exista y que el usuario sea su dueño o un administrador
+   * @param {Object} connection - Conexión MySQL activa
+   * @param {number} propertyId - ID de la propiedad
+   * @param {number} userId - ID del usuario que realiza la acción
+   * @param {string} message - Mensaje del error de autorización
+   * @returns {Promise<Object>} - Datos básicos de la propiedad (id, host_id, image)
+   */
+  static async verifyPropertyOwnership(connection, propertyId, userId, message = 'No autorizado para modificar esta propiedad') {
+    const [property] = await connection.query(
+      'SELECT id, host_id, image, category_id, type_id FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (property.length === 0) {
+      throw new NotFoundError('Propiedad no encontrada');
+    }
+
+    const isOwner = userId && parseInt(property[0].host_id) === parseInt(userId);
+
+    if (!isOwner && !(await this.isAdminUser(connection, userId))) {
+      throw new AuthorizationError(message);
+    }
+
+    return property[0];
+  }
+
+  /**
+   * Resuelve los filtros open_now / open_at a una fecha/hora local del negocio
+   * @param {Object} filters - Filtros recibidos (open_now, open_at)
+   * @returns {Object|null} - Fecha/hora local o null si no se filtra por horario
+   */
+  static resolveOpenAtFilter(filters = {}) {
+    if (filters.open_at) {
+      const local = parseLocalDateTime(filters.open_at);
+      if (!local) {
+        throw new ValidationError('open_at debe ser una fecha/hora válida (ej. 2025-04-17T20:30)');
+      }
+      return local;
+    }
+
+    if (filters.open_now === true || filters.open_now === 'true') {
+      return getZonedDateTime();
+    }
+
+    return null;
+  }
+
+  /**
+   * Resuelve los filtros de cercanía (lat, lng, radius_km, sort=distance)
+   * @param {Object} filters - Filtros recibidos
+   * @returns {Object|null} - { origin, radiusKm } o null si no se envió ubicación
+   */
+  static resolveGeoFilter(filters = {}) {
+    const hasLocation = (filters.lat !== undefined && filters.lat !== '') ||
+      (filters.lng !== undefined && filters.lng !== '');
+    const origin = parseCoordinates(filters.lat, filters.lng);
+
+    if (hasLocation && !origin) {
+      throw new ValidationError('lat y lng deben ser coordenadas válidas');
+    }
+
+    if (filters.sort === 'distance' && !origin) {
+      throw new ValidationError('Ordenar por distancia requiere lat y lng');
+    }
+
+    if (!origin) {
+      return null;
+    }
+
+    let radiusKm = null;
+    if (filters.radius_km !== undefined && filters.radius_km !== null && filters.radius_km !== '') {
+      radiusKm = parseFloat(filters.radius_km);
+      if (Number.isNaN(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        throw new ValidationError(`radius_km debe ser un número entre 0 y ${MAX_RADIUS_KM}`);
+      }
+    }
+
+    return { origin, radiusKm };
+  }
+
+  /**
+   * Condiciones de filtrado compartidas por la búsqueda y los listados por categoría.
+   * Cada condición lleva la clave de su faceta para poder excluirla al contar.
+   * @param {Object} filters - category o categoryList, property_type, city, amenities, pets,
+   *                           min_rating, open_now / open_at, lat / lng / radius_km
+   * @returns {Array<Object>} - [{ key, sql, params }]
+   */
+  static buildFilterClauses(filters = {}) {
+    const clauses = [];
+    const toList = (value) => (Array.isArray(value) ? value : [value]).filter(Boolean);
+
+    if (filters.categoryList && filters.categoryList.length > 0) {
+      clauses.push({
+        key: 'category',
+        sql: `p.category IN (${filters.categoryList.map(() => '?').join(',')})`,
+        params: [...filters.categoryList]
+      });
+    } else if (filters.category) {
+      clauses.push({ key: 'category', sql: 'p.category = ?', params: [filters.category] });
+    }
+
+    const types = filters.property_type ? toList(filters.property_type) : [];
+    if (types.length > 0) {
+      clauses.push({
+        key: 'property_type',
+        sql: `p.property_type IN (${types.map(() => '?').join(',')})`,
+        params: types
+      });
+    }
+
+    if (filters.city) {
+      clauses.push({ key: 'city', sql: 'p.address LIKE ?', params: [`%${filters.city}%`] });
+    }
+
+    // Amenidades y mascotas: el negocio debe cumplir todas las seleccionadas
+    const amenities = filters.amenities ? toList(filters.amenities) : [];
+    if (amenities.length > 0) {
+      clauses.push({
+        key: 'amenities',
+        sql: `EXISTS (
+          SELECT 1 FROM property_amenities pa2 
+          WHERE pa2.property_id = p.id 
+          AND pa2.amenity IN (${amenities.map(() => '?').join(',')})
+          GROUP BY pa2.property_id
+          HAVING COUNT(DISTINCT pa2.amenity) = ?
+        )`,
+        params: [...amenities, amenities.length]
+      });
+    }
+
+    const pets = filters.pets ? toList(filters.pets) : [];
+    if (pets.length > 0) {
+      clauses.push({
+        key: 'pets',
+        sql: `EXISTS (
+          SELECT 1 FROM property_pets_allowed ppa2 
+          WHERE ppa2.property_id = p.id 
+          AND ppa2.pet_type IN (${pets.map(() => '?').join(',')})
+          GROUP BY ppa2.property_id
+          HAVING COUNT(DISTINCT ppa2.pet_type) = ?
+        )`,
+        params: [...pets, pets.length]
+      });
+    }
+
+    if (filters.min_rating !== undefined && filters.min_rating !== null && filters.min_rating !== '') {
+      const minRating = parseFloat(filters.min_rating);
+      if (Number.isNaN(minRating) || minRating < 0 || minRating > 5) {
+        throw new ValidationError('min_rating debe ser un número entre 0 y 5');
+      }
+      clauses.push({ key: 'rating', sql: 'COALESCE(p.average_rating, 0) >= ?', params: [minRating] });
+    }
+
+    // Filtro de horario (abierto ahora o en una fecha/hora)
+    const openAtLocal = this.resolveOpenAtFilter(filters);
+    if (openAtLocal) {
+      // Un negocio cerrado temporalmente no está abierto aunque su horario lo diga
+      const open = PropertyHours.openAtCondition(openAtLocal);
+      const closed = Property.closedOnCondition(openAtLocal.date);
+      clauses.push({
+        key: 'open',
+        sql: `${open.sql} AND NOT ${closed.sql}`,
+        params: [...open.params, ...closed.params]
+      });
+    }
+
+    // Filtro por radio alrededor de la ubicación enviada
+    const geo = this.resolveGeoFilter(filters);
+    if (geo?.radiusKm) {
+      clauses.push({ key: 'radius', ...withinRadiusSql(geo.origin, geo.radiusKm) });
+    }
+
+    return clauses;
+  }
+
   // Actualización para el método createProperty en property.service.js
 // En el método createProperty de property.service.js
-static async createProperty(propertyData, imageFile, additionalImageFiles = []) {
+static async createProperty(propertyData, imageFile, additionalImageFiles = [], userId = null) {
   // Validaciones mínimas
   if (!propertyData.title) {
     throw new ValidationError('Se requiere al menos un título para la propiedad');
@@ -31,26 +282,35 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
     delete propertyData.amenities;
   }
   
-  // Eliminar host_id si está presente en los datos
-  if (propertyData.host_id !== undefined) {
-    delete propertyData.host_id;
-  }
-
   // Convertir valores booleanos de string a valores booleanos reales
   if (propertyData.isFeatured !== undefined) {
     propertyData.isFeatured = propertyData.isFeatured === 'true' || propertyData.isFeatured === true || propertyData.isFeatured === 1 ? 1 : 0;
   }
   
+  // Validar categoría y tipo contra la taxonomía y enlazar sus IDs
+  await TaxonomyService.resolveClassification(propertyData);
+  
   const connection = await mysqlPool.getConnection();
   try {
+    // Asignar el dueño: un administrador puede indicar host_id o dejar el negocio
+    // sin dueño; cualquier otro usuario queda como dueño del negocio que crea
+    const requestedHostId = propertyData.host_id;
+    delete propertyData.host_id;
+    
+    if (await this.isAdminUser(connection, userId)) {
+      propertyData.host_id = requestedHostId ? parseInt(requestedHostId) : null;
+    } else {
+      propertyData.host_id = userId;
+    }
+    
     await connection.beginTransaction();
     
-    // Si hay un archivo de imagen, subirlo a Azure
+    // Si hay un archivo de imagen, subirlo al almacenamiento
     let imageUrl = null;
     if (imageFile) {
       // Usar un ID temporal para la creación inicial
       const tempId = Date.now();
-      imageUrl = await azureStorageService.uploadImage(imageFile, tempId);
+      imageUrl = await storageService.uploadImage(imageFile, tempId);
       propertyData.image = imageUrl;
     }
     
@@ -63,7 +323,7 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
     // Si se subió una imagen con un ID temporal, actualizar la URL
     if (imageUrl && imageFile) {
       // Subir la imagen de nuevo con el ID correcto
-      const finalImageUrl = await azureStorageService.uploadImage(imageFile, propertyId);
+      const finalImageUrl = await storageService.uploadImage(imageFile, propertyId);
       
       // Actualizar la URL en la base de datos
       await connection.query(
@@ -72,7 +332,7 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
       );
       
       // Eliminar la imagen temporal
-      await azureStorageService.deleteImage(imageUrl);
+      await storageService.deleteImage(imageUrl);
       
       imageUrl = finalImageUrl;
     }
@@ -83,12 +343,12 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
       for (const file of additionalImageFiles) {
         try {
           // Subir imagen adicional
-          const additionalImageUrl = await azureStorageService.uploadImage(file, `${propertyId}-additional-${Date.now()}`);
+          const additionalImageUrl = await storageService.uploadImage(file, `${propertyId}-additional-${Date.now()}`);
           
           // Insertar en la tabla property_images
           await connection.query(
-            `INSERT INTO property_images (property_id, image_url, is_primary) VALUES (?, ?, ?)`,
-            [propertyId, additionalImageUrl, false]
+            PropertyImage.INSERT_QUERY,
+            [propertyId, additionalImageUrl, false, propertyId]
           );
           
           additionalImageUrls.push(additionalImageUrl);
@@ -113,10 +373,20 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
     
     await connection.commit();
     
+    await SearchService.refreshSearchText(propertyId);
+    
+    // Avisar de posibles duplicados; la propiedad se crea de todos modos
+    const possibleDuplicates = await DuplicateService.findDuplicates(propertyData, { excludeId: propertyId })
+      .catch(error => {
+        console.error('Error al buscar negocios duplicados:', error);
+        return [];
+      });
+    
     return {
       propertyId,
       imageUrl,
-      additionalImageUrls
+      additionalImageUrls,
+      possible_duplicates: possibleDuplicates
     };
   } catch (error) {await connection.rollback();
    throw error;
@@ -137,6 +407,9 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
       if (adjustedFilters.minPrice) delete adjustedFilters.minPrice;
       if (adjustedFilters.maxPrice) delete adjustedFilters.maxPrice;
       
+      // Filtro de horario (abierto ahora o en una fecha/hora)
+      adjustedFilters.open_at_local = this.resolveOpenAtFilter(filters);
+      
       // Usar el método del modelo para obtener propiedades filtradas
       const { properties, total } = await Property.findAll(adjustedFilters, { limit, offset });
       
@@ -226,12 +499,25 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
 
     try {
       // Utilizar el método del modelo para obtener la propiedad
-      const property = await Property.findById(id);
+      let property = await Property.findById(id);
       
       if (!property) {
         throw new NotFoundError('Propiedad no encontrada');
       }
       
+      // Un negocio fusionado redirige al que lo absorbió (ver DuplicateService.mergeProperties)
+      const mergedFrom = property.merged_into_id ? property.id : null;
+      for (let hops = 0; property.merged_into_id && hops < MAX_MERGE_REDIRECTS; hops++) {
+        const survivor = await Property.findById(property.merged_into_id);
+        if (!survivor) {
+          break;
+        }
+        property = survivor;
+      }
+      if (mergedFrom) {
+        property.merged_from = mergedFrom;
+      }
+      
       const connection = await mysqlPool.getConnection();
       
       // Añadir información del host
@@ -293,6 +579,15 @@ static async createProperty(propertyData, imageFile, additionalImageFiles = [])
       }
       
       connection.release();
+
+      // Promociones vigentes del negocio
+      try {
+        property.active_deals = await Deal.findActiveByPropertyId(property.id, getZonedDateTime());
+      } catch (error) {
+        console.error(`Error al obtener promociones de la propiedad ${property.id}:`, error);
+        property.active_deals = [];
+      }
+
       return property;
     } catch (error) {
       console.error(`Error al obtener propiedad ${id}:`, error);
@@ -367,20 +662,22 @@ static async updateProperty(id, propertyData, imageFile, additionalImageFiles =
 
   // Asegurarse de que se eliminan los campos que no deben actualizarse directamente
   delete propertyData.additional_images;
+  delete propertyData.search_text;
 
   const connection = await mysqlPool.getConnection();
   try {
     await connection.beginTransaction();
     
-    // Verificar si la propiedad existe
-    const [property] = await connection.query(
-      'SELECT id, image FROM properties WHERE id = ?',
-      [id]
+    // Verificar que la propiedad exista y pertenezca al usuario
+    const property = await this.verifyPropertyOwnership(
+      connection,
+      id,
+      userId,
+      'No autorizado para actualizar esta propiedad'
     );
-
-    if (property.length === 0) {
-      throw new NotFoundError('Propiedad no encontrada');
-    }
+    
+    // Validar categoría y tipo contra la taxonomía (los cambios parciales se combinan con los actuales)
+    await TaxonomyService.resolveClassification(propertyData, property);
     
     // Convertir valores booleanos
     if (propertyData.isFeatured !== undefined) {
@@ -389,16 +686,16 @@ static async updateProperty(id, propertyData, imageFile, additionalImageFiles =
     
     console.log("Datos para actualizar:", propertyData);
     
-    // Si hay un archivo de imagen, subirlo a Azure
+    // Si hay un archivo de imagen, subirlo al almacenamiento
     if (imageFile) {
       try {
-        const imageUrl = await azureStorageService.uploadImage(imageFile, `${id}-${Date.now()}`);
+        const imageUrl = await storageService.uploadImage(imageFile, `${id}-${Date.now()}`);
         propertyData.image = imageUrl;
         
         // Si había una imagen anterior, eliminarla
-        if (property[0].image) {
+        if (property.image) {
           try {
-            await azureStorageService.deleteImage(property[0].image);
+            await storageService.deleteImage(property.image);
           } catch (error) {
             console.warn('No se pudo eliminar la imagen anterior:', error);
             // No interrumpimos la actualización por este error
@@ -422,12 +719,12 @@ static async updateProperty(id, propertyData, imageFile, additionalImageFiles =
       for (const file of additionalImageFiles) {
         try {
           // Subir imagen adicional
-          const additionalImageUrl = await azureStorageService.uploadImage(file, `${id}-additional-${Date.now()}`);
+          const additionalImageUrl = await storageService.uploadImage(file, `${id}-additional-${Date.now()}`);
           
           // Insertar en la tabla property_images
           await connection.query(
-            `INSERT INTO property_images (property_id, image_url, is_primary) VALUES (?, ?, ?)`,
-            [id, additionalImageUrl, false]
+            PropertyImage.INSERT_QUERY,
+            [id, additionalImageUrl, false, id]
           );
         } catch (error) {
           console.error('Error al procesar imagen adicional:', error);
@@ -456,6 +753,8 @@ static async updateProperty(id, propertyData, imageFile, additionalImageFiles =
     }
     
     await connection.commit();
+    
+    await SearchService.refreshSearchText(id);
     return true;
   } catch (error) {
     await connection.rollback();
@@ -474,18 +773,26 @@ static async archiveProperty(id, archiveData = {}, userId) {
 
   const connection = await mysqlPool.getConnection();
   try {
-    // Verificar si la propiedad existe
-    const [property] = await connection.query(
-      'SELECT id FROM properties WHERE id = ?',
-      [id]
-    );
-
-    if (property.length === 0) {
-      throw new NotFoundError('Propiedad no encontrada');
+    // Verificar que la propiedad exista y pertenezca al usuario
+    await this.verifyPropertyOwnership(connection, id, userId, 'No autorizado para archivar esta propiedad');
+
+    // Fecha opcional en que el negocio se restaura solo
+    const restoreOn = archiveData.restore_on || null;
+    if (restoreOn) {
+      const today = getZonedDateTime().date;
+      if (!isValidDate(restoreOn)) {
+        throw new ValidationError('restore_on debe tener el formato YYYY-MM-DD');
+      }
+      if (restoreOn <= today) {
+        throw new ValidationError('restore_on debe ser una fecha futura');
+      }
+      if (restoreOn > addDays(today, MAX_CLOSURE_DAYS)) {
+        throw new ValidationError(`restore_on no puede ser posterior a ${MAX_CLOSURE_DAYS} días`);
+      }
     }
 
     // Archivar la propiedad
-    await Property.archive(id, archiveData.reason);
+    await Property.archive(id, archiveData.reason, restoreOn);
     
     connection.release();
     return true;
@@ -504,15 +811,8 @@ static async restoreProperty(id, userId) {
 
   const connection = await mysqlPool.getConnection();
   try {
-    // Verificar si la propiedad existe
-    const [property] = await connection.query(
-      'SELECT id FROM properties WHERE id = ?',
-      [id]
-    );
-
-    if (property.length === 0) {
-      throw new NotFoundError('Propiedad no encontrada');
-    }
+    // Verificar que la propiedad exista y pertenezca al usuario
+    await this.verifyPropertyOwnership(connection, id, userId, 'No autorizado para restaurar esta propiedad');
 
     // Restaurar la propiedad
     await Property.restore(id);
@@ -527,6 +827,94 @@ static async restoreProperty(id, userId) {
   }
 }
 
+  /**
+   * Marca un negocio como cerrado temporalmente. Sigue apareciendo en las búsquedas con su
+   * estado de cierre, no acepta reservas en esas fechas y reabre solo en reopen_date.
+   * @param {number} id - ID de la propiedad
+   * @param {Object} closureData - { reason, closed_from (por defecto hoy), reopen_date }
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - Estado de cierre resultante
+   */
+  static async closeTemporarily(id, closureData = {}, userId) {
+    if (!id) {
+      throw new ValidationError('ID de propiedad es requerido');
+    }
+
+    const today = getZonedDateTime().date;
+    const reason = typeof closureData.reason === 'string' ? closureData.reason.trim() : '';
+    const closedFrom = closureData.closed_from || today;
+    const reopenDate = closureData.reopen_date;
+
+    const errors = [];
+    if (!reason) {
+      errors.push({ field: 'reason', message: 'El motivo del cierre es requerido' });
+    } else if (reason.length > 255) {
+      errors.push({ field: 'reason', message: 'El motivo no puede exceder 255 caracteres' });
+    }
+    if (!isValidDate(closedFrom)) {
+      errors.push({ field: 'closed_from', message: 'closed_from debe tener el formato YYYY-MM-DD' });
+    } else if (closedFrom < today) {
+      errors.push({ field: 'closed_from', message: 'closed_from no puede ser una fecha pasada' });
+    }
+    if (!isValidDate(reopenDate)) {
+      errors.push({ field: 'reopen_date', message: 'reopen_date es requerida con el formato YYYY-MM-DD' });
+    } else if (isValidDate(closedFrom)) {
+      if (reopenDate <= closedFrom) {
+        errors.push({ field: 'reopen_date', message: 'reopen_date debe ser posterior a closed_from' });
+      } else if (reopenDate > addDays(closedFrom, MAX_CLOSURE_DAYS)) {
+        errors.push({ field: 'reopen_date', message: `El cierre no puede durar más de ${MAX_CLOSURE_DAYS} días` });
+      }
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Datos de cierre inválidos', errors);
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await this.verifyPropertyOwnership(connection, id, userId, 'No autorizado para cerrar esta propiedad');
+    } finally {
+      connection.release();
+    }
+
+    await Property.setClosure(id, { reason, closedFrom, reopenDate });
+
+    return formatClosure({ closure_reason: reason, closed_from: closedFrom, reopen_date: reopenDate }, today);
+  }
+
+  /**
+   * Quita el cierre temporal de un negocio (reapertura anticipada o cierre cancelado)
+   * @param {number} id - ID de la propiedad
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<boolean>}
+   */
+  static async reopenProperty(id, userId) {
+    if (!id) {
+      throw new ValidationError('ID de propiedad es requerido');
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      await this.verifyPropertyOwnership(connection, id, userId, 'No autorizado para reabrir esta propiedad');
+    } finally {
+      connection.release();
+    }
+
+    return Property.clearClosure(id);
+  }
+
+  /**
+   * Reabre los cierres temporales vencidos y restaura los archivos programados (tarea programada)
+   * @returns {Promise<Object>} - { reopened, restored }
+   */
+  static async processScheduledReopenings() {
+    const today = getZonedDateTime().date;
+
+    const reopened = await Property.reopenDueClosures(today);
+    const restored = await Property.restoreDueArchives(today);
+
+    return { reopened, restored };
+  }
+
   static async deleteProperty(id, userId) {
     if (!id) {
       throw new ValidationError('ID de propiedad es requerido');
@@ -537,20 +925,13 @@ static async restoreProperty(id, userId) {
       await connection.beginTransaction();
       
       // Verificar si la propiedad existe y pertenece al usuario
-      const [property] = await connection.query(
-        'SELECT host_id, image FROM properties WHERE id = ?',
-        [id]
+      const property = await this.verifyPropertyOwnership(
+        connection,
+        id,
+        userId,
+        'No autorizado para eliminar esta propiedad'
       );
 
-      if (property.length === 0) {
-        throw new NotFoundError('Propiedad no encontrada');
-      }
-
-      // Verificar autorización
-      if (property[0].host_id !== userId) {
-        throw new AuthorizationError('No autorizado para eliminar esta propiedad');
-      }
-
       // Verificar si hay reservas activas
       const [activeBookings] = await connection.query(
         'SELECT id FROM bookings WHERE property_id = ? AND status IN ("confirmed", "pending")',
@@ -574,21 +955,21 @@ static async restoreProperty(id, userId) {
         throw new DatabaseError('Error al eliminar la propiedad');
       }
       
-      // Si la propiedad tenía imagen principal, eliminarla de Azure
-      if (property[0].image) {
+      // Si la propiedad tenía imagen principal, eliminarla del almacenamiento
+      if (property.image) {
         try {
-          await azureStorageService.deleteImage(property[0].image);
+          await storageService.deleteImage(property.image);
         } catch (error) {
           console.warn('No se pudo eliminar la imagen principal:', error);
           // No interrumpimos la eliminación por este error
         }
       }
       
-      // Eliminar imágenes adicionales de Azure
+      // Eliminar imágenes adicionales del almacenamiento
       if (images && images.length > 0) {
         for (const image of images) {
           try {
-            await azureStorageService.deleteImage(image.image_url);
+            await storageService.deleteImage(image.image_url);
           } catch (error) {
             console.warn(`No se pudo eliminar la imagen ${image.image_url}:`, error);
             // No interrumpimos la eliminación por este error
@@ -614,19 +995,7 @@ static async restoreProperty(id, userId) {
     const connection = await mysqlPool.getConnection();
     try {
       // Verificar si la propiedad existe y pertenece al usuario
-      const [property] = await connection.query(
-        'SELECT host_id FROM properties WHERE id = ?',
-        [id]
-      );
-
-      if (property.length === 0) {
-        throw new NotFoundError('Propiedad no encontrada');
-      }
-
-      // Verificar autorización
-      if (property[0].host_id !== userId) {
-        throw new AuthorizationError('No autorizado para eliminar esta propiedad');
-      }
+      await this.verifyPropertyOwnership(connection, id, userId, 'No autorizado para eliminar esta propiedad');
 
       // Verificar si hay reservas activas
       const [activeBookings] = await connection.query(
@@ -685,6 +1054,39 @@ static async restoreProperty(id, userId) {
     }
   }
 
+  /**
+   * Obtiene los negocios de los que un usuario es dueño
+   * @param {number} userId - ID del dueño
+   * @param {Object} pagination - Página y límite
+   * @returns {Promise<Object>} - Propiedades del dueño con paginación
+   */
+  static async getHostProperties(userId, pagination = { page: 1, limit: 10 }) {
+    if (!userId) {
+      throw new ValidationError('ID de usuario es requerido');
+    }
+
+    try {
+      const { properties, total } = await Property.findAll(
+        { host_id: userId, sort: pagination.sort },
+        {
+          limit: pagination.limit,
+          offset: (pagination.page - 1) * pagination.limit
+        }
+      );
+
+      return {
+        properties,
+        total,
+        page: parseInt(pagination.page),
+        limit: parseInt(pagination.limit),
+        totalPages: Math.ceil(total / parseInt(pagination.limit))
+      };
+    } catch (error) {
+      console.error('Error al obtener propiedades del dueño:', error);
+      throw new DatabaseError('Error al obtener propiedades del dueño');
+    }
+  }
+
   static async addPropertyImage(propertyId, imageFile, isPrimary = false, userId) {
     if (!propertyId || !imageFile) {
       throw new ValidationError('ID de propiedad y archivo de imagen son requeridos');
@@ -693,22 +1095,15 @@ static async restoreProperty(id, userId) {
     const connection = await mysqlPool.getConnection();
     try {
       // Verificar si la propiedad existe y pertenece al usuario
-      const [property] = await connection.query(
-        'SELECT host_id FROM properties WHERE id = ?',
-        [propertyId]
+      await this.verifyPropertyOwnership(
+        connection,
+        propertyId,
+        userId,
+        'No autorizado para añadir imágenes a esta propiedad'
       );
-
-      if (property.length === 0) {
-        throw new NotFoundError('Propiedad no encontrada');
-      }
-
-      // Verificar autorización
-      if (property[0].host_id !== userId) {
-        throw new AuthorizationError('No autorizado para añadir imágenes a esta propiedad');
-      }
       
-      // Subir la imagen a Azure
-      const imageUrl = await azureStorageService.uploadImage(imageFile, propertyId);
+      // Subir la imagen al almacenamiento
+      const imageUrl = await storageService.uploadImage(imageFile, propertyId);
       
       // Si es imagen principal, actualizar la propiedad
       if (isPrimary) {
@@ -718,26 +1113,44 @@ static async restoreProperty(id, userId) {
           [propertyId]
         );
         
+        // La nueva imagen entra a la galería como principal
+        await connection.query(
+          'UPDATE property_images SET is_primary = FALSE WHERE property_id = ?',
+          [propertyId]
+        );
+        await connection.query(
+          PropertyImage.INSERT_QUERY,
+          [propertyId, imageUrl, true, propertyId]
+        );
+        
         // Actualizar la propiedad con la nueva imagen principal
         await connection.query(
           'UPDATE properties SET image = ? WHERE id = ?',
           [imageUrl, propertyId]
         );
         
-        // Si había una imagen principal anterior, eliminarla de Azure
-        if (currentPrimary[0].image) {
-          try {
-            await azureStorageService.deleteImage(currentPrimary[0].image);
-          } catch (error) {
-            console.warn('No se pudo eliminar la imagen principal anterior:', error);
-            // No interrumpimos la operación por este error
+        // Si la imagen principal anterior no forma parte de la galería, eliminarla del almacenamiento
+        const previousImage = currentPrimary[0].image;
+        if (previousImage) {
+          const [inGallery] = await connection.query(
+            'SELECT id FROM property_images WHERE property_id = ? AND image_url = ?',
+            [propertyId, previousImage]
+          );
+          
+          if (inGallery.length === 0) {
+            try {
+              await storageService.deleteImage(previousImage);
+            } catch (error) {
+              console.warn('No se pudo eliminar la imagen principal anterior:', error);
+              // No interrumpimos la operación por este error
+            }
           }
         }
       } else {
         // Insertar la imagen como adicional
         await connection.query(
-          'INSERT INTO property_images (property_id, image_url, is_primary) VALUES (?, ?, ?)',
-          [propertyId, imageUrl, false]
+          PropertyImage.INSERT_QUERY,
+          [propertyId, imageUrl, false, propertyId]
         );
       }
       
@@ -750,6 +1163,74 @@ static async restoreProperty(id, userId) {
     }
   }
 
+  /**
+   * Negocios cercanos a una ubicación, ordenados por distancia
+   * @param {Object} params - lat, lng, radius_km, page, limit y los filtros de buildFilterClauses
+   * @returns {Promise<Object>} - Propiedades con distance_km y datos de paginación
+   */
+  static async getNearbyProperties(params = {}) {
+    const geo = this.resolveGeoFilter(params);
+    if (!geo) {
+      throw new ValidationError('Se requieren lat y lng');
+    }
+
+    const radiusKm = geo.radiusKm || DEFAULT_RADIUS_KM;
+    const distance = distanceSql(geo.origin);
+    const radiusCondition = withinRadiusSql(geo.origin, radiusKm);
+
+    // El radio siempre se aplica (por defecto DEFAULT_RADIUS_KM); el resto de filtros es opcional
+    const filterClauses = this.buildFilterClauses(params).filter(clause => clause.key !== 'radius');
+    const whereCondition = [
+      '(p.archived IS NULL OR p.archived = FALSE)',
+      radiusCondition.sql,
+      ...filterClauses.map(clause => clause.sql)
+    ].join(' AND ');
+    const whereParams = [...radiusCondition.params, ...filterClauses.flatMap(clause => clause.params)];
+
+    const page = parseInt(params.page) || 1;
+    const limit = resolveLimit(params.limit, 20);
+    const offset = (page - 1) * limit;
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [properties] = await connection.query(
+        `SELECT p.*,
+                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
+                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed,
+                ROUND(${distance.sql}, 3) as distance_km
+         FROM properties p
+         LEFT JOIN property_amenities pa ON p.id = pa.property_id
+         LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
+         WHERE ${whereCondition}
+         GROUP BY p.id
+         ORDER BY distance_km ASC
+         LIMIT ? OFFSET ?`,
+        [...distance.params, ...whereParams, limit, offset]
+      );
+
+      const [countResult] = await connection.query(
+        `SELECT COUNT(*) as total FROM properties p WHERE ${whereCondition}`,
+        whereParams
+      );
+      const total = countResult[0]?.total || 0;
+
+      return {
+        properties: properties.map(property => ({
+          ...formatPropertyRow(property),
+          ...formatClosure(property)
+        })),
+        origin: geo.origin,
+        radius_km: radiusKm,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit)
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
  // Actualización para property.service.js
 // Reemplaza el método searchProperties por esta versión mejorada:
 
@@ -761,133 +1242,92 @@ static async searchProperties(searchTerm, searchFields = null, params = {}) {
     throw new ValidationError('Término de búsqueda es requerido');
   }
 
+  // Texto completo sin acentos y tolerante a errores; si el cliente restringe
+  // los campos (searchFields) se busca con LIKE solo en esos campos
+  const textSearch = searchFields && searchFields.length > 0
+    ? SearchService.buildFieldsSearch(searchTerm, searchFields)
+    : await SearchService.buildTextSearch(searchTerm);
+  
   const connection = await mysqlPool.getConnection();
   try {
-    const searchPattern = `%${searchTerm.trim()}%`;
-    
-    // Construir la condición WHERE básica
-    let whereCondition = '(p.archived IS NULL OR p.archived = FALSE)';
-    const whereParams = [];
-    
-    // Condición de búsqueda de texto
-    const defaultSearchFields = ['p.title', 'p.description', 'p.address', 'p.category', 'p.property_type'];
-    
-    // Si se especifican campos de búsqueda, usarlos; de lo contrario, usar los predeterminados
-    const fieldsToSearch = searchFields && searchFields.length > 0 
-      ? searchFields.map(field => `p.${field}`) 
-      : defaultSearchFields;
-    
-    // Agregar condición de búsqueda por texto
-    whereCondition += ' AND (';
-    whereCondition += fieldsToSearch.map(field => `${field} LIKE ?`).join(' OR ');
-    whereCondition += ')';
-    
-    // Agregar parámetros para la búsqueda de texto
-    whereParams.push(...Array(fieldsToSearch.length).fill(searchPattern));
-    
-    // Filtros adicionales
-    
-    // Filtro de categoría
-    if (params.category) {
-      whereCondition += ' AND p.category = ?';
-      whereParams.push(params.category);
-    }
-    
-    // Filtro de tipo de propiedad
-    if (params.property_type) {
-      if (Array.isArray(params.property_type)) {
-        // Si es un array de tipos, usar IN
-        whereCondition += ` AND p.property_type IN (${params.property_type.map(() => '?').join(',')})`;
-        whereParams.push(...params.property_type);
-      } else {
-        // Si es un solo tipo, usar igualdad
-        whereCondition += ' AND p.property_type = ?';
-        whereParams.push(params.property_type);
-      }
-    }
-    
-    // Filtro de ciudad (si existe)
-    if (params.city) {
-      whereCondition += ' AND p.address LIKE ?';
-      whereParams.push(`%${params.city}%`);
-    }
-    
-    // Filtros de amenidades
-    if (params.amenities && Array.isArray(params.amenities) && params.amenities.length > 0) {
-      whereCondition += ` AND EXISTS (
-        SELECT 1 FROM property_amenities pa2 
-        WHERE pa2.property_id = p.id 
-        AND pa2.amenity IN (${params.amenities.map(() => '?').join(',')})
-        GROUP BY pa2.property_id
-        HAVING COUNT(DISTINCT pa2.amenity) = ?
-      )`;
-      whereParams.push(...params.amenities, params.amenities.length);
-    }
+    // Condición básica: negocios activos que coinciden con el texto
+    const baseCondition = {
+      sql: `(p.archived IS NULL OR p.archived = FALSE) AND ${textSearch.condition.sql}`,
+      params: [...textSearch.condition.params]
+    };
     
-    // Construir la ordenación CASE para priorizar coincidencias
-    let orderByCase = 'CASE ';
-    fieldsToSearch.forEach((field, index) => {
-      orderByCase += `WHEN ${field} LIKE ? THEN ${index + 1} `;
-    });
-    orderByCase += 'ELSE 99 END';
+    // Filtros adicionales (categoría, tipo, ciudad, amenidades, mascotas, calificación, horario, radio)
+    const filterClauses = this.buildFilterClauses(params);
+    const whereCondition = [baseCondition.sql, ...filterClauses.map(clause => clause.sql)].join(' AND ');
+    const whereParams = [...baseCondition.params, ...filterClauses.flatMap(clause => clause.params)];
     
-    // Parámetros para la ordenación CASE (uno por cada campo de búsqueda)
-    const orderParams = Array(fieldsToSearch.length).fill(searchPattern);
+    // Cercanía: distancia calculada si se envía ubicación
+    const geo = this.resolveGeoFilter(params);
+    const distance = geo ? distanceSql(geo.origin) : null;
     
-    // Determinar la ordenación secundaria según el parámetro sort
-    let secondaryOrderBy = '';
+    // Determinar la ordenación: por defecto relevancia (texto, calificación y vistas)
+    let orderBy = '';
     switch (params.sort) {
       case 'views-high':
-        secondaryOrderBy = 'p.views DESC';
+        orderBy = 'p.views DESC';
         break;
       case 'views-low':
-        secondaryOrderBy = 'p.views ASC';
+        orderBy = 'p.views ASC';
         break;
       case 'title-asc':
-        secondaryOrderBy = 'p.title ASC';
+        orderBy = 'p.title ASC';
         break;
       case 'title-desc':
-        secondaryOrderBy = 'p.title DESC';
+        orderBy = 'p.title DESC';
         break;
       case 'rating-high':
-        secondaryOrderBy = 'COALESCE(p.average_rating, 0) DESC';
+        orderBy = 'COALESCE(p.average_rating, 0) DESC';
         break;
       case 'rating-low':
-        secondaryOrderBy = 'COALESCE(p.average_rating, 0) ASC';
+        orderBy = 'COALESCE(p.average_rating, 0) ASC';
+        break;
+      case 'distance':
+        // Sin ubicación al final
+        orderBy = 'distance_km IS NULL, distance_km ASC, relevance_score DESC';
         break;
       case 'newest':
+      case 'relevance':
       default:
-        secondaryOrderBy = 'p.created_at DESC';
+        orderBy = 'relevance_score DESC, p.created_at DESC';
     }
     
+    const selectParams = [...textSearch.score.params, ...(distance ? distance.params : [])];
+    
     // Construir la consulta completa
     let query = `
       SELECT p.*, 
              GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
-             GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
+             GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed,
+             ROUND(${textSearch.score.sql}, 4) as relevance_score
+             ${distance ? `, ROUND(${distance.sql}, 3) as distance_km` : ''}
       FROM properties p
       LEFT JOIN property_amenities pa ON p.id = pa.property_id
       LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
       WHERE ${whereCondition}
       GROUP BY p.id
-      ORDER BY ${orderByCase}, ${secondaryOrderBy}
+      ORDER BY ${orderBy}
     `;
     
     // Paginación
     const page = parseInt(params.page) || 1;
-    const limit = parseInt(params.limit) || 10;
+    const limit = resolveLimit(params.limit, 10);
     const offset = (page - 1) * limit;
     
     // Agregar paginación a la consulta
     query += ' LIMIT ? OFFSET ?';
     
     console.log('SQL Query (search):', query);
-    console.log('Query params:', [...whereParams, ...orderParams, limit, offset]);
+    console.log('Query params:', [...selectParams, ...whereParams, limit, offset]);
     
     // Ejecutar la consulta con todos los parámetros
     const [properties] = await connection.query(
       query,
-      [...whereParams, ...orderParams, limit, offset]
+      [...selectParams, ...whereParams, limit, offset]
     );
 
     // Consulta para contar el total de resultados sin paginación
@@ -900,13 +1340,15 @@ static async searchProperties(searchTerm, searchFields = null, params = {}) {
     const [countResult] = await connection.query(countQuery, whereParams);
     const totalCount = countResult[0]?.total || 0;
     
-    connection.release();
+    // Conteos por faceta para la barra de filtros
+    const facets = params.facets === false
+      ? undefined
+      : await SearchService.getFacets(connection, baseCondition, filterClauses);
     
     // Procesar y devolver resultados
     const processedProperties = properties.map(property => ({
-      ...property,
-      amenities: property.amenities ? property.amenities.split(',') : [],
-      pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
+      ...formatPropertyRow(property),
+      ...formatClosure(property)
     }));
     
     return {
@@ -914,7 +1356,10 @@ static async searchProperties(searchTerm, searchFields = null, params = {}) {
       total: totalCount,
       page,
       limit,
-      totalPages: Math.ceil(totalCount / limit)
+      totalPages: Math.ceil(totalCount / limit),
+      facets,
+      // Correcciones aplicadas por errores de escritura ({ "cafetria": ["cafeteria"] })
+      corrections: textSearch.corrections
     };
   } catch (error) {
     console.error('Error en searchProperties:', error);
@@ -976,31 +1421,6 @@ static async searchProperties(searchTerm, searchFields = null, params = {}) {
     }
   }
 
-  /**
-   * Incrementa el contador de vistas de una propiedad
-   * @param {number} id - ID de la propiedad
-   * @returns {Promise<boolean>} - Resultado de la operación
-   */
-  static async incrementPropertyViews(id) {
-    if (!id) {
-      throw new ValidationError('ID de propiedad es requerido');
-    }
-
-    try {
-      // Usar el método del modelo para incrementar vistas
-      const success = await Property.incrementViews(id);
-      
-      if (!success) {
-        throw new NotFoundError('Propiedad no encontrada');
-      }
-      
-      return success;
-    } catch (error) {
-      console.error('Error al incrementar vistas:', error);
-      throw new DatabaseError('Error al incrementar vistas de la propiedad');
-    }
-  }
-
   /**
    * Obtiene las estadísticas de propiedades para un anfitrión
    * @param {number} hostId - ID del anfitrión
@@ -1086,13 +1506,21 @@ static async searchProperties(searchTerm, searchFields = null, params = {}) {
       throw new ValidationError('ID de propiedad es requerido');
     }
 
+    // Nivel de precio: promedio de los precios disponibles del catálogo del negocio
+    const avgPriceSql = `(SELECT AVG(ci.price) FROM catalog_items ci
+      WHERE ci.property_id = p.id AND ci.is_available = TRUE AND ci.price IS NOT NULL)`;
+
     const connection = await mysqlPool.getConnection();
     try {
-      // Primero obtenemos la propiedad de referencia
+      // Propiedad de referencia
       const [property] = await connection.query(
-        `SELECT address, property_type
-         FROM properties
-         WHERE id = ?`,
+        `SELECT p.id, p.category, p.property_type, p.lat, p.lng, p.average_rating,
+                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
+                ${avgPriceSql} as avg_price
+         FROM properties p
+         LEFT JOIN property_amenities pa ON p.id = pa.property_id
+         WHERE p.id = ?
+         GROUP BY p.id`,
         [propertyId]
       );
 
@@ -1101,57 +1529,126 @@ static async searchProperties(searchTerm, searchFields = null, params = {}) {
       }
 
       const reference = property[0];
+      const origin = parseCoordinates(reference.lat, reference.lng);
+
+      // Candidatos: mismo tipo, misma categoría o cercanos
+      const candidateClauses = ['p.property_type = ?', 'p.category = ?'];
+      const candidateParams = [reference.property_type, reference.category];
+      if (origin) {
+        const nearby = withinRadiusSql(origin, SIMILARITY_NEARBY_KM);
+        candidateClauses.push(nearby.sql);
+        candidateParams.push(...nearby.params);
+      }
+      const distance = origin ? distanceSql(origin) : null;
 
-      // Buscar propiedades similares (misma dirección y tipo, diferente ID)
-      const [similarProperties] = await connection.query(
-        `SELECT p.*, 
+      const [candidates] = await connection.query(
+        `SELECT p.*,
                 GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
-                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
+                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed,
+                ${avgPriceSql} as avg_price
+                ${distance ? `, ${distance.sql} as distance_km` : ''}
          FROM properties p
          LEFT JOIN property_amenities pa ON p.id = pa.property_id
          LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
          WHERE p.id != ?
            AND (p.archived IS NULL OR p.archived = FALSE)
-           AND (p.address LIKE ? OR p.property_type = ?)
+           AND (${candidateClauses.join(' OR ')})
          GROUP BY p.id
-         ORDER BY 
-           CASE 
-             WHEN p.address LIKE ? AND p.property_type = ? THEN 1
-             WHEN p.address LIKE ? THEN 2
-             WHEN p.property_type = ? THEN 3
-             ELSE 4
-           END,
-           p.views DESC
+         ORDER BY (p.property_type = ?) DESC, p.views DESC
          LIMIT ?`,
         [
+          ...(distance ? distance.params : []),
           propertyId,
-          `%${reference.address.split(',')[0]}%`, // Usar primera parte de la dirección
-          reference.property_type,
-          `%${reference.address.split(',')[0]}%`,
+          ...candidateParams,
           reference.property_type,
-          `%${reference.address.split(',')[0]}%`,
-          reference.property_type,
-          limit
+          SIMILARITY_CANDIDATE_POOL
         ]
       );
 
-      // Procesar resultados
-      const processedProperties = similarProperties.map(property => ({
-        ...property,
-        amenities: property.amenities ? property.amenities.split(',') : [],
-        pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
-      }));
-
-      connection.release();
-      return processedProperties;
+      return candidates
+        .map(candidate => this.scoreSimilarity(reference, candidate))
+        .sort((a, b) => b.similarity_score - a.similarity_score)
+        .slice(0, limit);
     } catch (error) {
       console.error('Error al obtener propiedades similares:', error);
       throw error;
     } finally {
-      if (connection) connection.release();
+      connection.release();
     }
   }
 
+  /**
+   * Calcula la similitud (0 a 1) de un candidato con la propiedad de referencia
+   * y una razón corta para mostrar ("mismo tipo, a 1.2 km")
+   * @param {Object} reference - Propiedad de referencia (amenities como texto separado por comas)
+   * @param {Object} candidate - Fila del candidato
+   * @returns {Object} - Candidato con similarity_score, similarity_reason y distance_km
+   */
+  static scoreSimilarity(reference, candidate) {
+    const toSet = (value) => new Set(value ? value.split(',') : []);
+    const referenceAmenities = toSet(reference.amenities);
+    const candidateAmenities = toSet(candidate.amenities);
+    const sharedAmenities = [...candidateAmenities].filter(amenity => referenceAmenities.has(amenity)).length;
+    const amenityUnion = new Set([...referenceAmenities, ...candidateAmenities]).size;
+
+    // distance_km es NULL si alguno de los dos no tiene coordenadas
+    const distanceKm = candidate.distance_km !== undefined && candidate.distance_km !== null
+      ? Number(candidate.distance_km)
+      : null;
+    const referencePrice = reference.avg_price !== null ? parseFloat(reference.avg_price) : null;
+    const candidatePrice = candidate.avg_price !== null ? parseFloat(candidate.avg_price) : null;
+
+    // Puntaje de cada criterio (null = sin datos para comparar)
+    const scores = {
+      type: candidate.property_type && candidate.property_type === reference.property_type ? 1 : 0,
+      category: candidate.category && candidate.category === reference.category ? 1 : 0,
+      amenities: amenityUnion > 0 ? sharedAmenities / amenityUnion : null,
+      distance: distanceKm !== null ? Math.pow(0.5, distanceKm / SIMILARITY_DISTANCE_HALF_KM) : null,
+      // Precios que difieren el doble o más no se consideran parecidos
+      price: referencePrice > 0 && candidatePrice > 0
+        ? Math.max(0, 1 - Math.abs(Math.log2(candidatePrice / referencePrice)))
+        : null,
+      rating: reference.average_rating > 0 && candidate.average_rating > 0
+        ? 1 - Math.abs(reference.average_rating - candidate.average_rating) / 4
+        : null
+    };
+
+    let weightedSum = 0;
+    let totalWeight = 0;
+    Object.entries(scores).forEach(([criterion, score]) => {
+      if (score !== null) {
+        weightedSum += SIMILARITY_WEIGHTS[criterion] * score;
+        totalWeight += SIMILARITY_WEIGHTS[criterion];
+      }
+    });
+
+    const reasons = [];
+    if (scores.type) {
+      reasons.push('mismo tipo');
+    } else if (scores.category) {
+      reasons.push('misma categoría');
+    }
+    if (distanceKm !== null && distanceKm < 50) {
+      reasons.push(distanceKm < 1 ? `a ${Math.round(distanceKm * 1000)} m` : `a ${distanceKm.toFixed(1)} km`);
+    }
+    if (sharedAmenities >= 2) {
+      reasons.push(`${sharedAmenities} amenidades en común`);
+    }
+    if (scores.price !== null && scores.price >= 0.7) {
+      reasons.push('precios similares');
+    }
+
+    const { avg_price, ...property } = candidate;
+
+    return {
+      ...formatPropertyRow(property),
+      distance_km: distanceKm !== null ? Math.round(distanceKm * 100) / 100 : null,
+      similarity_score: totalWeight > 0 ? Math.round(weightedSum / totalWeight * 1000) / 1000 : 0,
+      similarity_reason: reasons.length > 0 ? reasons.join(', ') : 'negocio relacionado'
+    };
+  }
+
+
   /**
    * Actualiza el estado de múltiples propiedades a la vez
    * @param {Array} propertyIds - Array de IDs de propiedades
@@ -1182,9 +1679,10 @@ static async searchProperties(searchTerm, searchFields = null, params = {}) {
         throw new NotFoundError('Una o más propiedades no fueron encontradas');
       }
 
-      // Verificar que todas pertenezcan al usuario
-      const unauthorized = properties.filter(prop => prop.host_id !== userId);
-      if (unauthorized.length > 0) {
+      // Verificar que todas pertenezcan al usuario (los administradores pueden actualizar cualquiera)
+      const isAdmin = await this.isAdminUser(connection, userId);
+      const unauthorized = properties.filter(prop => parseInt(prop.host_id) !== parseInt(userId));
+      if (!isAdmin && unauthorized.length > 0) {
         throw new AuthorizationError('No tiene autorización para actualizar una o más propiedades');
       }
 
@@ -1361,8 +1859,8 @@ static async getPropertiesByMainCategories(category = null, filters = {}) {
     if (category) {
       apiFilters.category = category;
     } else {
-      // Si no se proporciona categoría, filtramos por las tres principales
-      apiFilters.categoryList = ['Restaurante y bar', 'Alojamiento', 'Entretenimiento'];
+      // Si no se proporciona categoría, filtramos por las categorías principales activas
+      apiFilters.categoryList = await TaxonomyService.getMainCategoryNames();
     }
     
     // Calcular offset para paginación
@@ -1370,43 +1868,33 @@ static async getPropertiesByMainCategories(category = null, filters = {}) {
     const page = parseInt(filters.page || 1);
     const offset = (page - 1) * limit;
     
+    // Filtros (categoría, tipo, amenidades, mascotas, calificación, horario, radio);
+    // se resuelven antes de tomar la conexión porque pueden lanzar errores de validación
+    const baseCondition = { sql: '(p.archived IS NULL OR p.archived = FALSE)', params: [] };
+    const filterClauses = this.buildFilterClauses(apiFilters);
+    const whereCondition = [baseCondition.sql, ...filterClauses.map(clause => clause.sql)].join(' AND ');
+    const whereParams = filterClauses.flatMap(clause => clause.params);
+    
+    // Cercanía: distancia calculada si se envía ubicación
+    const geo = this.resolveGeoFilter(apiFilters);
+    const distance = geo ? distanceSql(geo.origin) : null;
+    
     const connection = await mysqlPool.getConnection();
     
     let query = `
       SELECT p.*, 
              GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
              GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
+             ${distance ? `, ROUND(${distance.sql}, 3) as distance_km` : ''}
       FROM properties p
       LEFT JOIN property_amenities pa ON p.id = pa.property_id
       LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
-      WHERE (p.archived IS NULL OR p.archived = FALSE)
+      WHERE ${whereCondition}
     `;
     
-    const queryParams = [];
-    
-    // Aplicar filtro de categoría
-    if (category) {
-      query += ' AND p.category = ?';
-      queryParams.push(category);
-    } else if (apiFilters.categoryList) {
-      query += ` AND p.category IN (${apiFilters.categoryList.map(() => '?').join(',')})`;
-      queryParams.push(...apiFilters.categoryList);
-    }
+    const queryParams = [...(distance ? distance.params : []), ...whereParams];
     
-    // IMPORTANTE: Añadir filtro de property_type si existe
     if (apiFilters.property_type) {
-      if (Array.isArray(apiFilters.property_type)) {
-        // Si es un array de tipos, usar IN
-        if (apiFilters.property_type.length > 0) {
-          query += ` AND p.property_type IN (${apiFilters.property_type.map(() => '?').join(',')})`;
-          queryParams.push(...apiFilters.property_type);
-        }
-      } else {
-        // Si es un solo tipo, usar igualdad
-        query += ' AND p.property_type = ?';
-        queryParams.push(apiFilters.property_type);
-      }
-      
       console.log(`SQL: Filtro de tipo aplicado: ${JSON.stringify(apiFilters.property_type)}`);
     }
     
@@ -1434,6 +1922,9 @@ static async getPropertiesByMainCategories(category = null, filters = {}) {
         case 'rating-low':
           query += ' ORDER BY COALESCE(p.average_rating, 0) ASC';
           break;
+        case 'distance':
+          query += ' ORDER BY distance_km IS NULL, distance_km ASC, p.title ASC';
+          break;
         case 'newest':
         default:
           query += ' ORDER BY CASE WHEN p.isFeatured = 1 THEN 1 ELSE 0 END DESC, p.created_at DESC';
@@ -1453,45 +1944,23 @@ static async getPropertiesByMainCategories(category = null, filters = {}) {
     const [properties] = await connection.query(query, queryParams);
     
     // Consulta para obtener el total sin paginación
-    let countQuery = `
-      SELECT COUNT(DISTINCT p.id) as total 
-      FROM properties p
-      WHERE (p.archived IS NULL OR p.archived = FALSE)
-    `;
-    
-    const countParams = [];
-    
-    if (category) {
-      countQuery += ' AND p.category = ?';
-      countParams.push(category);
-    } else if (apiFilters.categoryList) {
-      countQuery += ` AND p.category IN (${apiFilters.categoryList.map(() => '?').join(',')})`;
-      countParams.push(...apiFilters.categoryList);
-    }
-    
-    // Añadir mismo filtro de property_type a la consulta de conteo
-    if (apiFilters.property_type) {
-      if (Array.isArray(apiFilters.property_type)) {
-        if (apiFilters.property_type.length > 0) {
-          countQuery += ` AND p.property_type IN (${apiFilters.property_type.map(() => '?').join(',')})`;
-          countParams.push(...apiFilters.property_type);
-        }
-      } else {
-        countQuery += ' AND p.property_type = ?';
-        countParams.push(apiFilters.property_type);
-      }
-    }
-    
-    const [countResult] = await connection.query(countQuery, countParams);
+    const [countResult] = await connection.query(
+      `SELECT COUNT(*) as total FROM properties p WHERE ${whereCondition}`,
+      whereParams
+    );
     const total = countResult[0]?.total || 0;
     
+    // Conteos por faceta para la barra de filtros
+    const facets = apiFilters.facets === false
+      ? undefined
+      : await SearchService.getFacets(connection, baseCondition, filterClauses);
+    
     connection.release();
     
     // Procesar propiedades
     const processedProperties = properties.map(property => ({
-      ...property,
-      amenities: property.amenities ? property.amenities.split(',') : [],
-      pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
+      ...formatPropertyRow(property),
+      ...formatClosure(property)
     }));
     
     // Debug: Verificar filtrado
@@ -1512,7 +1981,8 @@ static async getPropertiesByMainCategories(category = null, filters = {}) {
       total,
       page: parseInt(filters.page || 1),
       limit,
-      totalPages: Math.ceil(total / limit)
+      totalPages: Math.ceil(total / limit),
+      facets
     };
   } catch (error) {
     console.error('Error al obtener propiedades por categorías principales:', error);
@@ -1531,8 +2001,8 @@ static async getPropertiesByMainFeaturedCategories(category = null, filters = {}
     if (category) {
       apiFilters.category = category;
     } else {
-      // Si no se proporciona categoría, filtramos por las tres principales
-      apiFilters.categoryList = ['Restaurante y bar', 'Alojamiento', 'Entretenimiento'];
+      // Si no se proporciona categoría, filtramos por las categorías principales activas
+      apiFilters.categoryList = await TaxonomyService.getMainCategoryNames();
     }
     
     // Calcular offset para paginación
@@ -1540,43 +2010,33 @@ static async getPropertiesByMainFeaturedCategories(category = null, filters = {}
     const page = parseInt(filters.page || 1);
     const offset = (page - 1) * limit;
     
+    // Filtros (categoría, tipo, amenidades, mascotas, calificación, horario, radio);
+    // se resuelven antes de tomar la conexión porque pueden lanzar errores de validación
+    const baseCondition = { sql: '(p.archived IS NULL OR p.archived = FALSE) AND p.isFeatured = 1', params: [] };
+    const filterClauses = this.buildFilterClauses(apiFilters);
+    const whereCondition = [baseCondition.sql, ...filterClauses.map(clause => clause.sql)].join(' AND ');
+    const whereParams = filterClauses.flatMap(clause => clause.params);
+    
+    // Cercanía: distancia calculada si se envía ubicación
+    const geo = this.resolveGeoFilter(apiFilters);
+    const distance = geo ? distanceSql(geo.origin) : null;
+    
     const connection = await mysqlPool.getConnection();
     
     let query = `
       SELECT p.*, 
              GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
              GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
+             ${distance ? `, ROUND(${distance.sql}, 3) as distance_km` : ''}
       FROM properties p
       LEFT JOIN property_amenities pa ON p.id = pa.property_id
       LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
-      WHERE (p.archived IS NULL OR p.archived = FALSE) AND p.isFeatured = 1
+      WHERE ${whereCondition}
     `;
     
-    const queryParams = [];
+    const queryParams = [...(distance ? distance.params : []), ...whereParams];
     
-    // Aplicar filtro de categoría
-    if (category) {
-      query += ' AND p.category = ?';
-      queryParams.push(category);
-    } else if (apiFilters.categoryList) {
-      query += ` AND p.category IN (${apiFilters.categoryList.map(() => '?').join(',')})`;
-      queryParams.push(...apiFilters.categoryList);
-    }
-    
-    // IMPORTANTE: Añadir filtro de property_type si existe
     if (apiFilters.property_type) {
-      if (Array.isArray(apiFilters.property_type)) {
-        // Si es un array de tipos, usar IN
-        if (apiFilters.property_type.length > 0) {
-          query += ` AND p.property_type IN (${apiFilters.property_type.map(() => '?').join(',')})`;
-          queryParams.push(...apiFilters.property_type);
-        }
-      } else {
-        // Si es un solo tipo, usar igualdad
-        query += ' AND p.property_type = ?';
-        queryParams.push(apiFilters.property_type);
-      }
-      
       console.log(`SQL: Filtro de tipo aplicado: ${JSON.stringify(apiFilters.property_type)}`);
     }
     
@@ -1604,6 +2064,9 @@ static async getPropertiesByMainFeaturedCategories(category = null, filters = {}
         case 'rating-low':
           query += ' ORDER BY COALESCE(p.average_rating, 0) ASC';
           break;
+        case 'distance':
+          query += ' ORDER BY distance_km IS NULL, distance_km ASC, p.title ASC';
+          break;
         case 'newest':
         default:
           query += ' ORDER BY CASE WHEN p.isFeatured = 1 THEN 1 ELSE 0 END DESC, p.created_at DESC';
@@ -1623,45 +2086,23 @@ static async getPropertiesByMainFeaturedCategories(category = null, filters = {}
     const [properties] = await connection.query(query, queryParams);
     
     // Consulta para obtener el total sin paginación
-    let countQuery = `
-      SELECT COUNT(DISTINCT p.id) as total 
-      FROM properties p
-      WHERE (p.archived IS NULL OR p.archived = FALSE)
-    `;
-    
-    const countParams = [];
-    
-    if (category) {
-      countQuery += ' AND p.category = ?';
-      countParams.push(category);
-    } else if (apiFilters.categoryList) {
-      countQuery += ` AND p.category IN (${apiFilters.categoryList.map(() => '?').join(',')})`;
-      countParams.push(...apiFilters.categoryList);
-    }
-    
-    // Añadir mismo filtro de property_type a la consulta de conteo
-    if (apiFilters.property_type) {
-      if (Array.isArray(apiFilters.property_type)) {
-        if (apiFilters.property_type.length > 0) {
-          countQuery += ` AND p.property_type IN (${apiFilters.property_type.map(() => '?').join(',')})`;
-          countParams.push(...apiFilters.property_type);
-        }
-      } else {
-        countQuery += ' AND p.property_type = ?';
-        countParams.push(apiFilters.property_type);
-      }
-    }
-    
-    const [countResult] = await connection.query(countQuery, countParams);
+    const [countResult] = await connection.query(
+      `SELECT COUNT(*) as total FROM properties p WHERE ${whereCondition}`,
+      whereParams
+    );
     const total = countResult[0]?.total || 0;
     
+    // Conteos por faceta para la barra de filtros
+    const facets = apiFilters.facets === false
+      ? undefined
+      : await SearchService.getFacets(connection, baseCondition, filterClauses);
+    
     connection.release();
     
     // Procesar propiedades
     const processedProperties = properties.map(property => ({
-      ...property,
-      amenities: property.amenities ? property.amenities.split(',') : [],
-      pets_allowed: property.pets_allowed ? property.pets_allowed.split(',') : []
+      ...formatPropertyRow(property),
+      ...formatClosure(property)
     }));
     
     // Debug: Verificar filtrado
@@ -1682,7 +2123,8 @@ static async getPropertiesByMainFeaturedCategories(category = null, filters = {}
       total,
       page: parseInt(filters.page || 1),
       limit,
-      totalPages: Math.ceil(total / limit)
+      totalPages: Math.ceil(total / limit),
+      facets
     };
   } catch (error) {
     console.error('Error al obtener propiedades por categorías principales:', error);
@@ -0,0 +1,198 @@
+// src/services/recommendation.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError } from '../utils/errors/index.js';
+import { formatPropertyRow } from '../models/mysql/property.model.js';
+import { TrendingService } from './trending.service.js';
+
+// Peso de cada interacción del usuario en su afinidad por un tipo / categoría de negocio
+const SIGNAL_WEIGHTS = {
+  favorite: 3,
+  booking: 4,
+  view: 1
+};
+
+// Reseñas: las buenas suman afinidad y las malas la restan
+const reviewWeight = (rating) => (rating >= 4 ? 3 : rating <= 2 ? -2 : 1);
+
+// Solo cuentan las vistas recientes (los gustos cambian)
+const VIEW_WINDOW_DAYS = 90;
+
+// Candidatos que se evalúan antes de ordenar por puntaje
+const CANDIDATE_POOL = 200;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+export class RecommendationService {
+  /**
+   * Recomendaciones personalizadas para un usuario. Sin historial suficiente
+   * se devuelven las propiedades en tendencia.
+   * @param {number} userId - ID del usuario
+   * @param {Object} options - { limit }
+   * @returns {Promise<Object>} - { strategy: 'personalized' | 'trending', properties }
+   */
+  static async getRecommendations(userId, { limit } = {}) {
+    if (!userId) {
+      throw new ValidationError('ID de usuario es requerido');
+    }
+
+    const maxResults = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    const { typeAffinity, categoryAffinity, excludedIds } = await this.getUserProfile(userId);
+
+    const hasProfile = [...typeAffinity.values(), ...categoryAffinity.values()].some(value => value > 0);
+    if (!hasProfile) {
+      const trending = await TrendingService.getTrendingProperties({
+        limit: maxResults,
+        excludeIds: [...excludedIds]
+      });
+      return {
+        strategy: 'trending',
+        properties: trending.map(property => ({ ...property, reason: 'Popular en este momento' }))
+      };
+    }
+
+    const candidates = await this.getCandidates(
+      [...categoryAffinity.keys()].filter(category => categoryAffinity.get(category) > 0),
+      excludedIds
+    );
+
+    const maxType = Math.max(...typeAffinity.values(), 1);
+    const maxCategory = Math.max(...categoryAffinity.values(), 1);
+
+    const scored = candidates
+      .map(property => {
+        const typeScore = Math.max(typeAffinity.get(property.property_type) || 0, 0) / maxType;
+        const categoryScore = Math.max(categoryAffinity.get(property.category) || 0, 0) / maxCategory;
+        const ratingScore = (parseFloat(property.average_rating) || 0) / 5;
+        const trendingScore = Math.log1p(property.trending_score || 0) / 10;
+
+        return {
+          ...property,
+          recommendation_score: Math.round(
+            (typeScore + 0.5 * categoryScore + 0.3 * ratingScore + trendingScore) * 1000
+          ) / 1000,
+          reason: typeScore > 0
+            ? `Porque te interesan lugares de tipo ${property.property_type}`
+            : `Porque te interesa ${property.category}`
+        };
+      })
+      .filter(property => property.recommendation_score > 0)
+      .sort((a, b) => b.recommendation_score - a.recommendation_score)
+      .slice(0, maxResults);
+
+    // Completar con tendencias si el perfil no alcanza para llenar la lista
+    if (scored.length < maxResults) {
+      const trending = await TrendingService.getTrendingProperties({
+        limit: maxResults - scored.length,
+        excludeIds: [...excludedIds, ...scored.map(property => property.id)]
+      });
+      trending.forEach(property => scored.push({ ...property, reason: 'Popular en este momento' }));
+    }
+
+    return {
+      strategy: 'personalized',
+      properties: scored
+    };
+  }
+
+  /**
+   * Afinidad del usuario por tipos y categorías a partir de sus favoritos, reservas,
+   * reseñas y vistas, y las propiedades que no se le deben recomendar
+   * @param {number} userId - ID del usuario
+   * @returns {Promise<Object>} - { typeAffinity: Map, categoryAffinity: Map, excludedIds: Set }
+   */
+  static async getUserProfile(userId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [signals] = await connection.query(
+        `SELECT p.id, p.category, p.property_type, s.signal_type, s.rating
+         FROM (
+           SELECT property_id, 'favorite' as signal_type, NULL as rating
+           FROM favorites WHERE user_id = ?
+           UNION ALL
+           SELECT property_id, 'booking', NULL
+           FROM bookings WHERE user_id = ? AND status <> 'cancelled' AND deleted_at IS NULL
+           UNION ALL
+           SELECT property_id, 'review', rating
+           FROM reviews WHERE reviewer_id = ?
+           UNION ALL
+           SELECT property_id, 'view', NULL
+           FROM property_view_events WHERE user_id = ? AND viewed_at >= NOW() - INTERVAL ? DAY
+         ) s
+         JOIN properties p ON p.id = s.property_id`,
+        [userId, userId, userId, userId, VIEW_WINDOW_DAYS]
+      );
+
+      // Ya reservadas, en favoritos o propias: no tiene sentido recomendarlas
+      const [excluded] = await connection.query(
+        `SELECT property_id as id FROM favorites WHERE user_id = ?
+         UNION
+         SELECT property_id FROM bookings WHERE user_id = ? AND deleted_at IS NULL
+         UNION
+         SELECT id FROM properties WHERE host_id = ?`,
+        [userId, userId, userId]
+      );
+
+      const typeAffinity = new Map();
+      const categoryAffinity = new Map();
+      const add = (map, key, weight) => {
+        if (key) {
+          map.set(key, (map.get(key) || 0) + weight);
+        }
+      };
+
+      signals.forEach(signal => {
+        const weight = signal.signal_type === 'review'
+          ? reviewWeight(signal.rating)
+          : SIGNAL_WEIGHTS[signal.signal_type];
+        add(typeAffinity, signal.property_type, weight);
+        add(categoryAffinity, signal.category, weight);
+      });
+
+      return {
+        typeAffinity,
+        categoryAffinity,
+        excludedIds: new Set(excluded.map(row => row.id))
+      };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Propiedades candidatas de las categorías de interés, sin las excluidas
+   * @param {Array<string>} categories - Categorías con afinidad positiva
+   * @param {Set<number>} excludedIds - Propiedades a excluir
+   * @returns {Promise<Array>}
+   */
+  static async getCandidates(categories, excludedIds) {
+    if (categories.length === 0) {
+      return [];
+    }
+
+    const excluded = [...excludedIds];
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [properties] = await connection.query(
+        `SELECT p.*,
+                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
+                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
+         FROM properties p
+         LEFT JOIN property_amenities pa ON p.id = pa.property_id
+         LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
+         WHERE (p.archived IS NULL OR p.archived = FALSE)
+         AND p.category IN (?)
+         ${excluded.length > 0 ? 'AND p.id NOT IN (?)' : ''}
+         GROUP BY p.id
+         ORDER BY p.trending_score DESC, p.average_rating DESC
+         LIMIT ?`,
+        [categories, ...(excluded.length > 0 ? [excluded] : []), CANDIDATE_POOL]
+      );
+
+      return properties.map(formatPropertyRow);
+    } finally {
+      connection.release();
+    }
+  }
+}
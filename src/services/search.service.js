@@ -0,0 +1,523 @@
+// src/services/search.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError } from '../utils/errors/index.js';
+
+// Longitud mínima de palabra que indexa FULLTEXT en InnoDB (innodb_ft_min_token_size)
+const MIN_TOKEN_LENGTH = 3;
+
+// Peso de la calificación y de las vistas sobre la relevancia textual
+const RATING_WEIGHT = 0.3;
+const VIEWS_WEIGHT = 0.1;
+
+// Tiempo de vida del vocabulario usado para tolerar errores de escritura
+const VOCABULARY_TTL_MS = 10 * 60 * 1000;
+
+// Tamaño máximo del texto de búsqueda (columna TEXT; el texto normalizado es ASCII)
+const MAX_SEARCH_TEXT_LENGTH = 65000;
+
+// Sugerencias por grupo en el autocompletado
+const DEFAULT_SUGGEST_LIMIT = 5;
+const MAX_SUGGEST_LIMIT = 10;
+
+// Rangos de calificación de las facetas ("4 estrellas o más", ...)
+const RATING_BUCKETS = [4, 3, 2, 1];
+
+// Campos permitidos cuando el cliente restringe la búsqueda (searchFields)
+const SEARCHABLE_FIELDS = ['title', 'description', 'address', 'category', 'property_type'];
+
+let vocabularyCache = null;
+let vocabularyLoadedAt = 0;
+
+// Distancia de Levenshtein con corte temprano cuando supera maxDistance
+const levenshtein = (a, b, maxDistance) => {
+  if (Math.abs(a.length - b.length) > maxDistance) {
+    return maxDistance + 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+
+    if (rowMin > maxDistance) {
+      return maxDistance + 1;
+    }
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+export class SearchService {
+  /**
+   * Normaliza texto para búsqueda: minúsculas, sin acentos ni signos
+   * @param {string} text - Texto original
+   * @returns {string} - Texto normalizado ("Cafetería" -> "cafeteria")
+   */
+  static normalize(text) {
+    if (!text) {
+      return '';
+    }
+
+    return String(text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Divide una consulta en palabras normalizadas y sin repetir
+   * @param {string} query - Consulta del usuario
+   * @returns {Array<string>} - Palabras
+   */
+  static tokenize(query) {
+    return [...new Set(this.normalize(query).split(' ').filter(Boolean))];
+  }
+
+  /**
+   * Obtiene los datos de una propiedad que alimentan su texto de búsqueda
+   * @param {Object} connection - Conexión MySQL activa
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<Array<string>|null>} - Fragmentos de texto o null si no existe
+   */
+  static async collectSearchSources(connection, propertyId) {
+    const [properties] = await connection.query(
+      'SELECT title, description, address, category, property_type FROM properties WHERE id = ?',
+      [propertyId]
+    );
+
+    if (properties.length === 0) {
+      return null;
+    }
+
+    const property = properties[0];
+    const [amenities] = await connection.query(
+      'SELECT amenity FROM property_amenities WHERE property_id = ?',
+      [propertyId]
+    );
+
+    // Catálogo (menú o servicios): nombres de secciones y de los ítems disponibles
+    const [catalog] = await connection.query(
+      `SELECT cs.name as section_name, ci.name, ci.description, ci.dietary_tags
+       FROM catalog_sections cs
+       LEFT JOIN catalog_items ci ON ci.section_id = cs.id AND ci.is_available = TRUE
+       WHERE cs.property_id = ?`,
+      [propertyId]
+    );
+
+    // El título se repite para que pese más en la relevancia
+    return [
+      property.title,
+      property.title,
+      property.category,
+      property.property_type,
+      property.description,
+      property.address,
+      ...amenities.map(a => a.amenity),
+      ...new Set(catalog.map(row => row.section_name)),
+      ...catalog.flatMap(row => [row.name, row.description, row.dietary_tags])
+    ];
+  }
+
+  /**
+   * Recalcula el texto de búsqueda de una propiedad. Los errores se registran
+   * sin interrumpir la operación que originó el cambio.
+   * @param {number} propertyId - ID de la propiedad
+   * @returns {Promise<boolean>}
+   */
+  static async refreshSearchText(propertyId) {
+    const connection = await mysqlPool.getConnection();
+    try {
+      const sources = await this.collectSearchSources(connection, propertyId);
+      if (!sources) {
+        return false;
+      }
+
+      // Se recorta al tamaño de la columna TEXT (catálogos muy extensos)
+      const searchText = sources
+        .map(source => this.normalize(source))
+        .filter(Boolean)
+        .join(' ')
+        .slice(0, MAX_SEARCH_TEXT_LENGTH);
+
+      await connection.query(
+        'UPDATE properties SET search_text = ? WHERE id = ?',
+        [searchText, propertyId]
+      );
+
+      vocabularyCache = null;
+      return true;
+    } catch (error) {
+      console.error(`Error al actualizar texto de búsqueda de la propiedad ${propertyId}:`, error);
+      return false;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Recalcula el texto de búsqueda de todas las propiedades
+   * @param {boolean} onlyMissing - Solo las que todavía no tienen texto de búsqueda
+   * @returns {Promise<number>} - Cantidad de propiedades actualizadas
+   */
+  static async rebuildSearchText(onlyMissing = false) {
+    const connection = await mysqlPool.getConnection();
+    let ids;
+    try {
+      const [rows] = await connection.query(
+        `SELECT id FROM properties ${onlyMissing ? 'WHERE search_text IS NULL' : ''}`
+      );
+      ids = rows.map(row => row.id);
+    } finally {
+      connection.release();
+    }
+
+    let updated = 0;
+    for (const id of ids) {
+      if (await this.refreshSearchText(id)) {
+        updated++;
+      }
+    }
+
+    if (updated > 0) {
+      console.log(`Texto de búsqueda actualizado para ${updated} propiedades`);
+    }
+    return updated;
+  }
+
+  // Vocabulario de palabras indexadas (en caché) para sugerir correcciones
+  static async getVocabulary() {
+    if (vocabularyCache && Date.now() - vocabularyLoadedAt < VOCABULARY_TTL_MS) {
+      return vocabularyCache;
+    }
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [rows] = await connection.query(
+        'SELECT search_text FROM properties WHERE search_text IS NOT NULL AND (archived IS NULL OR archived = FALSE)'
+      );
+
+      const words = new Set();
+      rows.forEach(row => {
+        row.search_text.split(' ').forEach(word => {
+          if (word.length >= MIN_TOKEN_LENGTH) {
+            words.add(word);
+          }
+        });
+      });
+
+      vocabularyCache = words;
+      vocabularyLoadedAt = Date.now();
+      return words;
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Palabras del vocabulario parecidas a un término (errores de escritura)
+   * @param {string} token - Palabra normalizada
+   * @param {Set<string>} vocabulary - Vocabulario indexado
+   * @returns {Array<string>} - Correcciones posibles
+   */
+  static findTypoCorrections(token, vocabulary) {
+    if (token.length < 4 || vocabulary.has(token)) {
+      return [];
+    }
+
+    // Si la palabra es el inicio de otra indexada, la búsqueda por prefijo ya la encuentra
+    for (const word of vocabulary) {
+      if (word.startsWith(token)) {
+        return [];
+      }
+    }
+
+    const maxDistance = token.length <= 5 ? 1 : 2;
+    const corrections = [];
+
+    for (const word of vocabulary) {
+      if (levenshtein(token, word, maxDistance) <= maxDistance) {
+        corrections.push(word);
+        if (corrections.length >= 5) {
+          break;
+        }
+      }
+    }
+
+    return corrections;
+  }
+
+  // Factor con el que la calificación y la popularidad ajustan la relevancia textual
+  static popularityFactorSql(alias = 'p') {
+    return `(1 + ${RATING_WEIGHT} * COALESCE(${alias}.average_rating, 0) / 5 + ${VIEWS_WEIGHT} * LOG10(1 + COALESCE(${alias}.views, 0)))`;
+  }
+
+  /**
+   * Construye la condición y el puntaje de relevancia para una consulta de texto libre
+   * @param {string} searchTerm - Consulta del usuario
+   * @returns {Promise<Object>} - { condition: {sql, params}, score: {sql, params}, tokens, corrections }
+   */
+  static async buildTextSearch(searchTerm) {
+    const tokens = this.tokenize(searchTerm);
+    const indexedTokens = tokens.filter(token => token.length >= MIN_TOKEN_LENGTH);
+
+    // Consultas con solo palabras muy cortas no usan el índice FULLTEXT
+    if (indexedTokens.length === 0) {
+      const pattern = `%${this.normalize(searchTerm)}%`;
+      return {
+        condition: { sql: 'p.search_text LIKE ?', params: [pattern] },
+        score: { sql: this.popularityFactorSql(), params: [] },
+        tokens,
+        corrections: {}
+      };
+    }
+
+    const vocabulary = await this.getVocabulary();
+    const corrections = {};
+    const terms = [];
+
+    indexedTokens.forEach(token => {
+      // La palabra escrita (y sus continuaciones) pesa más que las correcciones
+      terms.push(`>${token}*`);
+
+      const tokenCorrections = this.findTypoCorrections(token, vocabulary);
+      if (tokenCorrections.length > 0) {
+        corrections[token] = tokenCorrections;
+        tokenCorrections.forEach(word => terms.push(`<${word}`));
+      }
+    });
+
+    const against = terms.join(' ');
+    const match = 'MATCH(p.search_text) AGAINST(? IN BOOLEAN MODE)';
+
+    return {
+      condition: { sql: match, params: [against] },
+      score: { sql: `${match} * ${this.popularityFactorSql()}`, params: [against] },
+      tokens,
+      corrections
+    };
+  }
+
+  /**
+   * Búsqueda restringida a campos concretos (parámetro searchFields)
+   * @param {string} searchTerm - Consulta del usuario
+   * @param {Array<string>} searchFields - Campos solicitados
+   * @returns {Object} - { condition: {sql, params}, score: {sql, params}, tokens, corrections }
+   */
+  static buildFieldsSearch(searchTerm, searchFields) {
+    const fields = searchFields.filter(field => SEARCHABLE_FIELDS.includes(field));
+    const fieldsToSearch = (fields.length > 0 ? fields : SEARCHABLE_FIELDS).map(field => `p.${field}`);
+    const pattern = `%${searchTerm.trim()}%`;
+
+    // El primer campo que coincide define el peso (el orden de searchFields es la prioridad)
+    let scoreCase = 'CASE ';
+    fieldsToSearch.forEach((field, index) => {
+      scoreCase += `WHEN ${field} LIKE ? THEN ${fieldsToSearch.length - index} `;
+    });
+    scoreCase += 'ELSE 0 END';
+
+    return {
+      condition: {
+        sql: `(${fieldsToSearch.map(field => `${field} LIKE ?`).join(' OR ')})`,
+        params: Array(fieldsToSearch.length).fill(pattern)
+      },
+      score: {
+        sql: `(${scoreCase}) * ${this.popularityFactorSql()}`,
+        params: Array(fieldsToSearch.length).fill(pattern)
+      },
+      tokens: this.tokenize(searchTerm),
+      corrections: {}
+    };
+  }
+
+  /**
+   * Conteos por faceta (tipo, categoría, amenidad, mascotas y calificación).
+   * Cada faceta se cuenta sin su propio filtro para que la barra lateral
+   * muestre también las opciones alternativas ("Restaurante (12)", "Bar (4)").
+   * @param {Object} connection - Conexión MySQL activa
+   * @param {Object} baseCondition - { sql, params } que siempre se aplica
+   * @param {Array<Object>} clauses - Filtros [{ key, sql, params }] (ver PropertyService.buildFilterClauses)
+   * @returns {Promise<Object>} - { property_type, category, amenities, pets_allowed, rating }
+   */
+  static async getFacets(connection, baseCondition, clauses = []) {
+    const whereExcluding = (key) => {
+      const applied = clauses.filter(clause => clause.key !== key);
+      return {
+        sql: [baseCondition.sql, ...applied.map(clause => clause.sql)].join(' AND '),
+        params: [...baseCondition.params, ...applied.flatMap(clause => clause.params)]
+      };
+    };
+
+    const countByColumn = async (key, column) => {
+      const where = whereExcluding(key);
+      const [rows] = await connection.query(
+        `SELECT ${column} as value, COUNT(*) as count
+         FROM properties p
+         WHERE ${where.sql} AND ${column} IS NOT NULL AND ${column} != ''
+         GROUP BY ${column}
+         ORDER BY count DESC, value ASC`,
+        where.params
+      );
+      return rows;
+    };
+
+    const countByRelation = async (key, table, column) => {
+      const where = whereExcluding(key);
+      const [rows] = await connection.query(
+        `SELECT r.${column} as value, COUNT(DISTINCT p.id) as count
+         FROM properties p
+         JOIN ${table} r ON r.property_id = p.id
+         WHERE ${where.sql}
+         GROUP BY r.${column}
+         ORDER BY count DESC, value ASC`,
+        where.params
+      );
+      return rows;
+    };
+
+    const ratingWhere = whereExcluding('rating');
+    const [ratingRows] = await connection.query(
+      `SELECT ${RATING_BUCKETS.map(min =>
+        `SUM(CASE WHEN COALESCE(p.average_rating, 0) >= ${min} THEN 1 ELSE 0 END) as bucket_${min}`
+      ).join(', ')}
+       FROM properties p
+       WHERE ${ratingWhere.sql}`,
+      ratingWhere.params
+    );
+
+    return {
+      property_type: await countByColumn('property_type', 'p.property_type'),
+      category: await countByColumn('category', 'p.category'),
+      amenities: await countByRelation('amenities', 'property_amenities', 'amenity'),
+      pets_allowed: await countByRelation('pets', 'property_pets_allowed', 'pet_type'),
+      // Rangos acumulados, coinciden con el filtro min_rating
+      rating: RATING_BUCKETS.map(min => ({
+        min_rating: min,
+        count: Number(ratingRows[0]?.[`bucket_${min}`]) || 0
+      }))
+    };
+  }
+
+  /**
+   * Indica si cada palabra de la consulta es el inicio de alguna palabra del texto
+   * @param {string} text - Texto a evaluar
+   * @param {Array<string>} tokens - Palabras normalizadas de la consulta
+   * @returns {boolean}
+   */
+  static matchesPrefix(text, tokens) {
+    const words = this.normalize(text).split(' ');
+    return tokens.every(token => words.some(word => word.startsWith(token)));
+  }
+
+  /**
+   * Sugerencias de autocompletado agrupadas por tipo
+   * @param {string} query - Texto escrito por el usuario
+   * @param {number} limit - Máximo de sugerencias por grupo
+   * @returns {Promise<Object>} - { query, businesses, categories, amenities, events, blogs }
+   */
+  static async suggest(query, limit = DEFAULT_SUGGEST_LIMIT) {
+    const tokens = this.tokenize(query);
+
+    if (tokens.length === 0 || tokens.join('').length < 2) {
+      throw new ValidationError('La consulta debe tener al menos 2 caracteres');
+    }
+
+    const groupLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_SUGGEST_LIMIT, 1), MAX_SUGGEST_LIMIT);
+    const normalizedQuery = tokens.join(' ');
+    // Eventos y blogs: la consulta debe iniciar el campo o una de sus palabras
+    const wordPrefix = (field) => `(${field} LIKE ? OR ${field} LIKE ?)`;
+    const prefixPatterns = [`${normalizedQuery}%`, `% ${normalizedQuery}%`];
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      // Negocios: todas las palabras deben aparecer (la última como prefijo);
+      // primero los que empiezan con la consulta (search_text comienza con el título)
+      const indexedTokens = tokens.filter(token => token.length >= MIN_TOKEN_LENGTH);
+      const businessCondition = indexedTokens.length === tokens.length
+        ? {
+            sql: 'MATCH(p.search_text) AGAINST(? IN BOOLEAN MODE)',
+            params: [tokens.map((token, i) => (i === tokens.length - 1 ? `+${token}*` : `+${token}`)).join(' ')]
+          }
+        : { sql: 'p.search_text LIKE ?', params: [`%${normalizedQuery}%`] };
+
+      const [businesses] = await connection.query(
+        `SELECT p.id, p.title, p.category, p.property_type, p.image, p.address, p.average_rating
+         FROM properties p
+         WHERE (p.archived IS NULL OR p.archived = FALSE)
+         AND ${businessCondition.sql}
+         ORDER BY (p.search_text LIKE ?) DESC, COALESCE(p.average_rating, 0) DESC, p.views DESC
+         LIMIT ?`,
+        [...businessCondition.params, `${normalizedQuery}%`, groupLimit]
+      );
+
+      // Categorías y tipos de negocio con la cantidad de negocios activos
+      const [categoryRows] = await connection.query(
+        `SELECT 'category' as type, category as value, COUNT(*) as count
+         FROM properties
+         WHERE category IS NOT NULL AND category != '' AND (archived IS NULL OR archived = FALSE)
+         GROUP BY category
+         UNION ALL
+         SELECT 'property_type' as type, property_type as value, COUNT(*) as count
+         FROM properties
+         WHERE property_type IS NOT NULL AND (archived IS NULL OR archived = FALSE)
+         GROUP BY property_type`
+      );
+
+      const [amenityRows] = await connection.query(
+        `SELECT pa.amenity as value, COUNT(*) as count
+         FROM property_amenities pa
+         JOIN properties p ON pa.property_id = p.id
+         WHERE (p.archived IS NULL OR p.archived = FALSE)
+         GROUP BY pa.amenity`
+      );
+
+      // Eventos próximos y blogs activos (la intercalación de MySQL ignora acentos en LIKE)
+      const [events] = await connection.query(
+        `SELECT id, event_name, event_date, event_time, location, image_url
+         FROM events
+         WHERE status = 'activo' AND event_date >= CURDATE()
+         AND (${wordPrefix('event_name')} OR ${wordPrefix('event_type')})
+         ORDER BY event_date ASC, event_time ASC
+         LIMIT ?`,
+        [...prefixPatterns, ...prefixPatterns, groupLimit]
+      );
+
+      const [blogs] = await connection.query(
+        `SELECT id, title, category, image_url, published_at
+         FROM blogs
+         WHERE active = TRUE AND (${wordPrefix('title')} OR ${wordPrefix('category')})
+         ORDER BY published_at DESC
+         LIMIT ?`,
+        [...prefixPatterns, ...prefixPatterns, groupLimit]
+      );
+
+      const byCount = (a, b) => b.count - a.count;
+
+      return {
+        query: query.trim(),
+        businesses,
+        categories: categoryRows
+          .filter(row => this.matchesPrefix(row.value, tokens))
+          .sort(byCount)
+          .slice(0, groupLimit),
+        amenities: amenityRows
+          .filter(row => this.matchesPrefix(row.value, tokens))
+          .sort(byCount)
+          .slice(0, groupLimit),
+        events,
+        blogs
+      };
+    } finally {
+      connection.release();
+    }
+  }
+}
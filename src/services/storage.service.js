@@ -0,0 +1,139 @@
+// src/services/storage.service.js
+// Punto único de acceso al almacenamiento de archivos subidos (imágenes y documentos).
+// El driver se elige con STORAGE_DRIVER: 'azure' o 'local'. Sin valor, se usa Azure
+// si hay credenciales y, si no, el disco local (public/uploads).
+import dotenv from 'dotenv';
+import { v4 as uuidv4 } from 'uuid';
+import { azureStorageService } from './azure-storage.service.js';
+import { localStorageService } from './local-storage.service.js';
+import {
+  ImageProcessingService,
+  VARIANT_CONTENT_TYPE
+} from './image-processing.service.js';
+
+dotenv.config();
+
+const drivers = {
+  azure: azureStorageService,
+  local: localStorageService
+};
+
+const resolveDriverName = () => {
+  const configured = (process.env.STORAGE_DRIVER || '').trim().toLowerCase();
+
+  if (configured) {
+    if (!drivers[configured]) {
+      throw new Error(`STORAGE_DRIVER inválido: "${configured}". Valores permitidos: ${Object.keys(drivers).join(', ')}`);
+    }
+    return configured;
+  }
+
+  return azureStorageService.isConfigured() ? 'azure' : 'local';
+};
+
+class StorageService {
+  constructor() {
+    this.driverName = resolveDriverName();
+    this.driver = drivers[this.driverName];
+    console.log(`Almacenamiento de archivos: ${this.driverName}`);
+  }
+
+  /**
+   * Sube un archivo recibido por multer (memoryStorage). Las imágenes se convierten en
+   * variantes WebP (thumbnail, card, full) y se devuelve la URL de la variante "full";
+   * las demás se obtienen con ImageProcessingService.getImageVariants. Otros archivos
+   * (p. ej. PDF) se guardan sin modificar.
+   * @param {Object} file - Archivo con originalname, mimetype y buffer
+   * @param {string} entityType - Tipo de entidad (prefijo del nombre)
+   * @param {string|number} entityId - ID de la entidad
+   * @returns {Promise<string>} - URL pública del archivo
+   */
+  async uploadImage(file, entityType = 'property', entityId = 'default') {
+    if (!ImageProcessingService.isProcessable(file)) {
+      return this.driver.uploadImage(file, entityType, entityId);
+    }
+
+    const variants = await ImageProcessingService.createVariants(file.buffer);
+    const baseName = `${entityType}-${entityId}-${uuidv4()}`;
+
+    const urls = await Promise.all(
+      variants.map(variant => this.driver.uploadBuffer(
+        variant.buffer,
+        ImageProcessingService.variantFileName(baseName, variant.name),
+        VARIANT_CONTENT_TYPE
+      ))
+    );
+
+    const fullUrl = urls[variants.findIndex(variant => variant.name === 'full')];
+    console.log(`Imagen subida con ${variants.length} variantes. Tipo: ${entityType}, URL: ${fullUrl}`);
+    return fullUrl;
+  }
+
+  /**
+   * Guarda un documento que no debe ser público (p. ej. la prueba de un reclamo).
+   * No devuelve una URL sino una clave "driver:archivo" para leerlo con getPrivateFile.
+   * @param {Object} file - Archivo con originalname, mimetype y buffer
+   * @param {string} entityType - Tipo de entidad (prefijo del nombre)
+   * @param {string|number} entityId - ID de la entidad
+   * @returns {Promise<string>} - Clave del documento
+   */
+  async uploadPrivateFile(file, entityType, entityId) {
+    const extension = file.originalname.split('.').pop();
+    const fileName = `${entityType}-${entityId}-${uuidv4()}.${extension}`;
+
+    await this.driver.uploadPrivateBuffer(file.buffer, fileName, file.mimetype);
+    return `${this.driverName}:${fileName}`;
+  }
+
+  // Indica si un valor guardado es la clave de un documento privado (y no una URL pública)
+  isPrivateKey(value) {
+    const [driverName, fileName] = String(value || '').split(':');
+    return Boolean(drivers[driverName] && fileName);
+  }
+
+  /**
+   * Lee un documento privado con el driver que lo guardó
+   * @param {string} key - Clave devuelta por uploadPrivateFile
+   * @returns {Promise<Object|null>} - { buffer, contentType, fileName } o null si no existe
+   */
+  async getPrivateFile(key) {
+    if (!this.isPrivateKey(key)) {
+      return null;
+    }
+
+    const [driverName, fileName] = key.split(':');
+    const file = await drivers[driverName].readPrivateFile(fileName);
+
+    return file ? { ...file, fileName } : null;
+  }
+
+  /**
+   * Elimina un archivo a partir de su URL. Se usa el driver que lo guardó, de modo que
+   * los archivos subidos antes de cambiar de driver también se puedan eliminar.
+   * @param {string} fileUrl - URL devuelta por uploadImage
+   * @returns {Promise<boolean>}
+   */
+  async deleteImage(fileUrl) {
+    if (!fileUrl) {
+      return false;
+    }
+
+    const owner = Object.values(drivers).find(driver => driver.ownsUrl(fileUrl)) || this.driver;
+
+    // Una imagen procesada se elimina junto con todas sus variantes
+    if (ImageProcessingService.hasVariants(fileUrl)) {
+      const variantUrls = Object.values(ImageProcessingService.getImageVariants(fileUrl));
+      const results = await Promise.allSettled(variantUrls.map(url => owner.deleteImage(url)));
+
+      const failed = results.find(result => result.status === 'rejected');
+      if (failed) {
+        throw failed.reason;
+      }
+      return true;
+    }
+
+    return owner.deleteImage(fileUrl);
+  }
+}
+
+export const storageService = new StorageService();
@@ -0,0 +1,321 @@
+// src/services/taxonomy.service.js
+import { mysqlPool } from '../config/database.js';
+import { ValidationError, NotFoundError, ConflictError } from '../utils/errors/index.js';
+import { BusinessCategory } from '../models/mysql/business-category.model.js';
+import { SearchService } from './search.service.js';
+import { parseBoolean } from '../utils/helpers.js';
+
+export class TaxonomyService {
+  /**
+   * Obtiene la taxonomía como árbol: categorías principales con sus tipos de negocio
+   * @param {boolean} includeInactive - Incluir entradas desactivadas (vista de administración)
+   * @returns {Promise<Array>} - [{ id, name, slug, icon, sort_order, active, types: [...] }]
+   */
+  static async getTaxonomy(includeInactive = false) {
+    const entries = await BusinessCategory.findAll(includeInactive);
+
+    const categories = entries
+      .filter(entry => entry.parent_id === null)
+      .map(category => ({ ...category, types: [] }));
+
+    const byId = new Map(categories.map(category => [category.id, category]));
+    entries
+      .filter(entry => entry.parent_id !== null)
+      .forEach(type => {
+        const parent = byId.get(type.parent_id);
+        if (parent) {
+          parent.types.push(type);
+        }
+      });
+
+    return categories;
+  }
+
+  /**
+   * Nombres de las categorías principales activas
+   * @returns {Promise<Array<string>>}
+   */
+  static async getMainCategoryNames() {
+    const entries = await BusinessCategory.findAll();
+    return entries.filter(entry => entry.parent_id === null).map(entry => entry.name);
+  }
+
+  /**
+   * Valida los datos de una entrada de la taxonomía
+   * @param {Object} data - Datos recibidos
+   * @param {boolean} partial - true para actualizaciones (campos opcionales)
+   * @returns {Object} - Datos normalizados
+   */
+  static validateEntryData(data, partial = false) {
+    const entry = {};
+
+    if (data.name !== undefined || !partial) {
+      const name = typeof data.name === 'string' ? data.name.trim() : '';
+      if (!name) {
+        throw new ValidationError('El nombre es requerido');
+      }
+      if (name.length > 100) {
+        throw new ValidationError('El nombre no puede exceder 100 caracteres');
+      }
+      entry.name = name;
+    }
+
+    if (data.parent_id !== undefined) {
+      if (data.parent_id === null || data.parent_id === '') {
+        entry.parent_id = null;
+      } else {
+        const parentId = parseInt(data.parent_id);
+        if (Number.isNaN(parentId)) {
+          throw new ValidationError('parent_id debe ser un número');
+        }
+        entry.parent_id = parentId;
+      }
+    }
+
+    if (data.icon !== undefined) {
+      entry.icon = data.icon || null;
+    }
+
+    if (data.sort_order !== undefined) {
+      const sortOrder = parseInt(data.sort_order);
+      if (Number.isNaN(sortOrder)) {
+        throw new ValidationError('sort_order debe ser un número');
+      }
+      entry.sort_order = sortOrder;
+    }
+
+    if (data.active !== undefined) {
+      entry.active = parseBoolean(data.active);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Verifica que el padre exista y sea una categoría principal (la taxonomía tiene dos niveles)
+   * @param {number} parentId - ID del padre
+   */
+  static async validateParent(parentId) {
+    const parent = await BusinessCategory.findById(parentId);
+    if (!parent) {
+      throw new ValidationError('La categoría padre no existe');
+    }
+    if (parent.parent_id !== null) {
+      throw new ValidationError('Un tipo de negocio solo puede pertenecer a una categoría principal');
+    }
+    return parent;
+  }
+
+  /**
+   * Verifica que no exista otra entrada con el mismo nombre en el mismo nivel
+   * @param {string} name - Nombre
+   * @param {number|null} parentId - Padre (null = categoría principal)
+   * @param {number} excludeId - ID a excluir (actualizaciones)
+   */
+  static async ensureUniqueName(name, parentId, excludeId = null) {
+    const existing = await BusinessCategory.findByName(name, parentId);
+    if (existing && existing.id !== excludeId) {
+      throw new ConflictError(`Ya existe "${name}" en este nivel de la taxonomía`);
+    }
+  }
+
+  /**
+   * Crea una categoría principal o un tipo de negocio
+   * @param {Object} data - { name, parent_id, icon, sort_order, active }
+   * @returns {Promise<Object>} - Entrada creada
+   */
+  static async createEntry(data) {
+    const entry = this.validateEntryData(data);
+    entry.parent_id = entry.parent_id || null;
+
+    if (entry.parent_id) {
+      await this.validateParent(entry.parent_id);
+    }
+
+    await this.ensureUniqueName(entry.name, entry.parent_id);
+    entry.slug = await BusinessCategory.generateSlug(entry.name);
+
+    const id = await BusinessCategory.create(entry);
+    return BusinessCategory.findById(id);
+  }
+
+  /**
+   * Actualiza una entrada. Al renombrarla o moverla se actualiza el texto desnormalizado
+   * (category / property_type) de los negocios asociados.
+   * @param {number} id - ID de la entrada
+   * @param {Object} data - Campos a actualizar
+   * @returns {Promise<Object>} - Entrada actualizada
+   */
+  static async updateEntry(id, data) {
+    const current = await BusinessCategory.findById(id);
+    if (!current) {
+      throw new NotFoundError('Categoría no encontrada');
+    }
+
+    const changes = this.validateEntryData(data, true);
+    const isMainCategory = current.parent_id === null;
+
+    if (changes.parent_id !== undefined && changes.parent_id !== current.parent_id) {
+      // Una categoría principal no puede pasar a ser tipo ni viceversa
+      if (isMainCategory || changes.parent_id === null) {
+        throw new ValidationError('No se puede cambiar el nivel de una entrada de la taxonomía');
+      }
+      await this.validateParent(changes.parent_id);
+    } else {
+      delete changes.parent_id;
+    }
+
+    const parentId = changes.parent_id !== undefined ? changes.parent_id : current.parent_id;
+    const name = changes.name !== undefined ? changes.name : current.name;
+
+    if (changes.name !== undefined || changes.parent_id !== undefined) {
+      await this.ensureUniqueName(name, parentId, current.id);
+    }
+
+    if (changes.name !== undefined && changes.name !== current.name) {
+      changes.slug = await BusinessCategory.generateSlug(changes.name, current.id);
+    }
+
+    await BusinessCategory.update(id, changes);
+
+    if ((changes.name !== undefined && changes.name !== current.name) || changes.parent_id !== undefined) {
+      await this.syncProperties(id, isMainCategory);
+    }
+
+    return BusinessCategory.findById(id);
+  }
+
+  /**
+   * Copia el nombre vigente de la taxonomía a los negocios asociados y regenera su texto de búsqueda
+   * @param {number} id - ID de la entrada modificada
+   * @param {boolean} isMainCategory - true si es categoría principal
+   */
+  static async syncProperties(id, isMainCategory) {
+    const connection = await mysqlPool.getConnection();
+    let propertyIds;
+    try {
+      if (isMainCategory) {
+        await connection.query(
+          `UPDATE properties p
+           JOIN business_categories c ON c.id = p.category_id
+           SET p.category = c.name
+           WHERE p.category_id = ?`,
+          [id]
+        );
+      } else {
+        // Al mover un tipo a otra categoría, sus negocios se mueven con él
+        await connection.query(
+          `UPDATE properties p
+           JOIN business_categories t ON t.id = p.type_id
+           JOIN business_categories c ON c.id = t.parent_id
+           SET p.property_type = t.name, p.category_id = c.id, p.category = c.name
+           WHERE p.type_id = ?`,
+          [id]
+        );
+      }
+
+      const [rows] = await connection.query(
+        `SELECT id FROM properties WHERE ${isMainCategory ? 'category_id' : 'type_id'} = ?`,
+        [id]
+      );
+      propertyIds = rows.map(row => row.id);
+    } finally {
+      connection.release();
+    }
+
+    for (const propertyId of propertyIds) {
+      await SearchService.refreshSearchText(propertyId);
+    }
+  }
+
+  /**
+   * Elimina una entrada sin tipos ni negocios asociados
+   * (para retirarla sin reasignar negocios se puede desactivar con active = false)
+   * @param {number} id - ID de la entrada
+   */
+  static async deleteEntry(id) {
+    const current = await BusinessCategory.findById(id);
+    if (!current) {
+      throw new NotFoundError('Categoría no encontrada');
+    }
+
+    const usage = await BusinessCategory.countUsage(id);
+    if (usage.children > 0) {
+      throw new ConflictError('La categoría tiene tipos de negocio; elimínelos o muévalos primero');
+    }
+    if (usage.properties > 0) {
+      throw new ConflictError(`La categoría está asignada a ${usage.properties} negocios; reasígnelos o desactívela`);
+    }
+
+    await BusinessCategory.delete(id);
+  }
+
+  /**
+   * Resuelve la categoría y el tipo de un negocio contra la taxonomía.
+   * Acepta nombres (category / property_type) o IDs (category_id / type_id) y completa
+   * ambos en propertyData. Si solo se indica el tipo, la categoría se deduce de él.
+   * @param {Object} propertyData - Datos del negocio (se modifica)
+   * @param {Object} current - Clasificación actual del negocio (actualizaciones)
+   * @returns {Promise<Object>} - propertyData
+   */
+  static async resolveClassification(propertyData, current = null) {
+    const hasCategory = ['category', 'category_id'].some(field => propertyData[field] !== undefined);
+    const hasType = ['property_type', 'type_id'].some(field => propertyData[field] !== undefined);
+
+    if (!hasCategory && !hasType) {
+      return propertyData;
+    }
+
+    const entries = await BusinessCategory.findAll(true);
+    const findEntry = (idValue, nameValue, predicate) => {
+      if (idValue !== undefined && idValue !== null && idValue !== '') {
+        return entries.find(entry => entry.id === parseInt(idValue) && predicate(entry));
+      }
+      return entries.find(entry => entry.name === nameValue && predicate(entry));
+    };
+    const isEmpty = (idValue, nameValue) =>
+      (idValue === undefined || idValue === null || idValue === '') && !nameValue;
+
+    let category = null;
+    if (hasCategory && !isEmpty(propertyData.category_id, propertyData.category)) {
+      category = findEntry(propertyData.category_id, propertyData.category, entry => entry.parent_id === null);
+      if (!category || !category.active) {
+        throw new ValidationError(`Categoría "${propertyData.category ?? propertyData.category_id}" no válida`);
+      }
+    } else if (!hasCategory && current && current.category_id) {
+      category = entries.find(entry => entry.id === current.category_id) || null;
+    }
+
+    let type = null;
+    if (hasType && !isEmpty(propertyData.type_id, propertyData.property_type)) {
+      // Con categoría conocida el tipo se busca dentro de ella; si no, en toda la taxonomía
+      type = findEntry(
+        propertyData.type_id,
+        propertyData.property_type,
+        entry => entry.parent_id !== null && (!category || entry.parent_id === category.id || !hasCategory)
+      );
+      if (!type || !type.active) {
+        throw new ValidationError(`Tipo de negocio "${propertyData.property_type ?? propertyData.type_id}" no válido`);
+      }
+      if (!hasCategory) {
+        category = entries.find(entry => entry.id === type.parent_id) || null;
+      }
+    } else if (!hasType && current && current.type_id) {
+      type = entries.find(entry => entry.id === current.type_id) || null;
+    }
+
+    if (category && type && type.parent_id !== category.id) {
+      throw new ValidationError(`Tipo de negocio "${type.name}" no válido para la categoría "${category.name}"`);
+    }
+
+    delete propertyData.category_id;
+    delete propertyData.type_id;
+
+    propertyData.category_id = category ? category.id : null;
+    propertyData.category = category ? category.name : null;
+    propertyData.type_id = type ? type.id : null;
+    propertyData.property_type = type ? type.name : null;
+
+    return propertyData;
+  }
+}
@@ -0,0 +1,121 @@
+// src/services/trending.service.js
+import { mysqlPool } from '../config/database.js';
+import { getZonedDateTime, addDays } from '../utils/helpers.js';
+import { formatPropertyRow } from '../models/mysql/property.model.js';
+import { PropertyService } from './property.service.js';
+
+// Peso de cada señal en el puntaje de tendencia
+export const TRENDING_WEIGHTS = {
+  views: 1,      // por día: log(1 + vistas), para que un pico de tráfico no eclipse al resto
+  favorites: 3,  // por cada favorito agregado
+  bookings: 5,   // por cada reserva no cancelada
+  reviews: 4     // por cada reseña, escalado por su calificación (5 estrellas = peso completo)
+};
+
+// Vida media del decaimiento: una señal de hace HALF_LIFE_DAYS vale la mitad que una de hoy
+const HALF_LIFE_DAYS = 7;
+const DECAY_RATE = Math.LN2 / HALF_LIFE_DAYS;
+
+// Las señales más antiguas aportan menos del 0.3% y no se consultan
+const WINDOW_DAYS = 60;
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+export class TrendingService {
+  /**
+   * Recalcula el puntaje de tendencia de todas las propiedades (tarea programada).
+   * puntaje = Σ peso × señal × e^(-λ·días), con λ = ln 2 / HALF_LIFE_DAYS
+   * @returns {Promise<Object>} - { updated }
+   */
+  static async recomputeScores() {
+    const today = getZonedDateTime().date;
+    const decay = 'EXP(-? * TIMESTAMPDIFF(MINUTE, created_at, NOW()) / 1440)';
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [result] = await connection.query(
+        `UPDATE properties p
+         LEFT JOIN (
+           SELECT property_id, SUM(score) as score FROM (
+             SELECT property_id, SUM(LN(1 + views) * EXP(-? * DATEDIFF(?, view_date))) * ? as score
+             FROM property_view_daily
+             WHERE view_date >= ?
+             GROUP BY property_id
+             UNION ALL
+             SELECT property_id, SUM(${decay}) * ?
+             FROM favorites
+             WHERE created_at >= NOW() - INTERVAL ? DAY
+             GROUP BY property_id
+             UNION ALL
+             SELECT property_id, SUM(${decay}) * ?
+             FROM bookings
+             WHERE created_at >= NOW() - INTERVAL ? DAY AND status <> 'cancelled' AND deleted_at IS NULL
+             GROUP BY property_id
+             UNION ALL
+             SELECT property_id, SUM(rating / 5 * ${decay}) * ?
+             FROM reviews
+             WHERE created_at >= NOW() - INTERVAL ? DAY
+             GROUP BY property_id
+           ) signals
+           GROUP BY property_id
+         ) t ON t.property_id = p.id
+         SET p.trending_score = COALESCE(t.score, 0), p.trending_updated_at = NOW()`,
+        [
+          DECAY_RATE, today, TRENDING_WEIGHTS.views, addDays(today, -WINDOW_DAYS),
+          DECAY_RATE, TRENDING_WEIGHTS.favorites, WINDOW_DAYS,
+          DECAY_RATE, TRENDING_WEIGHTS.bookings, WINDOW_DAYS,
+          DECAY_RATE, TRENDING_WEIGHTS.reviews, WINDOW_DAYS
+        ]
+      );
+
+      return { updated: result.affectedRows };
+    } finally {
+      connection.release();
+    }
+  }
+
+  /**
+   * Propiedades en tendencia. Sin actividad reciente el orden cae en el total de vistas,
+   * así que la lista nunca queda vacía mientras haya propiedades.
+   * @param {Object} options - { category, limit, excludeIds (IDs a omitir) }
+   * @returns {Promise<Array>} - Propiedades con trending_score
+   */
+  static async getTrendingProperties({ category, limit, excludeIds = [] } = {}) {
+    const maxResults = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const clauses = PropertyService.buildFilterClauses({ category });
+
+    if (excludeIds.length > 0) {
+      clauses.push({ sql: 'p.id NOT IN (?)', params: [excludeIds] });
+    }
+
+    const where = [
+      '(p.archived IS NULL OR p.archived = FALSE)',
+      ...clauses.map(clause => clause.sql)
+    ].join(' AND ');
+
+    const connection = await mysqlPool.getConnection();
+    try {
+      const [properties] = await connection.query(
+        `SELECT p.*,
+                GROUP_CONCAT(DISTINCT pa.amenity) as amenities,
+                GROUP_CONCAT(DISTINCT ppa.pet_type) as pets_allowed
+         FROM properties p
+         LEFT JOIN property_amenities pa ON p.id = pa.property_id
+         LEFT JOIN property_pets_allowed ppa ON p.id = ppa.property_id
+         WHERE ${where}
+         GROUP BY p.id
+         ORDER BY p.trending_score DESC, p.views DESC, p.created_at DESC
+         LIMIT ?`,
+        [...clauses.flatMap(clause => clause.params), maxResults]
+      );
+
+      return properties.map(property => ({
+        ...formatPropertyRow(property),
+        trending_score: Math.round((property.trending_score || 0) * 1000) / 1000
+      }));
+    } finally {
+      connection.release();
+    }
+  }
+}
@@ -8,6 +8,7 @@ import {
   ConflictError,
   AuthorizationError 
 } from '../utils/errors/index.js';
+import { omitInternalColumns } from '../models/mysql/property.model.js';
 
 // Importar el modelo User
 import { User } from '../models/mysql/user.model.js';
@@ -249,12 +250,12 @@ static async getHostAdditionalData(userId) {
       properties_list: properties.map(prop => ({
         id: prop.id,
         title: prop.title,
-        status: prop.status,
-        price: prop.price,
         image: prop.image,
-        city: prop.city,
-        bedrooms: prop.bedrooms,
-        bathrooms: prop.bathrooms
+        address: prop.address,
+        category: prop.category,
+        property_type: prop.property_type,
+        average_rating: prop.average_rating,
+        archived: prop.archived === 1 || prop.archived === true
       })),
       average_rating: parseFloat(averageRating).toFixed(1),
       total_reviews: totalReviews,
@@ -479,7 +480,7 @@ static async getHostAdditionalData(userId) {
         [userId]
       );
       
-      return favorites;
+      return favorites.map(omitInternalColumns);
     } catch (error) {
       console.error('Error getting favorites:', error);
       throw new DatabaseError('Error al obtener favoritos');
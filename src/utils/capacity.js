@@ -0,0 +1,62 @@
+// src/utils/capacity.js
+// Capacidad de reserva de un negocio: unidades reservables a la vez (habitaciones, mesas,
+// canchas) y, opcionalmente, un máximo de personas simultáneas.
+
+/**
+ * Capacidad configurada de una propiedad
+ * @param {Object} property - Fila de properties (units, max_guests)
+ * @returns {Object} - { units, maxGuests } (maxGuests null = sin límite de personas)
+ */
+export const getCapacity = (property = {}) => ({
+  units: Math.max(parseInt(property.units) || 1, 1),
+  maxGuests: property.max_guests ? parseInt(property.max_guests) : null
+});
+
+/**
+ * Ocupación máxima dentro de un intervalo [from, to). Los límites pueden ser fechas
+ * (YYYY-MM-DD) o fechas/horas locales (YYYY-MM-DDTHH:MM), siempre del mismo formato.
+ * @param {Array} bookings - [{ start, end, guests }]
+ * @param {string} from - Inicio del intervalo
+ * @param {string} to - Fin del intervalo (excluido)
+ * @returns {Object} - { units, guests } en el momento de mayor ocupación
+ */
+export const peakOccupancy = (bookings, from, to) => {
+  const overlapping = bookings.filter(booking => booking.start < to && booking.end > from);
+
+  // La ocupación solo cambia cuando empieza una reserva: basta revisar esos instantes
+  const instants = [from, ...overlapping.map(booking => booking.start).filter(start => start > from)];
+
+  return instants.reduce((peak, instant) => {
+    const active = overlapping.filter(booking => booking.start <= instant && booking.end > instant);
+    return {
+      units: Math.max(peak.units, active.length),
+      guests: Math.max(peak.guests, active.reduce((sum, booking) => sum + (parseInt(booking.guests) || 1), 0))
+    };
+  }, { units: 0, guests: 0 });
+};
+
+/**
+ * Capacidad restante y si alcanza para una reserva nueva
+ * @param {Object} capacity - { units, maxGuests } (ver getCapacity)
+ * @param {Object} occupancy - { units, guests } (ver peakOccupancy)
+ * @param {number} guests - Personas de la reserva nueva
+ * @returns {Object} - { booked_units, booked_guests, remaining_units, remaining_guests, available }
+ */
+export const remainingCapacity = (capacity, occupancy, guests = 1) => {
+  const remainingUnits = Math.max(capacity.units - occupancy.units, 0);
+  const remainingGuests = capacity.maxGuests === null ? null : Math.max(capacity.maxGuests - occupancy.guests, 0);
+
+  return {
+    booked_units: occupancy.units,
+    booked_guests: occupancy.guests,
+    remaining_units: remainingUnits,
+    remaining_guests: remainingGuests,
+    available: remainingUnits >= 1 && (remainingGuests === null || remainingGuests >= guests)
+  };
+};
+
+export default {
+  getCapacity,
+  peakOccupancy,
+  remainingCapacity
+};
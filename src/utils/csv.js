@@ -0,0 +1,137 @@
+// src/utils/csv.js
+// Lectura y escritura de CSV (RFC 4180): campos entre comillas, comillas dobles
+// escapadas ("") y saltos de línea dentro de campos.
+
+/**
+ * Detecta el separador a partir de la primera línea (Excel en español exporta con ";")
+ * @param {string} text - Contenido del archivo
+ * @returns {string} - "," o ";"
+ */
+const detectDelimiter = (text) => {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const commas = (firstLine.match(/,/g) || []).length;
+  const semicolons = (firstLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Convierte texto CSV en una lista de filas
+ * @param {string} text - Contenido del archivo
+ * @param {string} delimiter - Separador; por defecto se detecta
+ * @returns {Array<Array<string>>} - Filas con sus celdas (se omiten las filas vacías)
+ */
+export const parseCsv = (text, delimiter = null) => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const separator = delimiter || detectDelimiter(content);
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (content[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      inQuotes = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV inválido: hay comillas sin cerrar');
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+/**
+ * Convierte texto CSV con encabezado en objetos { encabezado: valor }
+ * @param {string} text - Contenido del archivo
+ * @returns {Object} - { headers, records } con los encabezados en minúsculas y sin espacios
+ */
+export const parseCsvRecords = (text) => {
+  const [headerRow = [], ...rows] = parseCsv(text);
+  const headers = headerRow.map(header => header.trim().toLowerCase());
+
+  const records = rows.map(cells =>
+    Object.fromEntries(headers.map((header, index) => [header, (cells[index] ?? '').trim()]))
+  );
+
+  return { headers, records };
+};
+
+// Textos que una hoja de cálculo interpretaría como fórmula. Se permiten números y
+// teléfonos como "+504 2222-3333", que empiezan con + o - pero no son fórmulas.
+const isFormulaLike = (text) =>
+  /^[=@\t\r]/.test(text) || (/^[+-]/.test(text) && !/^[+-][\d\s().-]*$/.test(text));
+
+/**
+ * Escapa un valor para CSV. Los textos con apariencia de fórmula se prefijan con
+ * un apóstrofo para que las hojas de cálculo no los ejecuten.
+ * @param {*} value - Valor de la celda
+ * @returns {string}
+ */
+export const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === 'string' && isFormulaLike(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Genera texto CSV a partir de encabezados y objetos
+ * @param {Array<string>} headers - Columnas en orden
+ * @param {Array<Object>} records - Filas
+ * @returns {string} - CSV con BOM (para que Excel reconozca UTF-8) y saltos CRLF
+ */
+export const toCsv = (headers, records) => {
+  const lines = [
+    headers.map(escapeCsvValue).join(','),
+    ...records.map(record => headers.map(header => escapeCsvValue(record[header])).join(','))
+  ];
+
+  return `\uFEFF${lines.join('\r\n')}\r\n`;
+};
+
+export default {
+  parseCsv,
+  parseCsvRecords,
+  escapeCsvValue,
+  toCsv
+};
@@ -0,0 +1,102 @@
+// src/utils/geo.js
+// Utilidades geográficas para búsquedas por cercanía (distancia haversine en km)
+
+export const EARTH_RADIUS_KM = 6371;
+
+// Radio por defecto y máximo permitido para búsquedas "cerca de mí"
+export const DEFAULT_RADIUS_KM = 5;
+export const MAX_RADIUS_KM = 100;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Valida y convierte un par de coordenadas
+ * @param {string|number} lat - Latitud
+ * @param {string|number} lng - Longitud
+ * @returns {Object|null} - { lat, lng } o null si no son válidas
+ */
+export const parseCoordinates = (lat, lng) => {
+  if (lat === undefined || lat === null || lat === '' || lng === undefined || lng === null || lng === '') {
+    return null;
+  }
+
+  const parsedLat = parseFloat(lat);
+  const parsedLng = parseFloat(lng);
+
+  if (Number.isNaN(parsedLat) || Number.isNaN(parsedLng) ||
+      parsedLat < -90 || parsedLat > 90 || parsedLng < -180 || parsedLng > 180) {
+    return null;
+  }
+
+  return { lat: parsedLat, lng: parsedLng };
+};
+
+/**
+ * Distancia en km entre dos puntos
+ * @param {Object} point1 - { lat, lng }
+ * @param {Object} point2 - { lat, lng }
+ * @returns {number} - Distancia en km
+ */
+export const haversineDistance = (point1, point2) => {
+  const dLat = toRadians(point2.lat - point1.lat);
+  const dLng = toRadians(point2.lng - point1.lng);
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(point1.lat)) * Math.cos(toRadians(point2.lat)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Expresión SQL con la distancia en km desde el origen hasta las coordenadas de `alias`
+ * @param {Object} origin - { lat, lng }
+ * @param {string} alias - Alias de la tabla con columnas lat/lng
+ * @returns {Object} - { sql, params }
+ */
+export const distanceSql = (origin, alias = 'p') => ({
+  sql: `(${EARTH_RADIUS_KM} * 2 * ASIN(SQRT(
+    POWER(SIN(RADIANS(${alias}.lat - ?) / 2), 2) +
+    COS(RADIANS(?)) * COS(RADIANS(${alias}.lat)) *
+    POWER(SIN(RADIANS(${alias}.lng - ?) / 2), 2)
+  )))`,
+  params: [origin.lat, origin.lat, origin.lng]
+});
+
+/**
+ * Condición SQL "dentro del radio". Primero descarta por un rectángulo
+ * (aprovecha índices sobre lat/lng) y luego aplica la distancia exacta.
+ * @param {Object} origin - { lat, lng }
+ * @param {number} radiusKm - Radio en km
+ * @param {string} alias - Alias de la tabla con columnas lat/lng
+ * @returns {Object} - { sql, params }
+ */
+export const withinRadiusSql = (origin, radiusKm, alias = 'p') => {
+  const latDelta = radiusKm / 111.045;
+  // Cerca de los polos el coseno tiende a 0; se limita para no dividir entre 0
+  const lngDelta = radiusKm / (111.045 * Math.max(Math.cos(toRadians(origin.lat)), 0.01));
+  const distance = distanceSql(origin, alias);
+
+  return {
+    sql: `(${alias}.lat IS NOT NULL AND ${alias}.lng IS NOT NULL
+      AND ${alias}.lat BETWEEN ? AND ?
+      AND ${alias}.lng BETWEEN ? AND ?
+      AND ${distance.sql} <= ?)`,
+    params: [
+      origin.lat - latDelta, origin.lat + latDelta,
+      origin.lng - lngDelta, origin.lng + lngDelta,
+      ...distance.params,
+      radiusKm
+    ]
+  };
+};
+
+export default {
+  EARTH_RADIUS_KM,
+  DEFAULT_RADIUS_KM,
+  MAX_RADIUS_KM,
+  parseCoordinates,
+  haversineDistance,
+  distanceSql,
+  withinRadiusSql
+};
@@ -0,0 +1,179 @@
+// src/utils/helpers.js
+import { BUSINESS_TIMEZONE } from '../config/constants.js';
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// Fecha YYYY-MM-DD a partir de un Date interpretado en UTC
+const toDateString = (date) =>
+  `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+
+/**
+ * Construye la fecha/hora local (de pared) a partir de sus partes
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @param {string} time - Hora HH:MM:SS
+ * @returns {Object} - { date, time, dayOfWeek, previousDate, previousDayOfWeek }
+ */
+const buildLocalDateTime = (date, time) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const utcDate = new Date(Date.UTC(year, month - 1, day));
+
+  if (Number.isNaN(utcDate.getTime()) || toDateString(utcDate) !== date) {
+    return null;
+  }
+
+  const previous = new Date(utcDate.getTime() - 24 * 60 * 60 * 1000);
+
+  return {
+    date,
+    time,
+    dayOfWeek: utcDate.getUTCDay(),
+    previousDate: toDateString(previous),
+    previousDayOfWeek: previous.getUTCDay()
+  };
+};
+
+/**
+ * Obtiene la fecha y hora local de un instante en una zona horaria
+ * @param {Date} instant - Instante a convertir (por defecto, ahora)
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Object} - { date, time, dayOfWeek, previousDate, previousDayOfWeek }
+ */
+export const getZonedDateTime = (instant = new Date(), timeZone = BUSINESS_TIMEZONE) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    })
+      .formatToParts(instant)
+      .map(part => [part.type, part.value])
+  );
+
+  return buildLocalDateTime(
+    `${parts.year}-${parts.month}-${parts.day}`,
+    `${parts.hour}:${parts.minute}:${parts.second}`
+  );
+};
+
+/**
+ * Suma (o resta) días a una fecha YYYY-MM-DD
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @param {number} days - Días a sumar (negativo para restar)
+ * @returns {string} - Fecha YYYY-MM-DD
+ */
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return toDateString(new Date(Date.UTC(year, month - 1, day + days)));
+};
+
+/**
+ * Fecha YYYY-MM-DD de una columna DATE (mysql2 la entrega como Date a medianoche local)
+ * @param {Date|string|null} value - Valor de la columna
+ * @returns {string|null} - Fecha YYYY-MM-DD o null
+ */
+export const toDateOnly = (value) => {
+  if (!value) {
+    return null;
+  }
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Indica si un valor es una fecha YYYY-MM-DD existente (rechaza 2025-02-30)
+ * @param {*} value - Valor recibido
+ * @returns {boolean}
+ */
+export const isValidDate = (value) =>
+  typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value;
+
+/**
+ * Interpreta una bandera de query string o formulario ("true", "1") como booleano
+ * @param {*} value - Valor recibido
+ * @returns {boolean}
+ */
+export const parseBoolean = (value) => value === true || value === 'true' || value === 1 || value === '1';
+
+/**
+ * Interpreta un valor de fecha/hora como hora local del negocio.
+ * Sin zona explícita ("2025-04-17T20:30") se toma como hora local;
+ * con zona ("...Z" o "...-06:00") se convierte a la zona del negocio.
+ * @param {string} value - Fecha/hora recibida
+ * @param {string} timeZone - Zona horaria IANA
+ * @returns {Object|null} - Fecha/hora local o null si el valor es inválido
+ */
+export const parseLocalDateTime = (value, timeZone = BUSINESS_TIMEZONE) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{4}-\d{2}-\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (match) {
+    const [, date, hours, minutes, seconds = '00'] = match;
+    if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+      return null;
+    }
+    return buildLocalDateTime(date, `${hours}:${minutes}:${seconds}`);
+  }
+
+  const instant = new Date(value);
+  if (Number.isNaN(instant.getTime())) {
+    return null;
+  }
+
+  return getZonedDateTime(instant, timeZone);
+};
+
+/**
+ * Normaliza una hora "H:MM" o "HH:MM[:SS]" a "HH:MM:SS"
+ * @param {string} value - Hora a normalizar
+ * @returns {string|null} - Hora normalizada o null si es inválida
+ */
+export const normalizeTime = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) {
+    return null;
+  }
+
+  const [, hours, minutes, seconds = '00'] = match;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+    return null;
+  }
+
+  return `${pad(hours)}:${minutes}:${seconds}`;
+};
+
+/**
+ * Genera un slug para URLs ("Bar y restaurante" -> "bar-y-restaurante")
+ * @param {string} text - Texto original
+ * @returns {string} - Slug en minúsculas, sin acentos
+ */
+export const slugify = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+export default {
+  getZonedDateTime,
+  addDays,
+  toDateOnly,
+  isValidDate,
+  parseBoolean,
+  parseLocalDateTime,
+  normalizeTime,
+  slugify
+};
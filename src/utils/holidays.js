@@ -0,0 +1,71 @@
+// src/utils/holidays.js
+// Temporadas festivas de Honduras cuyas fechas cambian cada año.
+import { addDays } from './helpers.js';
+
+/**
+ * Domingo de Pascua (algoritmo gregoriano anónimo de Meeus/Jones/Butcher)
+ * @param {number} year - Año
+ * @returns {string} - Fecha YYYY-MM-DD
+ */
+export const getEasterSunday = (year) => {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Fechas de cada temporada en un año: { start, end } inclusivas (noches que cubre la temporada)
+export const HOLIDAY_SEASONS = {
+  // Del Domingo de Ramos al Sábado de Gloria
+  semana_santa: {
+    name: 'Semana Santa',
+    range: (year) => {
+      const easter = getEasterSunday(year);
+      return { start: addDays(easter, -7), end: addDays(easter, -1) };
+    }
+  },
+  // Feriado Morazánico: los feriados de octubre (3, 12 y 21) se agrupan del primer
+  // miércoles de octubre al viernes; se incluye el fin de semana largo hasta el sábado
+  feriado_morazanico: {
+    name: 'Feriado Morazánico',
+    range: (year) => {
+      const firstDay = new Date(Date.UTC(year, 9, 1)).getUTCDay();
+      const wednesday = addDays(`${year}-10-01`, (3 - firstDay + 7) % 7);
+      return { start: wednesday, end: addDays(wednesday, 3) };
+    }
+  }
+};
+
+/**
+ * Temporada festiva que incluye una fecha
+ * @param {string} holiday - Clave de HOLIDAY_SEASONS
+ * @param {string} date - Fecha YYYY-MM-DD
+ * @returns {boolean}
+ */
+export const isInHolidaySeason = (holiday, date) => {
+  const season = HOLIDAY_SEASONS[holiday];
+  if (!season) {
+    return false;
+  }
+
+  const { start, end } = season.range(Number(date.slice(0, 4)));
+  return date >= start && date <= end;
+};
+
+export default {
+  getEasterSunday,
+  HOLIDAY_SEASONS,
+  isInHolidaySeason
+};
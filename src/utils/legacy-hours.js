@@ -0,0 +1,172 @@
+// src/utils/legacy-hours.js
+// Interpretación del horario heredado de las propiedades (schedule de texto libre más un
+// par start_time / end_time) para pasarlo al horario semanal estructurado (property_hours).
+import { normalizeTime } from './helpers.js';
+
+export const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Nombres y abreviaturas de cada día (0 = domingo ... 6 = sábado), sin acentos
+const DAY_ALIASES = [
+  ['domingo', 'domingos', 'dom', 'do', 'd'],
+  ['lunes', 'lun', 'lu', 'l'],
+  ['martes', 'mar', 'ma', 'm'],
+  ['miercoles', 'mie', 'mier', 'mi', 'x'],
+  ['jueves', 'jue', 'ju', 'j'],
+  ['viernes', 'vie', 'vi', 'v'],
+  ['sabado', 'sabados', 'sab', 'sa', 's']
+];
+
+const DAY_BY_ALIAS = new Map(
+  DAY_ALIASES.flatMap((aliases, day) => aliases.map(alias => [alias, day]))
+);
+
+// Palabras que unen dos días en un rango ("lunes a viernes", "lun - sab", "de lunes hasta viernes")
+const RANGE_WORDS = new Set(['a', 'al', 'hasta', '-']);
+
+// Palabras a partir de las cuales los días mencionados se excluyen ("excepto domingos", "cerrado lunes")
+const EXCLUSION_WORDS = new Set(['excepto', 'menos', 'salvo', 'cerrado', 'cerrados', 'cerramos', 'sin']);
+
+// Expresiones que cubren toda la semana o parte de ella
+const PHRASES = [
+  { pattern: /\b(todos los dias|toda la semana|diario|diariamente)\b/g, days: ALL_DAYS },
+  { pattern: /\bfines? de semana\b/g, days: [0, 6] },
+  { pattern: /\bentre semana\b/g, days: [1, 2, 3, 4, 5] }
+];
+
+const normalizeText = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/24\s*\/\s*7/g, ' todos los dias ')
+  // Las horas ("8:00 a. m.", "5pm", "8-12") no aportan días y sus letras parecen abreviaturas;
+  // quedan como separadores entre grupos de días
+  .replace(/\d{1,2}(:\d{2})?\s*(a|p)\.?\s*m\b\.?/g, ' , ')
+  .replace(/[–—]/g, '-')
+  .replace(/\d+(:\d{2})?(\s*-\s*\d+(:\d{2})?)?/g, ' , ');
+
+const dayRange = (from, to) => {
+  const days = [from];
+  for (let day = from; day !== to;) {
+    day = (day + 1) % 7;
+    days.push(day);
+  }
+  return days;
+};
+
+/**
+ * Convierte una hora heredada ("8:00 AM", "8:00 p.m.", "20:00") a "HH:MM:SS"
+ * @param {string} value - Hora de start_time / end_time
+ * @returns {string|null}
+ */
+export const parseLegacyTime = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  const match = String(value).trim().match(/^(\d{1,2}):(\d{2})\s*([ap])\.?\s*m\.?$/i);
+  if (match) {
+    let hours = parseInt(match[1]) % 12;
+    if (match[3].toLowerCase() === 'p') {
+      hours += 12;
+    }
+    return normalizeTime(`${hours}:${match[2]}`);
+  }
+
+  return normalizeTime(String(value));
+};
+
+/**
+ * Días de la semana que describe el schedule heredado, p. ej. "Lunes a Viernes",
+ * "L-S", "lunes, miércoles y viernes", "Todos los días excepto domingos" o "Fines de semana".
+ * @param {string} schedule - Texto libre del horario
+ * @returns {Array<number>|null} - Días (0 = domingo ... 6 = sábado) ordenados; todos si el
+ *   texto está vacío y null si no se reconoce ningún día
+ */
+export const parseScheduleDays = (schedule) => {
+  if (!schedule || !String(schedule).trim()) {
+    return [...ALL_DAYS];
+  }
+
+  const open = new Set();
+  const closed = new Set();
+  let recognized = false;
+
+  let text = normalizeText(schedule);
+
+  // Las expresiones de varias palabras se resuelven primero; las que aparecen después de
+  // una exclusión ("cerrado los fines de semana") quitan días
+  const exclusionAt = text.search(new RegExp(`\\b(${[...EXCLUSION_WORDS].join('|')})\\b`));
+  PHRASES.forEach(({ pattern, days }) => {
+    text = text.replace(pattern, (match, ...args) => {
+      const offset = args[args.length - 2];
+      const target = exclusionAt !== -1 && offset > exclusionAt ? closed : open;
+      days.forEach(day => target.add(day));
+      recognized = true;
+      return ' ';
+    });
+  });
+
+  const tokens = text.match(/[a-z]+|[-,;.]/g) || [];
+  let excluding = false;
+  let previousDay = null;
+  let lastDays = [];
+  let pendingRange = false;
+
+  tokens.forEach(token => {
+    if (EXCLUSION_WORDS.has(token)) {
+      // "Domingo cerrado": la exclusión se refiere a los días que la preceden
+      if (lastDays.length > 0 && !excluding) {
+        lastDays.forEach(day => {
+          open.delete(day);
+          closed.add(day);
+        });
+      } else {
+        excluding = true;
+      }
+      previousDay = null;
+      lastDays = [];
+      pendingRange = false;
+      return;
+    }
+
+    const target = excluding ? closed : open;
+
+    if (DAY_BY_ALIAS.has(token)) {
+      const day = DAY_BY_ALIAS.get(token);
+      const days = pendingRange && previousDay !== null ? dayRange(previousDay, day) : [day];
+      days.forEach(item => target.add(item));
+      recognized = true;
+      previousDay = day;
+      lastDays = pendingRange ? days : [...lastDays, day];
+      pendingRange = false;
+      return;
+    }
+
+    if (RANGE_WORDS.has(token) && previousDay !== null) {
+      pendingRange = true;
+      return;
+    }
+
+    // Cualquier otra palabra separa grupos de días ("lunes a viernes, sábado cerrado")
+    if (!['y', 'e', 'los', 'las', 'el', 'la', 'de'].includes(token)) {
+      lastDays = [];
+    }
+    pendingRange = false;
+  });
+
+  if (!recognized) {
+    return null;
+  }
+
+  // "Cerrado los domingos" sin días abiertos mencionados: el resto de la semana abre
+  const base = open.size > 0 ? open : new Set(ALL_DAYS);
+  const days = [...base].filter(day => !closed.has(day)).sort((a, b) => a - b);
+
+  return days.length > 0 ? days : null;
+};
+
+export default {
+  ALL_DAYS,
+  parseLegacyTime,
+  parseScheduleDays
+};
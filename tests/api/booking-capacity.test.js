@@ -0,0 +1,104 @@
+// tests/api/booking-capacity.test.js
+import request from 'supertest';
+import bookingRoutes from '../../src/routes/booking.routes.js';
+import { createApp, authHeader } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/bookings', bookingRoutes);
+
+const bookingRequest = {
+  property_id: 7,
+  check_in_date: '2030-03-11',
+  check_out_date: '2030-03-13',
+  guests: 2,
+  guest_name: 'María López',
+  guest_email: 'maria@example.com'
+};
+
+// Reserva existente que ocupa la noche del 11 de marzo
+const existingBooking = { start: '2030-03-11', end: '2030-03-12', guests: 3 };
+
+const capacityHandlers = ({ units, maxGuests = null, bookings = [existingBooking] }) => {
+  const property = { id: 7, booking_mode: 'date_range', units, max_guests: maxGuests };
+
+  return [
+    [/SELECT \* FROM properties WHERE id = \?/, [property]],
+    [/SELECT units, max_guests FROM properties/, [property]],
+    [/FROM bookings\s+WHERE property_id = \?/, bookings],
+    [/FROM property_rate_plans/, [{ property_id: 7, base_rate: '800.00', weekend_rate: null, included_guests: null }]],
+    [/INSERT INTO bookings/, { insertId: 31 }],
+    [/INSERT INTO payments/, { insertId: 12 }]
+  ];
+};
+
+describe('Booking capacity', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Rejects a booking when every unit is taken', async () => {
+    const db = mockDatabase(capacityHandlers({ units: 1 }));
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', authHeader({ id: 4, role: 'user' }))
+      .send(bookingRequest);
+
+    expect(response.status).toBe(409);
+    expect(response.body.errorCode).toBe('PROPERTY_UNAVAILABLE');
+    expect(response.body.unavailable_days).toEqual([
+      expect.objectContaining({ date: '2030-03-11', booked_units: 1, remaining_units: 0, available: false })
+    ]);
+    expect(db.find(/INSERT INTO bookings/)).toHaveLength(0);
+  });
+
+  test('Rejects a booking that exceeds the remaining guest capacity', async () => {
+    const db = mockDatabase(capacityHandlers({ units: 3, maxGuests: 4 }));
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', authHeader({ id: 4, role: 'user' }))
+      .send(bookingRequest);
+
+    expect(response.status).toBe(409);
+    expect(response.body.unavailable_days).toEqual([
+      expect.objectContaining({ date: '2030-03-11', booked_guests: 3, remaining_guests: 1 })
+    ]);
+    expect(db.find(/INSERT INTO bookings/)).toHaveLength(0);
+  });
+
+  test('Books a remaining unit and prices the stay on the server', async () => {
+    const db = mockDatabase(capacityHandlers({ units: 2, maxGuests: 6 }));
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', authHeader({ id: 4, role: 'user' }))
+      .send({ ...bookingRequest, total_price: 1 });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.bookingId).toBe(31);
+    expect(response.body.data.total_price).toBe(1840);
+
+    // La capacidad se vuelve a revisar dentro de la transacción, con la propiedad bloqueada
+    expect(db.find(/SELECT id FROM properties WHERE id = \? FOR UPDATE/)).toHaveLength(1);
+    expect(db.find(/SELECT units, max_guests FROM properties/)).toHaveLength(2);
+    expect(db.transactions).toEqual(['begin', 'commit']);
+
+    const [insert] = db.find(/INSERT INTO bookings/);
+    expect(insert.params).toEqual(expect.arrayContaining([7, 4, 2, 1840, 'pending', 'date_range']));
+  });
+
+  test('Lets a guest check in the day another checks out', async () => {
+    mockDatabase(capacityHandlers({
+      units: 1,
+      bookings: [{ start: '2030-03-09', end: '2030-03-11', guests: 2 }]
+    }));
+
+    const response = await request(app)
+      .post('/api/bookings')
+      .set('Authorization', authHeader({ id: 4, role: 'user' }))
+      .send(bookingRequest);
+
+    expect(response.status).toBe(201);
+  });
+});
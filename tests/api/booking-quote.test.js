@@ -0,0 +1,108 @@
+// tests/api/booking-quote.test.js
+import request from 'supertest';
+import bookingRoutes from '../../src/routes/booking.routes.js';
+import { createApp } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/bookings', bookingRoutes);
+
+const property = { id: 7, title: 'Cabañas El Pinar', booking_mode: 'date_range', units: 3, max_guests: 6 };
+
+const ratePlan = {
+  property_id: 7,
+  base_rate: '1000.00',
+  weekend_rate: '1500.00',
+  weekend_days: '5,6',
+  included_guests: 2,
+  extra_guest_fee: '150.00',
+  cleaning_fee: '200.00',
+  service_fee_percent: '10.00'
+};
+
+const pricingHandlers = ({ plan = ratePlan, seasons = [] } = {}) => [
+  [/SELECT \* FROM properties WHERE id = \?/, [property]],
+  [/FROM property_rate_plans/, plan ? [plan] : []],
+  [/FROM property_rate_seasons/, seasons]
+];
+
+describe('Booking quote API', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Prices weeknights with extra guests, cleaning, service fee and ISV', async () => {
+    mockDatabase(pricingHandlers());
+
+    // Lunes 11 a miércoles 13 de marzo: dos noches con tarifa base
+    const response = await request(app)
+      .post('/api/bookings/quote')
+      .send({ property_id: 7, check_in_date: '2030-03-11', check_out_date: '2030-03-13', guests: 3 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+
+    const quote = response.body.data;
+    expect(quote).toMatchObject({
+      property_id: 7,
+      booking_type: 'date_range',
+      check_in_date: '2030-03-11',
+      check_out_date: '2030-03-13',
+      currency: 'HNL',
+      nights: 2,
+      guests: 3
+    });
+    expect(quote.line_items.map(item => [item.type, item.amount])).toEqual([
+      ['rate', 2000],
+      ['extra_guests', 300],
+      ['cleaning_fee', 200],
+      ['service_fee', 250]
+    ]);
+    expect(quote.subtotal).toBe(2750);
+    expect(quote.taxes).toEqual([{ code: 'ISV', name: 'Impuesto Sobre Ventas', rate: 0.15, amount: 412.5 }]);
+    expect(quote.total).toBe(3162.5);
+  });
+
+  test('Applies weekend and season rates per night', async () => {
+    mockDatabase(pricingHandlers({
+      plan: { ...ratePlan, cleaning_fee: '0.00', service_fee_percent: '0.00' },
+      seasons: [{ id: 1, name: 'Feria de marzo', holiday: null, start_date: '2030-03-16', end_date: '2030-03-16', rate: '2500.00' }]
+    }));
+
+    // Jueves 14 a domingo 17: jueves base, viernes fin de semana y sábado de temporada
+    const response = await request(app)
+      .post('/api/bookings/quote')
+      .send({ property_id: 7, check_in_date: '2030-03-14', check_out_date: '2030-03-17', guests: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.line_items).toEqual([
+      expect.objectContaining({ rate_type: 'base', unit_price: 1000, quantity: 1, dates: ['2030-03-14'] }),
+      expect.objectContaining({ rate_type: 'weekend', unit_price: 1500, quantity: 1, dates: ['2030-03-15'] }),
+      expect.objectContaining({ rate_type: 'season', unit_price: 2500, quantity: 1, dates: ['2030-03-16'] })
+    ]);
+    expect(response.body.data.subtotal).toBe(5000);
+    expect(response.body.data.total).toBe(5750);
+  });
+
+  test('Rejects more guests than the property admits', async () => {
+    mockDatabase(pricingHandlers());
+
+    const response = await request(app)
+      .post('/api/bookings/quote')
+      .send({ property_id: 7, check_in_date: '2030-03-11', check_out_date: '2030-03-13', guests: 8 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/como máximo 6 personas/);
+  });
+
+  test('Validates the stay before pricing it', async () => {
+    const db = mockDatabase(pricingHandlers());
+
+    const response = await request(app)
+      .post('/api/bookings/quote')
+      .send({ property_id: 7, check_in_date: '2030-03-13', check_out_date: '2030-03-11', guests: 2 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toContain('La fecha de salida debe ser posterior a la fecha de entrada');
+    expect(db.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,91 @@
+// tests/api/booking-slots.test.js
+import request from 'supertest';
+import propertyRoutes from '../../src/routes/property.routes.js';
+import { createApp } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/properties', propertyRoutes);
+
+// Lunes 11 de marzo de 2030: tres turnos de una hora por la mañana
+const slotHandlers = ({ units = 1, bookingMode = 'slot', exceptions = [], bookings = [] } = {}) => [
+  [/SELECT id, booking_mode, slot_minutes, units, max_guests, closed_from, reopen_date/, [
+    { id: 7, booking_mode: bookingMode, slot_minutes: 60, units, max_guests: null, closed_from: null, reopen_date: null }
+  ]],
+  [/FROM property_hours\s/, [{ id: 1, day_of_week: 1, open_time: '09:00', close_time: '12:00' }]],
+  [/FROM property_hour_exceptions/, exceptions],
+  [/FROM bookings\s+WHERE property_id = \? AND booking_type = 'slot'/, bookings]
+];
+
+const courtBooking = { start: '2030-03-11T10:00', end: '2030-03-11T11:00', guests: 4 };
+
+describe('Property slots API', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Generates the day slots from the weekly hours and marks booked ones', async () => {
+    mockDatabase(slotHandlers({ bookings: [courtBooking] }));
+
+    const response = await request(app).get('/api/properties/7/slots').query({ date: '2030-03-11' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ property_id: 7, date: '2030-03-11', slot_minutes: 60, units: 1 });
+    expect(response.body.data.slots.map(({ start, end, status }) => ({ start, end, status }))).toEqual([
+      { start: '2030-03-11T09:00', end: '2030-03-11T10:00', status: 'available' },
+      { start: '2030-03-11T10:00', end: '2030-03-11T11:00', status: 'booked' },
+      { start: '2030-03-11T11:00', end: '2030-03-11T12:00', status: 'available' }
+    ]);
+  });
+
+  test('Keeps a slot available while units remain', async () => {
+    mockDatabase(slotHandlers({ units: 2, bookings: [courtBooking] }));
+
+    const response = await request(app).get('/api/properties/7/slots').query({ date: '2030-03-11' });
+
+    expect(response.body.data.slots[1]).toMatchObject({
+      start: '2030-03-11T10:00',
+      status: 'available',
+      available: true,
+      remaining_units: 1
+    });
+  });
+
+  test('Special hours replace the weekly hours of their day', async () => {
+    mockDatabase(slotHandlers({
+      exceptions: [{ id: 3, date: '2030-03-11', is_closed: 0, open_time: '15:00', close_time: '17:00', reason: null }]
+    }));
+
+    const response = await request(app).get('/api/properties/7/slots').query({ date: '2030-03-11' });
+
+    expect(response.body.data.slots.map(slot => slot.start)).toEqual(['2030-03-11T15:00', '2030-03-11T16:00']);
+  });
+
+  test('A closed special day has no slots', async () => {
+    mockDatabase(slotHandlers({
+      exceptions: [{ id: 3, date: '2030-03-11', is_closed: 1, open_time: null, close_time: null, reason: 'Feriado' }]
+    }));
+
+    const response = await request(app).get('/api/properties/7/slots').query({ date: '2030-03-11' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.slots).toEqual([]);
+  });
+
+  test.each(['2030-02-30', '2030-13-01', '11/03/2030'])('Rejects the date %s', async (date) => {
+    const db = mockDatabase(slotHandlers());
+
+    const response = await request(app).get('/api/properties/7/slots').query({ date });
+
+    expect(response.status).toBe(400);
+    expect(db.queries).toHaveLength(0);
+  });
+
+  test('Rejects businesses that book by date range', async () => {
+    mockDatabase(slotHandlers({ bookingMode: 'date_range' }));
+
+    const response = await request(app).get('/api/properties/7/slots').query({ date: '2030-03-11' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Este negocio no acepta reservas por horario');
+  });
+});
@@ -0,0 +1,84 @@
+// tests/api/business-import.test.js
+import request from 'supertest';
+import adminRoutes from '../../src/routes/admin.routes.js';
+import { createApp, authHeader } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/admin', adminRoutes);
+
+const csv = [
+  'external_key,title,phone,email,amenities',
+  'CSV-001,Café Central,2222-3333,,wifi|parqueo',
+  'CSV-002,Hotel Plaza Real,,reservas@plazareal.hn,',
+  'CSV-003,Pupusería La Ceiba,,correo-invalido,'
+].join('\n');
+
+const importHandlers = () => [
+  // CSV-002 ya existe: se actualiza
+  [/WHERE external_key IN \(\?\)/, [{ id: 15, external_key: 'CSV-002', category_id: null, type_id: null }]],
+  // Candidato a duplicado del negocio nuevo (mismo nombre y teléfono)
+  [/FROM properties p\s+WHERE p\.merged_into_id IS NULL/, [
+    { id: 4, title: 'Cafe Central', address: null, phone: '+504 2222-3333', email: null, lat: null, lng: null }
+  ]]
+];
+
+const uploadCsv = (content, query = '?dry_run=true') => request(app)
+  .post(`/api/admin/businesses/import${query}`)
+  .set('Authorization', authHeader())
+  .attach('file', Buffer.from(content, 'utf8'), { filename: 'negocios.csv', contentType: 'text/csv' });
+
+describe('Admin business CSV import', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Dry run reports each row without writing anything', async () => {
+    const db = mockDatabase(importHandlers());
+
+    const response = await uploadCsv(csv);
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toMatchObject({
+      dry_run: true,
+      total_rows: 3,
+      created: 1,
+      updated: 1,
+      possible_duplicates: 1,
+      errors: [{ row: 4, external_key: 'CSV-003', message: 'email "correo-invalido" no es válido' }]
+    });
+    expect(response.body.data.rows).toEqual([
+      expect.objectContaining({
+        row: 2,
+        action: 'create',
+        property_id: null,
+        title: 'Café Central',
+        possible_duplicates: [expect.objectContaining({ id: 4, title: 'Cafe Central' })]
+      }),
+      expect.objectContaining({ row: 3, action: 'update', property_id: 15, possible_duplicates: [] })
+    ]);
+
+    expect(db.transactions).toHaveLength(0);
+    expect(db.find(/^\s*(INSERT|UPDATE|DELETE)/)).toHaveLength(0);
+  });
+
+  test('Without dry run a file with errors imports nothing', async () => {
+    const db = mockDatabase(importHandlers());
+
+    const response = await uploadCsv(csv, '');
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toHaveLength(1);
+    expect(db.transactions).toHaveLength(0);
+    expect(db.find(/^\s*(INSERT|UPDATE|DELETE)/)).toHaveLength(0);
+  });
+
+  test('Rejects unknown columns', async () => {
+    mockDatabase(importHandlers());
+
+    const response = await uploadCsv('title,rating\nCafé Central,5');
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toMatch(/Columnas no reconocidas: rating/);
+  });
+});
@@ -0,0 +1,168 @@
+// tests/api/business-merge.test.js
+import request from 'supertest';
+import adminRoutes from '../../src/routes/admin.routes.js';
+import { createApp, authHeader } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/admin', adminRoutes);
+
+const survivor = {
+  id: 1,
+  title: 'Café Central',
+  phone: null,
+  email: 'hola@cafecentral.hn',
+  image: '/uploads/central.jpg',
+  views: 40,
+  external_key: null,
+  host_id: null,
+  merged_into_id: null
+};
+
+const duplicate = {
+  id: 2,
+  title: 'Cafe Central Tegucigalpa',
+  phone: '2222-3333',
+  email: null,
+  image: '/uploads/central-2.jpg',
+  views: 15,
+  external_key: 'CSV-002',
+  host_id: 9,
+  isVerified: 1,
+  merged_into_id: null
+};
+
+const mergeHandlers = (properties = [survivor, duplicate]) => [
+  [/FROM properties WHERE id IN \(\?, \?\) FOR UPDATE/, properties],
+  [/MAX\(sort_order\), -1\) as max_order/, [{ max_order: 3 }]],
+  [/UPDATE property_images SET property_id/, { affectedRows: 2 }],
+  [/COUNT\(\*\) as count FROM property_images/, [{ count: 0 }]],
+  [/INSERT IGNORE INTO property_amenities/, { affectedRows: 4 }],
+  [/UPDATE reviews SET property_id/, { affectedRows: 5 }],
+  [/UPDATE bookings SET property_id/, { affectedRows: 3 }],
+  [/UPDATE IGNORE favorites/, { affectedRows: 1 }],
+  [/COUNT\(\*\) as hours FROM property_hours/, [{ hours: 7 }]],
+  [/COUNT\(\*\) as sections FROM catalog_sections/, [{ sections: 0 }]]
+];
+
+describe('Admin business merge API', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Merges the duplicate into the survivor and archives it', async () => {
+    const db = mockDatabase(mergeHandlers());
+
+    const response = await request(app)
+      .post('/api/admin/businesses/1/merge')
+      .set('Authorization', authHeader())
+      .send({ duplicate_id: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.success).toBe(true);
+    expect(response.body.data).toMatchObject({
+      survivor_id: 1,
+      merged_id: 2,
+      moved: { images: 3, amenities: 4, reviews: 5, bookings: 3, favorites: 1 }
+    });
+    expect(db.transactions).toEqual(['begin', 'commit']);
+
+    // Las imágenes del duplicado van después de las del negocio que sobrevive
+    expect(db.find(/UPDATE property_images SET property_id/)[0].params).toEqual([1, 4, 2]);
+
+    // El horario solo se mueve si el que sobrevive no tiene; el catálogo sí se mueve
+    expect(db.find(/UPDATE property_hours SET property_id/)).toHaveLength(0);
+    expect(db.find(/UPDATE catalog_sections SET property_id/)[0].params).toEqual([1, 2]);
+
+    // Se completan los datos vacíos y se hereda la clave de importación
+    const [fill] = db.find(/average_rating = \(SELECT/);
+    expect(fill.sql).toMatch(/phone = \?/);
+    expect(fill.sql).toMatch(/external_key = \?/);
+    expect(fill.sql).not.toMatch(/email = \?/);
+    expect(fill.params).toEqual(['2222-3333', 9, 1, 'CSV-002', 15, 1, 1]);
+
+    // El dueño verificado del duplicado pasa al que sobrevive, que no tenía
+    expect(fill.sql).toMatch(/host_id = \?, isVerified = \?/);
+
+    // Los visitantes únicos del día no se suman: un visitante pudo ver ambos negocios
+    const [views] = db.find(/INSERT INTO property_view_daily/);
+    expect(views.sql).toMatch(/unique_visitors = GREATEST\(/);
+
+    const [archive] = db.find(/SET merged_into_id = \?, archived = TRUE/);
+    expect(archive.params).toEqual([1, 'Fusionado con #1', 2]);
+  });
+
+  test('Rejects merging a business with itself', async () => {
+    const db = mockDatabase(mergeHandlers());
+
+    const response = await request(app)
+      .post('/api/admin/businesses/1/merge')
+      .set('Authorization', authHeader())
+      .send({ duplicate_id: 1 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.success).toBe(false);
+    expect(db.queries).toHaveLength(0);
+  });
+
+  test('Returns 409 and rolls back when a business was already merged', async () => {
+    const db = mockDatabase(mergeHandlers([survivor, { ...duplicate, merged_into_id: 9 }]));
+
+    const response = await request(app)
+      .post('/api/admin/businesses/1/merge')
+      .set('Authorization', authHeader())
+      .send({ duplicate_id: 2 });
+
+    expect(response.status).toBe(409);
+    expect(db.transactions).toEqual(['begin', 'rollback']);
+    expect(db.find(/^\s*UPDATE/)).toHaveLength(0);
+  });
+
+  test('Keeps the survivor owner when both records share it', async () => {
+    const db = mockDatabase(mergeHandlers([{ ...survivor, host_id: 9 }, duplicate]));
+
+    const response = await request(app)
+      .post('/api/admin/businesses/1/merge')
+      .set('Authorization', authHeader())
+      .send({ duplicate_id: 2 });
+
+    expect(response.status).toBe(200);
+    expect(db.find(/average_rating = \(SELECT/)[0].sql).not.toMatch(/host_id = \?/);
+  });
+
+  test('Returns 409 when the businesses have different owners', async () => {
+    const db = mockDatabase(mergeHandlers([{ ...survivor, host_id: 4 }, duplicate]));
+
+    const response = await request(app)
+      .post('/api/admin/businesses/1/merge')
+      .set('Authorization', authHeader())
+      .send({ duplicate_id: 2 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.message).toMatch(/dueños distintos/);
+    expect(db.transactions).toEqual(['begin', 'rollback']);
+    expect(db.find(/^\s*(UPDATE|INSERT)/)).toHaveLength(0);
+  });
+
+  test('Returns 404 when one of the businesses does not exist', async () => {
+    mockDatabase(mergeHandlers([survivor]));
+
+    const response = await request(app)
+      .post('/api/admin/businesses/1/merge')
+      .set('Authorization', authHeader())
+      .send({ duplicate_id: 2 });
+
+    expect(response.status).toBe(404);
+  });
+
+  test('Only administrators can merge businesses', async () => {
+    const db = mockDatabase(mergeHandlers());
+
+    const response = await request(app)
+      .post('/api/admin/businesses/1/merge')
+      .set('Authorization', authHeader({ id: 5, role: 'user' }))
+      .send({ duplicate_id: 2 });
+
+    expect(response.status).toBe(403);
+    expect(db.queries).toHaveLength(0);
+  });
+});
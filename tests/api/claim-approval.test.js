@@ -0,0 +1,121 @@
+// tests/api/claim-approval.test.js
+import request from 'supertest';
+import adminRoutes from '../../src/routes/admin.routes.js';
+import { transporter } from '../../src/config/email.config.js';
+import { createApp, authHeader } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/admin', adminRoutes);
+
+const sendMail = transporter.sendMail;
+let sentMails;
+
+// Reclamo pendiente cuyo estado cambia con los UPDATE de la aprobación
+const claimHandlers = ({ status = 'pending', lockedStatus = status } = {}) => {
+  const claim = {
+    id: 3,
+    property_id: 7,
+    user_id: 9,
+    status,
+    contact_email: 'duena@example.com',
+    property_title: 'Cabañas <El Pinar>',
+    document_url: 'local:claim-3.pdf'
+  };
+
+  return [
+    [/FROM business_claims c/, () => [{ ...claim }]],
+    [/SELECT status FROM business_claims WHERE id = \? FOR UPDATE/, [{ status: lockedStatus }]],
+    [/SET status = 'approved'/, () => {
+      claim.status = 'approved';
+      return { affectedRows: 1 };
+    }],
+    [/UPDATE properties SET host_id/, { affectedRows: 1 }]
+  ];
+};
+
+describe('Admin claim approval API', () => {
+  beforeEach(() => {
+    sentMails = [];
+    transporter.sendMail = async (mail) => {
+      sentMails.push(mail);
+    };
+  });
+
+  afterEach(() => {
+    transporter.sendMail = sendMail;
+    restoreDatabase();
+  });
+
+  test('Approves the claim, transfers the business and rejects competing claims', async () => {
+    const db = mockDatabase(claimHandlers());
+
+    const response = await request(app)
+      .patch('/api/admin/claims/3/approve')
+      .set('Authorization', authHeader({ id: 1, role: 'admin' }))
+      .send({ notes: 'Documentos <verificados>' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      id: 3,
+      status: 'approved',
+      has_document: true,
+      document_url: '/api/admin/claims/3/document'
+    });
+    expect(db.transactions).toEqual(['begin', 'commit']);
+
+    // Primero se bloquea el negocio y después el reclamo
+    const locks = db.find(/FOR UPDATE/).map(({ sql }) => sql);
+    expect(locks[0]).toMatch(/FROM properties/);
+    expect(locks[1]).toMatch(/FROM business_claims/);
+
+    expect(db.find(/SET status = 'approved'/)[0].params).toEqual(['Documentos <verificados>', 1, '3']);
+    expect(db.find(/UPDATE properties SET host_id/)[0].params).toEqual([9, 7]);
+    expect(db.find(/SET status = 'rejected'/)[0].params).toEqual([
+      'Se aprobó otro reclamo para este negocio', 1, 7, '3'
+    ]);
+
+    // El correo escapa el nombre del negocio
+    expect(sentMails).toHaveLength(1);
+    expect(sentMails[0].to).toBe('duena@example.com');
+    expect(sentMails[0].html).toContain('Cabañas &lt;El Pinar&gt;');
+    expect(sentMails[0].html).not.toContain('<El Pinar>');
+  });
+
+  test('Returns 409 when the claim was already reviewed', async () => {
+    const db = mockDatabase(claimHandlers({ status: 'rejected' }));
+
+    const response = await request(app)
+      .patch('/api/admin/claims/3/approve')
+      .set('Authorization', authHeader({ id: 1, role: 'admin' }))
+      .send({});
+
+    expect(response.status).toBe(409);
+    expect(db.transactions).toHaveLength(0);
+    expect(sentMails).toHaveLength(0);
+  });
+
+  test('Returns 409 and rolls back when another approval wins the lock', async () => {
+    const db = mockDatabase(claimHandlers({ lockedStatus: 'approved' }));
+
+    const response = await request(app)
+      .patch('/api/admin/claims/3/approve')
+      .set('Authorization', authHeader({ id: 1, role: 'admin' }))
+      .send({});
+
+    expect(response.status).toBe(409);
+    expect(db.transactions).toEqual(['begin', 'rollback']);
+    expect(db.find(/UPDATE properties SET host_id/)).toHaveLength(0);
+    expect(sentMails).toHaveLength(0);
+  });
+
+  test('Returns 404 for an unknown claim', async () => {
+    mockDatabase([]);
+
+    const response = await request(app)
+      .patch('/api/admin/claims/99/approve')
+      .set('Authorization', authHeader({ id: 1, role: 'admin' }))
+      .send({});
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,86 @@
+// tests/api/payment.test.js
+import request from 'supertest';
+import paymentRoutes from '../../src/routes/payment.routes.js';
+import { createApp } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/payments', paymentRoutes);
+
+// Dos noches a 800 más 15% de ISV
+const payment = {
+  booking_id: 'temp-1712345678',
+  property_id: 7,
+  check_in_date: '2030-03-11',
+  check_out_date: '2030-03-13',
+  guests: 2,
+  amount: 1840,
+  payment_method: 'cash'
+};
+
+const paymentHandlers = ({ units = 1, bookings = [] } = {}) => {
+  const property = { id: 7, booking_mode: 'date_range', units, max_guests: null };
+
+  return [
+    [/SELECT \* FROM properties WHERE id = \?/, [property]],
+    [/SELECT units, max_guests FROM properties/, [property]],
+    [/FROM bookings\s+WHERE property_id = \?/, bookings],
+    [/FROM property_rate_plans/, [{ property_id: 7, base_rate: '800.00', weekend_rate: null, included_guests: null }]],
+    [/INSERT INTO bookings/, { insertId: 31 }],
+    [/INSERT INTO payments/, { insertId: 12 }]
+  ];
+};
+
+describe('Payment API with a temporary booking', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Creates the booking under the property lock and records a single payment', async () => {
+    const db = mockDatabase(paymentHandlers());
+
+    const response = await request(app).post('/api/payments').send(payment);
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.paymentId).toBe(12);
+
+    // Una sola transacción: la del pago, que incluye la reserva
+    expect(db.transactions).toEqual(['begin', 'commit']);
+    expect(db.find(/SELECT id FROM properties WHERE id = \? FOR UPDATE/)).toHaveLength(1);
+    expect(db.find(/INSERT INTO bookings/)).toHaveLength(1);
+    expect(db.find(/INSERT INTO payments/)).toHaveLength(1);
+    expect(db.find(/UPDATE bookings SET status = \?/)[0].params).toEqual(['confirmed', 31]);
+  });
+
+  test('Rejects the payment when the property is full', async () => {
+    const db = mockDatabase(paymentHandlers({
+      bookings: [{ start: '2030-03-12', end: '2030-03-14', guests: 2 }]
+    }));
+
+    const response = await request(app).post('/api/payments').send(payment);
+
+    expect(response.status).toBe(409);
+    expect(db.transactions).toEqual(['begin', 'rollback']);
+    expect(db.find(/INSERT INTO (bookings|payments)/)).toHaveLength(0);
+  });
+
+  test('Rejects an amount that does not match the server total', async () => {
+    const db = mockDatabase(paymentHandlers());
+
+    const response = await request(app).post('/api/payments').send({ ...payment, amount: 100 });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errors).toEqual(['Total calculado: 1840 HNL']);
+    expect(db.transactions).toEqual(['begin', 'rollback']);
+    expect(db.find(/INSERT INTO payments/)).toHaveLength(0);
+  });
+
+  test('Requires the property of a temporary booking', async () => {
+    const db = mockDatabase(paymentHandlers());
+
+    const response = await request(app).post('/api/payments').send({ ...payment, property_id: undefined });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Error en los datos del pago');
+    expect(db.queries).toHaveLength(0);
+  });
+});
@@ -0,0 +1,124 @@
+// tests/api/property-availability.test.js
+import request from 'supertest';
+import propertyRoutes from '../../src/routes/property.routes.js';
+import { createApp } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/properties', propertyRoutes);
+
+const calendarHandlers = ({ units = 1, bookingMode = 'date_range', closure = {}, bookings = [] } = {}) => {
+  const property = {
+    id: 7,
+    booking_mode: bookingMode,
+    slot_minutes: 60,
+    units,
+    max_guests: null,
+    closure_reason: null,
+    closed_from: null,
+    reopen_date: null,
+    ...closure
+  };
+
+  return [
+    [/SELECT id, booking_mode, slot_minutes, units, max_guests, closure_reason/, [property]],
+    [/SELECT units, max_guests FROM properties/, [property]],
+    [/FROM bookings\s+WHERE property_id = \?\s+AND status != 'cancelled'/, bookings],
+    [/FROM property_rate_plans/, [{ property_id: 7, base_rate: '800.00', weekend_rate: null, included_guests: null }]]
+  ];
+};
+
+// Reserva de las noches del 11 y 12 de marzo
+const stay = { start: '2030-03-11', end: '2030-03-13', guests: 2 };
+
+const getCalendar = (query) => request(app).get('/api/properties/7/availability').query(query);
+
+describe('Property availability calendar', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Marks booked nights and prices every day', async () => {
+    mockDatabase(calendarHandlers({ bookings: [stay] }));
+
+    const response = await getCalendar({ from: '2030-03-10', to: '2030-03-14' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ property_id: 7, from: '2030-03-10', to: '2030-03-14', units: 1 });
+    expect(response.body.data.days.map(({ date, status }) => ({ date, status }))).toEqual([
+      { date: '2030-03-10', status: 'available' },
+      { date: '2030-03-11', status: 'booked' },
+      { date: '2030-03-12', status: 'booked' },
+      { date: '2030-03-13', status: 'available' }
+    ]);
+    expect(response.body.data.days[0]).toMatchObject({ price: 800, rate_type: 'base', remaining_units: 1 });
+  });
+
+  test('Keeps a night available while units remain', async () => {
+    mockDatabase(calendarHandlers({ units: 3, bookings: [stay] }));
+
+    const response = await getCalendar({ from: '2030-03-11', to: '2030-03-12' });
+
+    expect(response.body.data.days).toEqual([
+      expect.objectContaining({ date: '2030-03-11', status: 'available', remaining_units: 2 })
+    ]);
+  });
+
+  test('Shows a temporary closure as closed', async () => {
+    mockDatabase(calendarHandlers({
+      closure: { closure_reason: 'Remodelación', closed_from: '2030-03-12', reopen_date: '2030-03-14' }
+    }));
+
+    const response = await getCalendar({ from: '2030-03-11', to: '2030-03-15' });
+
+    expect(response.body.data.days.map(({ status, reason }) => [status, reason])).toEqual([
+      ['available', null],
+      ['closed', 'temporary_closure'],
+      ['closed', 'temporary_closure'],
+      ['available', null]
+    ]);
+  });
+
+  test('Blocks days that already passed', async () => {
+    mockDatabase(calendarHandlers());
+
+    const response = await getCalendar({ from: '2020-01-01', to: '2020-01-03' });
+
+    expect(response.body.data.days.map(({ status, reason }) => [status, reason])).toEqual([
+      ['blocked', 'past'],
+      ['blocked', 'past']
+    ]);
+  });
+
+  test('Closes slot days without opening hours', async () => {
+    mockDatabase(calendarHandlers({ bookingMode: 'slot' }));
+
+    const response = await getCalendar({ from: '2030-03-11', to: '2030-03-12' });
+
+    expect(response.body.data.days).toEqual([
+      expect.objectContaining({ date: '2030-03-11', status: 'closed', reason: 'no_opening_hours', slots: [] })
+    ]);
+  });
+
+  test.each([
+    [{ from: '2030-02-30' }, 'from y to deben tener el formato YYYY-MM-DD'],
+    [{ from: '2030-03-11', to: '2030-03-11' }, 'to debe ser posterior a from'],
+    [{ from: '2030-01-01', to: '2031-01-03' }, 'El calendario puede consultar como máximo 366 días']
+  ])('Rejects the range %j', async (query, message) => {
+    const db = mockDatabase(calendarHandlers());
+
+    const response = await getCalendar(query);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(message);
+    expect(db.find(/FROM bookings/)).toHaveLength(0);
+  });
+
+  test('Limits slot calendars to a month', async () => {
+    mockDatabase(calendarHandlers({ bookingMode: 'slot' }));
+
+    const response = await getCalendar({ from: '2030-03-01', to: '2030-04-02' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('El calendario puede consultar como máximo 31 días');
+  });
+});
@@ -0,0 +1,160 @@
+// tests/api/property-blackouts.test.js
+import request from 'supertest';
+import propertyRoutes from '../../src/routes/property.routes.js';
+import { blackoutCovers } from '../../src/services/blackout.service.js';
+import { createApp, authHeader } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/properties', propertyRoutes);
+
+// Propiedad 7 del usuario 4, con dos reservas que se cruzan con el bloqueo
+const blackoutHandlers = () => [
+  [/SELECT id, host_id, image, category_id, type_id FROM properties/, [{ id: 7, host_id: 4 }]],
+  [/INSERT INTO property_blackouts/, { insertId: 12 }],
+  [/SELECT COUNT\(\*\) as count FROM bookings/, [{ count: 2 }]]
+];
+
+const createBlackout = (body, user = { id: 4, role: 'user' }) => request(app)
+  .post('/api/properties/7/blackouts')
+  .set('Authorization', authHeader(user))
+  .send(body);
+
+describe('blackoutCovers', () => {
+  test('A one-off blackout covers its own dates only', () => {
+    const blackout = { start_date: '2030-03-10', end_date: '2030-03-12', recurrence: 'none', recurrence_until: null };
+
+    expect(blackoutCovers(blackout, '2030-03-09')).toBe(false);
+    expect(blackoutCovers(blackout, '2030-03-10')).toBe(true);
+    expect(blackoutCovers(blackout, '2030-03-12')).toBe(true);
+    expect(blackoutCovers(blackout, '2030-03-13')).toBe(false);
+  });
+
+  test('A weekly blackout repeats every week until recurrence_until', () => {
+    // Sábado y domingo
+    const blackout = {
+      start_date: '2030-03-09',
+      end_date: '2030-03-10',
+      recurrence: 'weekly',
+      recurrence_until: '2030-03-20'
+    };
+
+    expect(blackoutCovers(blackout, '2030-03-16')).toBe(true);
+    expect(blackoutCovers(blackout, '2030-03-17')).toBe(true);
+    expect(blackoutCovers(blackout, '2030-03-18')).toBe(false);
+    expect(blackoutCovers(blackout, '2030-03-23')).toBe(false);
+  });
+
+  test('A yearly blackout that crosses the new year reaches into the next year', () => {
+    const blackout = { start_date: '2029-12-24', end_date: '2030-01-02', recurrence: 'yearly', recurrence_until: null };
+
+    expect(blackoutCovers(blackout, '2029-12-20')).toBe(false);
+    expect(blackoutCovers(blackout, '2030-12-24')).toBe(true);
+    expect(blackoutCovers(blackout, '2031-01-02')).toBe(true);
+    expect(blackoutCovers(blackout, '2031-01-03')).toBe(false);
+  });
+
+  test('A yearly blackout on February 29 falls on February 28 in common years', () => {
+    const blackout = { start_date: '2028-02-29', end_date: '2028-02-29', recurrence: 'yearly', recurrence_until: null };
+
+    expect(blackoutCovers(blackout, '2029-02-28')).toBe(true);
+    expect(blackoutCovers(blackout, '2029-03-01')).toBe(false);
+    expect(blackoutCovers(blackout, '2032-02-29')).toBe(true);
+  });
+});
+
+describe('Property blackouts API', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Blocks dates and reports the bookings that overlap them', async () => {
+    const db = mockDatabase(blackoutHandlers());
+
+    const response = await createBlackout({ start_date: '2030-03-10', end_date: '2030-03-12', reason: 'Fumigación' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({
+      id: 12,
+      property_id: 7,
+      start_date: '2030-03-10',
+      end_date: '2030-03-12',
+      recurrence: 'none',
+      conflicting_bookings: 2
+    });
+    expect(response.body.message).toMatch(/Hay 2 reservas existentes/);
+    expect(db.find(/INSERT INTO property_blackouts/)[0].params).toEqual([
+      '7', '2030-03-10', '2030-03-12', 'Fumigación', 'none', null, 4
+    ]);
+    // [10, 13): la noche del 12 también queda bloqueada
+    expect(db.find(/SELECT COUNT\(\*\) as count FROM bookings/)[0].params).toEqual([
+      '7', '2030-03-13', '2030-03-10', '2030-03-10'
+    ]);
+  });
+
+  test('Recurring blackouts do not count bookings', async () => {
+    const db = mockDatabase(blackoutHandlers());
+
+    const response = await createBlackout({ start_date: '2030-03-09', end_date: '2030-03-10', recurrence: 'weekly' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.conflicting_bookings).toBeNull();
+    expect(db.find(/FROM bookings/)).toHaveLength(0);
+  });
+
+  test.each([
+    [{ start_date: '2030-02-30' }, 'start_date y end_date deben tener el formato YYYY-MM-DD'],
+    [{ start_date: '2030-03-12', end_date: '2030-03-10' }, 'end_date no puede ser anterior a start_date'],
+    [{ start_date: '2030-03-10', recurrence: 'monthly' }, 'recurrence debe ser uno de: none, weekly, yearly'],
+    [{ start_date: '2030-03-04', end_date: '2030-03-10', recurrence: 'weekly' }, 'Un bloqueo semanal puede durar como máximo 6 días'],
+    [{ start_date: '2030-03-10', recurrence_until: '2030-12-31' }, 'recurrence_until solo aplica a bloqueos recurrentes'],
+    [{ start_date: '2030-03-10', recurrence: 'yearly', recurrence_until: '2030-03-01' }, 'recurrence_until debe ser una fecha YYYY-MM-DD posterior al bloqueo'],
+    [{ start_date: '2020-01-01' }, 'No se pueden bloquear fechas pasadas']
+  ])('Rejects %j', async (body, message) => {
+    const db = mockDatabase(blackoutHandlers());
+
+    const response = await createBlackout(body);
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe(message);
+    expect(db.queries).toHaveLength(0);
+  });
+
+  test('Only the owner can block dates', async () => {
+    const db = mockDatabase(blackoutHandlers());
+
+    const response = await createBlackout({ start_date: '2030-03-10' }, { id: 5, role: 'user' });
+
+    expect(response.status).toBe(403);
+    expect(db.find(/INSERT INTO property_blackouts/)).toHaveLength(0);
+  });
+
+  test('The availability calendar shows blocked dates without their reason', async () => {
+    mockDatabase([
+      [/SELECT id, booking_mode, slot_minutes, units, max_guests, closure_reason/, [
+        { id: 7, booking_mode: 'date_range', slot_minutes: null, units: 1, max_guests: null }
+      ]],
+      [/SELECT units, max_guests FROM properties/, [{ units: 1, max_guests: null }]],
+      [/FROM property_blackouts/, [{
+        id: 12,
+        property_id: 7,
+        start_date: '2030-03-09',
+        end_date: '2030-03-10',
+        reason: 'Uso familiar',
+        recurrence: 'weekly',
+        recurrence_until: null
+      }]]
+    ]);
+
+    const response = await request(app)
+      .get('/api/properties/7/availability')
+      .query({ from: '2030-03-15', to: '2030-03-18' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.days.map(({ date, status, reason }) => [date, status, reason])).toEqual([
+      ['2030-03-15', 'available', null],
+      ['2030-03-16', 'blocked', 'blackout'],
+      ['2030-03-17', 'blocked', 'blackout']
+    ]);
+    expect(JSON.stringify(response.body)).not.toContain('Uso familiar');
+  });
+});
@@ -0,0 +1,66 @@
+// tests/api/property-hours.test.js
+import request from 'supertest';
+import propertyRoutes from '../../src/routes/property.routes.js';
+import { createApp, authHeader } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/properties', propertyRoutes);
+
+// Propiedad 7 del usuario 4
+const ownerHandlers = () => [
+  [/SELECT id, host_id, image, category_id, type_id FROM properties/, [{ id: 7, host_id: 4 }]],
+  [/INSERT INTO property_hour_exceptions/, { insertId: 21 }]
+];
+
+describe('Opening hour exceptions API', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Registers a closed day for the owner', async () => {
+    const db = mockDatabase(ownerHandlers());
+
+    const response = await request(app)
+      .post('/api/properties/7/hours/exceptions')
+      .set('Authorization', authHeader({ id: 4, role: 'user' }))
+      .send({ date: '2030-09-15', reason: 'Día de la Independencia' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toEqual({
+      id: 21,
+      date: '2030-09-15',
+      is_closed: true,
+      open_time: null,
+      close_time: null,
+      reason: 'Día de la Independencia'
+    });
+    expect(db.find(/INSERT INTO property_hour_exceptions/)[0].params.slice(0, 3)).toEqual(['7', '2030-09-15', true]);
+  });
+
+  test('Registers special hours', async () => {
+    mockDatabase(ownerHandlers());
+
+    const response = await request(app)
+      .post('/api/properties/7/hours/exceptions')
+      .set('Authorization', authHeader({ id: 4, role: 'user' }))
+      .send({ date: '2030-12-24', is_closed: false, open_time: '08:00', close_time: '14:00' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data).toMatchObject({ is_closed: false, open_time: '08:00', close_time: '14:00' });
+  });
+
+  test.each(['2030-02-30', '2030-13-01', '30-09-2030', undefined])(
+    'Rejects the impossible or malformed date %s',
+    async (date) => {
+      const db = mockDatabase(ownerHandlers());
+
+      const response = await request(app)
+        .post('/api/properties/7/hours/exceptions')
+        .set('Authorization', authHeader({ id: 4, role: 'user' }))
+        .send({ date });
+
+      expect(response.status).toBe(400);
+      expect(db.queries).toHaveLength(0);
+    }
+  );
+});
@@ -0,0 +1,67 @@
+// tests/api/property-nearby.test.js
+import request from 'supertest';
+import propertyRoutes from '../../src/routes/property.routes.js';
+import { createApp } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/properties', propertyRoutes);
+
+// Centro de Tegucigalpa
+const origin = { lat: 14.0723, lng: -87.1921 };
+
+const nearbyHandlers = () => [
+  [/as distance_km\s+FROM properties p/, [
+    { id: 3, title: 'Café Paradiso', amenities: 'wifi', pets_allowed: null, search_text: 'cafe paradiso', distance_km: 0.42 },
+    { id: 8, title: 'Hotel Plaza', amenities: null, pets_allowed: null, search_text: 'hotel plaza', distance_km: 1.8 }
+  ]],
+  [/SELECT COUNT\(\*\) as total FROM properties p/, [{ total: 2 }]]
+];
+
+describe('Nearby and search listing limits', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Lists businesses by distance with the default page size', async () => {
+    const db = mockDatabase(nearbyHandlers());
+
+    const response = await request(app).get('/api/properties/nearby').query(origin);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ origin, radius_km: 5, total: 2, page: 1, limit: 20 });
+    expect(response.body.data.properties.map(property => property.distance_km)).toEqual([0.42, 1.8]);
+    expect(response.body.data.properties[0]).not.toHaveProperty('search_text');
+
+    const [listing] = db.find(/as distance_km\s+FROM properties p/);
+    expect(listing.params.slice(-2)).toEqual([20, 0]);
+  });
+
+  test('Caps the page size at the pagination maximum', async () => {
+    const db = mockDatabase(nearbyHandlers());
+
+    const response = await request(app).get('/api/properties/nearby').query({ ...origin, limit: 100000, page: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.limit).toBe(100);
+    expect(db.find(/as distance_km\s+FROM properties p/)[0].params.slice(-2)).toEqual([100, 100]);
+  });
+
+  test.each(['0', '-5', 'abc', '2.5'])('Rejects the nearby limit %s', async (limit) => {
+    const db = mockDatabase(nearbyHandlers());
+
+    const response = await request(app).get('/api/properties/nearby').query({ ...origin, limit });
+
+    expect(response.status).toBe(400);
+    expect(db.find(/FROM properties p/)).toHaveLength(0);
+  });
+
+  test('Rejects an invalid search limit', async () => {
+    const db = mockDatabase();
+
+    const response = await request(app).get('/api/properties/search').query({ q: 'cafe', limit: '0' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('limit debe ser un número entero mayor que 0');
+    expect(db.find(/LIMIT \? OFFSET \?/)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,43 @@
+// tests/api/property-suggest.test.js
+import request from 'supertest';
+import propertyRoutes from '../../src/routes/property.routes.js';
+import { createApp } from '../helpers/app.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+const app = createApp('/api/properties', propertyRoutes);
+
+describe('Search suggestions', () => {
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Matches events and blogs by word prefix instead of any substring', async () => {
+    const db = mockDatabase([
+      [/FROM events/, [{ id: 2, event_name: 'Festival del Café' }]],
+      [/FROM blogs/, [{ id: 5, title: 'Rutas de café en Copán' }]]
+    ]);
+
+    const response = await request(app).get('/api/properties/suggest').query({ q: 'Café' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.events).toEqual([{ id: 2, event_name: 'Festival del Café' }]);
+    expect(response.body.data.blogs).toEqual([{ id: 5, title: 'Rutas de café en Copán' }]);
+
+    const [events] = db.find(/FROM events/);
+    expect(events.sql).toMatch(/\(event_name LIKE \? OR event_name LIKE \?\)/);
+    expect(events.params).toEqual(['cafe%', '% cafe%', 'cafe%', '% cafe%', 5]);
+
+    const [blogs] = db.find(/FROM blogs/);
+    expect(blogs.params).toEqual(['cafe%', '% cafe%', 'cafe%', '% cafe%', 5]);
+    expect(db.queries.some(({ params }) => params?.includes('%cafe%'))).toBe(false);
+  });
+
+  test('Rejects queries shorter than two characters', async () => {
+    const db = mockDatabase();
+
+    const response = await request(app).get('/api/properties/suggest').query({ q: 'a' });
+
+    expect(response.status).toBe(400);
+    expect(db.queries).toHaveLength(0);
+  });
+});
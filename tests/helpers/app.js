@@ -0,0 +1,18 @@
+// tests/helpers/app.js
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import { errorMiddleware } from '../../src/middleware/error.middleware.js';
+
+// App mínima con un módulo de rutas montado como en src/server.js, sin iniciar la base de datos
+export const createApp = (basePath, router) => {
+  const app = express();
+  app.use(express.json());
+  app.use(express.urlencoded({ extended: true }));
+  app.use(basePath, router);
+  app.use(errorMiddleware);
+  return app;
+};
+
+// Encabezado Authorization con un token firmado igual que en el login
+export const authHeader = ({ id = 1, role = 'admin' } = {}) =>
+  `Bearer ${jwt.sign({ id, role }, process.env.JWT_SECRET || '1234', { expiresIn: '1h' })}`;
@@ -0,0 +1,54 @@
+// tests/helpers/database.js
+import { mysqlPool } from '../../src/config/database.js';
+
+const originalPool = {
+  getConnection: mysqlPool.getConnection,
+  query: mysqlPool.query
+};
+
+/**
+ * Reemplaza la base de datos por respuestas fijas. Cada consulta se resuelve con el primer
+ * manejador cuyo patrón coincide con el SQL; sin manejador, un SELECT no devuelve filas y
+ * una escritura no afecta ninguna.
+ * @param {Array} handlers - [[RegExp, resultado | (params, sql) => resultado]]
+ * @returns {Object} - { queries, transactions, find(pattern) } para revisar lo ejecutado
+ */
+export const mockDatabase = (handlers = []) => {
+  const queries = [];
+  const transactions = [];
+
+  const query = async (sql, params = []) => {
+    queries.push({ sql, params });
+
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+    if (!handler) {
+      return /^\s*SELECT/i.test(sql) ? [[]] : [{ affectedRows: 0, insertId: 0 }];
+    }
+
+    const result = typeof handler[1] === 'function' ? handler[1](params, sql) : handler[1];
+    return [result];
+  };
+
+  const connection = {
+    query,
+    beginTransaction: async () => transactions.push('begin'),
+    commit: async () => transactions.push('commit'),
+    rollback: async () => transactions.push('rollback'),
+    release: () => {}
+  };
+
+  mysqlPool.getConnection = async () => connection;
+  mysqlPool.query = query;
+
+  return {
+    queries,
+    transactions,
+    find: (pattern) => queries.filter(({ sql }) => pattern.test(sql))
+  };
+};
+
+// Devuelve el pool original (llamar en afterEach)
+export const restoreDatabase = () => {
+  mysqlPool.getConnection = originalPool.getConnection;
+  mysqlPool.query = originalPool.query;
+};
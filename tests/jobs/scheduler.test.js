@@ -0,0 +1,50 @@
+// tests/jobs/scheduler.test.js
+import { mysqlPool } from '../../src/config/database.js';
+import { registerJob, runJob } from '../../src/jobs/scheduler.js';
+import { mockDatabase, restoreDatabase } from '../helpers/database.js';
+
+describe('Job scheduler', () => {
+  let runs;
+
+  beforeAll(() => {
+    runs = 0;
+    registerJob({
+      name: 'test-job',
+      intervalMs: 60000,
+      run: async () => {
+        runs++;
+      }
+    });
+  });
+
+  afterEach(() => {
+    restoreDatabase();
+  });
+
+  test('Runs the job while holding the named lock', async () => {
+    const db = mockDatabase([[/GET_LOCK/, [{ acquired: 1 }]]]);
+
+    await expect(runJob('test-job')).resolves.toBe(true);
+    expect(runs).toBe(1);
+    expect(db.find(/RELEASE_LOCK/)[0].params).toEqual(['oasis_job_test-job']);
+  });
+
+  test('Skips the job when another instance holds the lock', async () => {
+    mockDatabase([[/GET_LOCK/, [{ acquired: 0 }]]]);
+
+    await expect(runJob('test-job')).resolves.toBe(false);
+    expect(runs).toBe(1);
+  });
+
+  test('A failed connection does not leave the job marked as running', async () => {
+    mysqlPool.getConnection = async () => {
+      throw new Error('ECONNREFUSED');
+    };
+
+    await expect(runJob('test-job')).resolves.toBe(false);
+
+    mockDatabase([[/GET_LOCK/, [{ acquired: 1 }]]]);
+    await expect(runJob('test-job')).resolves.toBe(true);
+    expect(runs).toBe(2);
+  });
+});
@@ -0,0 +1,33 @@
+// tests/utils/legacy-hours.test.js
+import { parseLegacyTime, parseScheduleDays, ALL_DAYS } from '../../src/utils/legacy-hours.js';
+
+describe('Legacy opening hours', () => {
+  test.each([
+    ['Lunes a Viernes', [1, 2, 3, 4, 5]],
+    ['L-S', [1, 2, 3, 4, 5, 6]],
+    ['lunes, miércoles y viernes', [1, 3, 5]],
+    ['Viernes a Lunes', [0, 1, 5, 6]],
+    ['Todos los días excepto domingos', [1, 2, 3, 4, 5, 6]],
+    ['Fines de semana', [0, 6]],
+    ['Lunes a viernes 8:00 a. m. - 5:00 p. m., sábado cerrado', [1, 2, 3, 4, 5]],
+    ['Cerrado los lunes', [0, 2, 3, 4, 5, 6]],
+    ['24/7', ALL_DAYS]
+  ])('Parses "%s"', (schedule, days) => {
+    expect(parseScheduleDays(schedule)).toEqual(days);
+  });
+
+  test('An empty schedule means every day and an unknown one is not guessed', () => {
+    expect(parseScheduleDays('')).toEqual(ALL_DAYS);
+    expect(parseScheduleDays('Con cita previa')).toBeNull();
+  });
+
+  test.each([
+    ['8:00 AM', '08:00:00'],
+    ['8:30 p.m.', '20:30:00'],
+    ['12:00 a. m.', '00:00:00'],
+    ['20:00', '20:00:00'],
+    ['', null]
+  ])('Converts the time "%s"', (value, time) => {
+    expect(parseLegacyTime(value)).toBe(time);
+  });
+});